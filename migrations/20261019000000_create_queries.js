@@ -0,0 +1,31 @@
+/**
+ * Saved queries: named, parameterized queries shared within a project
+ */
+export async function up(knex) {
+  await knex.schema.createTable('queries', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('project_id').notNullable().references('id').inTable('projects').onDelete('CASCADE');
+    table.uuid('database_id').references('id').inTable('project_databases').onDelete('SET NULL');
+    table.string('name', 100).notNullable();
+    table.text('description');
+    table.text('query').notNullable();
+    table.jsonb('parameters').notNullable().defaultTo('[]');
+    table.jsonb('tags').notNullable().defaultTo('[]');
+    table.uuid('created_by').references('id').inTable('users');
+    table.uuid('updated_by').references('id').inTable('users');
+    table.timestamps(true, true);
+    table.timestamp('deleted_at').nullable();
+
+    // Indexes
+    table.index(['project_id', 'deleted_at']);
+    table.index(['database_id']);
+  });
+
+  // Names are unique among the live queries of a project
+  await knex.raw('CREATE UNIQUE INDEX queries_project_id_name_unique ON queries (project_id, name) WHERE deleted_at IS NULL');
+  await knex.raw('CREATE INDEX queries_tags_index ON queries USING GIN (tags)');
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('queries');
+}
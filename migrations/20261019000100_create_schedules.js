@@ -0,0 +1,62 @@
+/**
+ * Scheduled queries and the record of their runs
+ */
+export async function up(knex) {
+  await knex.schema
+    .createTable('schedules', (table) => {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.uuid('project_id').notNullable().references('id').inTable('projects').onDelete('CASCADE');
+      table.string('name', 100).notNullable();
+      table.text('description');
+      table.string('cron_expression', 100).notNullable();
+      // Either a saved query or raw query text on a database
+      table.uuid('query_id').references('id').inTable('queries').onDelete('SET NULL');
+      table.uuid('database_id').references('id').inTable('project_databases').onDelete('SET NULL');
+      table.text('query');
+      table.jsonb('parameters').notNullable().defaultTo('{}');
+      table.boolean('is_active').notNullable().defaultTo(true);
+      table.integer('max_retries').notNullable().defaultTo(3);
+      table.integer('retry_delay_seconds').notNullable().defaultTo(60);
+      table.integer('retry_attempt').notNullable().defaultTo(0);
+      table.timestamp('next_run_at');
+      table.timestamp('last_run_at');
+      // Lease held by the server instance running the schedule
+      table.string('locked_by', 255);
+      table.timestamp('locked_until');
+      table.uuid('created_by').references('id').inTable('users');
+      table.uuid('updated_by').references('id').inTable('users');
+      table.timestamps(true, true);
+      table.timestamp('deleted_at').nullable();
+
+      // Indexes
+      table.index(['is_active', 'next_run_at']);
+      table.index(['project_id', 'deleted_at']);
+    })
+    .createTable('schedule_runs', (table) => {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.uuid('schedule_id').notNullable().references('id').inTable('schedules').onDelete('CASCADE');
+      table.uuid('project_id').notNullable().references('id').inTable('projects').onDelete('CASCADE');
+      table.enum('status', ['running', 'succeeded', 'failed']).notNullable();
+      table.enum('trigger', ['schedule', 'retry', 'manual']).notNullable();
+      table.integer('attempt').notNullable().defaultTo(1);
+      table.timestamp('scheduled_for');
+      table.timestamp('started_at').notNullable();
+      table.timestamp('finished_at');
+      table.integer('duration_ms');
+      table.integer('row_count');
+      table.jsonb('result');
+      table.boolean('result_truncated').notNullable().defaultTo(false);
+      table.text('error');
+      table.timestamps(true, true);
+
+      // Indexes
+      table.index(['schedule_id', 'started_at']);
+      table.index(['status']);
+    });
+}
+
+export async function down(knex) {
+  await knex.schema
+    .dropTableIfExists('schedule_runs')
+    .dropTableIfExists('schedules');
+}
@@ -0,0 +1,26 @@
+/**
+ * Project activity log (the source of webhook events)
+ */
+export async function up(knex) {
+  await knex.schema.createTable('project_activities', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('project_id').notNullable().references('id').inTable('projects').onDelete('CASCADE');
+    table.uuid('user_id').references('id').inTable('users').onDelete('SET NULL');
+    table.string('action', 50).notNullable();
+    table.string('entity_type', 50).notNullable();
+    table.uuid('entity_id');
+    table.string('entity_name', 255);
+    table.jsonb('metadata').notNullable().defaultTo('{}');
+    table.string('ip_address', 45);
+    table.string('user_agent', 500);
+    table.timestamps(true, true);
+
+    // Indexes
+    table.index(['project_id', 'created_at']);
+    table.index(['project_id', 'entity_type', 'action']);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('project_activities');
+}
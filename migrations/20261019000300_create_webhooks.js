@@ -0,0 +1,84 @@
+/**
+ * Webhooks and their delivery log.
+ *
+ * Webhooks used to be declared in projects.settings.webhooks without anything
+ * reading them; existing entries are moved into the new table.
+ */
+export async function up(knex) {
+  await knex.schema
+    .createTable('webhooks', (table) => {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.uuid('project_id').notNullable().references('id').inTable('projects').onDelete('CASCADE');
+      table.string('url', 2048).notNullable();
+      table.text('description');
+      table.jsonb('events').notNullable().defaultTo('[]');
+      // Encryption envelope of the signing secret
+      table.jsonb('secret').notNullable();
+      table.boolean('is_active').notNullable().defaultTo(true);
+      table.uuid('created_by').references('id').inTable('users');
+      table.uuid('updated_by').references('id').inTable('users');
+      table.timestamps(true, true);
+      table.timestamp('deleted_at').nullable();
+
+      // Indexes
+      table.index(['project_id', 'is_active', 'deleted_at']);
+    })
+    .createTable('webhook_deliveries', (table) => {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.uuid('webhook_id').notNullable().references('id').inTable('webhooks').onDelete('CASCADE');
+      table.uuid('project_id').notNullable().references('id').inTable('projects').onDelete('CASCADE');
+      table.string('event', 100).notNullable();
+      table.jsonb('payload').notNullable();
+      table.enum('status', ['pending', 'succeeded', 'failed']).notNullable().defaultTo('pending');
+      table.integer('attempts').notNullable().defaultTo(0);
+      table.timestamp('next_attempt_at');
+      table.timestamp('locked_until');
+      table.timestamp('last_attempt_at');
+      table.timestamp('delivered_at');
+      table.integer('response_status');
+      table.text('response_body');
+      table.text('error');
+      table.integer('duration_ms');
+      // One entry per attempt: { attempt, at, response_status, error, duration_ms }
+      table.jsonb('attempt_log').notNullable().defaultTo('[]');
+      table.uuid('redelivery_of').references('id').inTable('webhook_deliveries').onDelete('SET NULL');
+      table.timestamps(true, true);
+
+      // Indexes
+      table.index(['webhook_id', 'created_at']);
+      table.index(['status', 'next_attempt_at']);
+    });
+
+  // Move webhooks declared in project settings into the table. Their secrets
+  // stay in plaintext until the webhook is next saved.
+  const projects = await knex('projects')
+    .select('id', 'settings', 'created_by')
+    .whereRaw("jsonb_typeof(settings->'webhooks') = 'array'");
+
+  for (const project of projects) {
+    const webhooks = project.settings.webhooks
+      .filter(webhook => webhook.url && webhook.secret)
+      .map(webhook => ({
+        project_id: project.id,
+        url: webhook.url,
+        events: JSON.stringify(webhook.events || []),
+        secret: JSON.stringify(webhook.secret),
+        is_active: webhook.is_active !== false,
+        created_by: project.created_by,
+      }));
+
+    if (webhooks.length) {
+      await knex('webhooks').insert(webhooks);
+    }
+  }
+
+  await knex('projects')
+    .whereRaw("jsonb_exists(settings, 'webhooks')")
+    .update({ settings: knex.raw("settings - 'webhooks'") });
+}
+
+export async function down(knex) {
+  await knex.schema
+    .dropTableIfExists('webhook_deliveries')
+    .dropTableIfExists('webhooks');
+}
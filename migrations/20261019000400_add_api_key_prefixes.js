@@ -0,0 +1,37 @@
+/**
+ * API keys are looked up by a public prefix and compared by SHA-256 hash.
+ *
+ * Keys issued before this migration were stored as salted bcrypt hashes that
+ * can never be matched, so they are deactivated.
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('api_keys', (table) => {
+    table.string('key_prefix', 32).unique();
+    table.uuid('rotated_from').references('id').inTable('api_keys').onDelete('SET NULL');
+    table.timestamp('last_used_at');
+    table.timestamp('revoked_at');
+  });
+
+  await knex('api_keys')
+    .whereNull('key_prefix')
+    .update({ is_active: false, revoked_at: knex.fn.now() });
+
+  // Permissions were a nullable object; normalize them before they become a required list
+  await knex('api_keys')
+    .where(builder => builder.whereNull('permissions').orWhereRaw("jsonb_typeof(permissions) <> 'array'"))
+    .update({ permissions: knex.raw("'[]'::jsonb") });
+
+  await knex.schema.alterTable('api_keys', (table) => {
+    table.jsonb('permissions').notNullable().defaultTo('[]').alter();
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('api_keys', (table) => {
+    table.dropColumn('key_prefix');
+    table.dropColumn('rotated_from');
+    table.dropColumn('last_used_at');
+    table.dropColumn('revoked_at');
+    table.jsonb('permissions').defaultTo('{}').alter();
+  });
+}
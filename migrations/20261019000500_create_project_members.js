@@ -0,0 +1,81 @@
+/**
+ * Project memberships: replaces user_projects with the project_members table
+ * the ProjectMember model uses. Roles are mapped across (user becomes
+ * viewer); built-in roles take their permissions from the role definition,
+ * so migrated members store none.
+ */
+export async function up(knex) {
+  await knex.schema.createTable('project_members', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('project_id').notNullable().references('id').inTable('projects').onDelete('CASCADE');
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.enum('role', ['viewer', 'editor', 'admin', 'custom']).notNullable().defaultTo('viewer');
+    table.jsonb('permissions').notNullable().defaultTo('[]');
+    table.boolean('is_active').notNullable().defaultTo(true);
+    table.uuid('invited_by').references('id').inTable('users').onDelete('SET NULL');
+    table.timestamp('invited_at');
+    table.timestamp('joined_at');
+    table.timestamp('last_accessed_at');
+    table.jsonb('metadata').notNullable().defaultTo('{}');
+    table.timestamps(true, true);
+
+    // Composite unique constraint
+    table.unique(['project_id', 'user_id']);
+
+    // Indexes
+    table.index(['user_id', 'is_active']);
+    table.index(['project_id', 'role']);
+  });
+
+  await knex.raw(`
+    INSERT INTO project_members
+      (project_id, user_id, role, invited_by, invited_at, joined_at, created_at, updated_at)
+    SELECT
+      project_id,
+      user_id,
+      CASE role WHEN 'admin' THEN 'admin' WHEN 'editor' THEN 'editor' ELSE 'viewer' END,
+      added_by,
+      created_at,
+      created_at,
+      created_at,
+      updated_at
+    FROM user_projects
+    WHERE project_id IS NOT NULL AND user_id IS NOT NULL
+  `);
+
+  await knex.schema.dropTable('user_projects');
+}
+
+export async function down(knex) {
+  await knex.schema.createTable('user_projects', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('project_id').references('id').inTable('projects').onDelete('CASCADE');
+    table.enum('role', ['user', 'editor', 'admin']).defaultTo('user');
+    table.uuid('added_by').references('id').inTable('users');
+    table.timestamps(true, true);
+
+    // Composite unique constraint
+    table.unique(['user_id', 'project_id']);
+
+    // Indexes
+    table.index(['user_id', 'role']);
+    table.index(['project_id', 'role']);
+  });
+
+  // Custom roles have no equivalent and fall back to the lowest role
+  await knex.raw(`
+    INSERT INTO user_projects (user_id, project_id, role, added_by, created_at, updated_at)
+    SELECT
+      user_id,
+      project_id,
+      CASE role WHEN 'admin' THEN 'admin' WHEN 'editor' THEN 'editor' ELSE 'user' END,
+      invited_by,
+      created_at,
+      updated_at
+    FROM project_members
+    WHERE is_active
+  `);
+
+  await knex.schema.dropTable('project_members');
+}
@@ -0,0 +1,37 @@
+/**
+ * Email invitations to join a project. Only the hash of the current
+ * invitation token is stored; resending replaces it.
+ */
+export async function up(knex) {
+  await knex.schema.createTable('project_invitations', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('project_id').notNullable().references('id').inTable('projects').onDelete('CASCADE');
+    table.string('email', 255).notNullable();
+    table.enum('role', ['viewer', 'editor', 'admin', 'custom']).notNullable().defaultTo('viewer');
+    table.jsonb('permissions').notNullable().defaultTo('[]');
+    table.enum('status', ['pending', 'accepted', 'declined', 'revoked']).notNullable().defaultTo('pending');
+    table.string('token_hash', 64).notNullable().unique();
+    table.timestamp('expires_at').notNullable();
+    table.integer('send_count').notNullable().defaultTo(1);
+    table.timestamp('last_sent_at');
+    table.uuid('invited_by').references('id').inTable('users').onDelete('SET NULL');
+    table.uuid('accepted_by').references('id').inTable('users').onDelete('SET NULL');
+    table.timestamp('responded_at');
+    table.timestamps(true, true);
+
+    // Indexes
+    table.index(['project_id', 'status']);
+    table.index(['email', 'status']);
+  });
+
+  // One open invitation per address and project
+  await knex.raw(`
+    CREATE UNIQUE INDEX project_invitations_pending_email_unique
+    ON project_invitations (project_id, email)
+    WHERE status = 'pending'
+  `);
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('project_invitations');
+}
@@ -0,0 +1,41 @@
+/**
+ * Sign-in sessions (one per device) and their refresh tokens. Each refresh
+ * rotates the token; the chain of tokens of a session is its family, and a
+ * rotated token that comes back revokes the whole session.
+ */
+export async function up(knex) {
+  await knex.schema.createTable('user_sessions', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('device_name', 100);
+    table.string('user_agent', 500);
+    table.string('ip_address', 45);
+    table.timestamp('last_used_at');
+    table.timestamp('expires_at').notNullable();
+    table.timestamp('revoked_at');
+    table.string('revoked_reason', 50);
+    table.timestamps(true, true);
+
+    // Indexes
+    table.index(['user_id', 'revoked_at']);
+  });
+
+  await knex.schema.createTable('refresh_tokens', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('session_id').notNullable().references('id').inTable('user_sessions').onDelete('CASCADE');
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('token_hash', 64).notNullable().unique();
+    table.uuid('parent_id').references('id').inTable('refresh_tokens').onDelete('SET NULL');
+    table.timestamp('expires_at').notNullable();
+    table.timestamp('used_at');
+    table.timestamps(true, true);
+
+    // Indexes
+    table.index(['session_id', 'created_at']);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('refresh_tokens');
+  await knex.schema.dropTableIfExists('user_sessions');
+}
@@ -0,0 +1,15 @@
+/**
+ * Access tokens carry the user's token_version; bumping it makes every token
+ * issued before unusable.
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('users', (table) => {
+    table.integer('token_version').notNullable().defaultTo(0);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('users', (table) => {
+    table.dropColumn('token_version');
+  });
+}
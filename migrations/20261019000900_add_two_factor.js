@@ -0,0 +1,32 @@
+/**
+ * TOTP two-factor authentication: the encrypted secret, hashed recovery codes
+ * and the last time step used (a code works once) on users, and a flag that
+ * makes projects refuse members without two-factor authentication.
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('users', (table) => {
+    table.boolean('two_factor_enabled').notNullable().defaultTo(false);
+    table.jsonb('two_factor_secret');
+    table.timestamp('two_factor_enabled_at');
+    table.bigInteger('two_factor_last_step');
+    table.jsonb('two_factor_recovery_codes').notNullable().defaultTo('[]');
+  });
+
+  await knex.schema.alterTable('projects', (table) => {
+    table.boolean('require_two_factor').notNullable().defaultTo(false);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('projects', (table) => {
+    table.dropColumn('require_two_factor');
+  });
+
+  await knex.schema.alterTable('users', (table) => {
+    table.dropColumn('two_factor_enabled');
+    table.dropColumn('two_factor_secret');
+    table.dropColumn('two_factor_enabled_at');
+    table.dropColumn('two_factor_last_step');
+    table.dropColumn('two_factor_recovery_codes');
+  });
+}
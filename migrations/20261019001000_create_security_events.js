@@ -0,0 +1,24 @@
+/**
+ * Audit log of account security events (lockouts, throttled password
+ * resets), kept like project activities but not tied to a project.
+ */
+export async function up(knex) {
+  await knex.schema.createTable('security_events', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').references('id').inTable('users').onDelete('SET NULL');
+    table.string('event', 50).notNullable();
+    table.string('identifier', 255);
+    table.string('ip_address', 45);
+    table.string('user_agent', 500);
+    table.jsonb('metadata').notNullable().defaultTo('{}');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+
+    // Indexes
+    table.index(['user_id', 'created_at']);
+    table.index(['event', 'created_at']);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('security_events');
+}
@@ -0,0 +1,48 @@
+/**
+ * Single sign-on through OpenID Connect: pending authorization requests
+ * (state, nonce and PKCE verifier, used once), the provider accounts linked
+ * to users, and the email domains a project accepts members from.
+ */
+export async function up(knex) {
+  await knex.schema.createTable('oidc_login_requests', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.string('provider', 50).notNullable();
+    table.string('state_hash', 64).notNullable().unique();
+    table.string('nonce', 64).notNullable();
+    table.string('code_verifier', 128).notNullable();
+    table.string('redirect_uri', 500).notNullable();
+    table.timestamp('expires_at').notNullable();
+    table.timestamp('used_at');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+
+    // Indexes
+    table.index(['expires_at']);
+  });
+
+  await knex.schema.createTable('user_identities', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('provider', 50).notNullable();
+    table.string('subject', 255).notNullable();
+    table.string('email', 255);
+    table.timestamp('last_login_at');
+    table.timestamps(true, true);
+
+    // Indexes
+    table.unique(['provider', 'subject']);
+    table.unique(['user_id', 'provider']);
+  });
+
+  await knex.schema.alterTable('projects', (table) => {
+    table.jsonb('allowed_email_domains').notNullable().defaultTo('[]');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('projects', (table) => {
+    table.dropColumn('allowed_email_domains');
+  });
+
+  await knex.schema.dropTableIfExists('user_identities');
+  await knex.schema.dropTableIfExists('oidc_login_requests');
+}
@@ -0,0 +1,39 @@
+/**
+ * Project versions and the snapshots they point at. A snapshot holds the
+ * project's configuration and is keyed by the SHA-256 of its canonical
+ * JSON, so identical states are stored once.
+ */
+export async function up(knex) {
+  await knex.schema.createTable('project_snapshots', (table) => {
+    table.string('hash', 64).primary();
+    table.uuid('project_id').notNullable().references('id').inTable('projects').onDelete('CASCADE');
+    table.jsonb('data').notNullable();
+    table.integer('size').notNullable().defaultTo(0);
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+
+    // Indexes
+    table.index(['project_id']);
+  });
+
+  await knex.schema.createTable('project_versions', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('project_id').notNullable().references('id').inTable('projects').onDelete('CASCADE');
+    table.string('version', 50).notNullable();
+    table.string('name', 255);
+    table.text('description');
+    table.boolean('is_current').notNullable().defaultTo(false);
+    table.string('snapshot_hash', 64).references('hash').inTable('project_snapshots');
+    table.jsonb('metadata').notNullable().defaultTo('{}');
+    table.uuid('created_by').references('id').inTable('users').onDelete('SET NULL');
+    table.timestamps(true, true);
+
+    // Indexes
+    table.index(['project_id', 'created_at']);
+    table.index(['project_id', 'is_current']);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('project_versions');
+  await knex.schema.dropTableIfExists('project_snapshots');
+}
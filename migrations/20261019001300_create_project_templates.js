@@ -0,0 +1,48 @@
+/**
+ * Project templates: settings, database definitions and saved queries with
+ * `{{variable}}` placeholders, and the template projects were created from.
+ */
+export async function up(knex) {
+  await knex.schema.createTable('project_templates', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.string('name', 255).notNullable();
+    table.text('description');
+    table.string('category', 100);
+    table.string('thumbnail_url', 500);
+    table.boolean('is_public').notNullable().defaultTo(false);
+    table.boolean('is_featured').notNullable().defaultTo(false);
+    table.string('version', 50).notNullable().defaultTo('1.0.0');
+    table.jsonb('settings').notNullable().defaultTo('{}');
+    table.jsonb('content').notNullable().defaultTo('{}');
+    table.jsonb('metadata').notNullable().defaultTo('{}');
+    table.uuid('created_by').references('id').inTable('users').onDelete('SET NULL');
+    table.uuid('updated_by').references('id').inTable('users').onDelete('SET NULL');
+    table.timestamps(true, true);
+    table.timestamp('deleted_at');
+
+    // Indexes
+    table.index(['is_public', 'is_featured']);
+    table.index(['category']);
+    table.index(['created_by']);
+  });
+
+  // Older databases may have some of these already
+  const columns = {
+    template_id: (table) => table.uuid('template_id').references('id').inTable('project_templates').onDelete('SET NULL'),
+    is_template: (table) => table.boolean('is_template').notNullable().defaultTo(false),
+    metadata: (table) => table.jsonb('metadata').notNullable().defaultTo('{}'),
+  };
+  for (const [column, add] of Object.entries(columns)) {
+    if (!(await knex.schema.hasColumn('projects', column))) {
+      await knex.schema.alterTable('projects', add);
+    }
+  }
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('projects', (table) => {
+    table.dropColumn('template_id');
+  });
+
+  await knex.schema.dropTableIfExists('project_templates');
+}
@@ -0,0 +1,29 @@
+/**
+ * Template lineage: each version of a template points at the one it replaced,
+ * and every version of a template shares the `lineage_id` of the first.
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('project_templates', (table) => {
+    table.uuid('previous_version_id').references('id').inTable('project_templates').onDelete('SET NULL');
+    table.uuid('lineage_id');
+  });
+
+  // Existing templates start their own lineage
+  await knex('project_templates').update({ lineage_id: knex.ref('id') });
+
+  await knex.schema.alterTable('project_templates', (table) => {
+    table.uuid('lineage_id').notNullable().alter();
+
+    // Indexes
+    table.index(['previous_version_id']);
+    table.unique(['lineage_id', 'version']);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('project_templates', (table) => {
+    table.dropUnique(['lineage_id', 'version']);
+    table.dropColumn('previous_version_id');
+    table.dropColumn('lineage_id');
+  });
+}
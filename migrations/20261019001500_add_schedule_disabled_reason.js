@@ -0,0 +1,15 @@
+/**
+ * Why the scheduler disabled a schedule, e.g. because its creator left the
+ * project. Cleared when the schedule is activated again.
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('schedules', (table) => {
+    table.string('disabled_reason', 500);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('schedules', (table) => {
+    table.dropColumn('disabled_reason');
+  });
+}
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Re-encrypt project database secrets with the active master key.
+ *
+ * Run after adding a new key to ENCRYPTION_KEYS and pointing
+ * ENCRYPTION_ACTIVE_KEY_ID at it; old keys can be removed once this reports
+ * nothing left to do. Plaintext secrets written before encryption was enabled
+ * are encrypted as well.
+ *
+ * Usage: npm run secrets:reencrypt [-- --dry-run]
+ */
+import path from 'path';
+import dotenv from 'dotenv';
+import { ProjectDatabase } from '../src/models/index.js';
+import { getActiveKeyId, needsReencryption } from '../src/utils/encryption.js';
+
+// Load environment variables
+dotenv.config({ path: path.resolve(process.cwd(), '.env') });
+
+const dryRun = process.argv.includes('--dry-run');
+const db = ProjectDatabase.knex();
+
+try {
+  const activeKeyId = getActiveKeyId();
+  console.log(`Re-encrypting database secrets with key '${activeKeyId}'${dryRun ? ' (dry run)' : ''}...`);
+
+  // Read raw rows: the model would hand back decrypted values and hide which key they used
+  const rows = await db(ProjectDatabase.tableName).select('id', 'connection_config');
+  let updated = 0;
+
+  for (const row of rows) {
+    const config = row.connection_config || {};
+    const stale = ProjectDatabase.secretFields.filter(field => needsReencryption(config[field]));
+    if (!stale.length) continue;
+
+    console.log(`- ${row.id}: ${stale.join(', ')}`);
+    updated++;
+
+    if (!dryRun) {
+      // Parsing decrypts with whichever key the value names, patching encrypts with the active key
+      const { connection_config } = ProjectDatabase.fromDatabaseJson(row);
+      await ProjectDatabase.query()
+        .patch({ connection_config })
+        .where('id', row.id);
+    }
+  }
+
+  console.log(`${updated} of ${rows.length} database(s) ${dryRun ? 'need' : 'were'} re-encrypted`);
+} catch (error) {
+  console.error('Error re-encrypting secrets:', error);
+  process.exitCode = 1;
+} finally {
+  await db.destroy();
+}
@@ -6,7 +6,7 @@ export async function seed(knex) {
   await knex('query_history').del();
   await knex('api_keys').del();
   await knex('project_databases').del();
-  await knex('user_projects').del();
+  await knex('project_members').del();
   await knex('projects').del();
   await knex('users').del();
 
@@ -65,13 +65,14 @@ export async function seed(knex) {
   ]);
 
   // Add users to the project
-  await knex('user_projects').insert([
+  await knex('project_members').insert([
     {
       id: uuidv4(),
       user_id: adminId,
       project_id: projectId,
       role: 'admin',
-      added_by: adminId,
+      invited_by: adminId,
+      joined_at: new Date().toISOString(),
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
     },
@@ -80,7 +81,8 @@ export async function seed(knex) {
       user_id: testUserId,
       project_id: projectId,
       role: 'editor',
-      added_by: adminId,
+      invited_by: adminId,
+      joined_at: new Date().toISOString(),
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
     },
@@ -13,6 +13,15 @@ import { createRequire } from 'module';
 import authRoutes from './routes/auth.routes.js';
 import projectRoutes from './routes/project.routes.js';
 import queryRoutes from './routes/query.routes.js';
+import savedQueryRoutes from './routes/savedQuery.routes.js';
+import scheduleRoutes from './routes/schedule.routes.js';
+import webhookRoutes from './routes/webhook.routes.js';
+import versionRoutes from './routes/version.routes.js';
+import templateRoutes from './routes/template.routes.js';
+import apiKeyRoutes from './routes/apiKey.routes.js';
+import projectInvitationRoutes from './routes/projectInvitation.routes.js';
+import projectTemplateRoutes from './routes/projectTemplate.routes.js';
+import invitationRoutes from './routes/invitation.routes.js';
 import metaRoutes from './routes/meta.routes.js';
 
 // Import middleware
@@ -86,7 +95,16 @@ export default function createApp() {
   
   // Mount routes
   v1Router.use('/auth', authRoutes);
+  v1Router.use('/projects/:projectId/queries', savedQueryRoutes);
+  v1Router.use('/projects/:projectId/schedules', scheduleRoutes);
+  v1Router.use('/projects/:projectId/webhooks', webhookRoutes);
+  v1Router.use('/projects/:projectId/versions', versionRoutes);
+  v1Router.use('/projects/:projectId/api-keys', apiKeyRoutes);
+  v1Router.use('/projects/:projectId/invitations', projectInvitationRoutes);
+  v1Router.use('/projects/:projectId/template', projectTemplateRoutes);
   v1Router.use('/projects', projectRoutes);
+  v1Router.use('/invitations', invitationRoutes);
+  v1Router.use('/templates', templateRoutes);
   v1Router.use('/query', queryRoutes);
   v1Router.use('/meta', metaRoutes);
   
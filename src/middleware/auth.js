@@ -1,10 +1,19 @@
 import jwt from 'jsonwebtoken';
-import { User, Project } from '../models/index.js';
+import { User, UserSession, Project, ProjectMember, ApiKey } from '../models/index.js';
+
+// last_used_at is refreshed at most this often per key
+const API_KEY_TOUCH_INTERVAL_MS = 60 * 1000;
 
 /**
- * Middleware to authenticate JWT token
+ * Middleware to authenticate a JWT token, or a project API key sent in the
+ * X-API-Key header. API key requests only get through requirePermission() on
+ * routes whose permission the key grants.
  */
 export const authenticate = async (req, res, next) => {
+  if (req.headers['x-api-key'] && !req.headers.authorization) {
+    return authenticateApiKey(req, res, next);
+  }
+
   try {
     // Get token from header
     const authHeader = req.headers.authorization;
@@ -35,8 +44,28 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
-    // Attach user to request object
+    // Tokens issued before the last password reset, deactivation or sign-out everywhere
+    if ((decoded.ver || 0) !== (user.token_version || 0)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Token has been revoked'
+      });
+    }
+
+    // Tokens of a session that was signed out, revoked or caught reusing a refresh token
+    if (decoded.sid) {
+      const session = await UserSession.query().findById(decoded.sid);
+      if (!session || session.user_id !== user.id || session.revoked_at) {
+        return res.status(401).json({
+          success: false,
+          error: 'Session has been revoked'
+        });
+      }
+    }
+
+    // Attach user to request object, with the sign-in session the token was issued for
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     console.error('Authentication error:', error);
@@ -48,14 +77,17 @@ export const authenticate = async (req, res, next) => {
 };
 
 /**
- * Middleware to check if user has required role for a project
- * @param {string} requiredRole - Required role ('user', 'editor', 'admin')
+ * Middleware to check that the user holds a permission in a project
+ * @param {string} [permission] - Permission the route needs (e.g. `query:execute`);
+ *   without one any active member gets through
  */
-export const authorizeProject = (requiredRole = 'user') => {
+export const requirePermission = (permission) => {
   return async (req, res, next) => {
     try {
-      const { projectId } = req.params;
-      const userId = req.user.id;
+      // Project routes use path params, query routes send it in the body/query string;
+      // API keys default to their own project
+      const projectId = req.params.projectId || req.params.id || req.body?.project_id || req.query?.project_id
+        || req.apiKey?.project_id;
 
       if (!projectId) {
         return res.status(400).json({ 
@@ -64,36 +96,58 @@ export const authorizeProject = (requiredRole = 'user') => {
         });
       }
 
-      // Get user's role in the project
-      const userProject = await Project.relatedQuery('members')
-        .for(projectId)
-        .where('user_id', userId)
-        .first();
+      if (req.apiKey) {
+        if (req.apiKey.project_id !== projectId) {
+          return res.status(403).json({
+            success: false,
+            error: 'This API key does not belong to this project'
+          });
+        }
+
+        if (permission && !req.apiKey.grants(permission)) {
+          return res.status(403).json({
+            success: false,
+            error: `This API key does not have the '${permission}' permission`
+          });
+        }
+      }
+
+      const member = await ProjectMember.getByProjectAndUser(projectId, req.user.id);
 
       // Check if user has access to the project
-      if (!userProject) {
+      if (!member || !member.is_active) {
         return res.status(403).json({ 
           success: false, 
           error: 'You do not have access to this project' 
         });
       }
 
-      // Check role hierarchy
-      const roleHierarchy = {
-        user: 1,
-        editor: 2,
-        admin: 3
-      };
-
-      if (roleHierarchy[userProject.role] < roleHierarchy[requiredRole]) {
+      // A key never does more than the member who issued it may do
+      if (permission && !member.hasPermission(permission)) {
         return res.status(403).json({ 
           success: false, 
-          error: `Insufficient permissions. Required role: ${requiredRole}` 
+          error: req.apiKey
+            ? `The owner of this API key no longer has the '${permission}' permission`
+            : `Insufficient permissions. Required permission: ${permission}`
+        });
+      }
+
+      // Projects can refuse members who sign in with a password alone; API keys
+      // count as their owner
+      if (!req.user.two_factor_enabled && await Project.requiresTwoFactor(projectId)) {
+        return res.status(403).json({
+          success: false,
+          error: req.apiKey
+            ? 'This project requires two-factor authentication and the owner of this API key has not enabled it'
+            : 'This project requires two-factor authentication. Enable it on your account to continue',
+          code: 'two_factor_required'
         });
       }
 
-      // Attach project role to request
-      req.projectRole = userProject.role;
+      // Attach project membership to request
+      req.projectId = projectId;
+      req.projectRole = member.role;
+      req.projectMember = member;
       next();
     } catch (error) {
       console.error('Authorization error:', error);
@@ -106,36 +160,37 @@ export const authorizeProject = (requiredRole = 'user') => {
 };
 
 /**
- * Middleware to check API key authentication
+ * Middleware to authenticate a project API key (X-API-Key header). The
+ * request acts as the member who issued the key.
  */
 export const authenticateApiKey = async (req, res, next) => {
   try {
-    const apiKey = req.headers['x-api-key'];
+    const apiKey = await ApiKey.findByKey(req.headers['x-api-key']);
     if (!apiKey) {
       return res.status(401).json({ 
         success: false, 
-        error: 'API key is required' 
+        error: 'Invalid or expired API key' 
       });
     }
 
-    // In a real implementation, you would validate the API key against your database
-    // and check permissions
-    const { Project, ApiKey } = require('../models');
-    const key = await ApiKey.query()
-      .where('key_hash', await bcrypt.hash(apiKey, 10))
-      .where('is_active', true)
-      .where('expires_at', '>', new Date())
-      .first();
-
-    if (!key) {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'Invalid or expired API key' 
+    const user = await User.query().findById(apiKey.user_id);
+    if (!user || !user.is_active) {
+      return res.status(401).json({
+        success: false,
+        error: 'The owner of this API key is inactive'
       });
     }
 
-    // Attach API key info to request
-    req.apiKey = key;
+    if (!apiKey.last_used_at || Date.now() - new Date(apiKey.last_used_at) > API_KEY_TOUCH_INTERVAL_MS) {
+      ApiKey.query()
+        .findById(apiKey.id)
+        .patch({ last_used_at: new Date().toISOString() })
+        .catch(error => console.error('Failed to record API key use:', error));
+    }
+
+    // Attach API key and its owner to request
+    req.apiKey = apiKey;
+    req.user = user;
     next();
   } catch (error) {
     console.error('API key authentication error:', error);
@@ -146,6 +201,19 @@ export const authenticateApiKey = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to refuse API keys on routes that need a user session
+ */
+export const requireUserSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      error: 'This endpoint does not accept API keys'
+    });
+  }
+  next();
+};
+
 /**
  * Middleware to handle project context
  */
@@ -162,7 +230,7 @@ export const projectContext = async (req, res, next) => {
       .findById(projectId)
       .withGraphFetched('members')
       .modifyGraph('members', builder => {
-        builder.where('user_id', req.user.id);
+        builder.where('user_id', req.user.id).where('is_active', true);
       });
 
     if (!project) {
@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import { BaseModel } from './BaseModel.js';
+import { ProjectMember } from './ProjectMember.js';
+
+// apibd_<12 hex chars prefix>_<32 base64url chars secret>
+const KEY_PATTERN = /^apibd_([0-9a-f]{12})_([A-Za-z0-9_-]{32})$/;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Project API key, for programs calling the API without a user session.
+ *
+ * Only a SHA-256 hash of the key is stored; the key itself is shown once.
+ * Keys are found by their public prefix and then compared in constant time.
+ * A key acts on behalf of the member who issued it, and is limited to the
+ * intersection of its own permissions and that member's.
+ */
+export class ApiKey extends BaseModel {
+  static get tableName() {
+    return 'api_keys';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['name', 'key_hash', 'key_prefix', 'user_id', 'project_id', 'permissions'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        key_hash: { type: 'string', minLength: 64, maxLength: 64 },
+        key_prefix: { type: 'string', maxLength: 32 },
+        user_id: { type: 'string', format: 'uuid' },
+        project_id: { type: 'string', format: 'uuid' },
+        permissions: {
+          type: 'array',
+          minItems: 1,
+          uniqueItems: true,
+          items: { type: 'string', enum: ProjectMember.getAllPermissions() },
+        },
+        expires_at: { type: ['string', 'null'], format: 'date-time' },
+        is_active: { type: 'boolean', default: true },
+        rotated_from: { type: ['string', 'null'], format: 'uuid' },
+        last_used_at: { type: ['string', 'null'], format: 'date-time' },
+        revoked_at: { type: ['string', 'null'], format: 'date-time' },
+        created_at: { type: 'string', format: 'date-time' },
+        updated_at: { type: 'string', format: 'date-time' },
+      },
+    };
+  }
+
+  static get relationMappings() {
+    return {
+      project: {
+        relation: this.BelongsToOneRelation,
+        modelClass: 'Project.js',
+        join: {
+          from: 'api_keys.project_id',
+          to: 'projects.id',
+        },
+      },
+      owner: {
+        relation: this.BelongsToOneRelation,
+        modelClass: 'User.js',
+        join: {
+          from: 'api_keys.user_id',
+          to: 'users.id',
+        },
+      },
+    };
+  }
+
+  static get virtualAttributes() {
+    return ['status'];
+  }
+
+  // 'active', 'expired' or 'revoked'
+  get status() {
+    if (!this.is_active || this.revoked_at) return 'revoked';
+    return this.isUsable() ? 'active' : 'expired';
+  }
+
+  // The hash is never sent to clients
+  $formatJson(json) {
+    json = super.$formatJson(json);
+    delete json.key_hash;
+    return json;
+  }
+
+  /**
+   * Generate a new key
+   * @returns {{key: string, key_prefix: string, key_hash: string}} The key (to show once) and what is stored
+   */
+  static generate() {
+    const keyPrefix = crypto.randomBytes(6).toString('hex');
+    const key = `apibd_${keyPrefix}_${crypto.randomBytes(24).toString('base64url')}`;
+    return { key, key_prefix: keyPrefix, key_hash: hashKey(key) };
+  }
+
+  /**
+   * Find the usable key matching a presented key
+   * @param {string} key - Key from the X-API-Key header
+   * @returns {Promise<ApiKey|null>} Active, unexpired key, or null
+   */
+  static async findByKey(key) {
+    const match = KEY_PATTERN.exec(key || '');
+    if (!match) return null;
+
+    const apiKey = await this.query().where('key_prefix', match[1]).first();
+    if (!apiKey || !apiKey.verify(key)) return null;
+
+    return apiKey.isUsable() ? apiKey : null;
+  }
+
+  /**
+   * Compare a presented key with the stored hash in constant time
+   * @param {string} key - Presented key
+   * @returns {boolean}
+   */
+  verify(key) {
+    const expected = Buffer.from(this.key_hash, 'hex');
+    const presented = Buffer.from(hashKey(key), 'hex');
+    return expected.length === presented.length && crypto.timingSafeEqual(expected, presented);
+  }
+
+  /**
+   * Whether the key is active, not revoked and not expired
+   * @param {Date} [now]
+   * @returns {boolean}
+   */
+  isUsable(now = new Date()) {
+    return this.is_active && !this.revoked_at && (!this.expires_at || new Date(this.expires_at) > now);
+  }
+
+  /**
+   * Whether the key itself grants a permission (the owner must hold it too)
+   * @param {string} permission - Permission (e.g. `query:execute`)
+   * @returns {boolean}
+   */
+  grants(permission) {
+    return this.permissions.includes(permission);
+  }
+
+  // Get the keys of a project, newest first
+  static async getProjectKeys(projectId) {
+    return this.query()
+      .where('project_id', projectId)
+      .orderBy('created_at', 'desc');
+  }
+}
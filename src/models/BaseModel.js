@@ -1,3 +1,4 @@
+import { fileURLToPath } from 'url';
 import { Model } from 'objection';
 import { knexInstance } from '../config/database.js';
 
@@ -5,6 +6,11 @@ import { knexInstance } from '../config/database.js';
 Model.knex(knexInstance);
 
 export class BaseModel extends Model {
+  // Relation mappings name their model class by file ('Project.js')
+  static get modelPaths() {
+    return [fileURLToPath(new URL('.', import.meta.url))];
+  }
+
   // Add common functionality for all models
   static get useLimitInFirst() {
     return true;
@@ -60,26 +66,11 @@ export class BaseModel extends Model {
   }
 
   // Helper method to check permissions
-  static async checkPermission(userId, projectId, requiredRole) {
-    // Default implementation - can be overridden by child classes
+  static async checkPermission(userId, projectId, permission) {
     if (!userId) return false;
-    
-    // Check if user has the required role for the project
-    const userProject = await this.relatedQuery('user_projects')
-      .findOne({
-        user_id: userId,
-        project_id: projectId,
-      });
-
-    if (!userProject) return false;
-    
-    // Role hierarchy: admin > editor > user
-    const roleHierarchy = {
-      user: 1,
-      editor: 2,
-      admin: 3
-    };
 
-    return roleHierarchy[userProject.role] >= roleHierarchy[requiredRole];
+    // Imported lazily, ProjectMember extends this class
+    const { ProjectMember } = await import('./ProjectMember.js');
+    return ProjectMember.hasPermission(projectId, userId, permission);
   }
 }
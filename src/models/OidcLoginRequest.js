@@ -0,0 +1,65 @@
+import { BaseModel } from './BaseModel.js';
+
+/**
+ * Single sign-on started at an identity provider and not finished yet. The
+ * `state` sent to the provider is only stored hashed; the nonce and PKCE
+ * verifier never leave the server. A request is completed once.
+ */
+export class OidcLoginRequest extends BaseModel {
+  static get tableName() {
+    return 'oidc_login_requests';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['provider', 'state_hash', 'nonce', 'code_verifier', 'redirect_uri', 'expires_at'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        provider: { type: 'string', maxLength: 50 },
+        state_hash: { type: 'string', minLength: 64, maxLength: 64 },
+        nonce: { type: 'string', maxLength: 64 },
+        code_verifier: { type: 'string', minLength: 43, maxLength: 128 },
+        redirect_uri: { type: 'string', maxLength: 500 },
+        expires_at: { type: 'string', format: 'date-time' },
+        used_at: { type: ['string', 'null'], format: 'date-time' },
+        created_at: { type: 'string', format: 'date-time' },
+      },
+    };
+  }
+
+  // Requests are only ever marked used, so there is no updated_at column
+  $beforeInsert() {
+    this.created_at = new Date().toISOString();
+  }
+
+  $beforeUpdate() {}
+
+  $formatJson(json) {
+    json = super.$formatJson(json);
+    delete json.state_hash;
+    delete json.nonce;
+    delete json.code_verifier;
+    return json;
+  }
+
+  /**
+   * Whether the request can still be completed
+   * @param {Date} [now] - Reference time
+   * @returns {boolean}
+   */
+  isOpen(now = new Date()) {
+    return !this.used_at && new Date(this.expires_at) > now;
+  }
+
+  // Delete requests that can no longer be completed
+  static async deleteExpired() {
+    return this.query()
+      .where('expires_at', '<', new Date().toISOString())
+      .delete();
+  }
+}
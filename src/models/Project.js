@@ -2,6 +2,13 @@ import { BaseModel } from './BaseModel.js';
 import { v4 as uuidv4 } from 'uuid';
 import { logger } from '../utils/logger.js';
 import { QueryBuilder } from 'objection';
+import { ProjectMember } from './ProjectMember.js';
+import { ProjectVersion } from './ProjectVersion.js';
+import { ProjectActivity } from './ProjectActivity.js';
+import { ProjectDatabase } from './ProjectDatabase.js';
+import { Query } from './Query.js';
+import { Schedule } from './Schedule.js';
+import { Webhook } from './Webhook.js';
 
 // Soft delete plugin
 import softDeleteFactory from 'objection-soft-delete';
@@ -33,6 +40,13 @@ class Project extends softDelete(BaseModel) {
         is_public: { type: 'boolean', default: false },
         is_active: { type: 'boolean', default: true },
         is_template: { type: 'boolean', default: false },
+        require_two_factor: { type: 'boolean', default: false },
+        allowed_email_domains: {
+          type: 'array',
+          items: { type: 'string', maxLength: 255 },
+          uniqueItems: true,
+          default: []
+        },
         template_id: { type: ['string', 'null'], format: 'uuid' },
         version: { type: 'string', default: '1.0.0' },
         settings: {
@@ -42,6 +56,15 @@ class Project extends softDelete(BaseModel) {
             theme: { type: 'string', default: 'light' },
             language: { type: 'string', default: 'es' },
             timezone: { type: 'string', default: 'America/Santiago' },
+            ai_query: {
+              type: 'object',
+              default: {},
+              properties: {
+                statement_timeout_ms: { type: 'integer', minimum: 1 },
+                max_rows: { type: 'integer', minimum: 1 },
+                write_mode: { type: 'boolean', default: false }
+              }
+            },
             export_settings: {
               type: 'object',
               default: {
@@ -50,21 +73,6 @@ class Project extends softDelete(BaseModel) {
                 include_members: false,
                 include_settings: true
               }
-            },
-            webhooks: {
-              type: 'array',
-              default: [],
-              items: {
-                type: 'object',
-                properties: {
-                  id: { type: 'string' },
-                  url: { type: 'string' },
-                  events: { type: 'array', items: { type: 'string' } },
-                  is_active: { type: 'boolean' },
-                  secret: { type: 'string' },
-                  created_at: { type: 'string' }
-                }
-              }
             }
           },
         },
@@ -146,6 +154,14 @@ class Project extends softDelete(BaseModel) {
           to: 'queries.project_id',
         },
       },
+      query_history: {
+        relation: BaseModel.HasManyRelation,
+        modelClass: 'QueryHistory.js',
+        join: {
+          from: 'projects.id',
+          to: 'query_history.project_id',
+        },
+      },
     };
   }
 
@@ -196,65 +212,59 @@ class Project extends softDelete(BaseModel) {
       throw new Error('Template not found');
     }
 
-    // Create the project
-    const project = await this.query().insert({
-      id: uuidv4(),
-      name: name || `${template.name} (Copy)`,
-      description: description || template.description,
-      template_id: templateId,
-      is_template: false,
-      is_public: false,
-      is_active: true,
-      settings: {
-        ...template.settings,
-        ...settings,
-      },
-      metadata: {
-        ...template.metadata,
-        created_from_template: true,
-        template_id: templateId,
-        template_version: template.version,
-        template_variables: variables,
-      },
-      created_by: userId,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-    });
-
-    // Add creator as admin
-    await project.addMember(userId, 'admin', userId);
-    
-    return project;
+    return template.createProject(userId, { name, description, settings, variables });
   }
 
   /**
-   * Check if a user has a specific role in this project
+   * Check if a user holds a permission in this project
    * @param {string} userId - The ID of the user
-   * @param {string} requiredRole - The required role (user, editor, admin)
-   * @returns {Promise<boolean>} - Whether the user has the required role
+   * @param {string} permission - The permission to check (e.g. `query:execute`)
+   * @returns {Promise<boolean>} - Whether the user has the permission
    */
-  async userHasRole(userId, requiredRole) {
-    const userProject = await this.$relatedQuery('members')
-      .where('user_id', userId)
-      .first();
+  async userHasPermission(userId, permission) {
+    return ProjectMember.hasPermission(this.id, userId, permission);
+  }
 
-    if (!userProject) return false;
+  // Whether members must have two-factor authentication to use the project
+  static async requiresTwoFactor(projectId) {
+    const project = await this.query()
+      .findById(projectId)
+      .select('require_two_factor');
 
-    const roleHierarchy = {
-      user: 1,
-      editor: 2,
-      admin: 3,
-    };
+    return Boolean(project?.require_two_factor);
+  }
+
+  /**
+   * Whether an email address may belong to a member. Without allowed
+   * domains every address may; subdomains of an allowed domain are not
+   * allowed unless listed.
+   * @param {string} email - Email address
+   * @returns {boolean}
+   */
+  allowsEmail(email) {
+    const domains = this.allowed_email_domains || [];
+    if (!domains.length) return true;
+
+    const domain = String(email).split('@').pop().trim().toLowerCase();
+    return domains.includes(domain);
+  }
+
+  // Whether a project accepts members with an email address, see allowsEmail()
+  static async allowsMemberEmail(projectId, email) {
+    const project = await this.query()
+      .findById(projectId)
+      .select('id', 'allowed_email_domains');
 
-    return roleHierarchy[userProject.role] >= roleHierarchy[requiredRole];
+    return !project || project.allowsEmail(email);
   }
 
   // Get all projects where user is a member with their role
   static async getUserProjects(userId, { limit = 10, offset = 0 } = {}) {
     return this.query()
-      .select('projects.*', 'user_projects.role')
-      .join('user_projects', 'projects.id', 'user_projects.project_id')
-      .where('user_projects.user_id', userId)
+      .select('projects.*', 'project_members.role', 'project_members.permissions')
+      .join('project_members', 'projects.id', 'project_members.project_id')
+      .where('project_members.user_id', userId)
+      .where('project_members.is_active', true)
       .where('projects.is_active', true)
       .whereNull('projects.deleted_at')
       .limit(limit)
@@ -262,8 +272,10 @@ class Project extends softDelete(BaseModel) {
   }
 
   // Add a member to the project with a specific role
-  async addMember(userId, role = 'user', addedBy) {
-    const validRoles = ['user', 'editor', 'admin'];
+  async addMember(userId, role = ProjectMember.ROLES.VIEWER.key, addedBy) {
+    const validRoles = Object.values(ProjectMember.ROLES)
+      .map(r => r.key)
+      .filter(key => key !== ProjectMember.ROLES.CUSTOM.key);
     if (!validRoles.includes(role)) {
       throw new Error(`Invalid role. Must be one of: ${validRoles.join(', ')}`);
     }
@@ -274,16 +286,17 @@ class Project extends softDelete(BaseModel) {
       .first();
 
     if (existingMember) {
-      // Update existing role
+      // Update existing role, reactivating removed members
       await this.$relatedQuery('members')
-        .patch({ role })
+        .patch({ role, permissions: [], is_active: true })
         .where('user_id', userId);
     } else {
       // Add new member
       await this.$relatedQuery('members').insert({
         user_id: userId,
         role,
-        added_by: addedBy || this.created_by,
+        invited_by: addedBy || this.created_by,
+        joined_at: new Date().toISOString(),
       });
     }
 
@@ -297,6 +310,7 @@ class Project extends softDelete(BaseModel) {
     // Don't allow removing the last admin
     const adminCount = await this.$relatedQuery('members')
       .where('role', 'admin')
+      .where('is_active', true)
       .resultSize();
 
     if (adminCount <= 1) {
@@ -322,20 +336,13 @@ class Project extends softDelete(BaseModel) {
    * @returns {Promise<Object>} - The created version
    */
   async createVersion(userId, name, description = '') {
-    const versionData = {
-      id: uuidv4(),
-      project_id: this.id,
-      name,
-      description,
-      created_by: userId,
-      data: await this.exportProject({ includeData: true })
-    };
-
-    return this.$relatedQuery('versions').insert(versionData);
+    return ProjectVersion.createVersion(this.id, userId, { name, description });
   }
 
   /**
-   * Export project data
+   * Export project data: the project, its databases, saved queries,
+   * schedules, webhooks, members, versions and recent activity. Database
+   * secrets are redacted and webhook secrets left out.
    * @param {Object} options - Export options
    * @param {boolean} [options.includeData=false] - Whether to include query result data
    * @returns {Promise<Object>} - Exported project data
@@ -362,7 +369,13 @@ class Project extends softDelete(BaseModel) {
       .orderBy('created_at', 'DESC')
       .limit(100); // Limit to most recent 100 activities
     
-    // TODO: Add other related data (queries, databases, etc.)
+    // Get project databases (secrets are redacted by ProjectDatabase#$formatJson)
+    const databases = await ProjectDatabase.getProjectDatabases(this.id);
+    
+    const [queries, schedules, webhooks] = await Promise.all([Query, Schedule, Webhook].map(model => model.query()
+      .where('project_id', this.id)
+      .whereNull('deleted_at')
+      .orderBy('created_at')));
     
     const exportData = {
       project: {
@@ -375,6 +388,36 @@ class Project extends softDelete(BaseModel) {
           export_version: '1.0.0',
         },
       },
+      databases: databases.map(d => d.toJSON()),
+      queries: queries.map(q => ({
+        id: q.id,
+        database_id: q.database_id,
+        name: q.name,
+        description: q.description,
+        query: q.query,
+        parameters: q.parameters,
+        tags: q.tags,
+      })),
+      schedules: schedules.map(s => ({
+        id: s.id,
+        name: s.name,
+        description: s.description,
+        cron_expression: s.cron_expression,
+        query_id: s.query_id,
+        database_id: s.database_id,
+        query: s.query,
+        parameters: s.parameters,
+        is_active: s.is_active,
+        max_retries: s.max_retries,
+        retry_delay_seconds: s.retry_delay_seconds,
+      })),
+      webhooks: webhooks.map(w => ({
+        id: w.id,
+        url: w.url,
+        description: w.description,
+        events: w.events,
+        is_active: w.is_active,
+      })),
       members: members.map(m => ({
         user_id: m.user_id,
         role: m.role,
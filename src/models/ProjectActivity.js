@@ -1,5 +1,7 @@
 import { BaseModel } from './BaseModel.js';
 import { v4 as uuidv4 } from 'uuid';
+import EventBus from '../services/EventBus.js';
+import { logger } from '../utils/logger.js';
 
 export class ProjectActivity extends BaseModel {
   static get tableName() {
@@ -13,11 +15,12 @@ export class ProjectActivity extends BaseModel {
   static get jsonSchema() {
     return {
       type: 'object',
-      required: ['project_id', 'user_id', 'action', 'entity_type'],
+      required: ['project_id', 'action', 'entity_type'],
       properties: {
         id: { type: 'string', format: 'uuid' },
         project_id: { type: 'string', format: 'uuid' },
-        user_id: { type: 'string', format: 'uuid' },
+        // Null for the scheduler's own actions once the schedule's creator is gone
+        user_id: { type: ['string', 'null'], format: 'uuid' },
         action: { 
           type: 'string', 
           enum: [
@@ -30,7 +33,8 @@ export class ProjectActivity extends BaseModel {
           type: 'string',
           enum: [
             'project', 'query', 'database', 'user', 'api_key', 'webhook',
-            'template', 'dashboard', 'visualization', 'schedule', 'comment'
+            'template', 'dashboard', 'visualization', 'schedule', 'comment',
+            'member', 'invitation', 'version'
           ]
         },
         entity_id: { type: ['string', 'null'], format: 'uuid' },
@@ -83,10 +87,10 @@ export class ProjectActivity extends BaseModel {
   }
 
   /**
-   * Log a new activity
+   * Log a new activity and publish it as a project event (see EventBus)
    * @param {Object} data - Activity data
    * @param {string} data.projectId - Project ID
-   * @param {string} data.userId - User ID
+   * @param {string|null} data.userId - User ID, null for the scheduler acting on its own
    * @param {string} data.action - Action performed
    * @param {string} data.entityType - Type of entity affected
    * @param {string} [data.entityId] - ID of the affected entity
@@ -121,7 +125,24 @@ export class ProjectActivity extends BaseModel {
       activityData.user_agent = request.get('user-agent');
     }
 
-    return this.query().insert(activityData);
+    const activity = await this.query().insert(activityData);
+    EventBus.publish(activity);
+    return activity;
+  }
+
+  /**
+   * Log an activity without failing the operation it describes: errors are
+   * reported, not thrown
+   * @param {Object} data - Same as log()
+   * @returns {Promise<ProjectActivity|null>} - The created activity, or null if logging failed
+   */
+  static async record(data) {
+    try {
+      return await this.log(data);
+    } catch (error) {
+      logger.error(`Failed to log ${data.entityType}.${data.action} activity:`, error);
+      return null;
+    }
   }
 
   /**
@@ -1,4 +1,13 @@
 import { BaseModel } from './BaseModel.js';
+import { getDialect, createConnection, pingConnection } from '../services/dialects/index.js';
+import { encryptFields, decryptFields, redactFields, REDACTED } from '../utils/encryption.js';
+import ConnectionManager from '../services/ConnectionManager.js';
+
+// Authenticated context for encrypted connection_config fields
+const SECRET_CONTEXT = 'project_databases.connection_config.';
+
+// Columns whose change makes an open connection pool stale
+const CONNECTION_FIELDS = ['type', 'connection_config', 'metadata', 'is_active', 'deleted_at'];
 
 export class ProjectDatabase extends BaseModel {
   static get tableName() {
@@ -33,9 +42,10 @@ export class ProjectDatabase extends BaseModel {
             username: { type: 'string' },
             password: { type: 'string' },
             ssl: { type: 'boolean', default: false },
+            // SQLite only: path of the database file
+            filename: { type: 'string' },
             // Add other database-specific connection options
           },
-          required: ['host', 'database', 'username', 'password'],
         },
         metadata: {
           type: 'object',
@@ -46,9 +56,83 @@ export class ProjectDatabase extends BaseModel {
         updated_at: { type: 'string', format: 'date-time' },
         deleted_at: { type: ['string', 'null'], format: 'date-time' },
       },
+      // Server databases need credentials, SQLite only needs a file
+      if: {
+        properties: { type: { const: 'sqlite' } },
+      },
+      then: {
+        properties: {
+          connection_config: {
+            type: 'object',
+            anyOf: [
+              { type: 'object', required: ['filename'] },
+              { type: 'object', required: ['database'] },
+            ],
+          },
+        },
+      },
+      else: {
+        properties: {
+          connection_config: {
+            type: 'object',
+            required: ['host', 'database', 'username', 'password'],
+          },
+        },
+      },
     };
   }
 
+  // connection_config fields that are encrypted at rest and never returned to clients
+  static get secretFields() {
+    return ['password'];
+  }
+
+  /**
+   * Merge a connection_config update into the current one. Secrets the client
+   * sent back redacted (or left out) keep their current value.
+   * @param {Object} current - Current (decrypted) connection_config
+   * @param {Object} incoming - connection_config from the request
+   * @returns {Object} Merged connection_config
+   */
+  static mergeConnectionConfig(current = {}, incoming = {}) {
+    const merged = { ...current, ...incoming };
+    this.secretFields.forEach(field => {
+      if (incoming[field] === undefined || incoming[field] === REDACTED) {
+        merged[field] = current[field];
+      }
+    });
+    return merged;
+  }
+
+  // Encrypt secrets on the way into the database
+  $formatDatabaseJson(json) {
+    if (json.connection_config) {
+      json = {
+        ...json,
+        connection_config: encryptFields(json.connection_config, this.constructor.secretFields, SECRET_CONTEXT),
+      };
+    }
+    return super.$formatDatabaseJson(json);
+  }
+
+  // Decrypt secrets on the way out of the database
+  $parseDatabaseJson(json) {
+    json = super.$parseDatabaseJson(json);
+    if (json.connection_config) {
+      json.connection_config = decryptFields(json.connection_config, this.constructor.secretFields, SECRET_CONTEXT);
+    }
+    return json;
+  }
+
+  // Never serialize secrets into API responses, exports or logs
+  $formatJson(json) {
+    json = super.$formatJson(json);
+    if (json.connection_config) {
+      json.connection_config = redactFields(json.connection_config, this.constructor.secretFields);
+    }
+    return json;
+  }
+
   static get relationMappings() {
     return {
       project: {
@@ -83,19 +167,40 @@ export class ProjectDatabase extends BaseModel {
     }
   }
 
-  async $beforeUpdate() {
-    await super.$beforeUpdate();
+  async $beforeUpdate(opt, queryContext) {
+    await super.$beforeUpdate(opt, queryContext);
     
-    if (this.is_primary && this.is_primary !== this.$before.is_primary) {
+    // `opt.old` is the instance being updated, set when updating through $query()
+    const current = opt?.old;
+    if (this.is_primary && current && !current.is_primary) {
       // If this is being set as primary, unset primary flag from other databases in the project
-      await this.constructor.query()
-        .where('project_id', this.project_id)
-        .where('id', '!=', this.id)
+      await this.constructor.query(queryContext?.transaction)
+        .where('project_id', current.project_id)
+        .where('id', '!=', current.id)
         .where('is_primary', true)
         .patch({ is_primary: false });
     }
   }
 
+  // Close cached connection pools of databases whose connection settings change
+  static async beforeUpdate({ asFindQuery, inputItems }) {
+    const touchesConnection = inputItems.some(item => CONNECTION_FIELDS.some(field => item[field] !== undefined));
+    if (touchesConnection) {
+      await this.closeConnectionPools(asFindQuery);
+    }
+  }
+
+  // Close cached connection pools of databases being deleted
+  static async beforeDelete({ asFindQuery }) {
+    await this.closeConnectionPools(asFindQuery);
+  }
+
+  static async closeConnectionPools(asFindQuery) {
+    const rows = await asFindQuery().select(`${this.tableName}.id`);
+    // Not awaited: closing a pool waits for the queries still running on it
+    rows.forEach(({ id }) => ConnectionManager.invalidate(id));
+  }
+
   // Get connection configuration for the database
   getConnectionConfig() {
     const { connection_config, type } = this;
@@ -103,73 +208,48 @@ export class ProjectDatabase extends BaseModel {
     // Create a copy of the config to avoid modifying the original
     const config = { ...connection_config };
     
-    // Add type-specific configuration
-    switch (type) {
-      case 'postgresql':
-        return {
-          client: 'pg',
-          connection: {
-            host: config.host,
-            port: config.port || 5432,
-            database: config.database,
-            user: config.username,
-            password: config.password,
-            ssl: config.ssl ? { rejectUnauthorized: false } : false,
-          },
-          pool: {
-            min: 1,
-            max: 5,
-          },
-        };
-      
-      case 'mysql':
-        return {
-          client: 'mysql2',
-          connection: {
-            host: config.host,
-            port: config.port || 3306,
-            database: config.database,
-            user: config.username,
-            password: config.password,
-            ssl: config.ssl ? { rejectUnauthorized: false } : undefined,
-          },
-        };
-      
-      case 'mongodb':
-        return {
-          client: 'mongodb',
-          connection: {
-            url: `mongodb://${config.username}:${encodeURIComponent(config.password)}@${config.host}:${config.port || 27017}/${config.database}?authSource=admin`,
-            options: {
-              useNewUrlParser: true,
-              useUnifiedTopology: true,
-              ssl: config.ssl || false,
-            },
-          },
-        };
-      
-      default:
-        throw new Error(`Unsupported database type: ${type}`);
-    }
+    // Type-specific configuration lives in the dialect adapter
+    return getDialect(type).buildConnectionConfig(config);
   }
 
-  // Test the database connection
+  /**
+   * Open a throwaway connection and ping it
+   * @returns {Promise<{success: boolean, message: string, latency_ms?: number, server_version?: string|null}>}
+   */
   async testConnection() {
-    const knex = require('knex');
-    const config = this.getConnectionConfig();
+    let db;
     
     try {
-      const db = knex(config);
-      // Test the connection with a simple query
-      await db.raw('SELECT 1');
-      await db.destroy();
-      return { success: true, message: 'Connection successful' };
+      // Never creates a SQLite file: testing a path must not write to the disk
+      db = await createConnection(this.type, this.connection_config, { fileMustExist: true });
+
+      // Time the round trip of a simple query
+      const startTime = Date.now();
+      await pingConnection(db);
+      const latency = Date.now() - startTime;
+
+      let serverVersion = null;
+      try {
+        serverVersion = await getDialect(this.type).serverVersion(db);
+      } catch (error) {
+        // Reachable but not allowed to read the version: still a working connection
+      }
+
+      return {
+        success: true,
+        message: 'Connection successful',
+        latency_ms: latency,
+        server_version: serverVersion,
+      };
     } catch (error) {
       return { 
         success: false, 
         message: error.message,
-        details: error
       };
+    } finally {
+      if (db) {
+        await db.destroy();
+      }
     }
   }
 
@@ -178,6 +258,7 @@ export class ProjectDatabase extends BaseModel {
     return this.query()
       .where('project_id', projectId)
       .where('is_primary', true)
+      .whereNull('deleted_at')
       .first();
   }
 
@@ -0,0 +1,122 @@
+import { BaseModel } from './BaseModel.js';
+import { ProjectMember } from './ProjectMember.js';
+
+/**
+ * Invitation to join a project, sent by email. The invited address accepts
+ * it with the token from the email once signed in with that address.
+ */
+export class ProjectInvitation extends BaseModel {
+  static STATUSES = ['pending', 'accepted', 'declined', 'revoked'];
+
+  static get tableName() {
+    return 'project_invitations';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['project_id', 'email', 'role', 'token_hash', 'expires_at'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        project_id: { type: 'string', format: 'uuid' },
+        email: { type: 'string', format: 'email', maxLength: 255 },
+        role: { type: 'string', enum: Object.values(ProjectMember.ROLES).map(r => r.key) },
+        permissions: {
+          type: 'array',
+          items: { type: 'string', enum: ProjectMember.getAllPermissions() },
+          uniqueItems: true,
+          default: [],
+        },
+        status: { type: 'string', enum: ProjectInvitation.STATUSES, default: 'pending' },
+        token_hash: { type: 'string', minLength: 64, maxLength: 64 },
+        expires_at: { type: 'string', format: 'date-time' },
+        send_count: { type: 'integer', minimum: 1, default: 1 },
+        last_sent_at: { type: ['string', 'null'], format: 'date-time' },
+        invited_by: { type: ['string', 'null'], format: 'uuid' },
+        accepted_by: { type: ['string', 'null'], format: 'uuid' },
+        responded_at: { type: ['string', 'null'], format: 'date-time' },
+        created_at: { type: 'string', format: 'date-time' },
+        updated_at: { type: 'string', format: 'date-time' },
+      },
+    };
+  }
+
+  static get virtualAttributes() {
+    return ['is_expired'];
+  }
+
+  static get relationMappings() {
+    return {
+      project: {
+        relation: this.BelongsToOneRelation,
+        modelClass: 'Project.js',
+        join: {
+          from: 'project_invitations.project_id',
+          to: 'projects.id',
+        },
+      },
+      inviter: {
+        relation: this.BelongsToOneRelation,
+        modelClass: 'User.js',
+        join: {
+          from: 'project_invitations.invited_by',
+          to: 'users.id',
+        },
+      },
+    };
+  }
+
+  // Addresses are compared case-insensitively
+  $parseJson(json, opt) {
+    json = super.$parseJson(json, opt);
+    if (typeof json.email === 'string') {
+      json.email = json.email.trim().toLowerCase();
+    }
+    return json;
+  }
+
+  // Custom roles need the permissions to grant, like memberships
+  $afterValidate(json, opt) {
+    super.$afterValidate(json, opt);
+
+    if (json.role === ProjectMember.ROLES.CUSTOM.key && !json.permissions?.length) {
+      throw this.constructor.createValidationError({
+        type: 'ModelValidation',
+        message: 'Custom roles need at least one permission',
+        data: { permissions: [{ message: 'Custom roles need at least one permission' }] },
+      });
+    }
+  }
+
+  $formatJson(json) {
+    json = super.$formatJson(json);
+    delete json.token_hash;
+    return json;
+  }
+
+  get is_expired() {
+    return Boolean(this.expires_at) && new Date(this.expires_at) <= new Date();
+  }
+
+  /**
+   * Whether the invitation can still be accepted or declined
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.status === 'pending' && !this.is_expired;
+  }
+
+  // Get the pending invitations of a project, newest first
+  static async getPendingInvitations(projectId) {
+    return this.query()
+      .where('project_id', projectId)
+      .where('status', 'pending')
+      .withGraphFetched('inviter')
+      .modifyGraph('inviter', builder => builder.select('id', 'email', 'first_name', 'last_name'))
+      .orderBy('created_at', 'desc');
+  }
+}
@@ -19,6 +19,7 @@ export class ProjectMember extends BaseModel {
         'api_key:create', 'api_key:read', 'api_key:update', 'api_key:delete',
         'webhook:create', 'webhook:read', 'webhook:update', 'webhook:delete',
         'settings:read', 'settings:update',
+        'version:read', 'version:create', 'version:update', 'version:restore',
         'activity:read'
       ]
     },
@@ -36,6 +37,7 @@ export class ProjectMember extends BaseModel {
         'api_key:read',
         'webhook:read',
         'settings:read',
+        'version:read', 'version:create', 'version:update',
         'activity:read'
       ]
     },
@@ -84,7 +86,8 @@ export class ProjectMember extends BaseModel {
         },
         permissions: {
           type: 'array',
-          items: { type: 'string' },
+          items: { type: 'string', enum: this.getAllPermissions() },
+          uniqueItems: true,
           default: []
         },
         is_active: { type: 'boolean', default: true },
@@ -131,6 +134,19 @@ export class ProjectMember extends BaseModel {
     };
   }
 
+  // Custom roles hold nothing but the permissions listed on the membership
+  $afterValidate(json, opt) {
+    super.$afterValidate(json, opt);
+
+    if (json.role === ProjectMember.ROLES.CUSTOM.key && !json.permissions?.length) {
+      throw this.constructor.createValidationError({
+        type: 'ModelValidation',
+        message: 'Custom roles need at least one permission',
+        data: { permissions: [{ message: 'Custom roles need at least one permission' }] },
+      });
+    }
+  }
+
   $beforeInsert() {
     super.$beforeInsert();
     
@@ -142,13 +158,13 @@ export class ProjectMember extends BaseModel {
       this.metadata = {};
     }
     
+    // Built-in roles take their permissions from the role definition
+    if (!this.permissions) {
+      this.permissions = [];
+    }
+    
     this.created_at = new Date().toISOString();
     this.updated_at = this.created_at;
-    
-    // Set default permissions based on role if not provided
-    if (!this.permissions || this.permissions.length === 0) {
-      this.permissions = this.getRolePermissions();
-    }
   }
 
   $beforeUpdate() {
@@ -165,19 +181,21 @@ export class ProjectMember extends BaseModel {
     return role ? [...role.permissions] : [];
   }
 
+  /**
+   * Get the permissions the member actually holds
+   * @returns {Array} - List of permissions
+   */
+  getEffectivePermissions() {
+    return ProjectMember.getPermissionsFor(this.role, this.permissions);
+  }
+
   /**
    * Check if member has a specific permission
    * @param {string} permission - Permission to check
    * @returns {boolean} - True if member has the permission
    */
   hasPermission(permission) {
-    // Admins have all permissions
-    if (this.role === ProjectMember.ROLES.ADMIN.key) {
-      return true;
-    }
-    
-    // Check if the permission is in the member's permissions
-    return this.permissions.includes(permission);
+    return this.getEffectivePermissions().includes(permission);
   }
 
   /**
@@ -190,12 +208,42 @@ export class ProjectMember extends BaseModel {
       return this.hasPermission(permissions);
     }
     
-    // Admins have all permissions
-    if (this.role === ProjectMember.ROLES.ADMIN.key) {
-      return true;
+    const effective = this.getEffectivePermissions();
+    return permissions.some(permission => effective.includes(permission));
+  }
+
+  /**
+   * Permissions of a role this member cannot hand out because they do not hold them
+   * @param {string} role - Role to grant
+   * @param {Array} [customPermissions] - Permissions of a custom role
+   * @returns {Array} - Permissions beyond the member's own
+   */
+  findUngrantablePermissions(role, customPermissions = []) {
+    return ProjectMember.getPermissionsFor(role, customPermissions)
+      .filter(permission => !this.hasPermission(permission));
+  }
+
+  /**
+   * Resolve the permissions a role grants. Admins hold every permission,
+   * custom roles the ones listed on the membership and the other roles
+   * those of their current definition, so changes to a role apply to
+   * existing members.
+   * @param {string} role - Role key
+   * @param {Array} [customPermissions] - Permissions of a custom role
+   * @returns {Array} - Sorted list of permissions
+   */
+  static getPermissionsFor(role, customPermissions = []) {
+    if (role === this.ROLES.ADMIN.key) {
+      return this.getAllPermissions();
     }
-    
-    return permissions.some(permission => this.permissions.includes(permission));
+
+    if (role === this.ROLES.CUSTOM.key) {
+      const known = new Set(this.getAllPermissions());
+      return [...new Set(customPermissions || [])].filter(p => known.has(p)).sort();
+    }
+
+    const definition = Object.values(this.ROLES).find(r => r.key === role);
+    return definition ? [...definition.permissions].sort() : [];
   }
 
   /**
@@ -310,7 +358,7 @@ export class ProjectMember extends BaseModel {
         invited_at: new Date().toISOString(),
         joined_at: null,
         last_accessed_at: null,
-        permissions: role === ProjectMember.ROLES.CUSTOM.key ? customPermissions : undefined,
+        permissions: role === ProjectMember.ROLES.CUSTOM.key ? customPermissions : [],
         updated_at: new Date().toISOString()
       });
     }
@@ -321,7 +369,7 @@ export class ProjectMember extends BaseModel {
       project_id: projectId,
       user_id: userId,
       role,
-      permissions: role === ProjectMember.ROLES.CUSTOM.key ? customPermissions : undefined,
+      permissions: role === ProjectMember.ROLES.CUSTOM.key ? customPermissions : [],
       is_active: true,
       invited_by: invitedBy,
       invited_at: new Date().toISOString(),
@@ -367,32 +415,32 @@ export class ProjectMember extends BaseModel {
    * @param {string} userId - User ID to update
    * @param {string} role - New role
    * @param {Array} [customPermissions] - Custom permissions (only for custom roles)
-   * @returns {Promise<ProjectMember>} - Updated project member
+   * @returns {Promise<ProjectMember|null>} - Updated project member, null if not a member
    */
   static async updateMember(projectId, userId, role, customPermissions = []) {
+    const member = await this.getByProjectAndUser(projectId, userId);
+    if (!member || !member.is_active) {
+      return null;
+    }
+
     // Don't allow changing the last admin's role
-    if (role !== ProjectMember.ROLES.ADMIN.key) {
+    if (role !== ProjectMember.ROLES.ADMIN.key && member.role === ProjectMember.ROLES.ADMIN.key) {
       const admins = await this.query()
         .where('project_id', projectId)
         .where('role', ProjectMember.ROLES.ADMIN.key)
         .where('is_active', true);
       
-      const member = await this.getByProjectAndUser(projectId, userId);
-      
-      if (member?.role === ProjectMember.ROLES.ADMIN.key && admins.length <= 1) {
+      if (admins.length <= 1) {
         throw new Error('Cannot change the role of the last admin');
       }
     }
     
     // Update the membership
-    return this.query()
-      .where('project_id', projectId)
-      .where('user_id', userId)
-      .patchAndFetch({
-        role,
-        permissions: role === ProjectMember.ROLES.CUSTOM.key ? customPermissions : undefined,
-        updated_at: new Date().toISOString()
-      });
+    return member.$query().patchAndFetch({
+      role,
+      permissions: role === ProjectMember.ROLES.CUSTOM.key ? customPermissions : [],
+      updated_at: new Date().toISOString()
+    });
   }
 
   /**
@@ -413,16 +461,8 @@ export class ProjectMember extends BaseModel {
       return false;
     }
     
-    // Convert single permission to array for consistent handling
-    const permissions = Array.isArray(permission) ? permission : [permission];
-    
-    // Admins have all permissions
-    if (member.role === ProjectMember.ROLES.ADMIN.key) {
-      return true;
-    }
-    
     // Check if any of the required permissions are granted
-    return permissions.some(p => member.permissions.includes(p));
+    return member.hasAnyPermission(permission);
   }
 
   /**
@@ -0,0 +1,454 @@
+import { BaseModel } from './BaseModel.js';
+import Project from './Project.js';
+import { ProjectDatabase } from './ProjectDatabase.js';
+import { ProjectMember } from './ProjectMember.js';
+import { Query } from './Query.js';
+import { Schedule } from './Schedule.js';
+import { Webhook } from './Webhook.js';
+import { REDACTED } from '../utils/encryption.js';
+import { isValidTimezone } from '../utils/cron.js';
+import { canonicalJson, contentHash, jsonEqual } from '../utils/canonicalJson.js';
+import { diffValues } from '../utils/jsonPatch.js';
+
+// Bumped when the shape of snapshot data changes
+export const SNAPSHOT_FORMAT = 1;
+
+// Project columns a snapshot captures. The two-factor requirement and
+// allowed email domains are left out: they have their own endpoints and checks
+export const PROJECT_FIELDS = ['name', 'description', 'logo_url', 'is_public', 'settings'];
+
+// Captured entities, in the order a restore applies them (queries reference
+// databases, schedules reference both). Entities keep their IDs.
+export const SNAPSHOT_SECTIONS = {
+  databases: {
+    model: ProjectDatabase,
+    entityType: 'database',
+    fields: ['name', 'description', 'type', 'is_primary', 'is_active', 'connection_config', 'metadata'],
+  },
+  queries: {
+    model: Query,
+    entityType: 'query',
+    fields: ['database_id', 'name', 'description', 'query', 'parameters', 'tags'],
+  },
+  schedules: {
+    model: Schedule,
+    entityType: 'schedule',
+    fields: [
+      'name', 'description', 'cron_expression', 'query_id', 'database_id', 'query', 'parameters',
+      'is_active', 'max_retries', 'retry_delay_seconds',
+    ],
+  },
+  webhooks: {
+    model: Webhook,
+    entityType: 'webhook',
+    fields: ['url', 'description', 'events', 'is_active'],
+  },
+};
+
+// Serialized (secrets redacted) fields of a model, missing ones as null
+const pick = (model, fields) => {
+  const json = typeof model.toJSON === 'function' ? model.toJSON() : model;
+  return Object.fromEntries(fields.map(field => [field, json[field] === undefined ? null : json[field]]));
+};
+
+// Active members, for review only: restoring a version leaves access alone
+export const MEMBER_FIELDS = ['role', 'permissions'];
+
+// What a diff compares, keyed like the snapshot data
+const DIFF_SECTIONS = {
+  databases: { label: 'Database', key: 'id', fields: SNAPSHOT_SECTIONS.databases.fields },
+  queries: { label: 'Saved query', key: 'id', fields: SNAPSHOT_SECTIONS.queries.fields },
+  schedules: { label: 'Schedule', key: 'id', fields: SNAPSHOT_SECTIONS.schedules.fields },
+  webhooks: { label: 'Webhook', key: 'id', fields: SNAPSHOT_SECTIONS.webhooks.fields },
+  members: { label: 'Member', key: 'user_id', fields: MEMBER_FIELDS },
+};
+
+const byKey = (key) => (a, b) => (a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0);
+const byId = byKey('id');
+
+/**
+ * Snapshot data of a project's state
+ * @param {Object} state
+ * @param {Project} state.project - Project
+ * @param {Array<ProjectMember>} [state.members] - Active members
+ * @param {Object<string, Array>} state - Non-deleted entities of each section (databases, queries, ...)
+ * @returns {Object} Snapshot data; database and webhook secrets are redacted or left out
+ */
+export function buildSnapshot({ project, members = [], ...entities }) {
+  const data = {
+    format: SNAPSHOT_FORMAT,
+    project: { id: project.id, ...pick(project, PROJECT_FIELDS) },
+  };
+
+  for (const [section, { fields }] of Object.entries(SNAPSHOT_SECTIONS)) {
+    data[section] = (entities[section] || [])
+      .map(entity => ({ id: entity.id, ...pick(entity, fields) }))
+      .sort(byId);
+  }
+
+  data.members = members
+    .map(member => ({ user_id: member.user_id, ...pick(member, MEMBER_FIELDS) }))
+    .sort(byKey('user_id'));
+
+  return data;
+}
+
+/**
+ * What a restore has to do to turn one snapshot into another
+ * @param {Object} current - Snapshot data of the current state
+ * @param {Object} target - Snapshot data to restore
+ * @returns {{project: Object|null, operations: Array<Object>}} Changed project fields, and per entity
+ *   an operation `{section, entityType, action, id, name, fields, values}`, action being
+ *   create, update or delete
+ */
+export function planRestore(current, target) {
+  const projectValues = Object.fromEntries(
+    PROJECT_FIELDS
+      .filter(field => !jsonEqual(current.project[field], target.project[field]))
+      .map(field => [field, target.project[field]])
+  );
+  const operations = [];
+
+  for (const [section, { entityType, fields }] of Object.entries(SNAPSHOT_SECTIONS)) {
+    const existing = new Map((current[section] || []).map(entity => [entity.id, entity]));
+    const wanted = new Set();
+
+    for (const entity of target[section] || []) {
+      wanted.add(entity.id);
+      const now = existing.get(entity.id);
+      const changed = now ? fields.filter(field => !jsonEqual(now[field], entity[field])) : fields;
+
+      if (changed.length) {
+        operations.push({
+          section,
+          entityType,
+          action: now ? 'update' : 'create',
+          id: entity.id,
+          name: entity.name || entity.url || null,
+          fields: changed,
+          values: Object.fromEntries(changed.map(field => [field, entity[field]])),
+        });
+      }
+    }
+
+    for (const entity of current[section] || []) {
+      if (!wanted.has(entity.id)) {
+        operations.push({
+          section,
+          entityType,
+          action: 'delete',
+          id: entity.id,
+          name: entity.name || entity.url || null,
+          fields: [],
+          values: {},
+        });
+      }
+    }
+  }
+
+  return {
+    project: Object.keys(projectValues).length ? projectValues : null,
+    operations,
+  };
+}
+
+const entityName = (entity) => entity.name || entity.url || entity.user_id || entity.id;
+
+/**
+ * Structural diff between two snapshots
+ * @param {Object} before - Snapshot data
+ * @param {Object} after - Snapshot data
+ * @returns {{changes: Array<Object>, stats: {added: number, removed: number, modified: number}}}
+ *   One change per setting, project field group or entity:
+ *   `{section, action, id, name, fields: [{field, before, after}]}`, action
+ *   being added, removed or modified. Missing values are null.
+ */
+export function diffSnapshots(before, after) {
+  const changes = [];
+  const fieldChanges = (fields, from = {}, to = {}) => fields
+    .filter(field => !jsonEqual(from[field] ?? null, to[field] ?? null))
+    .map(field => ({ field, before: from[field] ?? null, after: to[field] ?? null }));
+
+  const projectFields = fieldChanges(PROJECT_FIELDS.filter(field => field !== 'settings'), before.project, after.project);
+  if (projectFields.length) {
+    changes.push({ section: 'project', action: 'modified', id: after.project.id, name: after.project.name, fields: projectFields });
+  }
+
+  const settingsBefore = before.project.settings || {};
+  const settingsAfter = after.project.settings || {};
+  const keys = [...new Set([...Object.keys(settingsBefore), ...Object.keys(settingsAfter)])].sort();
+  for (const key of keys) {
+    const [field] = fieldChanges([key], settingsBefore, settingsAfter);
+    if (field) {
+      const action = !(key in settingsBefore) ? 'added' : !(key in settingsAfter) ? 'removed' : 'modified';
+      changes.push({ section: 'settings', action, id: key, name: key, fields: [field] });
+    }
+  }
+
+  for (const [section, { key, fields }] of Object.entries(DIFF_SECTIONS)) {
+    const previous = new Map((before[section] || []).map(entity => [entity[key], entity]));
+    const next = new Map((after[section] || []).map(entity => [entity[key], entity]));
+
+    for (const [id, entity] of previous) {
+      if (!next.has(id)) {
+        changes.push({ section, action: 'removed', id, name: entityName(entity), fields: fieldChanges(fields, entity, {}) });
+      }
+    }
+    for (const [id, entity] of next) {
+      const old = previous.get(id);
+      const changed = fieldChanges(fields, old || {}, entity);
+      if (!old || changed.length) {
+        changes.push({ section, action: old ? 'modified' : 'added', id, name: entityName(entity), fields: changed });
+      }
+    }
+  }
+
+  const stats = { added: 0, removed: 0, modified: 0 };
+  changes.forEach(change => { stats[change.action] += 1; });
+  return { changes, stats };
+}
+
+/**
+ * JSON Patch (RFC 6902) turning one snapshot document into another.
+ * Entity lists stay sorted, so changes use indexes of the `before` lists,
+ * removals run from the end and additions at their final index.
+ * @param {Object} before - Snapshot data
+ * @param {Object} after - Snapshot data
+ * @returns {Array<Object>} Operations
+ */
+export function snapshotPatch(before, after) {
+  const operations = diffValues(before.project, after.project, '/project');
+
+  for (const [section, { key }] of Object.entries(DIFF_SECTIONS)) {
+    const from = before[section] || [];
+    const to = after[section] || [];
+    const kept = new Set(to.map(entity => entity[key]));
+    const existing = new Set(from.map(entity => entity[key]));
+    const next = new Map(to.map(entity => [entity[key], entity]));
+
+    from.forEach((entity, index) => {
+      if (kept.has(entity[key])) {
+        operations.push(...diffValues(entity, next.get(entity[key]), `/${section}/${index}`));
+      }
+    });
+    for (let index = from.length - 1; index >= 0; index--) {
+      if (!kept.has(from[index][key])) {
+        operations.push({ op: 'remove', path: `/${section}/${index}` });
+      }
+    }
+    to.forEach((entity, index) => {
+      if (!existing.has(entity[key])) {
+        operations.push({ op: 'add', path: `/${section}/${index}`, value: entity });
+      }
+    });
+  }
+
+  return operations;
+}
+
+const showValue = (value) => {
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+};
+
+/**
+ * Human-readable lines for the changes of diffSnapshots()
+ * @param {Array<Object>} changes - Changes
+ * @returns {Array<string>} One line per change
+ */
+export function summarizeDiff(changes) {
+  return changes.map(({ section, action, name, fields }) => {
+    if (section === 'settings') {
+      const [{ before, after }] = fields;
+      if (action === 'added') return `Setting "${name}" added: ${showValue(after)}`;
+      if (action === 'removed') return `Setting "${name}" removed`;
+      return `Setting "${name}" changed from ${showValue(before)} to ${showValue(after)}`;
+    }
+    if (section === 'project') {
+      return `Project ${fields.map(({ field, before, after }) => `${field} changed from ${showValue(before)} to ${showValue(after)}`).join(', ')}`;
+    }
+
+    const label = `${DIFF_SECTIONS[section].label} "${name}"`;
+    if (action !== 'modified') return `${label} ${action}`;
+    return `${label} modified: ${fields.map(({ field }) => field).join(', ')}`;
+  });
+}
+
+/**
+ * Immutable snapshot of a project's configuration, stored once per content:
+ * the primary key is the SHA-256 of the canonical JSON of `data`. Versions
+ * point at snapshots, so versions of an unchanged project share one.
+ */
+export class ProjectSnapshot extends BaseModel {
+  static get tableName() {
+    return 'project_snapshots';
+  }
+
+  static get idColumn() {
+    return 'hash';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['hash', 'project_id', 'data'],
+      properties: {
+        hash: { type: 'string', minLength: 64, maxLength: 64 },
+        project_id: { type: 'string', format: 'uuid' },
+        data: { type: 'object' },
+        size: { type: 'integer', minimum: 0 },
+        created_at: { type: 'string', format: 'date-time' },
+      },
+    };
+  }
+
+  // Snapshots never change, so there is no updated_at column
+  $beforeInsert() {
+    this.created_at = new Date().toISOString();
+  }
+
+  /**
+   * Read the current state of a project
+   * @param {string} projectId - Project ID
+   * @param {Object} [trx] - Transaction
+   * @returns {Promise<{hash: string, data: Object, size: number}>}
+   */
+  static async capture(projectId, trx) {
+    const project = await Project.query(trx).findById(projectId);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    const entities = {};
+    for (const [section, { model }] of Object.entries(SNAPSHOT_SECTIONS)) {
+      entities[section] = await model.query(trx)
+        .where('project_id', projectId)
+        .whereNull('deleted_at');
+    }
+
+    const members = await ProjectMember.query(trx)
+      .where('project_id', projectId)
+      .where('is_active', true);
+
+    const data = buildSnapshot({ project, members, ...entities });
+    return {
+      hash: contentHash(data),
+      data,
+      size: Buffer.byteLength(canonicalJson(data)),
+    };
+  }
+
+  /**
+   * Store a captured snapshot unless the same content is already stored
+   * @param {string} projectId - Project ID
+   * @param {{hash: string, data: Object, size: number}} snapshot - From capture()
+   * @param {Object} [trx] - Transaction
+   * @returns {Promise<string>} Hash of the snapshot
+   */
+  static async store(projectId, { hash, data, size }, trx) {
+    await this.query(trx)
+      .insert({ hash, project_id: projectId, data, size })
+      .onConflict('hash')
+      .ignore();
+    return hash;
+  }
+
+  /**
+   * Bring a project back to the state of a snapshot: project fields are
+   * reset, entities updated, deleted ones brought back (with their secrets)
+   * and newer ones deleted. Secrets are not in snapshots, so current ones are
+   * kept; databases and webhooks that no longer exist at all can only be
+   * recreated without secrets and are skipped, along with what references
+   * them. Members are left as they are. Run it in a transaction.
+   * @param {string} projectId - Project ID
+   * @param {Object} target - Snapshot data to restore
+   * @param {Object} options
+   * @param {string} options.userId - User restoring, recorded as creator of recreated entities
+   * @param {Object} options.trx - Transaction
+   * @returns {Promise<Array<Object>>} Changes made: `{entity_type, entity_id, entity_name, action, fields}`,
+   *   action being create, update, restore (undeleted), delete or skip (with a `reason`)
+   */
+  static async restore(projectId, target, { userId, trx }) {
+    if (target.format !== SNAPSHOT_FORMAT || target.project?.id !== projectId) {
+      throw new Error('The snapshot does not belong to this project');
+    }
+
+    const current = await this.capture(projectId, trx);
+    const plan = planRestore(current.data, target);
+    const now = new Date().toISOString();
+    const changes = [];
+    const skipped = new Set();
+
+    if (plan.project) {
+      await Project.query(trx).findById(projectId).patch({ ...plan.project, updated_at: now });
+      changes.push({
+        entity_type: 'project',
+        entity_id: projectId,
+        entity_name: target.project.name,
+        action: 'update',
+        fields: Object.keys(plan.project),
+      });
+    }
+
+    const timezone = isValidTimezone(target.project.settings?.timezone) ? target.project.settings.timezone : 'UTC';
+
+    for (const operation of plan.operations) {
+      const { model } = SNAPSHOT_SECTIONS[operation.section];
+      const change = {
+        entity_type: operation.entityType,
+        entity_id: operation.id,
+        entity_name: operation.name,
+        action: operation.action,
+        fields: operation.fields,
+      };
+      changes.push(change);
+
+      if (operation.action === 'delete') {
+        await model.query(trx).findById(operation.id).patch({ deleted_at: now });
+        continue;
+      }
+
+      const references = [operation.values.database_id, operation.values.query_id].filter(Boolean);
+      if (references.some(id => skipped.has(id))) {
+        skipped.add(operation.id);
+        Object.assign(change, { action: 'skip', reason: 'It references an entity that could not be restored' });
+        continue;
+      }
+
+      // Deleted entities are usually still there, soft-deleted
+      const row = await model.query(trx).findById(operation.id);
+      const values = { ...operation.values };
+
+      if (values.connection_config) {
+        values.connection_config = ProjectDatabase.mergeConnectionConfig(row?.connection_config, values.connection_config);
+      }
+      // Like a schedule update: a new expression or reactivation starts over
+      if (operation.section === 'schedules' && (values.cron_expression || values.is_active)) {
+        const schedule = Schedule.fromDatabaseJson({ cron_expression: values.cron_expression || row.cron_expression });
+        Object.assign(values, { next_run_at: schedule.getNextRunAt(timezone), retry_attempt: 0 });
+      }
+
+      if (row) {
+        if (row.deleted_at) {
+          values.deleted_at = null;
+          change.action = 'restore';
+        }
+        await row.$query(trx).patch({ ...values, updated_at: now });
+        continue;
+      }
+
+      const hasSecrets = operation.section === 'webhooks'
+        || Object.values(values.connection_config || {}).includes(REDACTED);
+      if (hasSecrets) {
+        skipped.add(operation.id);
+        Object.assign(change, { action: 'skip', reason: 'Its secrets are not stored in snapshots' });
+        continue;
+      }
+
+      const columns = Object.fromEntries(Object.entries(values).filter(([, value]) => value !== null));
+      await model.query(trx).insert({ ...columns, id: operation.id, project_id: projectId, created_by: userId });
+    }
+
+    return changes;
+  }
+}
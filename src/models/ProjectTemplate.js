@@ -1,6 +1,170 @@
 import { BaseModel } from './BaseModel.js';
 import { v4 as uuidv4 } from 'uuid';
 import { logger } from '../utils/logger.js';
+import { ProjectDatabase } from './ProjectDatabase.js';
+import { ProjectMember } from './ProjectMember.js';
+import { ProjectActivity } from './ProjectActivity.js';
+import { ProjectVersion } from './ProjectVersion.js';
+import { Query } from './Query.js';
+import { REDACTED } from '../utils/encryption.js';
+import { jsonEqual } from '../utils/canonicalJson.js';
+import {
+  TemplateVariableError, checkVariableDefinitions, findPlaceholders, renderTemplate, resolveVariables,
+} from '../utils/templateVariables.js';
+
+// Fields of databases and saved queries a template carries
+const DATABASE_FIELDS = ['name', 'description', 'type', 'is_primary', 'connection_config', 'metadata'];
+const QUERY_FIELDS = ['name', 'description', 'query', 'parameters', 'tags'];
+// Connection fields that locate a database, turned into variables so a template never carries them
+const LOCATION_FIELDS = { host: 'Host', username: 'Username', database: 'Database name', filename: 'File' };
+
+const pick = (json, fields) => Object.fromEntries(
+  fields.filter(field => json[field] !== undefined && json[field] !== null).map(field => [field, json[field]])
+);
+
+// Variable-name-like key for a database name, unique among `taken`
+const databaseKey = (name, taken) => {
+  let key = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'database';
+  if (/^[0-9]/.test(key)) key = `db_${key}`;
+  let unique = key;
+  for (let n = 2; taken.has(unique); n++) unique = `${key}_${n}`;
+  taken.add(unique);
+  return unique;
+};
+
+// Sections an upgrade merges, entities keyed by database key and query name
+export const UPGRADE_SECTIONS = {
+  databases: { entityType: 'database', fields: DATABASE_FIELDS },
+  queries: { entityType: 'query', fields: ['database', ...QUERY_FIELDS] },
+};
+
+/**
+ * Rendered template content in the shape an upgrade merges: settings, and
+ * databases and queries by key (a query's is its name unless it has a `key`).
+ * Database passwords are left out, they are never merged.
+ * @param {Object} content - `settings`, `databases` (with `key`) and `queries` (with `database`)
+ * @returns {{settings: Object, databases: Object, queries: Object}}
+ */
+export function upgradeState({ settings = {}, databases = [], queries = [] }) {
+  return {
+    settings,
+    databases: Object.fromEntries(databases.map(({ key, ...database }) => {
+      const { password, ...connectionConfig } = database.connection_config || {};
+      return [key, { ...pick(database, DATABASE_FIELDS), connection_config: connectionConfig }];
+    })),
+    queries: Object.fromEntries(queries.map(query => [query.key ?? query.name, pick(query, UPGRADE_SECTIONS.queries.fields)])),
+  };
+}
+
+const same = (a, b) => jsonEqual(a ?? null, b ?? null);
+// Entity fields left at their default ('', false, [] or {}) count as missing
+const blank = value => value === '' || value === false || (value && typeof value === 'object' && !Object.keys(value).length);
+const sameField = (a, b) => same(blank(a) ? null : a, blank(b) ? null : b);
+const changedFields = (before, after, fields) => fields.filter(field => !sameField(before[field], after[field]));
+
+/**
+ * Three-way merge of template changes into a project. What changed between
+ * the template version the project follows (`base`) and the new one
+ * (`template`) is applied where the project still has the base value; where
+ * the project changed it too, differently, it is a conflict and the project
+ * keeps its value.
+ * @param {Object} base - upgradeState of the version the project follows
+ * @param {Object} template - upgradeState of the new version
+ * @param {Object} project - upgradeState of the project
+ * @returns {{changes: Array<Object>, conflicts: Array<Object>}} Changes
+ *   `{entity_type, key, action, fields, values}`, action being create, update or
+ *   delete (settings: `values` holds the new value, null when removed), and conflicts
+ *   `{entity_type, key, field, reason, base, project, template}`, field being
+ *   null when the whole entity conflicts
+ */
+export function planUpgrade(base, template, project) {
+  const changes = [];
+  const conflicts = [];
+  const conflict = (entityType, key, field, reason, values) => conflicts.push({
+    entity_type: entityType,
+    key,
+    field,
+    reason,
+    base: values[0] ?? null,
+    project: values[1] ?? null,
+    template: values[2] ?? null,
+  });
+
+  for (const key of new Set([...Object.keys(base.settings), ...Object.keys(template.settings)])) {
+    const values = [base.settings[key], project.settings[key], template.settings[key]];
+    if (same(values[0], values[2]) || same(values[1], values[2])) continue;
+
+    if (same(values[1], values[0])) {
+      changes.push({
+        entity_type: 'setting',
+        key,
+        action: values[2] === undefined ? 'delete' : values[1] === undefined ? 'create' : 'update',
+        fields: [key],
+        values: { [key]: values[2] ?? null },
+      });
+    } else {
+      conflict('setting', key, key, 'Changed in both the project and the template', values);
+    }
+  }
+
+  for (const [section, { entityType, fields }] of Object.entries(UPGRADE_SECTIONS)) {
+    const keys = new Set([...Object.keys(base[section]), ...Object.keys(template[section])]);
+
+    for (const key of keys) {
+      const was = base[section][key];
+      const local = project[section][key];
+      const upstream = template[section][key];
+      const values = [was, local, upstream];
+
+      if (!upstream) {
+        if (!local) continue;
+        if (changedFields(was, local, fields).length) {
+          conflict(entityType, key, null, 'Changed in the project but removed from the template', values);
+        } else {
+          changes.push({ entity_type: entityType, key, action: 'delete', fields: [], values: {} });
+        }
+        continue;
+      }
+
+      if (!was) {
+        if (!local) {
+          changes.push({ entity_type: entityType, key, action: 'create', fields, values: upstream });
+        } else if (changedFields(local, upstream, fields).length) {
+          conflict(entityType, key, null, 'Already in the project, different from the one added to the template', values);
+        }
+        continue;
+      }
+
+      const upstreamFields = changedFields(was, upstream, fields);
+      if (!upstreamFields.length) continue;
+      if (!local) {
+        conflict(entityType, key, null, 'Deleted in the project but changed in the template', values);
+        continue;
+      }
+
+      const taken = [];
+      for (const field of upstreamFields) {
+        if (sameField(local[field], upstream[field])) continue;
+        if (sameField(local[field], was[field])) {
+          taken.push(field);
+        } else {
+          conflict(entityType, key, field, 'Changed in both the project and the template', [was[field], local[field], upstream[field]]);
+        }
+      }
+      if (taken.length) {
+        changes.push({
+          entity_type: entityType,
+          key,
+          action: 'update',
+          fields: taken,
+          values: Object.fromEntries(taken.map(field => [field, upstream[field] ?? null])),
+        });
+      }
+    }
+  }
+
+  return { changes, conflicts };
+}
 
 export class ProjectTemplate extends BaseModel {
   static get tableName() {
@@ -24,6 +188,9 @@ export class ProjectTemplate extends BaseModel {
         is_public: { type: 'boolean', default: false },
         is_featured: { type: 'boolean', default: false },
         version: { type: 'string', default: '1.0.0' },
+        // Version this one replaced; every version shares the first one's ID as lineage
+        previous_version_id: { type: ['string', 'null'], format: 'uuid' },
+        lineage_id: { type: 'string', format: 'uuid' },
         metadata: {
           type: 'object',
           default: {},
@@ -50,6 +217,8 @@ export class ProjectTemplate extends BaseModel {
                   label: { type: 'string' },
                   description: { type: 'string' },
                   required: { type: 'boolean', default: true },
+                  // Secret values (e.g. passwords) are not kept on the projects created
+                  secret: { type: 'boolean', default: false },
                   default: { type: ['string', 'number', 'boolean', 'null'] },
                   options: {
                     type: 'array',
@@ -79,6 +248,40 @@ export class ProjectTemplate extends BaseModel {
             }
           }
         },
+        // Databases and saved queries to create, with `{{variable}}` placeholders.
+        // Queries name their database by `key`.
+        content: {
+          type: 'object',
+          default: {},
+          properties: {
+            databases: {
+              type: 'array',
+              default: [],
+              items: {
+                type: 'object',
+                required: ['key', 'name', 'type'],
+                properties: {
+                  key: { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]*$', maxLength: 100 },
+                  name: { type: 'string' },
+                  type: { type: 'string' },
+                },
+              },
+            },
+            queries: {
+              type: 'array',
+              default: [],
+              items: {
+                type: 'object',
+                required: ['database', 'name', 'query'],
+                properties: {
+                  database: { type: 'string' },
+                  name: { type: 'string' },
+                  query: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
         created_by: { type: 'string', format: 'uuid' },
         updated_by: { type: ['string', 'null'], format: 'uuid' },
         created_at: { type: 'string', format: 'date-time' },
@@ -106,6 +309,14 @@ export class ProjectTemplate extends BaseModel {
           to: 'users.id',
         },
       },
+      previousVersion: {
+        relation: this.BelongsToOneRelation,
+        modelClass: 'ProjectTemplate.js',
+        join: {
+          from: 'project_templates.previous_version_id',
+          to: 'project_templates.id',
+        },
+      },
       projects: {
         relation: this.HasManyRelation,
         modelClass: 'Project.js',
@@ -119,6 +330,14 @@ export class ProjectTemplate extends BaseModel {
 
   $beforeInsert() {
     super.$beforeInsert();
+
+    // A first version starts its own lineage
+    if (!this.id) {
+      this.id = uuidv4();
+    }
+    if (!this.lineage_id) {
+      this.lineage_id = this.id;
+    }
     
     // Set default values
     if (!this.metadata) {
@@ -136,7 +355,168 @@ export class ProjectTemplate extends BaseModel {
   }
 
   /**
-   * Create a new project from this template
+   * Whether a user may see and use this template: public ones, and their own
+   * @param {string} userId - User ID
+   * @returns {boolean}
+   */
+  isVisibleTo(userId) {
+    return !this.deleted_at && (this.is_public || this.created_by === userId);
+  }
+
+  /**
+   * Templates a user can see, latest versions only, featured ones first
+   * @param {Object} options - Filters and pagination
+   * @param {string} options.userId - User browsing
+   * @param {boolean} [options.featured] - Only featured templates
+   * @param {string} [options.category] - Only this category
+   * @param {Array<string>} [options.tags] - Only templates with all these tags
+   * @param {string} [options.search] - Text in the name or description
+   * @param {number} [options.limit=20] - Number of items to return
+   * @param {number} [options.offset=0] - Offset for pagination
+   * @returns {Promise<{results: Array<ProjectTemplate>, total: number}>}
+   */
+  static async browse({ userId, featured, category, tags = [], search, limit = 20, offset = 0 }) {
+    const query = this.query()
+      .whereNull('deleted_at')
+      .where(builder => builder.where('is_public', true).orWhere('created_by', userId))
+      // Only the latest version of each template
+      .whereNotExists(
+        ProjectTemplate.query()
+          .alias('newer')
+          .whereColumn('newer.previous_version_id', 'project_templates.id')
+          .whereNull('newer.deleted_at')
+      )
+      .modify(builder => {
+        if (featured) builder.where('is_featured', true);
+        if (category) builder.where('category', category);
+        if (tags.length) builder.whereJsonSupersetOf('metadata:tags', tags);
+        if (search) {
+          builder.where(inner => inner
+            .where('name', 'ilike', `%${search}%`)
+            .orWhere('description', 'ilike', `%${search}%`));
+        }
+      });
+
+    const [results, total] = await Promise.all([
+      query.clone().orderBy('is_featured', 'desc').orderBy('name', 'asc').limit(limit).offset(offset),
+      query.clone().resultSize(),
+    ]);
+    return { results, total };
+  }
+
+  /**
+   * Settings, databases and saved queries of a project as template content.
+   * Database passwords are never copied: each one becomes a required secret
+   * variable (`<database key>_password`). Hosts, usernames, database names
+   * and files become required variables the same way (`<database key>_host`...),
+   * unless they already use variables.
+   * @param {string} projectId - Project to copy
+   * @param {Object} [variables] - Definitions of the `{{variables}}` used in the project
+   * @returns {Promise<{project: Object, settings: Object, content: Object, variables: Object}>}
+   *   The project, and the template settings, content and variable definitions
+   * @throws {TemplateVariableError} When definitions are invalid or placeholders undeclared
+   */
+  static async captureProject(projectId, variables = {}) {
+    const { default: Project } = await import('./Project.js');
+    const project = await Project.query().findById(projectId);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    const [databases, queries] = await Promise.all([
+      ProjectDatabase.query().where('project_id', projectId).whereNull('deleted_at').orderBy('created_at'),
+      Query.query().where('project_id', projectId).whereNull('deleted_at').orderBy('created_at'),
+    ]);
+
+    const definitions = {};
+    const keys = new Set();
+    const keyById = new Map();
+    const templateDatabases = databases.map(database => {
+      const json = database.toJSON();
+      const key = databaseKey(json.name, keys);
+      keyById.set(database.id, key);
+
+      const connectionConfig = { ...json.connection_config };
+      if (connectionConfig.password === REDACTED) {
+        connectionConfig.password = `{{${key}_password}}`;
+        definitions[`${key}_password`] = {
+          type: 'string',
+          label: `Password of database ${json.name}`,
+          required: true,
+          secret: true,
+        };
+      }
+      for (const [field, label] of Object.entries(LOCATION_FIELDS)) {
+        const value = connectionConfig[field];
+        if (typeof value !== 'string' || !value || findPlaceholders(value).length) continue;
+
+        connectionConfig[field] = `{{${key}_${field}}}`;
+        definitions[`${key}_${field}`] = {
+          type: 'string',
+          label: `${label} of database ${json.name}`,
+          required: true,
+        };
+      }
+      return { key, ...pick(json, DATABASE_FIELDS), connection_config: connectionConfig };
+    });
+
+    const content = {
+      databases: templateDatabases,
+      queries: queries
+        .filter(query => keyById.has(query.database_id))
+        .map(query => ({ database: keyById.get(query.database_id), ...pick(query.toJSON(), QUERY_FIELDS) })),
+    };
+
+    Object.assign(definitions, variables);
+    const errors = checkVariableDefinitions(definitions);
+    findPlaceholders([project.settings, content])
+      .filter(variable => !definitions[variable])
+      .forEach(variable => errors.push({ variable, message: 'is used but not declared' }));
+    if (errors.length) {
+      throw new TemplateVariableError('Invalid template variables', errors);
+    }
+
+    return { project, settings: project.settings || {}, content, variables: definitions };
+  }
+
+  /**
+   * Create a template from a project's settings, databases and saved
+   * queries (see captureProject)
+   * @param {string} projectId - Project to copy
+   * @param {string} userId - User creating the template
+   * @param {Object} options - Template fields
+   * @param {string} options.name - Template name
+   * @param {string} [options.description] - Template description
+   * @param {string} [options.category] - Category
+   * @param {Array<string>} [options.tags] - Tags
+   * @param {boolean} [options.isPublic=false] - Whether every user can see it
+   * @param {Object} [options.variables] - Definitions of the `{{variables}}` used in the project
+   * @returns {Promise<ProjectTemplate>} - The created template
+   * @throws {TemplateVariableError} When definitions are invalid or placeholders undeclared
+   */
+  static async createFromProject(projectId, userId, { name, description = null, category, tags = [], isPublic = false, variables = {} }) {
+    const { project, settings, content, variables: definitions } = await this.captureProject(projectId, variables);
+
+    return this.query().insert({
+      name,
+      description,
+      category,
+      is_public: isPublic,
+      version: '1.0.0',
+      settings,
+      content,
+      metadata: {
+        tags: [...new Set(tags)],
+        variables: definitions,
+        source_project_id: project.id,
+      },
+      created_by: userId,
+    });
+  }
+
+  /**
+   * Create a new project from this template: its settings, databases and
+   * saved queries with the variables substituted, and the user as admin
    * @param {string} userId - ID of the user creating the project
    * @param {Object} options - Project creation options
    * @param {string} options.name - Name for the new project
@@ -144,62 +524,115 @@ export class ProjectTemplate extends BaseModel {
    * @param {Object} options.variables - Template variables
    * @param {Object} options.settings - Project settings
    * @returns {Promise<Object>} - The created project
+   * @throws {TemplateVariableError} When variables are missing or invalid
    */
   async createProject(userId, options = {}) {
     const { name, description, variables = {}, settings = {} } = options;
-    
+
     // Get the project data with template placeholders replaced
-    const projectData = await this.getProjectData(variables);
-    
-    // Create the project
+    const projectData = this.getProjectData(variables);
+
+    // Only non-secret values are kept, to show how the project was set up
+    const definitions = this.metadata?.variables || {};
+    const keptVariables = Object.fromEntries(
+      Object.entries(projectData.variables).filter(([variable]) => !definitions[variable]?.secret)
+    );
+
+    // Which project entity each template database and query becomes, for upgrades
+    const databaseIds = Object.fromEntries(projectData.databases.map(database => [database.key, uuidv4()]));
+    const queryIds = Object.fromEntries(projectData.queries.map(query => [query.name, uuidv4()]));
+
     const { default: Project } = await import('./Project.js');
-    const project = await Project.query().insert({
-      id: uuidv4(),
-      name: name || this.name,
-      description: description || this.description,
-      template_id: this.id,
-      created_by: userId,
-      settings: { ...this.settings, ...settings },
-      metadata: {
-        ...this.metadata,
-        created_from_template: true,
-        template_version: this.version,
-        template_variables: variables
-      }
-    });
+    return ProjectTemplate.transaction(async trx => {
+      const project = await Project.query(trx).insert({
+        id: uuidv4(),
+        name: name || projectData.project.name,
+        description: description || projectData.project.description,
+        template_id: this.id,
+        is_template: false,
+        is_public: false,
+        is_active: true,
+        created_by: userId,
+        settings: { ...projectData.project.settings, ...settings },
+        metadata: {
+          created_from_template: true,
+          template_id: this.id,
+          template_version: this.version,
+          template_variables: keptVariables,
+          template_entities: { databases: databaseIds, queries: queryIds },
+        },
+      });
 
-    // Add creator as admin
-    await project.addMember(userId, 'admin', userId);
+      // Add creator as admin
+      await ProjectMember.query(trx).insert({
+        project_id: project.id,
+        user_id: userId,
+        role: ProjectMember.ROLES.ADMIN.key,
+        invited_by: userId,
+        joined_at: new Date().toISOString(),
+      });
 
-    // Import the template data into the project
-    await project.importData(projectData, userId);
+      for (const { key, ...database } of projectData.databases) {
+        await ProjectDatabase.query(trx).insert({
+          ...database,
+          id: databaseIds[key],
+          project_id: project.id,
+          created_by: userId,
+        });
+      }
 
-    return project;
+      for (const { database, ...query } of projectData.queries) {
+        await Query.query(trx).insert({
+          ...query,
+          id: queryIds[query.name],
+          project_id: project.id,
+          database_id: databaseIds[database],
+          created_by: userId,
+        });
+      }
+
+      return project;
+    });
   }
 
   /**
-   * Get project data with template placeholders replaced
-   * @param {Object} variables - Template variables
-   * @returns {Promise<Object>} - Project data with placeholders replaced
+   * Project data of this template with `{{variable}}` placeholders replaced
+   * in the settings, databases and saved queries
+   * @param {Object} variables - Template variables; declared defaults fill in the rest
+   * @returns {Object} - `variables` (resolved values), `project`, `databases` and `queries`
+   * @throws {TemplateVariableError} When variables are missing or invalid
    */
-  async getProjectData(variables = {}) {
-    // In a real implementation, this would fetch the template data
-    // and replace placeholders with the provided variables
-    // For now, return a basic structure
+  getProjectData(variables = {}) {
+    const values = resolveVariables(this.metadata?.variables || {}, variables);
+    const { settings, databases, queries } = this.renderContent(values);
+
     return {
+      variables: values,
       project: {
         name: this.name,
         description: this.description,
-        settings: this.settings,
-        metadata: {
-          ...this.metadata,
-          created_from_template: true,
-          template_id: this.id,
-          template_version: this.version
-        }
+        settings,
       },
-      databases: [],
-      queries: []
+      databases,
+      queries,
+    };
+  }
+
+  /**
+   * Settings, databases and saved queries of this template with the
+   * placeholders of the given values replaced; others are left as they are
+   * @param {Object} values - Values by variable name, already resolved
+   * @returns {{settings: Object, databases: Array<Object>, queries: Array<Object>}}
+   */
+  renderContent(values) {
+    const content = renderTemplate(this.content || {}, values);
+    const databases = content.databases || [];
+    const keys = new Set(databases.map(database => database.key));
+
+    return {
+      settings: renderTemplate(this.settings || {}, values),
+      databases,
+      queries: (content.queries || []).filter(query => keys.has(query.database)),
     };
   }
 
@@ -242,48 +675,317 @@ export class ProjectTemplate extends BaseModel {
   }
 
   /**
-   * Create a new version of this template
+   * Latest version of this template's lineage, deleted ones aside
+   * @param {Object} [options]
+   * @param {string} [options.userId] - Only versions this user may see
+   * @param {Object} [options.trx] - Transaction
+   * @returns {Promise<ProjectTemplate|undefined>}
+   */
+  async getLatestVersion({ userId, trx } = {}) {
+    return ProjectTemplate.query(trx)
+      .where('lineage_id', this.lineage_id || this.id)
+      .whereNull('deleted_at')
+      .modify(builder => {
+        if (userId) builder.where(inner => inner.where('is_public', true).orWhere('created_by', userId));
+      })
+      .orderBy('created_at', 'desc')
+      .first();
+  }
+
+  /**
+   * Every version of this template's lineage, newest first
+   * @returns {Promise<Array<ProjectTemplate>>}
+   */
+  async getVersions() {
+    return ProjectTemplate.query()
+      .where('lineage_id', this.lineage_id || this.id)
+      .whereNull('deleted_at')
+      .orderBy('created_at', 'desc');
+  }
+
+  /**
+   * Create a new version of this template. It joins the lineage and the
+   * replaced version is archived: no longer public or featured, but kept for
+   * the projects that follow it.
    * @param {string} userId - ID of the user creating the version
-   * @param {Object} updates - Updates to apply to the template
+   * @param {Object} updates - Fields to change (settings, content, metadata...)
+   * @param {string} [updates.version] - Version number; by default the previous one bumped
+   * @param {string} [updates.level='patch'] - Part to bump: major, minor or patch
    * @returns {Promise<ProjectTemplate>} - The new template version
+   * @throws {Error} When this is not the latest version
    */
   async createNewVersion(userId, updates = {}) {
-    const { version, ...rest } = updates;
-    
-    // Create a copy of the current template
-    const newTemplate = await ProjectTemplate.query().insert({
-      ...this.toJSON(),
-      id: uuidv4(),
-      name: updates.name || this.name,
-      description: updates.description || this.description,
-      version: version || this.incrementVersion(this.version),
-      previous_version_id: this.id,
-      created_by: userId,
-      updated_by: userId,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-      deleted_at: null,
-      ...rest
-    });
+    const { version, level = 'patch', ...rest } = updates;
+
+    return ProjectTemplate.transaction(async trx => {
+      const latest = await this.getLatestVersion({ trx });
+      if (latest && latest.id !== this.id) {
+        throw new Error(`Only the latest version (${latest.version}) of a template can get a new version`);
+      }
 
-    // Archive the old version
-    await this.$query().patch({
-      is_public: false,
-      updated_by: userId,
-      updated_at: new Date().toISOString()
+      const newTemplate = await ProjectTemplate.query(trx).insert({
+        ...pick(this, ['name', 'description', 'category', 'thumbnail_url', 'is_public', 'is_featured', 'settings', 'content', 'metadata']),
+        ...rest,
+        version: version || this.incrementVersion(this.version, level),
+        previous_version_id: this.id,
+        lineage_id: this.lineage_id || this.id,
+        created_by: userId,
+        updated_by: userId,
+      });
+
+      // Archive the old version
+      await this.$query(trx).patch({
+        is_public: false,
+        is_featured: false,
+        updated_by: userId,
+      });
+
+      return newTemplate;
     });
+  }
+
+  /**
+   * Create a new version of this template from a project, the way
+   * createFromProject does for a first one
+   * @param {string} projectId - Project to copy
+   * @param {string} userId - User creating the version
+   * @param {Object} [options]
+   * @param {string} [options.description] - Description of the new version
+   * @param {Object} [options.variables] - Definitions of the `{{variables}}` used in the project
+   * @param {string} [options.version] - Version number
+   * @param {string} [options.level='patch'] - Part to bump: major, minor or patch
+   * @returns {Promise<ProjectTemplate>} - The new template version
+   * @throws {TemplateVariableError} When definitions are invalid or placeholders undeclared
+   */
+  async createVersionFromProject(projectId, userId, { description, variables = {}, version, level } = {}) {
+    const captured = await ProjectTemplate.captureProject(projectId, variables);
 
-    return newTemplate;
+    return this.createNewVersion(userId, {
+      ...(description !== undefined && { description }),
+      settings: captured.settings,
+      content: captured.content,
+      metadata: { ...this.metadata, variables: captured.variables, source_project_id: projectId },
+      version,
+      level,
+    });
   }
 
   /**
    * Increment version number
    * @param {string} version - Current version string (semver)
+   * @param {string} [level='patch'] - Part to bump: major, minor or patch
    * @returns {string} - Incremented version string
    */
-  incrementVersion(version) {
-    const parts = version.split('.').map(Number);
-    parts[parts.length - 1] += 1; // Increment patch version
-    return parts.join('.');
+  incrementVersion(version, level = 'patch') {
+    return ProjectVersion.incrementVersion(version, level);
+  }
+
+  /**
+   * Whether a newer version of the template a project was created from is
+   * available to a user
+   * @param {Object} project - Project
+   * @param {string} userId - User asking
+   * @returns {Promise<Object|null>} `template_id`, `template_name`, `current_version`,
+   *   `latest_template_id`, `latest_version` and `update_available`; null when the
+   *   project was not created from a template
+   */
+  static async checkForUpdate(project, userId) {
+    const current = project.template_id && await this.query().findById(project.template_id);
+    if (!current) {
+      return null;
+    }
+
+    const latest = await current.getLatestVersion({ userId }) || current;
+    return {
+      template_id: current.id,
+      template_name: current.name,
+      current_version: current.version,
+      latest_template_id: latest.id,
+      latest_version: latest.version,
+      update_available: latest.id !== current.id,
+    };
+  }
+
+  /**
+   * Upgrade a project to the latest version of its template. Template changes
+   * since the version the project follows are merged in (see planUpgrade);
+   * conflicting fields keep the project's value and are reported. A version of
+   * the project is saved first as a backup.
+   * @param {Object} project - Project created from a template
+   * @param {string} userId - User upgrading
+   * @param {Object} [options]
+   * @param {Object} [options.variables] - Values of variables: new ones, changed ones,
+   *   and secrets needed by databases the new version adds
+   * @param {boolean} [options.dryRun=false] - Only plan the upgrade
+   * @param {Object} [options.request] - Express request, for the activity log
+   * @returns {Promise<Object>} `from` and `to` ({id, version}), `changes`, `conflicts`,
+   *   `dry_run`, and unless a dry run the `backup_version`
+   * @throws {TemplateVariableError} When variables are missing or invalid
+   */
+  static async upgradeProject(project, userId, { variables = {}, dryRun = false, request = null } = {}) {
+    const current = project.template_id && await this.query().findById(project.template_id);
+    const latest = current && await current.getLatestVersion({ userId });
+    if (!latest || latest.id === current.id) {
+      throw new Error('No newer template version to upgrade to');
+    }
+
+    // Secrets are not kept on projects, so they are only needed for new databases
+    const definitions = Object.fromEntries(Object.entries(latest.metadata?.variables || {}).map(([name, definition]) => [
+      name,
+      definition.secret && variables[name] === undefined ? { ...definition, required: false } : definition,
+    ]));
+    const stored = project.metadata?.template_variables || {};
+    const kept = Object.fromEntries(Object.entries(stored).filter(([name]) => definitions[name]));
+    const resolved = resolveVariables(definitions, { ...kept, ...variables });
+
+    const upstream = latest.renderContent(resolved);
+    const base = upgradeState(current.renderContent(stored));
+    const template = upgradeState(upstream);
+
+    const [databases, queries] = await Promise.all([
+      ProjectDatabase.query().where('project_id', project.id).whereNull('deleted_at'),
+      Query.query().where('project_id', project.id).whereNull('deleted_at'),
+    ]);
+
+    // Projects created before their template entities were recorded are matched by name
+    const byName = (rows, entities) => Object.fromEntries(Object.entries(entities)
+      .map(([key, entity]) => [key, rows.find(row => row.name === entity.name)?.id])
+      .filter(([, id]) => id));
+    const entities = project.metadata?.template_entities || {};
+    const databaseIds = { ...(entities.databases || byName(databases, base.databases)) };
+    const queryIds = { ...(entities.queries || byName(queries, base.queries)) };
+    const databaseKeys = Object.fromEntries(Object.entries(databaseIds).map(([key, id]) => [id, key]));
+    const rowsOf = (rows, ids) => Object.entries(ids).flatMap(([key, id]) => {
+      const row = rows.find(candidate => candidate.id === id);
+      return row ? [{ ...row.toJSON(), key }] : [];
+    });
+
+    const ours = upgradeState({
+      settings: project.settings || {},
+      databases: rowsOf(databases, databaseIds),
+      queries: rowsOf(queries, queryIds).map(query => ({ ...query, database: databaseKeys[query.database_id] ?? query.database_id })),
+    });
+    const plan = planUpgrade(base, template, ours);
+
+    // New databases need their password, new and moved queries their database
+    const rendered = Object.fromEntries(upstream.databases.map(database => [database.key, database]));
+    const available = new Set(Object.keys(ours.databases));
+    const conflicts = plan.conflicts;
+    const changes = plan.changes.filter(change => {
+      const { entity_type: entityType, key, action } = change;
+      const unresolved = (reason) => {
+        conflicts.push({ entity_type: entityType, key, field: null, reason, base: null, project: null, template: change.values });
+        return false;
+      };
+
+      if (entityType === 'database') {
+        const missing = action === 'create' ? findPlaceholders(rendered[key].connection_config?.password) : [];
+        if (missing.length) {
+          return unresolved(`Needs a value for ${missing.join(', ')}`);
+        }
+        if (action === 'delete') available.delete(key);
+        if (action === 'create') available.add(key);
+      }
+      if (entityType === 'query' && change.values.database !== undefined && !available.has(change.values.database)) {
+        return unresolved(`Its database ${change.values.database} is not in the project`);
+      }
+      return true;
+    });
+
+    const result = {
+      from: { id: current.id, version: current.version },
+      to: { id: latest.id, version: latest.version },
+      changes,
+      conflicts,
+      dry_run: dryRun,
+    };
+    if (dryRun) {
+      return result;
+    }
+
+    const { default: Project } = await import('./Project.js');
+    const now = new Date().toISOString();
+    const backupVersion = await this.transaction(async trx => {
+      const backup = await ProjectVersion.createVersion(project.id, userId, {
+        name: `Backup before upgrading to ${latest.name} ${latest.version}`,
+        description: `Backup created before upgrading from template version ${current.version} to ${latest.version}`,
+        metadata: { is_backup: true, template_id: latest.id },
+      }, trx);
+
+      const settings = { ...project.settings };
+      for (const change of changes) {
+        const { entity_type: entityType, key, action } = change;
+        if (entityType === 'setting') {
+          if (action === 'delete') {
+            delete settings[key];
+          } else {
+            settings[key] = change.values[key];
+          }
+          continue;
+        }
+
+        const [model, ids] = entityType === 'database' ? [ProjectDatabase, databaseIds] : [Query, queryIds];
+        if (action === 'delete') {
+          await model.query(trx).findById(ids[key]).patch({ deleted_at: now });
+          delete ids[key];
+          continue;
+        }
+
+        const { database, ...values } = change.values;
+        if (database !== undefined) {
+          values.database_id = databaseIds[database];
+        }
+
+        if (action === 'create') {
+          ids[key] = uuidv4();
+          if (entityType === 'database') {
+            values.connection_config = rendered[key].connection_config;
+          }
+          await model.query(trx).insert({ ...values, id: ids[key], project_id: project.id, created_by: userId });
+        } else {
+          const row = await model.query(trx).findById(ids[key]);
+          if (values.connection_config) {
+            values.connection_config = ProjectDatabase.mergeConnectionConfig(row.connection_config, values.connection_config);
+          }
+          await row.$query(trx).patch({ ...values, updated_at: now });
+        }
+      }
+
+      const secrets = latest.metadata?.variables || {};
+      await Project.query(trx).findById(project.id).patch({
+        template_id: latest.id,
+        settings,
+        metadata: {
+          ...project.metadata,
+          template_id: latest.id,
+          template_version: latest.version,
+          template_variables: Object.fromEntries(Object.entries(resolved).filter(([name]) => !secrets[name]?.secret)),
+          template_entities: { databases: databaseIds, queries: queryIds },
+          template_upgraded_at: now,
+        },
+        updated_at: now,
+      });
+
+      return backup;
+    });
+
+    await ProjectActivity.record({
+      projectId: project.id,
+      userId,
+      action: 'update',
+      entityType: 'template',
+      entityId: latest.id,
+      entityName: latest.name,
+      metadata: {
+        from_version: current.version,
+        to_version: latest.version,
+        backup_version_id: backupVersion.id,
+        changes: changes.map(({ entity_type, key, action, fields }) => ({ entity_type, key, action, fields })),
+        conflicts: conflicts.map(({ entity_type, key, field, reason }) => ({ entity_type, key, field, reason })),
+      },
+      request,
+    });
+
+    return { ...result, backup_version: backupVersion };
   }
 }
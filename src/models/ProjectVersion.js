@@ -1,6 +1,9 @@
 import { BaseModel } from './BaseModel.js';
 import { v4 as uuidv4 } from 'uuid';
 import { logger } from '../utils/logger.js';
+import { ProjectActivity } from './ProjectActivity.js';
+import { ProjectSnapshot, diffSnapshots, snapshotPatch } from './ProjectSnapshot.js';
+import { User } from './User.js';
 
 export class ProjectVersion extends BaseModel {
   static get tableName() {
@@ -22,6 +25,7 @@ export class ProjectVersion extends BaseModel {
         name: { type: 'string', maxLength: 255 },
         description: { type: ['string', 'null'], maxLength: 1000 },
         is_current: { type: 'boolean', default: false },
+        snapshot_hash: { type: ['string', 'null'], minLength: 64, maxLength: 64 },
         metadata: {
           type: 'object',
           default: {},
@@ -30,6 +34,8 @@ export class ProjectVersion extends BaseModel {
             query_count: { type: 'number', default: 0 },
             database_count: { type: 'number', default: 0 },
             dashboard_count: { type: 'number', default: 0 },
+            schedule_count: { type: 'number', default: 0 },
+            webhook_count: { type: 'number', default: 0 },
             size: { type: 'number', default: 0 }, // Size in bytes
             tags: { type: 'array', items: { type: 'string' }, default: [] },
           }
@@ -51,6 +57,14 @@ export class ProjectVersion extends BaseModel {
           to: 'projects.id',
         },
       },
+      snapshot: {
+        relation: this.BelongsToOneRelation,
+        modelClass: 'ProjectSnapshot.js',
+        join: {
+          from: 'project_versions.snapshot_hash',
+          to: 'project_snapshots.hash',
+        },
+      },
       createdBy: {
         relation: this.BelongsToOneRelation,
         modelClass: 'User.js',
@@ -102,73 +116,101 @@ export class ProjectVersion extends BaseModel {
    * @param {number} [options.offset=0] - Offset for pagination
    * @param {string} [options.sortBy='created_at'] - Field to sort by
    * @param {string} [options.sortOrder='DESC'] - Sort order (ASC or DESC)
-   * @returns {Promise<Array>} - List of versions
+   * @param {string} [options.tag] - Only versions with this tag
+   * @returns {Promise<{results: Array<ProjectVersion>, total: number}>} - Page of versions and their total
    */
   static async getByProject(
     projectId,
-    { limit = 50, offset = 0, sortBy = 'created_at', sortOrder = 'DESC' } = {}
+    { limit = 50, offset = 0, sortBy = 'created_at', sortOrder = 'DESC', tag = null } = {}
   ) {
-    return this.query()
+    const query = this.query()
+      .where('project_id', projectId)
+      .modify(builder => {
+        if (tag) builder.whereJsonSupersetOf('metadata:tags', [tag]);
+      });
+
+    const [results, total] = await Promise.all([
+      query.clone().orderBy(sortBy, sortOrder).limit(limit).offset(offset),
+      query.clone().resultSize(),
+    ]);
+    return { results, total };
+  }
+
+  /**
+   * Get the most recently created version of a project
+   * @param {string} projectId - Project ID
+   * @param {Object} [trx] - Transaction
+   * @returns {Promise<ProjectVersion|undefined>}
+   */
+  static async getLatestVersion(projectId, trx) {
+    return this.query(trx)
       .where('project_id', projectId)
-      .orderBy(sortBy, sortOrder)
-      .limit(limit)
-      .offset(offset);
+      .orderBy('created_at', 'DESC')
+      .first();
   }
 
   /**
-   * Create a new version for a project
+   * Create a new version for a project, with a snapshot of its current
+   * configuration (settings, databases, saved queries, schedules, webhooks)
    * @param {string} projectId - Project ID
    * @param {string} userId - User ID creating the version
    * @param {Object} data - Version data
    * @param {string} data.name - Version name
    * @param {string} [data.description] - Version description
-   * @param {string} [data.version] - Version number (auto-generated if not provided)
-   * @param {Object} [metadata] - Additional metadata
+   * @param {string} [data.version] - Version number (by default the latest one, incremented)
+   * @param {string} [data.level='patch'] - Part of the latest version number to increment: major, minor or patch
+   * @param {Object} [data.metadata] - Additional metadata (e.g. `tags`)
+   * @param {Object} [trx] - Transaction to create it in
    * @returns {Promise<ProjectVersion>} - The created version
    */
-  static async createVersion(projectId, userId, { name, description = '', version = null, metadata = {} }) {
-    const trx = await this.startTransaction();
-    
-    try {
-      // Get the current version to determine the next version number
-      const currentVersion = await this.getCurrentVersion(projectId);
-      
-      // Generate version number if not provided
-      if (!version) {
-        version = currentVersion 
-          ? this.incrementVersion(currentVersion.version) 
-          : '1.0.0';
-      }
-      
-      // Mark current version as not current
-      if (currentVersion) {
-        await currentVersion.$query(trx).patch({ is_current: false });
-      }
-      
-      // Create new version
-      const newVersion = await this.query(trx).insert({
-        id: uuidv4(),
-        project_id: projectId,
-        version,
-        name,
-        description,
-        is_current: true,
-        metadata: {
-          ...metadata,
-          created_from_version: currentVersion?.id || null,
-        },
-        created_by: userId,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-      });
-      
-      await trx.commit();
-      return newVersion;
-    } catch (error) {
-      await trx.rollback();
-      logger.error('Error creating project version:', error);
-      throw error;
+  static async createVersion(projectId, userId, { name, description = '', version = null, level = 'patch', metadata = {} }, trx = null) {
+    if (!trx) {
+      return this.transaction(trx => this.createVersion(projectId, userId, { name, description, version, level, metadata }, trx));
     }
+
+    const snapshot = await ProjectSnapshot.capture(projectId, trx);
+    await ProjectSnapshot.store(projectId, snapshot, trx);
+
+    const currentVersion = await this.query(trx)
+      .where('project_id', projectId)
+      .where('is_current', true)
+      .first();
+    const latestVersion = await this.getLatestVersion(projectId, trx);
+
+    await this.query(trx)
+      .where('project_id', projectId)
+      .where('is_current', true)
+      .patch({ is_current: false });
+
+    return this.query(trx).insert({
+      project_id: projectId,
+      version: version || this.incrementVersion(latestVersion?.version, level),
+      name,
+      description,
+      is_current: true,
+      snapshot_hash: snapshot.hash,
+      metadata: {
+        ...metadata,
+        database_count: snapshot.data.databases.length,
+        query_count: snapshot.data.queries.length,
+        schedule_count: snapshot.data.schedules.length,
+        webhook_count: snapshot.data.webhooks.length,
+        size: snapshot.size,
+        created_from_version: currentVersion?.id || null,
+      },
+      created_by: userId,
+    });
+  }
+
+  /**
+   * Replace the tags of the version
+   * @param {Array<string>} tags - Tags; duplicates are dropped
+   * @returns {Promise<ProjectVersion>} - The updated version
+   */
+  async setTags(tags) {
+    return this.$query().patchAndFetch({
+      metadata: { ...this.metadata, tags: [...new Set(tags)] },
+    });
   }
 
   /**
@@ -213,145 +255,157 @@ export class ProjectVersion extends BaseModel {
   }
 
   /**
-   * Restore a previous version of the project
-   * This creates a new version with the restored data
+   * Restore a previous version of the project. In one transaction, the
+   * current state is saved as a backup version (unless the current version
+   * already holds it), the project is brought back to the snapshot of the
+   * version, and the result becomes a new current version.
    * @param {string} versionId - Version ID to restore
    * @param {string} userId - User ID performing the restore
    * @param {string} [restoreName] - Name for the restored version
    * @param {string} [restoreDescription] - Description for the restored version
-   * @returns {Promise<Object>} - Restore result
+   * @param {Object} [request] - Express request object for the activity log
+   * @returns {Promise<Object>} - Restore result: `restoredVersion`, `backupVersion` and the `changes` made
    */
-  static async restoreVersion(versionId, userId, restoreName, restoreDescription) {
-    const trx = await this.startTransaction();
-    
+  static async restoreVersion(versionId, userId, restoreName, restoreDescription, request = null) {
+    let versionToRestore;
+
     try {
-      // Get the version to restore
-      const versionToRestore = await this.query(trx).findById(versionId);
-      if (!versionToRestore) {
-        throw new Error('Version not found');
-      }
-      
-      // Get the project
-      const { default: Project } = await import('./Project.js');
-      const project = await Project.query(trx).findById(versionToRestore.project_id);
-      if (!project) {
-        throw new Error('Project not found');
-      }
-      
-      // Create a backup of the current state
-      const currentVersion = await this.getCurrentVersion(project.id);
-      const backupName = restoreName || `Backup before restoring ${versionToRestore.name || versionToRestore.version}`;
-      const backupDescription = restoreDescription || `Backup created before restoring to version ${versionToRestore.version}`;
-      
-      // Create a new version with the current state as a backup
-      const backupVersion = await this.query(trx).insert({
-        id: uuidv4(),
-        project_id: project.id,
-        version: this.incrementVersion(currentVersion?.version, 'patch'),
-        name: backupName,
-        description: backupDescription,
-        is_current: false,
-        metadata: {
-          ...(currentVersion?.metadata || {}),
-          is_backup: true,
-          restored_from: versionId,
-        },
-        created_by: userId,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
+      const result = await this.transaction(async trx => {
+        versionToRestore = await this.query(trx).findById(versionId);
+        if (!versionToRestore) {
+          throw new Error('Version not found');
+        }
+
+        const snapshot = versionToRestore.snapshot_hash
+          && await ProjectSnapshot.query(trx).findById(versionToRestore.snapshot_hash);
+        if (!snapshot) {
+          throw new Error('Version has no snapshot to restore');
+        }
+
+        const projectId = versionToRestore.project_id;
+        const label = versionToRestore.name || versionToRestore.version;
+
+        // Nothing to back up when the current version matches the project
+        const current = await ProjectSnapshot.capture(projectId, trx);
+        let backupVersion = await this.query(trx)
+          .where('project_id', projectId)
+          .where('is_current', true)
+          .first();
+        if (backupVersion?.snapshot_hash !== current.hash) {
+          backupVersion = await this.createVersion(projectId, userId, {
+            name: `Backup before restoring ${label}`,
+            description: `Backup created before restoring to version ${versionToRestore.version}`,
+            metadata: { is_backup: true, restored_from: versionId },
+          }, trx);
+        }
+
+        const changes = await ProjectSnapshot.restore(projectId, snapshot.data, { userId, trx });
+
+        const restoredVersion = await this.createVersion(projectId, userId, {
+          name: restoreName || `Restored: ${label}`,
+          description: restoreDescription || `Restored from version ${versionToRestore.version}`,
+          metadata: {
+            restored_from: versionId,
+            restored_at: new Date().toISOString(),
+            restored_by: userId,
+            backup_version_id: backupVersion.id,
+          },
+        }, trx);
+
+        return { restoredVersion, backupVersion, changes };
       });
-      
-      // TODO: Restore the actual project data from the version
-      // This would involve restoring queries, databases, dashboards, etc.
-      // The implementation would depend on how you're storing versioned data
-      
-      // Create a new version with the restored data
-      const restoredVersion = await this.query(trx).insert({
-        id: uuidv4(),
-        project_id: project.id,
-        version: this.incrementVersion(versionToRestore.version, 'patch'),
-        name: restoreName || `Restored: ${versionToRestore.name || versionToRestore.version}`,
-        description: restoreDescription || `Restored from version ${versionToRestore.version}`,
-        is_current: true,
+
+      await ProjectActivity.record({
+        projectId: versionToRestore.project_id,
+        userId,
+        action: 'restore',
+        entityType: 'version',
+        entityId: versionToRestore.id,
+        entityName: versionToRestore.name || versionToRestore.version,
         metadata: {
-          ...(versionToRestore.metadata || {}),
-          restored_from: versionId,
-          restored_at: new Date().toISOString(),
-          restored_by: userId,
-          backup_version_id: backupVersion.id,
+          version: versionToRestore.version,
+          restored_version_id: result.restoredVersion.id,
+          backup_version_id: result.backupVersion.id,
+          changes: result.changes,
         },
-        created_by: userId,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
+        request,
       });
-      
-      // Mark the current version as not current
-      if (currentVersion) {
-        await currentVersion.$query(trx).patch({ is_current: false });
-      }
-      
-      // Update the project's updated_at timestamp
-      await project.$query(trx).patch({ updated_at: new Date().toISOString() });
-      
-      await trx.commit();
-      
-      return {
-        success: true,
-        restoredVersion,
-        backupVersion,
-      };
+
+      return { success: true, ...result };
     } catch (error) {
-      await trx.rollback();
       logger.error('Error restoring version:', error);
       throw error;
     }
   }
 
   /**
-   * Compare two versions of a project
-   * @param {string} versionId1 - First version ID
-   * @param {string} versionId2 - Second version ID (defaults to current version if not provided)
-   * @returns {Promise<Object>} - Comparison result
+   * Compare two versions of a project, or a version and the live state.
+   * Changes lead from the first to the second.
+   * @param {string|null} versionId1 - First version ID, null for the live state
+   * @param {string|null} [versionId2] - Second version ID, null for the live state
+   * @param {string|null} [projectId] - Project the versions must belong to (required when both are live)
+   * @returns {Promise<Object>} - `version1`, `version2`, the `changes` and `stats` of diffSnapshots(),
+   *   and a JSON `patch` turning the first snapshot into the second
    */
-  static async compareVersions(versionId1, versionId2 = null) {
-    const version1 = await this.query().findById(versionId1);
-    if (!version1) {
-      throw new Error('First version not found');
+  static async compareVersions(versionId1, versionId2 = null, projectId = null) {
+    const load = async (versionId, label) => {
+      if (!versionId) return null;
+      const version = await this.query().findById(versionId);
+      if (!version || (projectId && version.project_id !== projectId)) {
+        throw new Error(`${label} version not found`);
+      }
+      projectId = version.project_id;
+      return version;
+    };
+
+    const version1 = await load(versionId1, 'First');
+    const version2 = await load(versionId2, 'Second');
+    if (!projectId) {
+      throw new Error('Project not found');
     }
-    
-    let version2;
-    if (versionId2) {
-      version2 = await this.query().findById(versionId2);
-      if (!version2) {
-        throw new Error('Second version not found');
+
+    const side = async (version) => {
+      if (!version) {
+        const { data } = await ProjectSnapshot.capture(projectId);
+        return { info: { live: true, captured_at: new Date().toISOString() }, data };
       }
-    } else {
-      // Get current version if second version not provided
-      version2 = await this.getCurrentVersion(version1.project_id);
-      if (!version2) {
-        throw new Error('Current version not found');
+
+      const snapshot = version.snapshot_hash && await ProjectSnapshot.query().findById(version.snapshot_hash);
+      if (!snapshot) {
+        throw new Error(`Version ${version.version} has no snapshot`);
       }
+      return {
+        info: {
+          id: version.id,
+          version: version.version,
+          name: version.name,
+          created_at: version.created_at,
+          created_by: version.created_by,
+        },
+        data: snapshot.data,
+      };
+    };
+
+    const from = await side(version1);
+    const to = await side(version2);
+    const { changes, stats } = diffSnapshots(from.data, to.data);
+
+    // Name members by email rather than user ID
+    const memberIds = changes.filter(change => change.section === 'members').map(change => change.id);
+    if (memberIds.length) {
+      const users = await User.query().findByIds(memberIds).select('id', 'email');
+      const emails = new Map(users.map(user => [user.id, user.email]));
+      changes.forEach(change => {
+        if (change.section === 'members') change.name = emails.get(change.id) || change.id;
+      });
     }
-    
-    // TODO: Implement actual comparison of version data
-    // This would involve comparing the state of queries, databases, etc. between versions
-    
+
     return {
-      version1: {
-        id: version1.id,
-        version: version1.version,
-        name: version1.name,
-        created_at: version1.created_at,
-        created_by: version1.created_by,
-      },
-      version2: version2 ? {
-        id: version2.id,
-        version: version2.version,
-        name: version2.name,
-        created_at: version2.created_at,
-        created_by: version2.created_by,
-      } : null,
-      changes: [], // This would contain the actual differences
+      version1: from.info,
+      version2: to.info,
+      changes,
+      stats,
+      patch: snapshotPatch(from.data, to.data),
     };
   }
 
@@ -369,18 +423,18 @@ export class ProjectVersion extends BaseModel {
       
       // Versions by user
       this.query()
-        .select('users.id', 'users.name', 'users.email')
+        .select('createdBy.id', 'createdBy.first_name', 'createdBy.last_name', 'createdBy.email')
         .count('project_versions.id as version_count')
         .joinRelated('createdBy')
         .where('project_versions.project_id', projectId)
-        .groupBy('users.id', 'users.name', 'users.email')
+        .groupBy('createdBy.id', 'createdBy.first_name', 'createdBy.last_name', 'createdBy.email')
         .orderBy('version_count', 'DESC'),
       
       // Versions by month
       this.knex()
         .select(
-          this.knex.raw("to_char(created_at, 'YYYY-MM') as month"),
-          this.knex.raw('count(*) as version_count')
+          this.knex().raw("to_char(created_at, 'YYYY-MM') as month"),
+          this.knex().raw('count(*)::int as version_count')
         )
         .from('project_versions')
         .where('project_id', projectId)
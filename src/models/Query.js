@@ -0,0 +1,205 @@
+import { BaseModel } from './BaseModel.js';
+
+// Types a saved query parameter can declare
+export const PARAMETER_TYPES = ['string', 'number', 'integer', 'boolean', 'date'];
+
+/**
+ * Saved query: a named, parameterized query shared within a project.
+ *
+ * SQL queries reference parameters as knex named bindings (`:customer_id`),
+ * MongoDB query documents as `{ "$param": "customer_id" }`.
+ */
+export class Query extends BaseModel {
+  static get tableName() {
+    return 'queries';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['project_id', 'database_id', 'name', 'query'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        project_id: { type: 'string', format: 'uuid' },
+        database_id: { type: 'string', format: 'uuid' },
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        description: { type: ['string', 'null'], maxLength: 1000 },
+        query: { type: 'string', minLength: 1 },
+        parameters: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            required: ['name', 'type'],
+            properties: {
+              name: { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]*$', maxLength: 63 },
+              type: { type: 'string', enum: PARAMETER_TYPES },
+              required: { type: 'boolean', default: true },
+              default: {},
+              description: { type: 'string', maxLength: 255 },
+            },
+          },
+        },
+        tags: {
+          type: 'array',
+          default: [],
+          items: { type: 'string', minLength: 1, maxLength: 50 },
+        },
+        created_by: { type: 'string', format: 'uuid' },
+        updated_by: { type: ['string', 'null'], format: 'uuid' },
+        created_at: { type: 'string', format: 'date-time' },
+        updated_at: { type: 'string', format: 'date-time' },
+        deleted_at: { type: ['string', 'null'], format: 'date-time' },
+      },
+    };
+  }
+
+  static get relationMappings() {
+    return {
+      project: {
+        relation: this.BelongsToOneRelation,
+        modelClass: 'Project.js',
+        join: {
+          from: 'queries.project_id',
+          to: 'projects.id',
+        },
+      },
+      database: {
+        relation: this.BelongsToOneRelation,
+        modelClass: 'ProjectDatabase.js',
+        join: {
+          from: 'queries.database_id',
+          to: 'project_databases.id',
+        },
+      },
+      owner: {
+        relation: this.BelongsToOneRelation,
+        modelClass: 'User.js',
+        join: {
+          from: 'queries.created_by',
+          to: 'users.id',
+        },
+      },
+    };
+  }
+
+  // Declared parameters must be unique and have defaults of their own type
+  $afterValidate(json) {
+    super.$afterValidate(json);
+
+    const seen = new Set();
+    (json.parameters || []).forEach(parameter => {
+      if (seen.has(parameter.name)) {
+        throw this.constructor.createValidationError({
+          type: 'ModelValidation',
+          message: `Duplicate parameter '${parameter.name}'`,
+          data: { parameters: [{ message: `Duplicate parameter '${parameter.name}'` }] },
+        });
+      }
+      seen.add(parameter.name);
+
+      if (parameter.default !== undefined && parameter.default !== null) {
+        const { error } = Query.coerceParameter(parameter, parameter.default);
+        if (error) {
+          throw this.constructor.createValidationError({
+            type: 'ModelValidation',
+            message: `Invalid default for parameter '${parameter.name}': ${error}`,
+            data: { parameters: [{ message: error }] },
+          });
+        }
+      }
+    });
+  }
+
+  /**
+   * Convert a supplied value to a parameter's declared type
+   * @param {Object} parameter - Parameter definition
+   * @param {*} value - Supplied value (JSON or string)
+   * @returns {{value?: *, error?: string}}
+   */
+  static coerceParameter(parameter, value) {
+    switch (parameter.type) {
+      case 'string':
+        return typeof value === 'string' ? { value } : { error: 'must be a string' };
+
+      case 'number':
+      case 'integer': {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+          return { error: 'must be a number' };
+        }
+        if (parameter.type === 'integer' && !Number.isInteger(number)) {
+          return { error: 'must be an integer' };
+        }
+        return { value: number };
+      }
+
+      case 'boolean':
+        if (typeof value === 'boolean') return { value };
+        if (value === 'true' || value === 'false') return { value: value === 'true' };
+        return { error: 'must be a boolean' };
+
+      case 'date':
+        if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+          return { error: 'must be an ISO 8601 date' };
+        }
+        return { value };
+
+      default:
+        return { error: `has unsupported type '${parameter.type}'` };
+    }
+  }
+
+  /**
+   * Validate supplied values against the declared parameters
+   * @param {Object} [values] - Parameter name => value
+   * @returns {{values: Object, errors: Array<{parameter: string, message: string}>}} Bindings for the query
+   */
+  bindParameters(values = {}) {
+    const bound = {};
+    const errors = [];
+    const declared = new Set(this.parameters.map(parameter => parameter.name));
+
+    Object.keys(values).forEach(name => {
+      if (!declared.has(name)) {
+        errors.push({ parameter: name, message: 'is not declared by this query' });
+      }
+    });
+
+    this.parameters.forEach(parameter => {
+      const supplied = values[parameter.name];
+
+      if (supplied === undefined || supplied === null) {
+        if (parameter.default !== undefined && parameter.default !== null) {
+          bound[parameter.name] = Query.coerceParameter(parameter, parameter.default).value;
+        } else if (parameter.required !== false) {
+          errors.push({ parameter: parameter.name, message: 'is required' });
+        } else {
+          bound[parameter.name] = null;
+        }
+        return;
+      }
+
+      const { value, error } = Query.coerceParameter(parameter, supplied);
+      if (error) {
+        errors.push({ parameter: parameter.name, message: error });
+      } else {
+        bound[parameter.name] = value;
+      }
+    });
+
+    return { values: bound, errors };
+  }
+
+  // Get the non-deleted saved queries of a project
+  static async getProjectQueries(projectId) {
+    return this.query()
+      .where('project_id', projectId)
+      .whereNull('deleted_at')
+      .orderBy('name');
+  }
+}
@@ -0,0 +1,101 @@
+import { BaseModel } from './BaseModel.js';
+
+export class QueryHistory extends BaseModel {
+  static get tableName() {
+    return 'query_history';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['project_id', 'user_id', 'query'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        user_id: { type: 'string', format: 'uuid' },
+        project_id: { type: 'string', format: 'uuid' },
+        database_id: { type: ['string', 'null'], format: 'uuid' },
+        query: { type: 'string' },
+        params: { type: ['array', 'object', 'null'] },
+        result_metadata: {
+          type: 'object',
+          default: {},
+          additionalProperties: true
+        },
+        is_ai_generated: { type: 'boolean', default: false },
+        ai_model: { type: ['string', 'null'], maxLength: 100 },
+        created_at: { type: 'string', format: 'date-time' },
+        updated_at: { type: 'string', format: 'date-time' },
+      },
+    };
+  }
+
+  static get relationMappings() {
+    return {
+      project: {
+        relation: this.BelongsToOneRelation,
+        modelClass: 'Project.js',
+        join: {
+          from: 'query_history.project_id',
+          to: 'projects.id',
+        },
+      },
+      user: {
+        relation: this.BelongsToOneRelation,
+        modelClass: 'User.js',
+        join: {
+          from: 'query_history.user_id',
+          to: 'users.id',
+        },
+      },
+      database: {
+        relation: this.BelongsToOneRelation,
+        modelClass: 'ProjectDatabase.js',
+        join: {
+          from: 'query_history.database_id',
+          to: 'project_databases.id',
+        },
+      },
+    };
+  }
+
+  /**
+   * Record a query execution (or an attempted one)
+   * @param {Object} data - History data
+   * @param {string} data.projectId - Project ID
+   * @param {string} data.userId - User ID
+   * @param {string} [data.databaseId] - Target database ID
+   * @param {string} data.query - Query text
+   * @param {Array|Object} [data.params] - Query parameters
+   * @param {boolean} [data.isAiGenerated=false] - Whether the query came from the AI
+   * @param {Object} [data.metadata] - Result metadata (row count, timings, policy decision...)
+   * @returns {Promise<QueryHistory>} - The created history entry
+   */
+  static async log({
+    projectId,
+    userId,
+    databaseId = null,
+    query,
+    params = null,
+    isAiGenerated = false,
+    metadata = {}
+  }) {
+    const hasParams = Array.isArray(params) ? params.length > 0 : params && Object.keys(params).length > 0;
+
+    return this.query().insert({
+      project_id: projectId,
+      user_id: userId,
+      database_id: databaseId,
+      query,
+      params: hasParams ? params : null,
+      is_ai_generated: isAiGenerated,
+      result_metadata: {
+        ...metadata,
+        is_ai_generated: isAiGenerated,
+      },
+    });
+  }
+}
@@ -0,0 +1,52 @@
+import { BaseModel } from './BaseModel.js';
+
+/**
+ * One refresh token of a session. Only its SHA-256 hash is stored, and a
+ * token is used once: refreshing marks it used and issues its successor.
+ */
+export class RefreshToken extends BaseModel {
+  static get tableName() {
+    return 'refresh_tokens';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['session_id', 'user_id', 'token_hash', 'expires_at'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        session_id: { type: 'string', format: 'uuid' },
+        user_id: { type: 'string', format: 'uuid' },
+        token_hash: { type: 'string', minLength: 64, maxLength: 64 },
+        parent_id: { type: ['string', 'null'], format: 'uuid' },
+        expires_at: { type: 'string', format: 'date-time' },
+        used_at: { type: ['string', 'null'], format: 'date-time' },
+        created_at: { type: 'string', format: 'date-time' },
+        updated_at: { type: 'string', format: 'date-time' },
+      },
+    };
+  }
+
+  static get relationMappings() {
+    return {
+      session: {
+        relation: this.BelongsToOneRelation,
+        modelClass: 'UserSession.js',
+        join: {
+          from: 'refresh_tokens.session_id',
+          to: 'user_sessions.id',
+        },
+      },
+    };
+  }
+
+  $formatJson(json) {
+    json = super.$formatJson(json);
+    delete json.token_hash;
+    return json;
+  }
+}
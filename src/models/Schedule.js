@@ -0,0 +1,135 @@
+import { BaseModel } from './BaseModel.js';
+import { validateCronExpression, getNextRun } from '../utils/cron.js';
+
+/**
+ * Scheduled query: runs a saved query, or raw query text on a project
+ * database, whenever its cron expression fires in the project's timezone.
+ *
+ * `locked_by`/`locked_until` form a lease so a schedule only ever runs on one
+ * server instance at a time; `retry_attempt` counts consecutive failures.
+ * `disabled_reason` says why the scheduler disabled a schedule.
+ */
+export class Schedule extends BaseModel {
+  static get tableName() {
+    return 'schedules';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['project_id', 'name', 'cron_expression'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        project_id: { type: 'string', format: 'uuid' },
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        description: { type: ['string', 'null'], maxLength: 1000 },
+        cron_expression: { type: 'string', minLength: 1, maxLength: 100 },
+        query_id: { type: ['string', 'null'], format: 'uuid' },
+        database_id: { type: ['string', 'null'], format: 'uuid' },
+        query: { type: ['string', 'null'] },
+        parameters: { type: 'object', default: {} },
+        is_active: { type: 'boolean', default: true },
+        disabled_reason: { type: ['string', 'null'], maxLength: 500 },
+        max_retries: { type: 'integer', minimum: 0, maximum: 10, default: 3 },
+        retry_delay_seconds: { type: 'integer', minimum: 1, maximum: 3600, default: 60 },
+        retry_attempt: { type: 'integer', minimum: 0, default: 0 },
+        next_run_at: { type: ['string', 'null'], format: 'date-time' },
+        last_run_at: { type: ['string', 'null'], format: 'date-time' },
+        locked_by: { type: ['string', 'null'], maxLength: 255 },
+        locked_until: { type: ['string', 'null'], format: 'date-time' },
+        created_by: { type: 'string', format: 'uuid' },
+        updated_by: { type: ['string', 'null'], format: 'uuid' },
+        created_at: { type: 'string', format: 'date-time' },
+        updated_at: { type: 'string', format: 'date-time' },
+        deleted_at: { type: ['string', 'null'], format: 'date-time' },
+      },
+    };
+  }
+
+  static get relationMappings() {
+    return {
+      project: {
+        relation: this.BelongsToOneRelation,
+        modelClass: 'Project.js',
+        join: {
+          from: 'schedules.project_id',
+          to: 'projects.id',
+        },
+      },
+      savedQuery: {
+        relation: this.BelongsToOneRelation,
+        modelClass: 'Query.js',
+        join: {
+          from: 'schedules.query_id',
+          to: 'queries.id',
+        },
+      },
+      database: {
+        relation: this.BelongsToOneRelation,
+        modelClass: 'ProjectDatabase.js',
+        join: {
+          from: 'schedules.database_id',
+          to: 'project_databases.id',
+        },
+      },
+      runs: {
+        relation: this.HasManyRelation,
+        modelClass: 'ScheduleRun.js',
+        join: {
+          from: 'schedules.id',
+          to: 'schedule_runs.schedule_id',
+        },
+      },
+    };
+  }
+
+  // A schedule needs a valid cron expression and exactly one thing to run
+  $afterValidate(json, opt) {
+    super.$afterValidate(json, opt);
+
+    const fail = (field, message) => {
+      throw this.constructor.createValidationError({
+        type: 'ModelValidation',
+        message,
+        data: { [field]: [{ message }] },
+      });
+    };
+
+    if (json.cron_expression !== undefined) {
+      const cronError = validateCronExpression(json.cron_expression);
+      if (cronError) fail('cron_expression', cronError);
+    }
+
+    // Patches only carry the fields they change
+    if (opt && opt.patch) return;
+
+    if (json.query_id && json.query) {
+      fail('query', 'Provide either a saved query or query text, not both');
+    }
+    if (!json.query_id && !(json.database_id && json.query)) {
+      fail('query_id', 'Provide a saved query, or a database and query text');
+    }
+  }
+
+  /**
+   * Next time the schedule is due after a given date
+   * @param {string} timezone - Project timezone
+   * @param {Date} [after] - Defaults to now
+   * @returns {string} ISO timestamp
+   */
+  getNextRunAt(timezone, after = new Date()) {
+    return getNextRun(this.cron_expression, { timezone, currentDate: after }).toISOString();
+  }
+
+  // Get the non-deleted schedules of a project
+  static async getProjectSchedules(projectId) {
+    return this.query()
+      .where('project_id', projectId)
+      .whereNull('deleted_at')
+      .orderBy('name');
+  }
+}
@@ -0,0 +1,55 @@
+import { BaseModel } from './BaseModel.js';
+
+/**
+ * One execution of a schedule, with a snapshot of its result
+ */
+export class ScheduleRun extends BaseModel {
+  static STATUSES = ['running', 'succeeded', 'failed'];
+  static TRIGGERS = ['schedule', 'retry', 'manual'];
+
+  static get tableName() {
+    return 'schedule_runs';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['schedule_id', 'project_id', 'status', 'trigger', 'started_at'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        schedule_id: { type: 'string', format: 'uuid' },
+        project_id: { type: 'string', format: 'uuid' },
+        status: { type: 'string', enum: ScheduleRun.STATUSES },
+        trigger: { type: 'string', enum: ScheduleRun.TRIGGERS },
+        attempt: { type: 'integer', minimum: 1, default: 1 },
+        scheduled_for: { type: ['string', 'null'], format: 'date-time' },
+        started_at: { type: 'string', format: 'date-time' },
+        finished_at: { type: ['string', 'null'], format: 'date-time' },
+        duration_ms: { type: ['integer', 'null'] },
+        row_count: { type: ['integer', 'null'] },
+        result: { type: ['array', 'object', 'null'] },
+        result_truncated: { type: 'boolean', default: false },
+        error: { type: ['string', 'null'] },
+        created_at: { type: 'string', format: 'date-time' },
+        updated_at: { type: 'string', format: 'date-time' },
+      },
+    };
+  }
+
+  static get relationMappings() {
+    return {
+      schedule: {
+        relation: this.BelongsToOneRelation,
+        modelClass: 'Schedule.js',
+        join: {
+          from: 'schedule_runs.schedule_id',
+          to: 'schedules.id',
+        },
+      },
+    };
+  }
+}
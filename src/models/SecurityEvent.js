@@ -0,0 +1,119 @@
+import { BaseModel } from './BaseModel.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Audit log of account security events. Unlike project activities these
+ * are not tied to a project, and may have no user (e.g. attempts on an
+ * unknown identifier).
+ */
+export class SecurityEvent extends BaseModel {
+  static EVENTS = [
+    'login.locked',
+    'login.ip_blocked',
+    'password_reset.throttled',
+    'oidc.account_linked',
+  ];
+
+  static get tableName() {
+    return 'security_events';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['event'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        user_id: { type: ['string', 'null'], format: 'uuid' },
+        event: { type: 'string', enum: this.EVENTS },
+        identifier: { type: ['string', 'null'], maxLength: 255 },
+        ip_address: { type: ['string', 'null'], maxLength: 45 },
+        user_agent: { type: ['string', 'null'], maxLength: 500 },
+        metadata: {
+          type: 'object',
+          default: {},
+          additionalProperties: true
+        },
+        created_at: { type: 'string', format: 'date-time' },
+      },
+    };
+  }
+
+  static get relationMappings() {
+    return {
+      user: {
+        relation: this.BelongsToOneRelation,
+        modelClass: 'User.js',
+        join: {
+          from: 'security_events.user_id',
+          to: 'users.id',
+        },
+      },
+    };
+  }
+
+  $beforeInsert() {
+    // Events are never updated, so there is no updated_at column
+    this.created_at = new Date().toISOString();
+  }
+
+  /**
+   * Log a security event
+   * @param {Object} data - Event data
+   * @param {string} data.event - One of SecurityEvent.EVENTS
+   * @param {string} [data.userId] - User the event concerns
+   * @param {string} [data.identifier] - Identifier that was used (email, phone or document ID)
+   * @param {Object} [data.metadata] - Additional metadata
+   * @param {Object} [data.request] - Express request object for IP and user agent
+   * @returns {Promise<SecurityEvent>} - The created event
+   */
+  static async log({ event, userId = null, identifier = null, metadata = {}, request = null }) {
+    const eventData = {
+      event,
+      user_id: userId,
+      identifier: identifier ? String(identifier).slice(0, 255) : null,
+      metadata,
+    };
+
+    if (request) {
+      eventData.ip_address = request.ip || request.connection?.remoteAddress;
+      eventData.user_agent = request.get('user-agent')?.slice(0, 500);
+    }
+
+    return this.query().insert(eventData);
+  }
+
+  /**
+   * Log an event without failing the request it happened in: errors are
+   * reported, not thrown
+   * @param {Object} data - Same as log()
+   * @returns {Promise<SecurityEvent|null>} - The created event, or null if logging failed
+   */
+  static async record(data) {
+    try {
+      return await this.log(data);
+    } catch (error) {
+      logger.error(`Failed to log ${data.event} security event:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Latest security events of a user
+   * @param {string} userId - User ID
+   * @param {number} [limit=50] - Number of items to return
+   * @param {number} [offset=0] - Offset for pagination
+   * @returns {Promise<Array>}
+   */
+  static async getUserEvents(userId, limit = 50, offset = 0) {
+    return this.query()
+      .where('user_id', userId)
+      .orderBy('created_at', 'DESC')
+      .limit(limit)
+      .offset(offset);
+  }
+}
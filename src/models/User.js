@@ -1,7 +1,16 @@
+import crypto from 'crypto';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { BaseModel } from './BaseModel.js';
+import { UserSession } from './UserSession.js';
 import { logger } from '../utils/logger.js';
+import { encryptSecret, decryptSecret } from '../utils/encryption.js';
+import {
+  buildOtpauthUri, generateRecoveryCodes, generateTotpSecret, hashRecoveryCode, verifyTotp,
+} from '../utils/totp.js';
+
+// Binds the encrypted TOTP secret to its column
+const TWO_FACTOR_CONTEXT = 'users.two_factor_secret';
 
 export class User extends BaseModel {
   static get tableName() {
@@ -25,6 +34,16 @@ export class User extends BaseModel {
         first_name: { type: ['string', 'null'], maxLength: 100 },
         last_name: { type: ['string', 'null'], maxLength: 100 },
         is_active: { type: 'boolean', default: true },
+        token_version: { type: 'integer', minimum: 0, default: 0 },
+        two_factor_enabled: { type: 'boolean', default: false },
+        two_factor_secret: { type: ['object', 'null'] },
+        two_factor_enabled_at: { type: ['string', 'null'], format: 'date-time' },
+        two_factor_last_step: { anyOf: [{ type: 'integer' }, { type: 'null' }] },
+        two_factor_recovery_codes: {
+          type: 'array',
+          items: { type: 'string', minLength: 64, maxLength: 64 },
+          default: []
+        },
         last_login: { type: ['string', 'null'], format: 'date-time' },
         email_verified: { type: 'boolean', default: false },
         phone_verified: { type: 'boolean', default: false },
@@ -47,16 +66,47 @@ export class User extends BaseModel {
         join: {
           from: 'users.id',
           through: {
-            from: 'user_projects.user_id',
-            to: 'user_projects.project_id',
-            extra: ['role', 'created_at']
+            from: 'project_members.user_id',
+            to: 'project_members.project_id',
+            extra: ['role', 'permissions', 'joined_at']
           },
           to: 'projects.id'
+        },
+        filter: builder => builder.where('project_members.is_active', true)
+      },
+      sessions: {
+        relation: BaseModel.HasManyRelation,
+        modelClass: 'UserSession.js',
+        join: {
+          from: 'users.id',
+          to: 'user_sessions.user_id'
         }
       }
     };
   }
 
+  // pg returns bigint columns as strings; TOTP steps fit in a number
+  $parseDatabaseJson(json) {
+    json = super.$parseDatabaseJson(json);
+    if (typeof json.two_factor_last_step === 'string') {
+      json.two_factor_last_step = Number(json.two_factor_last_step);
+    }
+    return json;
+  }
+
+  // Never serialize the password hash or second-factor secrets
+  $formatJson(json) {
+    json = super.$formatJson(json);
+    delete json.password_hash;
+    delete json.two_factor_secret;
+    delete json.two_factor_last_step;
+    if (json.two_factor_recovery_codes) {
+      json.two_factor_recovery_codes_left = json.two_factor_recovery_codes.length;
+      delete json.two_factor_recovery_codes;
+    }
+    return json;
+  }
+
   // Password hashing
   async $beforeInsert() {
     await super.$beforeInsert();
@@ -72,6 +122,11 @@ export class User extends BaseModel {
       this.password_hash = await this.generateHash(this.password);
       delete this.password;
     }
+
+    // Deactivated accounts lose their access tokens right away
+    if (this.is_active === false && this.token_version === undefined) {
+      this.token_version = this.constructor.raw('token_version + 1');
+    }
   }
 
   // Generate password hash
@@ -85,13 +140,18 @@ export class User extends BaseModel {
     return bcrypt.compare(password, this.password_hash);
   }
 
-  // Generate JWT token
-  generateAuthToken() {
+  // Generate JWT token, bound to the sign-in session it was issued for
+  generateAuthToken(sessionId) {
     const payload = {
       id: this.id,
       email: this.email,
       role: 'user', // Default role, can be overridden in project context
+      ver: this.token_version || 0, // Checked against the user on every request
     };
+
+    if (sessionId) {
+      payload.sid = sessionId;
+    }
     
     return jwt.sign(payload, process.env.JWT_SECRET, {
       expiresIn: process.env.JWT_EXPIRE || '1h',
@@ -107,6 +167,108 @@ export class User extends BaseModel {
     );
   }
 
+  // Decrypted TOTP secret, pending or enabled
+  getTwoFactorSecret() {
+    if (!this.two_factor_secret) return null;
+    return decryptSecret(this.two_factor_secret, { context: TWO_FACTOR_CONTEXT });
+  }
+
+  /**
+   * Store a new TOTP secret, to be confirmed with enableTwoFactor()
+   * @returns {Promise<{secret: string, otpauth_url: string}>} Secret and provisioning URI for the authenticator app
+   */
+  async startTwoFactorSetup() {
+    const secret = generateTotpSecret();
+
+    await this.$query().patch({
+      two_factor_secret: encryptSecret(secret, { context: TWO_FACTOR_CONTEXT }),
+      two_factor_enabled: false,
+      two_factor_last_step: null,
+    });
+
+    return {
+      secret,
+      otpauth_url: buildOtpauthUri({ secret, accountName: this.email }),
+    };
+  }
+
+  /**
+   * Turn two-factor authentication on once the user proves their app has the secret
+   * @param {string} code - Current code from the authenticator app
+   * @param {Object} [options]
+   * @param {number} [options.now] - Time in milliseconds
+   * @returns {Promise<string[]|null>} Recovery codes to show once, null when the code is wrong
+   */
+  async enableTwoFactor(code, { now = Date.now() } = {}) {
+    const secret = this.getTwoFactorSecret();
+    const step = secret && verifyTotp(secret, code, { now });
+    if (step === null || step === undefined) return null;
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await this.$query().patch({
+      two_factor_enabled: true,
+      two_factor_enabled_at: new Date(now).toISOString(),
+      two_factor_last_step: step,
+      two_factor_recovery_codes: hashes,
+    });
+
+    return codes;
+  }
+
+  // Turn two-factor authentication off and forget the secret and recovery codes
+  async disableTwoFactor() {
+    await this.$query().patch({
+      two_factor_enabled: false,
+      two_factor_secret: null,
+      two_factor_enabled_at: null,
+      two_factor_last_step: null,
+      two_factor_recovery_codes: [],
+    });
+  }
+
+  // Replace the recovery codes; the old ones stop working
+  async regenerateRecoveryCodes() {
+    const { codes, hashes } = generateRecoveryCodes();
+    await this.$query().patch({ two_factor_recovery_codes: hashes });
+    return codes;
+  }
+
+  /**
+   * Check the second factor of a login: a TOTP code, which works once, or a
+   * recovery code, which is used up
+   * @param {Object} factor
+   * @param {string} [factor.code] - Code from the authenticator app
+   * @param {string} [factor.recoveryCode] - One of the recovery codes
+   * @param {Object} [options]
+   * @param {number} [options.now] - Time in milliseconds
+   * @returns {Promise<boolean>}
+   */
+  async verifySecondFactor({ code, recoveryCode }, { now = Date.now() } = {}) {
+    if (!this.two_factor_enabled) return false;
+
+    if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      if (!this.two_factor_recovery_codes?.includes(hash)) return false;
+
+      // Removing the code in the UPDATE itself keeps concurrent logins from both using it
+      const used = await this.constructor.query()
+        .findById(this.id)
+        .whereRaw('two_factor_recovery_codes @> ?::jsonb', [JSON.stringify([hash])])
+        .patch({ two_factor_recovery_codes: this.constructor.raw('two_factor_recovery_codes - ?', [hash]) });
+      return used > 0;
+    }
+
+    const step = verifyTotp(this.getTwoFactorSecret(), code, { now, lastStep: this.two_factor_last_step });
+    if (step === null) return false;
+
+    // A code is refused once its step (or a later one) was used
+    const accepted = await this.constructor.query()
+      .findById(this.id)
+      .where(builder => builder.whereNull('two_factor_last_step').orWhere('two_factor_last_step', '<', step))
+      .patch({ two_factor_last_step: step });
+    return accepted > 0;
+  }
+
   // Find user by credentials (email/phone/document + password)
   static async findByCredentials(identifier, password) {
     const user = await this.query()
@@ -241,30 +403,48 @@ export class User extends BaseModel {
     }
   }
   
-  // Invalidate all user sessions
-  static async invalidateSessions(userId) {
-    try {
-      // Delete all refresh tokens for the user
-      await this.relatedQuery('refreshTokens')
-        .for(userId)
-        .delete();
-      
-      // Invalidate any active JWT tokens by updating the user's password_updated_at
-      // This will make all existing tokens invalid
-      await this.query()
-        .findById(userId)
-        .patch({
-          updated_at: new Date().toISOString()
-        });
-      
-      return true;
-    } catch (error) {
-      logger.error('Error invalidating user sessions:', error);
-      return false;
-    }
+  /**
+   * Create the account of someone signing in through single sign-on for the
+   * first time. The provider verified the email; the password is random and
+   * unknown, "forgot password" sets one.
+   * @param {Object} data - Account data
+   * @param {string} data.email - Verified email address
+   * @param {string} [data.firstName] - First name
+   * @param {string} [data.lastName] - Last name
+   * @param {Object} [trx] - Transaction
+   * @returns {Promise<User>}
+   */
+  static async createForSingleSignOn({ email, firstName = null, lastName = null }, trx) {
+    const salt = await bcrypt.genSalt(10);
+
+    return this.query(trx).insert({
+      email,
+      first_name: firstName ? firstName.slice(0, 100) : null,
+      last_name: lastName ? lastName.slice(0, 100) : null,
+      password_hash: await bcrypt.hash(crypto.randomBytes(32).toString('base64'), salt),
+      is_active: true,
+      email_verified: true,
+    });
+  }
+
+  // Make every access token issued so far to the user fail authentication
+  static async revokeAccessTokens(userId) {
+    return this.query()
+      .findById(userId)
+      .increment('token_version', 1);
+  }
+
+  // Invalidate all user sessions: their refresh tokens and access tokens stop working.
+  // Errors are not swallowed, a password change must not leave sessions open
+  static async invalidateSessions(userId, reason = 'logout_all') {
+    const revoked = await UserSession.revokeAll(userId, { reason });
+    await this.revokeAccessTokens(userId);
+    return revoked;
   }
   
-  // Get user by credentials (email/phone/document + password)
+  // Get user by credentials (email/phone/document + password). Only the
+  // password is checked: callers must ask for the second factor when
+  // `two_factor_enabled` is set, as /auth/login does
   static async findByCredentials(identifier, password) {
     const user = await this.query()
       .findOne(builder => {
@@ -308,7 +488,7 @@ export class User extends BaseModel {
     });
     
     // Invalidate all sessions
-    await this.constructor.invalidateSessions(this.id);
+    await this.constructor.invalidateSessions(this.id, 'password_changed');
     
     return true;
   }
@@ -0,0 +1,51 @@
+import { BaseModel } from './BaseModel.js';
+
+/**
+ * Account of a user at an OpenID Connect provider. The provider's subject
+ * (`sub`) identifies it for good; the email is kept as it was when the
+ * accounts were linked or last signed in.
+ */
+export class UserIdentity extends BaseModel {
+  static get tableName() {
+    return 'user_identities';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['user_id', 'provider', 'subject'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        user_id: { type: 'string', format: 'uuid' },
+        provider: { type: 'string', maxLength: 50 },
+        subject: { type: 'string', maxLength: 255 },
+        email: { type: ['string', 'null'], maxLength: 255 },
+        last_login_at: { type: ['string', 'null'], format: 'date-time' },
+        created_at: { type: 'string', format: 'date-time' },
+        updated_at: { type: 'string', format: 'date-time' },
+      },
+    };
+  }
+
+  static get relationMappings() {
+    return {
+      user: {
+        relation: this.BelongsToOneRelation,
+        modelClass: 'User.js',
+        join: {
+          from: 'user_identities.user_id',
+          to: 'users.id',
+        },
+      },
+    };
+  }
+
+  // Find the identity of a provider account
+  static async findBySubject(provider, subject) {
+    return this.query().findOne({ provider, subject });
+  }
+}
@@ -0,0 +1,97 @@
+import { BaseModel } from './BaseModel.js';
+
+/**
+ * Signed-in device of a user. The session lives as long as its chain of
+ * refresh tokens keeps being rotated, up to `expires_at`.
+ */
+export class UserSession extends BaseModel {
+  static get tableName() {
+    return 'user_sessions';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['user_id', 'expires_at'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        user_id: { type: 'string', format: 'uuid' },
+        device_name: { type: ['string', 'null'], maxLength: 100 },
+        user_agent: { type: ['string', 'null'], maxLength: 500 },
+        ip_address: { type: ['string', 'null'], maxLength: 45 },
+        last_used_at: { type: ['string', 'null'], format: 'date-time' },
+        expires_at: { type: 'string', format: 'date-time' },
+        revoked_at: { type: ['string', 'null'], format: 'date-time' },
+        revoked_reason: { type: ['string', 'null'], maxLength: 50 },
+        created_at: { type: 'string', format: 'date-time' },
+        updated_at: { type: 'string', format: 'date-time' },
+      },
+    };
+  }
+
+  static get relationMappings() {
+    return {
+      user: {
+        relation: this.BelongsToOneRelation,
+        modelClass: 'User.js',
+        join: {
+          from: 'user_sessions.user_id',
+          to: 'users.id',
+        },
+      },
+      refreshTokens: {
+        relation: this.HasManyRelation,
+        modelClass: 'RefreshToken.js',
+        join: {
+          from: 'user_sessions.id',
+          to: 'refresh_tokens.session_id',
+        },
+      },
+    };
+  }
+
+  /**
+   * Whether refresh tokens of this session can still be used
+   * @param {Date} [now] - Reference time
+   * @returns {boolean}
+   */
+  isActive(now = new Date()) {
+    return !this.revoked_at && new Date(this.expires_at) > now;
+  }
+
+  // Get the sessions of a user that can still be refreshed, most recently used first
+  static async getActiveSessions(userId) {
+    return this.query()
+      .where('user_id', userId)
+      .whereNull('revoked_at')
+      .where('expires_at', '>', new Date().toISOString())
+      .orderBy('last_used_at', 'desc');
+  }
+
+  /**
+   * Revoke every open session of a user
+   * @param {string} userId - User ID
+   * @param {Object} [options]
+   * @param {string} [options.reason='logout_all'] - Why the sessions end
+   * @param {string} [options.exceptSessionId] - Session to keep (e.g. the caller's)
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  static async revokeAll(userId, { reason = 'logout_all', exceptSessionId } = {}) {
+    const query = this.query()
+      .where('user_id', userId)
+      .whereNull('revoked_at');
+
+    if (exceptSessionId) {
+      query.whereNot('id', exceptSessionId);
+    }
+
+    return query.patch({
+      revoked_at: new Date().toISOString(),
+      revoked_reason: reason,
+    });
+  }
+}
@@ -0,0 +1,133 @@
+import { BaseModel } from './BaseModel.js';
+import { ProjectActivity } from './ProjectActivity.js';
+import { encryptSecret, decryptSecret, isEncrypted, REDACTED } from '../utils/encryption.js';
+
+// Authenticated context for the encrypted secret
+const SECRET_CONTEXT = 'webhooks.secret';
+
+/**
+ * Webhook: an HTTP endpoint notified of project events.
+ *
+ * `events` lists event names (`<entity_type>.<action>`, e.g.
+ * `database.update`), `<entity_type>.*` or `*`. The signing secret is
+ * encrypted at rest and never serialized into responses.
+ */
+export class Webhook extends BaseModel {
+  static get tableName() {
+    return 'webhooks';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['project_id', 'url', 'events', 'secret'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        project_id: { type: 'string', format: 'uuid' },
+        url: { type: 'string', pattern: '^https?://', maxLength: 2048 },
+        description: { type: ['string', 'null'], maxLength: 1000 },
+        events: {
+          type: 'array',
+          minItems: 1,
+          uniqueItems: true,
+          items: { type: 'string', pattern: '^(\\*|[a-z_]+\\.(\\*|[a-z_]+))$' },
+        },
+        secret: { type: 'string', minLength: 16, maxLength: 255 },
+        is_active: { type: 'boolean', default: true },
+        created_by: { type: 'string', format: 'uuid' },
+        updated_by: { type: ['string', 'null'], format: 'uuid' },
+        created_at: { type: 'string', format: 'date-time' },
+        updated_at: { type: 'string', format: 'date-time' },
+        deleted_at: { type: ['string', 'null'], format: 'date-time' },
+      },
+    };
+  }
+
+  static get relationMappings() {
+    return {
+      project: {
+        relation: this.BelongsToOneRelation,
+        modelClass: 'Project.js',
+        join: {
+          from: 'webhooks.project_id',
+          to: 'projects.id',
+        },
+      },
+      deliveries: {
+        relation: this.HasManyRelation,
+        modelClass: 'WebhookDelivery.js',
+        join: {
+          from: 'webhooks.id',
+          to: 'webhook_deliveries.webhook_id',
+        },
+      },
+    };
+  }
+
+  // Event names must refer to activity entity types and actions that exist
+  $afterValidate(json, opt) {
+    super.$afterValidate(json, opt);
+
+    const { entity_type: entityTypes, action: actions } = ProjectActivity.jsonSchema.properties;
+    (json.events || []).forEach(event => {
+      if (event === '*') return;
+
+      const [entityType, action] = event.split('.');
+      if (!entityTypes.enum.includes(entityType) || (action !== '*' && !actions.enum.includes(action))) {
+        throw this.constructor.createValidationError({
+          type: 'ModelValidation',
+          message: `Unknown event '${event}'`,
+          data: { events: [{ message: `Unknown event '${event}'` }] },
+        });
+      }
+    });
+  }
+
+  /**
+   * Whether the webhook subscribes to an event
+   * @param {string} eventName - Event name (`<entity_type>.<action>`)
+   * @returns {boolean}
+   */
+  matches(eventName) {
+    const [entityType] = eventName.split('.');
+    return this.events.some(event => event === '*' || event === eventName || event === `${entityType}.*`);
+  }
+
+  // Encrypt the secret on the way into the database
+  $formatDatabaseJson(json) {
+    if (typeof json.secret === 'string') {
+      json = { ...json, secret: encryptSecret(json.secret, { context: SECRET_CONTEXT }) };
+    }
+    return super.$formatDatabaseJson(json);
+  }
+
+  // Decrypt the secret on the way out of the database
+  $parseDatabaseJson(json) {
+    json = super.$parseDatabaseJson(json);
+    if (isEncrypted(json.secret)) {
+      json.secret = decryptSecret(json.secret, { context: SECRET_CONTEXT });
+    }
+    return json;
+  }
+
+  // Never serialize the secret into API responses or logs
+  $formatJson(json) {
+    json = super.$formatJson(json);
+    if (json.secret) {
+      json.secret = REDACTED;
+    }
+    return json;
+  }
+
+  // Get the active webhooks of a project
+  static async getActiveWebhooks(projectId) {
+    return this.query()
+      .where('project_id', projectId)
+      .where('is_active', true)
+      .whereNull('deleted_at');
+  }
+}
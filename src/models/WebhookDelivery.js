@@ -0,0 +1,57 @@
+import { BaseModel } from './BaseModel.js';
+
+/**
+ * One event sent (or to be sent) to a webhook, with the outcome of each attempt
+ */
+export class WebhookDelivery extends BaseModel {
+  static STATUSES = ['pending', 'succeeded', 'failed'];
+
+  static get tableName() {
+    return 'webhook_deliveries';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['webhook_id', 'project_id', 'event', 'payload'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        webhook_id: { type: 'string', format: 'uuid' },
+        project_id: { type: 'string', format: 'uuid' },
+        event: { type: 'string', maxLength: 100 },
+        payload: { type: 'object' },
+        status: { type: 'string', enum: WebhookDelivery.STATUSES, default: 'pending' },
+        attempts: { type: 'integer', minimum: 0, default: 0 },
+        next_attempt_at: { type: ['string', 'null'], format: 'date-time' },
+        locked_until: { type: ['string', 'null'], format: 'date-time' },
+        last_attempt_at: { type: ['string', 'null'], format: 'date-time' },
+        delivered_at: { type: ['string', 'null'], format: 'date-time' },
+        response_status: { type: ['integer', 'null'] },
+        response_body: { type: ['string', 'null'] },
+        error: { type: ['string', 'null'] },
+        duration_ms: { type: ['integer', 'null'] },
+        attempt_log: { type: 'array', default: [] },
+        redelivery_of: { type: ['string', 'null'], format: 'uuid' },
+        created_at: { type: 'string', format: 'date-time' },
+        updated_at: { type: 'string', format: 'date-time' },
+      },
+    };
+  }
+
+  static get relationMappings() {
+    return {
+      webhook: {
+        relation: this.BelongsToOneRelation,
+        modelClass: 'Webhook.js',
+        join: {
+          from: 'webhook_deliveries.webhook_id',
+          to: 'webhooks.id',
+        },
+      },
+    };
+  }
+}
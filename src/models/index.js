@@ -5,16 +5,44 @@ import Project from './Project.js';
 import { ProjectDatabase } from './ProjectDatabase.js';
 import { User } from './User.js';
 import { ProjectMember } from './ProjectMember.js';
+import { ProjectInvitation } from './ProjectInvitation.js';
 import { ProjectActivity } from './ProjectActivity.js';
 import { ProjectTemplate } from './ProjectTemplate.js';
 import { ProjectVersion } from './ProjectVersion.js';
+import { ProjectSnapshot } from './ProjectSnapshot.js';
+import { QueryHistory } from './QueryHistory.js';
+import { Query } from './Query.js';
+import { Schedule } from './Schedule.js';
+import { ScheduleRun } from './ScheduleRun.js';
+import { Webhook } from './Webhook.js';
+import { WebhookDelivery } from './WebhookDelivery.js';
+import { ApiKey } from './ApiKey.js';
+import { UserSession } from './UserSession.js';
+import { RefreshToken } from './RefreshToken.js';
+import { SecurityEvent } from './SecurityEvent.js';
+import { UserIdentity } from './UserIdentity.js';
+import { OidcLoginRequest } from './OidcLoginRequest.js';
 
 export {
   Project,
   ProjectDatabase,
   User,
   ProjectMember,
+  ProjectInvitation,
   ProjectActivity,
   ProjectTemplate,
   ProjectVersion,
+  ProjectSnapshot,
+  QueryHistory,
+  Query,
+  Schedule,
+  ScheduleRun,
+  Webhook,
+  WebhookDelivery,
+  ApiKey,
+  UserSession,
+  RefreshToken,
+  SecurityEvent,
+  UserIdentity,
+  OidcLoginRequest,
 };
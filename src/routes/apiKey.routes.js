@@ -0,0 +1,451 @@
+import { Router } from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { ValidationError } from 'objection';
+import { ApiKey, ProjectActivity, ProjectMember } from '../models/index.js';
+import { authenticate, requirePermission, requireUserSession } from '../middleware/auth.js';
+
+// Mounted under /projects/:projectId/api-keys
+const router = Router({ mergeParams: true });
+
+// Keys are managed by members themselves, never by other keys
+router.use(authenticate, requireUserSession);
+
+// Longest overlap allowed between a rotated key and its replacement
+const MAX_GRACE_PERIOD_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Permissions the caller cannot hand out because they do not hold them
+ * @param {string} projectId - Project ID
+ * @param {string} userId - User ID
+ * @param {Array<string>} permissions - Requested permissions
+ * @returns {Promise<Array<string>>} Permissions beyond the caller's own
+ */
+async function findUngrantablePermissions(projectId, userId, permissions) {
+  const member = await ProjectMember.getByProjectAndUser(projectId, userId);
+  if (!member || member.is_active === false) return permissions;
+
+  return permissions.filter(permission => !member.hasPermission(permission));
+}
+
+/**
+ * Find an API key of a project
+ * @param {string} projectId - Project ID
+ * @param {string} keyId - API key ID
+ * @returns {Promise<ApiKey|undefined>} API key
+ */
+async function findApiKey(projectId, keyId) {
+  return ApiKey.query()
+    .findById(keyId)
+    .where('project_id', projectId);
+}
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/api-keys:
+ *   get:
+ *     summary: List the API keys of a project
+ *     description: Requires `api_key:read`. Keys themselves are never returned, only their prefix.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: List of API keys with their status (active, expired or revoked)
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/',
+  [
+    param('projectId').isUUID(),
+  ],
+  requirePermission('api_key:read'),
+  async (req, res) => {
+    try {
+      const apiKeys = await ApiKey.getProjectKeys(req.params.projectId);
+
+      res.json({
+        success: true,
+        data: apiKeys,
+      });
+    } catch (error) {
+      console.error('List API keys error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch API keys',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: >
+ *       Requires `api_key:create`. Permissions use the same strings as project
+ *       roles (e.g. `query:execute`) and cannot go beyond the caller's own.
+ *       The key acts on behalf of the caller and is sent in the `X-API-Key`
+ *       header. It is only returned by this call.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['query:execute']
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key created, with the key
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions, or permissions beyond the caller's own
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/',
+  [
+    param('projectId').isUUID(),
+    body('name').trim().notEmpty(),
+    body('permissions').isArray({ min: 1 }),
+    body('expires_at').optional({ nullable: true }).isISO8601().custom(value => new Date(value) > new Date())
+      .withMessage('expires_at must be in the future'),
+  ],
+  requirePermission('api_key:create'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { projectId } = req.params;
+      const { name, permissions, expires_at } = req.body;
+
+      const ungrantable = await findUngrantablePermissions(projectId, req.user.id, permissions);
+      if (ungrantable.length) {
+        return res.status(403).json({
+          success: false,
+          error: `You cannot grant permissions you do not have: ${ungrantable.join(', ')}`,
+        });
+      }
+
+      const { key, key_prefix, key_hash } = ApiKey.generate();
+      const apiKey = await ApiKey.query().insert({
+        name,
+        key_prefix,
+        key_hash,
+        user_id: req.user.id,
+        project_id: projectId,
+        permissions,
+        expires_at: expires_at ? new Date(expires_at).toISOString() : null,
+      });
+
+      await ProjectActivity.record({
+        projectId,
+        userId: req.user.id,
+        action: 'create',
+        entityType: 'api_key',
+        entityId: apiKey.id,
+        entityName: apiKey.name,
+        metadata: { key_prefix, permissions },
+        request: req,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          ...apiKey.toJSON(),
+          // Shown once; only its hash is stored
+          key,
+        },
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      console.error('Create API key error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create API key',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/api-keys/{keyId}/rotate:
+ *   post:
+ *     summary: Rotate an API key
+ *     description: >
+ *       Requires `api_key:update`. Issues a new key with the same name,
+ *       permissions and expiry, acting on behalf of the caller. The old key
+ *       is revoked at once, or keeps working for `grace_period_seconds` so
+ *       running jobs can switch over.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: API key ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               grace_period_seconds:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 604800
+ *                 default: 0
+ *     responses:
+ *       201:
+ *         description: The new API key, with the key
+ *       403:
+ *         description: Insufficient permissions, or permissions beyond the caller's own
+ *       404:
+ *         description: API key not found
+ *       409:
+ *         description: The API key is revoked or expired
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:keyId/rotate',
+  [
+    param('projectId').isUUID(),
+    param('keyId').isUUID(),
+    body('grace_period_seconds').optional().isInt({ min: 0, max: MAX_GRACE_PERIOD_SECONDS }).toInt(),
+  ],
+  requirePermission('api_key:update'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { projectId, keyId } = req.params;
+      const current = await findApiKey(projectId, keyId);
+
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found',
+        });
+      }
+
+      if (!current.isUsable()) {
+        return res.status(409).json({
+          success: false,
+          error: `The API key is ${current.status}`,
+        });
+      }
+
+      const ungrantable = await findUngrantablePermissions(projectId, req.user.id, current.permissions);
+      if (ungrantable.length) {
+        return res.status(403).json({
+          success: false,
+          error: `You cannot grant permissions you do not have: ${ungrantable.join(', ')}`,
+        });
+      }
+
+      const gracePeriodMs = (req.body.grace_period_seconds || 0) * 1000;
+      const { key, key_prefix, key_hash } = ApiKey.generate();
+
+      const replacement = await ApiKey.transaction(async trx => {
+        if (gracePeriodMs) {
+          const graceEnd = new Date(Date.now() + gracePeriodMs);
+          const expiresAt = current.expires_at && new Date(current.expires_at) < graceEnd
+            ? new Date(current.expires_at)
+            : graceEnd;
+          await current.$query(trx).patch({ expires_at: expiresAt.toISOString() });
+        } else {
+          await current.$query(trx).patch({ is_active: false, revoked_at: new Date().toISOString() });
+        }
+
+        return ApiKey.query(trx).insert({
+          name: current.name,
+          key_prefix,
+          key_hash,
+          user_id: req.user.id,
+          project_id: projectId,
+          permissions: current.permissions,
+          expires_at: current.expires_at ? new Date(current.expires_at).toISOString() : null,
+          rotated_from: current.id,
+        });
+      });
+
+      await ProjectActivity.record({
+        projectId,
+        userId: req.user.id,
+        action: 'update',
+        entityType: 'api_key',
+        entityId: replacement.id,
+        entityName: replacement.name,
+        metadata: {
+          rotated_from: current.id,
+          key_prefix,
+          grace_period_seconds: gracePeriodMs / 1000,
+        },
+        request: req,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          ...replacement.toJSON(),
+          // Shown once; only its hash is stored
+          key,
+        },
+      });
+    } catch (error) {
+      console.error('Rotate API key error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to rotate API key',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/api-keys/{keyId}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: Requires `api_key:delete`. The key stops working immediately.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: API key not found
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  '/:keyId',
+  [
+    param('projectId').isUUID(),
+    param('keyId').isUUID(),
+  ],
+  requirePermission('api_key:delete'),
+  async (req, res) => {
+    try {
+      const apiKey = await findApiKey(req.params.projectId, req.params.keyId);
+
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found',
+        });
+      }
+
+      if (!apiKey.revoked_at) {
+        await apiKey.$query().patch({
+          is_active: false,
+          revoked_at: new Date().toISOString(),
+        });
+
+        await ProjectActivity.record({
+          projectId: apiKey.project_id,
+          userId: req.user.id,
+          action: 'delete',
+          entityType: 'api_key',
+          entityId: apiKey.id,
+          entityName: apiKey.name,
+          metadata: { key_prefix: apiKey.key_prefix },
+          request: req,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'API key revoked successfully',
+      });
+    } catch (error) {
+      console.error('Revoke API key error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke API key',
+      });
+    }
+  }
+);
+
+export default router;
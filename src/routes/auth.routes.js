@@ -1,19 +1,960 @@
 import { Router } from 'express';
 import { body, validationResult } from 'express-validator';
 import jwt from 'jsonwebtoken';
-import bcrypt from 'bcryptjs';
 import rateLimit from 'express-rate-limit';
 import { User } from '../models/User.js';
-import { authenticate } from '../middleware/auth.js';
-import { sendPasswordResetEmail, sendVerificationEmail } from '../utils/email.js';
+import { SecurityEvent } from '../models/SecurityEvent.js';
+import { authenticate, requireUserSession } from '../middleware/auth.js';
+import LoginThrottle from '../services/LoginThrottle.js';
+import OidcService, { OidcError } from '../services/OidcService.js';
+import SessionService, { SessionError } from '../services/SessionService.js';
+import { sendAccountLockedEmail, sendPasswordResetEmail, sendVerificationEmail } from '../utils/email.js';
+import { signTwoFactorChallenge, verifyTwoFactorChallenge } from '../utils/twoFactorToken.js';
 
 const router = Router();
 
+/**
+ * Device details stored with a sign-in session
+ * @param {Object} req - Express request
+ * @returns {{deviceName: string|undefined, userAgent: string|undefined, ipAddress: string}}
+ */
+const deviceOf = (req) => ({
+  deviceName: req.body?.device_name,
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip,
+});
+
+/**
+ * Open a session for the device of the request
+ * @param {Object} req - Express request
+ * @param {User} user - User signing in
+ * @returns {Promise<{user: Object, token: string, refreshToken: string}>} Response data of a completed sign-in
+ */
+const signIn = async (req, user) => {
+  const { session, refreshToken } = await SessionService.start(user.id, deviceOf(req));
+
+  return {
+    user: user.toJSON(),
+    token: user.generateAuthToken(session.id),
+    refreshToken,
+  };
+};
+
+const THROTTLE_ERRORS = {
+  ip_blocked: 'Too many failed sign-in attempts from this address, please try again later.',
+  account_locked: 'This account is temporarily locked after too many failed sign-in attempts.',
+  login_delayed: 'Too many failed sign-in attempts, please wait before trying again.',
+};
+
+/**
+ * Answer a sign-in attempt refused by LoginThrottle
+ * @param {Object} res - Express response
+ * @param {{reason: string, retryAfterMs: number}} throttled - Result of LoginThrottle.check()
+ */
+const rejectThrottled = (res, { reason, retryAfterMs }) => {
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: THROTTLE_ERRORS[reason],
+    code: reason,
+    retry_after: retryAfter,
+  });
+};
+
+/**
+ * Count a failed sign-in; audit and notify when it locks the account or blocks the IP
+ * @param {Object} req - Express request
+ * @param {Object} attempt - Attempt that failed
+ * @param {string} attempt.accountKey - LoginThrottle key of the account
+ * @param {string} attempt.identifier - Identifier that was used
+ * @param {User|null} attempt.user - User it matched
+ */
+const registerLoginFailure = async (req, { accountKey, identifier, user }) => {
+  const result = await LoginThrottle.registerFailure(accountKey, req.ip);
+  const userId = user?.id || null;
+
+  if (result.ipBlocked) {
+    await SecurityEvent.record({
+      event: 'login.ip_blocked',
+      userId,
+      identifier,
+      metadata: { locked_until: result.lockedUntil },
+      request: req,
+    });
+  }
+
+  if (result.accountLocked) {
+    await SecurityEvent.record({
+      event: 'login.locked',
+      userId,
+      identifier,
+      metadata: { failures: result.failures, locked_until: result.lockedUntil },
+      request: req,
+    });
+
+    if (user) {
+      await sendAccountLockedEmail(user.email, user.first_name, {
+        failures: result.failures,
+        lockedUntil: result.lockedUntil,
+        ipAddress: req.ip,
+      });
+    }
+  }
+};
+
+// Second factors are guessable one code at a time; keep the guesses few
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 codes per windowMs
+  message: 'Too many two-factor attempts, please try again later.'
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/register:
+ *   post:
+ *     summary: Register a new user
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *               - document_id
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               document_id:
+ *                 type: string
+ *               first_name:
+ *                 type: string
+ *               last_name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               device_name:
+ *                 type: string
+ *                 description: Name of the device, shown in the session list
+ *     responses:
+ *       201:
+ *         description: User registered successfully; signs the user in on this device
+ *       400:
+ *         description: Validation error or user already exists
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/register',
+  [
+    body('email').isEmail().normalizeEmail(),
+    body('password').isLength({ min: 8 }),
+    body('document_id').notEmpty(),
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          success: false, 
+          errors: errors.array() 
+        });
+      }
+
+      const { email, password, document_id, first_name, last_name, phone } = req.body;
+
+      // Check if user already exists
+      const existingUser = await User.query()
+        .where('email', email)
+        .orWhere('document_id', document_id)
+        .orWhere('phone', phone)
+        .first();
+
+      if (existingUser) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'User with this email, document ID, or phone already exists' 
+        });
+      }
+
+      // Create user
+      const user = await User.query().insert({
+        email,
+        document_id,
+        first_name,
+        last_name,
+        phone,
+        password, // Password will be hashed in the model hook
+        is_active: true,
+        email_verified: false, // Email verification would be handled separately
+      });
+
+      // Sign in on this device
+      res.status(201).json({
+        success: true,
+        data: await signIn(req, user),
+      });
+    } catch (error) {
+      console.error('Registration error:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to register user' 
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/login:
+ *   post:
+ *     summary: Authenticate user and get token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - identifier
+ *               - password
+ *             properties:
+ *               identifier:
+ *                 type: string
+ *                 description: Email, phone, or document ID
+ *               password:
+ *                 type: string
+ *               device_name:
+ *                 type: string
+ *                 description: Name of the device, shown in the session list
+ *     responses:
+ *       200:
+ *         description: >
+ *           Authentication successful; opens a session for this device. With
+ *           two-factor authentication enabled, no session is opened yet: the
+ *           response has `two_factor_required` and a `two_factor_token` to send
+ *           to /auth/login/2fa with a code.
+ *       401:
+ *         description: Invalid credentials
+ *       429:
+ *         description: >
+ *           Too many failed attempts. `code` is `login_delayed` (wait a few
+ *           seconds), `account_locked` or `ip_blocked`; the `Retry-After`
+ *           header says how long.
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/login',
+  [
+    body('identifier').notEmpty(),
+    body('password').notEmpty(),
+  ],
+  async (req, res) => {
+    try {
+      const { identifier, password } = req.body;
+
+      // Find user by email, phone, or document ID
+      const user = await User.query()
+        .where('email', identifier)
+        .orWhere('phone', identifier)
+        .orWhere('document_id', identifier)
+        .first();
+
+      // Refuse before checking the password, so a locked account cannot be probed
+      const accountKey = LoginThrottle.accountKey(identifier, user);
+      const throttled = await LoginThrottle.check(accountKey, req.ip);
+      if (!throttled.allowed) {
+        return rejectThrottled(res, throttled);
+      }
+
+      if (!user || !(await user.verifyPassword(password))) {
+        await registerLoginFailure(req, { accountKey, identifier, user });
+        return res.status(401).json({ 
+          success: false, 
+          error: 'Invalid credentials' 
+        });
+      }
+
+      if (!user.is_active) {
+        return res.status(403).json({ 
+          success: false, 
+          error: 'Account is deactivated' 
+        });
+      }
+
+      // The password alone is not enough: sign-in finishes at /login/2fa
+      if (user.two_factor_enabled) {
+        return res.json({
+          success: true,
+          data: {
+            two_factor_required: true,
+            two_factor_token: signTwoFactorChallenge(user),
+          },
+        });
+      }
+
+      await LoginThrottle.registerSuccess(accountKey);
+
+      // Update last login
+      await user.$query().patch({ last_login: new Date().toISOString() });
+
+      // Open a session for this device
+      res.json({
+        success: true,
+        data: await signIn(req, user),
+      });
+    } catch (error) {
+      console.error('Login error:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: 'Authentication failed' 
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/login/2fa:
+ *   post:
+ *     summary: Finish signing in with the second factor
+ *     description: >
+ *       Send the `two_factor_token` returned by /auth/login with either the
+ *       current code of the authenticator app or one of the recovery codes.
+ *       A code works once; a recovery code is used up.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - two_factor_token
+ *             properties:
+ *               two_factor_token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *               recovery_code:
+ *                 type: string
+ *               device_name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Authentication successful; opens a session for this device
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid or expired two-factor token, or wrong code
+ *       429:
+ *         description: Too many attempts; wrong codes count as failed sign-ins of the account
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/login/2fa',
+  twoFactorLimiter,
+  [
+    body('two_factor_token').isString().notEmpty(),
+    body('code').optional().isString(),
+    body('recovery_code').optional().isString(),
+    body().custom(value => Boolean(value.code || value.recovery_code))
+      .withMessage('Either code or recovery_code is required'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      let challenge;
+      try {
+        challenge = verifyTwoFactorChallenge(req.body.two_factor_token);
+      } catch (error) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid or expired two-factor token'
+        });
+      }
+
+      // Challenges die with a password reset or sign-out everywhere, like access tokens
+      const user = await User.query().findById(challenge.sub);
+      if (!user || !user.is_active || (challenge.ver || 0) !== (user.token_version || 0)) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid or expired two-factor token'
+        });
+      }
+
+      const accountKey = LoginThrottle.accountKey(user.email, user);
+      const throttled = await LoginThrottle.check(accountKey, req.ip);
+      if (!throttled.allowed) {
+        return rejectThrottled(res, throttled);
+      }
+
+      const { code, recovery_code: recoveryCode } = req.body;
+      if (!(await user.verifySecondFactor({ code, recoveryCode }))) {
+        await registerLoginFailure(req, { accountKey, identifier: user.email, user });
+        return res.status(401).json({
+          success: false,
+          error: recoveryCode ? 'Invalid recovery code' : 'Invalid two-factor code'
+        });
+      }
+
+      await LoginThrottle.registerSuccess(accountKey);
+      await user.$query().patch({ last_login: new Date().toISOString() });
+      const data = await signIn(req, await user.$query());
+
+      res.json({
+        success: true,
+        data,
+      });
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Authentication failed'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/oidc/providers:
+ *   get:
+ *     summary: Single sign-on providers users can sign in with
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Configured providers (`key` and display `name`)
+ */
+router.get('/oidc/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: OidcService.listProviders(),
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/oidc/{provider}/authorize:
+ *   get:
+ *     summary: Start signing in with a single sign-on provider
+ *     description: >
+ *       Send the browser to `authorization_url`. The provider redirects back
+ *       to the configured redirect URI with `code` and `state`; post them to
+ *       /auth/oidc/{provider}/callback within `expires_at`.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Authorization URL
+ *       404:
+ *         description: Unknown provider
+ *       502:
+ *         description: The provider could not be reached
+ */
+router.get('/oidc/:provider/authorize', async (req, res) => {
+  try {
+    const { authorizationUrl, expiresAt } = await OidcService.createAuthorization(req.params.provider);
+
+    res.json({
+      success: true,
+      data: {
+        authorization_url: authorizationUrl,
+        expires_at: expiresAt,
+      },
+    });
+  } catch (error) {
+    if (error instanceof OidcError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+      });
+    }
+
+    console.error('OIDC authorize error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start single sign-on'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/oidc/{provider}/callback:
+ *   post:
+ *     summary: Finish signing in with a single sign-on provider
+ *     description: >
+ *       Signs in the user linked to the provider account. The first time, the
+ *       account is linked to the user with the same email, which the provider
+ *       must have verified, or a user is created. With two-factor
+ *       authentication enabled the response is the same as /auth/login's.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - state
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               device_name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Authentication successful; opens a session for this device
+ *       400:
+ *         description: Validation error, or unknown or expired `state`
+ *       401:
+ *         description: The code or the id token was refused
+ *       403:
+ *         description: No verified email from the provider, or the account is deactivated
+ *       404:
+ *         description: Unknown provider
+ *       409:
+ *         description: The user with that email cannot be linked yet
+ *       502:
+ *         description: The provider could not be reached
+ */
+router.post(
+  '/oidc/:provider/callback',
+  [
+    body('code').isString().notEmpty(),
+    body('state').isString().notEmpty(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { provider } = req.params;
+      const claims = await OidcService.completeAuthorization(provider, req.body);
+      const { user, linked } = await OidcService.resolveUser(provider, claims);
+
+      if (linked) {
+        await SecurityEvent.record({
+          event: 'oidc.account_linked',
+          userId: user.id,
+          identifier: user.email,
+          metadata: { provider, subject: claims.sub },
+          request: req,
+        });
+      }
+
+      if (!user.is_active) {
+        return res.status(403).json({
+          success: false,
+          error: 'Account is deactivated'
+        });
+      }
+
+      // The provider stands in for the password, not for the second factor
+      if (user.two_factor_enabled) {
+        return res.json({
+          success: true,
+          data: {
+            two_factor_required: true,
+            two_factor_token: signTwoFactorChallenge(user),
+          },
+        });
+      }
+
+      await user.$query().patch({ last_login: new Date().toISOString() });
+
+      res.json({
+        success: true,
+        data: await signIn(req, user),
+      });
+    } catch (error) {
+      if (error instanceof OidcError) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+        });
+      }
+
+      console.error('OIDC callback error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Authentication failed'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa:
+ *   get:
+ *     summary: Two-factor authentication status of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether it is enabled, since when and how many recovery codes are left
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/2fa', authenticate, requireUserSession, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      enabled: req.user.two_factor_enabled,
+      enabled_at: req.user.two_factor_enabled_at,
+      recovery_codes_left: req.user.two_factor_enabled ? req.user.two_factor_recovery_codes.length : 0,
+    },
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/setup:
+ *   post:
+ *     summary: Start enrolling an authenticator app
+ *     description: >
+ *       Generates a new secret. Show `otpauth_url` as a QR code (or the secret
+ *       for manual entry), then confirm with /auth/2fa/enable.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and provisioning URI
+ *       401:
+ *         description: Not authenticated
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ *       500:
+ *         description: Server error
+ */
+router.post('/2fa/setup', authenticate, requireUserSession, async (req, res) => {
+  try {
+    if (req.user.two_factor_enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const data = await req.user.startTwoFactorSetup();
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm the authenticator app and enable two-factor authentication
+ *     description: Returns the recovery codes; they are shown only this once.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Enabled; returns the recovery codes
+ *       400:
+ *         description: Wrong code or setup not started
+ *       401:
+ *         description: Not authenticated
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/2fa/enable',
+  authenticate,
+  requireUserSession,
+  twoFactorLimiter,
+  [body('code').isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      if (req.user.two_factor_enabled) {
+        return res.status(409).json({
+          success: false,
+          error: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      if (!req.user.two_factor_secret) {
+        return res.status(400).json({
+          success: false,
+          error: 'Start the setup at /auth/2fa/setup first'
+        });
+      }
+
+      const recoveryCodes = await req.user.enableTwoFactor(req.body.code);
+      if (!recoveryCodes) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid two-factor code'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { recovery_codes: recoveryCodes },
+      });
+    } catch (error) {
+      console.error('Enable two-factor error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to enable two-factor authentication'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: >
+ *       Needs the password and a current code or a recovery code. Projects
+ *       that require two-factor authentication refuse the user afterwards.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recovery_code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Disabled
+ *       400:
+ *         description: Validation error or two-factor authentication not enabled
+ *       401:
+ *         description: Wrong password or code
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/2fa/disable',
+  authenticate,
+  requireUserSession,
+  twoFactorLimiter,
+  [
+    body('password').isString().notEmpty(),
+    body('code').optional().isString(),
+    body('recovery_code').optional().isString(),
+    body().custom(value => Boolean(value.code || value.recovery_code))
+      .withMessage('Either code or recovery_code is required'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      if (!req.user.two_factor_enabled) {
+        return res.status(400).json({
+          success: false,
+          error: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      const { password, code, recovery_code: recoveryCode } = req.body;
+      if (!(await req.user.verifyPassword(password))
+        || !(await req.user.verifySecondFactor({ code, recoveryCode }))) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid password or two-factor code'
+        });
+      }
+
+      await req.user.disableTwoFactor();
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled',
+      });
+    } catch (error) {
+      console.error('Disable two-factor error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to disable two-factor authentication'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     description: Needs a current code. The previous recovery codes stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes, shown only this once
+ *       400:
+ *         description: Validation error or two-factor authentication not enabled
+ *       401:
+ *         description: Wrong code
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/2fa/recovery-codes',
+  authenticate,
+  requireUserSession,
+  twoFactorLimiter,
+  [body('code').isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      if (!req.user.two_factor_enabled) {
+        return res.status(400).json({
+          success: false,
+          error: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (!(await req.user.verifySecondFactor({ code: req.body.code }))) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid two-factor code'
+        });
+      }
+
+      const recoveryCodes = await req.user.regenerateRecoveryCodes();
+
+      res.json({
+        success: true,
+        data: { recovery_codes: recoveryCodes },
+      });
+    } catch (error) {
+      console.error('Regenerate recovery codes error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to regenerate recovery codes'
+      });
+    }
+  }
+);
+
 /**
  * @swagger
- * /api/v1/auth/register:
+ * /api/v1/auth/refresh-token:
  *   post:
- *     summary: Register a new user
+ *     summary: Exchange a refresh token for new tokens
+ *     description: >
+ *       No access token needed. Every refresh token works once: the response
+ *       carries its successor. Presenting a refresh token that was already
+ *       used signs out its whole session.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -22,102 +963,64 @@ const router = Router();
  *           schema:
  *             type: object
  *             required:
- *               - email
- *               - password
- *               - document_id
+ *               - refreshToken
  *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *               password:
- *                 type: string
- *                 minLength: 8
- *               document_id:
- *                 type: string
- *               first_name:
- *                 type: string
- *               last_name:
- *                 type: string
- *               phone:
+ *               refreshToken:
  *                 type: string
  *     responses:
- *       201:
- *         description: User registered successfully
+ *       200:
+ *         description: New access and refresh tokens
  *       400:
- *         description: Validation error or user already exists
+ *         description: Validation error
+ *       401:
+ *         description: Invalid, expired, reused or signed out refresh token
  *       500:
  *         description: Server error
  */
 router.post(
-  '/register',
-  [
-    body('email').isEmail().normalizeEmail(),
-    body('password').isLength({ min: 8 }),
-    body('document_id').notEmpty(),
-  ],
+  '/refresh-token',
+  [body('refreshToken').isString().notEmpty()],
   async (req, res) => {
     try {
-      // Validate request
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
-        return res.status(400).json({ 
-          success: false, 
-          errors: errors.array() 
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
         });
       }
 
-      const { email, password, document_id, first_name, last_name, phone } = req.body;
-
-      // Check if user already exists
-      const existingUser = await User.query()
-        .where('email', email)
-        .orWhere('document_id', document_id)
-        .orWhere('phone', phone)
-        .first();
+      const { session, refreshToken } = await SessionService.rotate(req.body.refreshToken, deviceOf(req));
 
-      if (existingUser) {
-        return res.status(400).json({ 
-          success: false, 
-          error: 'User with this email, document ID, or phone already exists' 
+      const user = await User.query().findById(session.user_id);
+      if (!user || !user.is_active) {
+        await SessionService.revoke(session.user_id, session.id, 'account_inactive');
+        return res.status(401).json({
+          success: false,
+          error: 'User not found or account is inactive'
         });
       }
 
-      // Create user
-      const user = await User.query().insert({
-        email,
-        document_id,
-        first_name,
-        last_name,
-        phone,
-        password, // Password will be hashed in the model hook
-        is_active: true,
-        email_verified: false, // Email verification would be handled separately
-      });
-
-      // Generate JWT token
-      const token = user.generateAuthToken();
-      const refreshToken = jwt.sign(
-        { id: user.id },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d' }
-      );
-
-      // Return user info and token (exclude password hash)
-      const { password_hash, ...userData } = user;
-      
-      res.status(201).json({
+      res.json({
         success: true,
         data: {
-          user: userData,
-          token,
+          token: user.generateAuthToken(session.id),
           refreshToken,
         },
       });
     } catch (error) {
-      console.error('Registration error:', error);
-      res.status(500).json({ 
-        success: false, 
-        error: 'Failed to register user' 
+      if (error instanceof SessionError) {
+        return res.status(401).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+        });
+      }
+
+      console.error('Token refresh error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to refresh token'
       });
     }
   }
@@ -125,9 +1028,9 @@ router.post(
 
 /**
  * @swagger
- * /api/v1/auth/login:
+ * /api/v1/auth/logout:
  *   post:
- *     summary: Authenticate user and get token
+ *     summary: Sign out the session of a refresh token
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -136,80 +1039,42 @@ router.post(
  *           schema:
  *             type: object
  *             required:
- *               - identifier
- *               - password
+ *               - refreshToken
  *             properties:
- *               identifier:
- *                 type: string
- *                 description: Email, phone, or document ID
- *               password:
+ *               refreshToken:
  *                 type: string
  *     responses:
  *       200:
- *         description: Authentication successful
- *       401:
- *         description: Invalid credentials
+ *         description: Signed out (also when the session already was)
+ *       400:
+ *         description: Validation error
  *       500:
  *         description: Server error
  */
 router.post(
-  '/login',
-  [
-    body('identifier').notEmpty(),
-    body('password').notEmpty(),
-  ],
+  '/logout',
+  [body('refreshToken').isString().notEmpty()],
   async (req, res) => {
     try {
-      const { identifier, password } = req.body;
-
-      // Find user by email, phone, or document ID
-      const user = await User.query()
-        .where('email', identifier)
-        .orWhere('phone', identifier)
-        .orWhere('document_id', identifier)
-        .first();
-
-      if (!user || !(await user.verifyPassword(password))) {
-        return res.status(401).json({ 
-          success: false, 
-          error: 'Invalid credentials' 
-        });
-      }
-
-      if (!user.is_active) {
-        return res.status(403).json({ 
-          success: false, 
-          error: 'Account is deactivated' 
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
         });
       }
 
-      // Update last login
-      await user.$query().patch({ last_login: new Date().toISOString() });
+      await SessionService.revokeByToken(req.body.refreshToken);
 
-      // Generate tokens
-      const token = user.generateAuthToken();
-      const refreshToken = jwt.sign(
-        { id: user.id },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d' }
-      );
-
-      // Return user info and tokens (exclude password hash)
-      const { password_hash, ...userData } = user;
-      
       res.json({
         success: true,
-        data: {
-          user: userData,
-          token,
-          refreshToken,
-        },
+        message: 'Signed out',
       });
     } catch (error) {
-      console.error('Login error:', error);
-      res.status(500).json({ 
-        success: false, 
-        error: 'Authentication failed' 
+      console.error('Logout error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to sign out'
       });
     }
   }
@@ -217,42 +1082,194 @@ router.post(
 
 /**
  * @swagger
- * /api/v1/auth/refresh-token:
- *   post:
- *     summary: Refresh access token
+ * /api/v1/auth/sessions:
+ *   get:
+ *     summary: List the signed-in devices of the current user
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Token refreshed successfully
+ *         description: Open sessions, most recently used first; `current` marks the caller's
  *       401:
- *         description: Invalid or expired refresh token
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
  */
-router.post('/refresh-token', authenticate, async (req, res) => {
+router.get('/sessions', authenticate, requireUserSession, async (req, res) => {
   try {
-    const user = req.user;
-    
-    // Generate new tokens
-    const token = user.generateAuthToken();
-    const refreshToken = jwt.sign(
-      { id: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d' }
-    );
+    const sessions = await SessionService.list(req.user.id);
 
     res.json({
       success: true,
-      data: {
-        token,
-        refreshToken,
-      },
+      data: sessions.map(session => ({
+        id: session.id,
+        device_name: session.device_name,
+        user_agent: session.user_agent,
+        ip_address: session.ip_address,
+        created_at: session.created_at,
+        last_used_at: session.last_used_at,
+        expires_at: session.expires_at,
+        current: session.id === req.sessionId,
+      })),
     });
   } catch (error) {
-    console.error('Token refresh error:', error);
-    res.status(401).json({ 
-      success: false, 
-      error: 'Invalid or expired refresh token' 
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sessions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/security-events:
+ *   get:
+ *     summary: Security events of the current user
+ *     description: Lockouts after failed sign-ins and throttled password reset requests, newest first.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Security events
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/security-events', authenticate, requireUserSession, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+    const events = await SecurityEvent.getUserEvents(req.user.id, limit, offset);
+
+    res.json({
+      success: true,
+      data: events,
+    });
+  } catch (error) {
+    console.error('List security events error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch security events'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out one device of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session signed out
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: No open session with this ID
+ *       500:
+ *         description: Server error
+ */
+router.delete('/sessions/:sessionId', authenticate, requireUserSession, async (req, res) => {
+  try {
+    const revoked = await SessionService.revoke(req.user.id, req.params.sessionId);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session signed out',
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sign out session'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   delete:
+ *     summary: Sign out the other devices of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: include_current
+ *         schema:
+ *           type: boolean
+ *         description: Also sign out the session of the calling token
+ *     responses:
+ *       200:
+ *         description: >
+ *           Number of sessions signed out. Every access token issued so far
+ *           stops working; unless `include_current` is set, a new `token` for
+ *           the current session is returned.
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.delete('/sessions', authenticate, requireUserSession, async (req, res) => {
+  try {
+    const includeCurrent = req.query.include_current === 'true';
+    const revoked = await SessionService.revokeAll(req.user.id, {
+      reason: 'logout_all',
+      exceptSessionId: includeCurrent ? undefined : req.sessionId,
+    });
+
+    // Access tokens of the signed out devices must stop working too; this
+    // also voids the caller's, so a kept session gets a fresh one
+    await User.revokeAccessTokens(req.user.id);
+
+    let token;
+    if (!includeCurrent && req.sessionId) {
+      const user = await req.user.$query();
+      token = user.generateAuthToken(req.sessionId);
+    }
+
+    res.json({
+      success: true,
+      data: { revoked, token },
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sign out sessions'
     });
   }
 });
@@ -271,10 +1288,10 @@ router.post('/refresh-token', authenticate, async (req, res) => {
  *       401:
  *         description: Not authenticated
  */
-router.get('/me', authenticate, async (req, res) => {
+router.get('/me', authenticate, requireUserSession, async (req, res) => {
   try {
     const user = req.user;
-    const { password_hash, ...userData } = user;
+    const userData = user.toJSON();
     
     // Get user's projects
     const projects = await user.$relatedQuery('projects');
@@ -315,17 +1332,17 @@ router.get('/me', authenticate, async (req, res) => {
  *                 format: email
  *     responses:
  *       200:
- *         description: If the email exists, a password reset link has been sent
+ *         description: >
+ *           If the email exists, a password reset link has been sent. Only a
+ *           few links per email are sent each hour; further requests get the
+ *           same answer without an email.
+ *       429:
+ *         description: Too many requests from this address
  *       500:
  *         description: Server error
  */
 router.post(
   '/request-password-reset',
-  rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 5, // limit each IP to 5 requests per windowMs
-    message: 'Demasiados intentos, por favor intente de nuevo más tarde.'
-  }),
   [
     body('email').isEmail().normalizeEmail(),
   ],
@@ -341,8 +1358,30 @@ router.post(
 
       const { email } = req.body;
       const user = await User.query().findOne({ email });
-      
-      if (user) {
+
+      const throttled = await LoginThrottle.consumePasswordReset(LoginThrottle.accountKey(email, user), req.ip);
+      if (throttled.reason === 'ip_blocked') {
+        const retryAfter = Math.ceil(throttled.retryAfterMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          error: 'Demasiados intentos, por favor intente de nuevo más tarde.',
+          code: 'ip_blocked',
+          retry_after: retryAfter,
+        });
+      }
+
+      if (throttled.throttledNow) {
+        await SecurityEvent.record({
+          event: 'password_reset.throttled',
+          userId: user?.id || null,
+          identifier: email,
+          request: req,
+        });
+      }
+
+      // Answer the same when throttled, so the limit does not reveal whether the email exists
+      if (user && throttled.allowed) {
         // Generate reset token (1 hour expiry)
         const resetToken = jwt.sign(
           { id: user.id },
@@ -400,7 +1439,7 @@ router.post(
  *                 minLength: 8
  *     responses:
  *       200:
- *         description: Password reset successful
+ *         description: Password reset successful; every session and access token of the user is revoked
  *       400:
  *         description: Invalid or expired token
  *       500:
@@ -437,21 +1476,8 @@ router.post(
         });
       }
       
-      // Update password
-      const salt = await bcrypt.genSalt(10);
-      const password_hash = await bcrypt.hash(newPassword, salt);
-      
-      await User.query()
-        .findById(user.id)
-        .patch({
-          password_hash,
-          reset_password_token: null,
-          reset_password_expires: null,
-          updated_at: new Date().toISOString()
-        });
-      
-      // Invalidate all user sessions
-      await User.invalidateSessions(user.id);
+      // Update password; signs out every session
+      await user.updatePassword(newPassword);
       
       res.json({
         success: true,
@@ -0,0 +1,357 @@
+import { Router } from 'express';
+import { body, query as q, validationResult } from 'express-validator';
+import { Project, ProjectActivity, ProjectInvitation, ProjectMember } from '../models/index.js';
+import { authenticate, requireUserSession } from '../middleware/auth.js';
+import { hashInvitationToken, verifyInvitationToken } from '../utils/invitationToken.js';
+
+// Answering invitations: the token from the email identifies the invitation
+const router = Router();
+
+/**
+ * Find the invitation a token was issued for. Tokens replaced by a resend
+ * no longer match.
+ * @param {string} token - Invitation token
+ * @returns {Promise<ProjectInvitation|null>} Invitation, null when the token is invalid or expired
+ */
+async function findInvitationByToken(token) {
+  let decoded;
+  try {
+    decoded = verifyInvitationToken(token);
+  } catch (error) {
+    return null;
+  }
+
+  const invitation = await ProjectInvitation.query().findById(decoded.sub);
+  if (!invitation || invitation.token_hash !== hashInvitationToken(token)) {
+    return null;
+  }
+  return invitation;
+}
+
+/**
+ * Answer for invitations that cannot be accepted or declined anymore
+ * @param {Object} res - Express response
+ * @param {ProjectInvitation|null} invitation - Invitation found for the token
+ * @returns {boolean} Whether an error was sent
+ */
+function rejectClosedInvitation(res, invitation) {
+  if (!invitation || invitation.is_expired) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid or expired invitation token',
+    });
+    return true;
+  }
+
+  if (invitation.status !== 'pending') {
+    res.status(409).json({
+      success: false,
+      error: `This invitation has already been ${invitation.status}`,
+    });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * @swagger
+ * /api/v1/invitations/preview:
+ *   get:
+ *     summary: Show what an invitation token is for
+ *     description: No authentication needed, so the invitation can be shown before signing up or in.
+ *     tags: [Invitations]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the invitation email
+ *     responses:
+ *       200:
+ *         description: Project, role, invited address and expiry
+ *       400:
+ *         description: Invalid or expired token
+ *       409:
+ *         description: Invitation is no longer pending
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/preview',
+  [q('token').isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const invitation = await findInvitationByToken(req.query.token);
+      if (rejectClosedInvitation(res, invitation)) return;
+
+      await invitation.$fetchGraph('[project, inviter]');
+
+      res.json({
+        success: true,
+        data: {
+          email: invitation.email,
+          role: invitation.role,
+          permissions: ProjectMember.getPermissionsFor(invitation.role, invitation.permissions),
+          expires_at: invitation.expires_at,
+          project: { id: invitation.project.id, name: invitation.project.name },
+          invited_by: invitation.inviter && {
+            first_name: invitation.inviter.first_name,
+            last_name: invitation.inviter.last_name,
+            email: invitation.inviter.email,
+          },
+        },
+      });
+    } catch (error) {
+      console.error('Preview invitation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch invitation',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/invitations/accept:
+ *   post:
+ *     summary: Accept an invitation and join its project
+ *     description: >
+ *       The signed-in user must have the invited email address. Creates the
+ *       membership (or reactivates a removed one) with the invited role.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Invitation accepted; returns the membership
+ *       400:
+ *         description: Invalid or expired token
+ *       403:
+ *         description: Invitation was sent to another address, or the project no longer accepts its domain
+ *       409:
+ *         description: Invitation is no longer pending or the user is already a member
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/accept',
+  authenticate,
+  requireUserSession,
+  [body('token').isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const invitation = await findInvitationByToken(req.body.token);
+      if (rejectClosedInvitation(res, invitation)) return;
+
+      if (req.user.email.toLowerCase() !== invitation.email) {
+        return res.status(403).json({
+          success: false,
+          error: 'This invitation was sent to another email address',
+        });
+      }
+
+      const project = await Project.query()
+        .findById(invitation.project_id)
+        .where('is_active', true)
+        .whereNull('deleted_at');
+
+      if (!project) {
+        return res.status(400).json({
+          success: false,
+          error: 'The project of this invitation no longer exists',
+        });
+      }
+
+      // The project may have been restricted to other domains since the invitation was sent
+      if (!project.allowsEmail(req.user.email)) {
+        return res.status(403).json({
+          success: false,
+          error: 'This project only accepts members with an email address in its allowed domains',
+          code: 'email_domain_not_allowed',
+        });
+      }
+
+      const existing = await ProjectMember.getByProjectAndUser(project.id, req.user.id);
+      if (existing?.is_active) {
+        return res.status(409).json({
+          success: false,
+          error: 'You are already a member of this project',
+        });
+      }
+
+      const now = new Date().toISOString();
+      const membership = {
+        role: invitation.role,
+        permissions: invitation.permissions,
+        is_active: true,
+        invited_by: invitation.invited_by,
+        invited_at: new Date(invitation.created_at).toISOString(),
+        joined_at: now,
+      };
+
+      const member = await ProjectInvitation.transaction(async trx => {
+        // Only one answer per invitation, even for concurrent requests
+        const claimed = await ProjectInvitation.query(trx)
+          .findById(invitation.id)
+          .where('status', 'pending')
+          .patch({ status: 'accepted', accepted_by: req.user.id, responded_at: now });
+
+        if (!claimed) return null;
+
+        return existing
+          ? existing.$query(trx).patchAndFetch(membership)
+          : ProjectMember.query(trx).insert({ ...membership, project_id: project.id, user_id: req.user.id });
+      });
+
+      if (!member) {
+        return res.status(409).json({
+          success: false,
+          error: 'This invitation has already been answered',
+        });
+      }
+
+      await ProjectActivity.record({
+        projectId: project.id,
+        userId: req.user.id,
+        action: 'create',
+        entityType: 'member',
+        entityId: req.user.id,
+        entityName: req.user.email,
+        metadata: { role: member.role, invitation_id: invitation.id },
+        request: req,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          project_id: project.id,
+          project_name: project.name,
+          role: member.role,
+          permissions: member.getEffectivePermissions(),
+          joined_at: member.joined_at,
+        },
+      });
+    } catch (error) {
+      console.error('Accept invitation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to accept invitation',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/invitations/decline:
+ *   post:
+ *     summary: Decline an invitation
+ *     description: No authentication needed; the token from the email is enough.
+ *     tags: [Invitations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *       400:
+ *         description: Invalid or expired token
+ *       409:
+ *         description: Invitation is no longer pending
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/decline',
+  [body('token').isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const invitation = await findInvitationByToken(req.body.token);
+      if (rejectClosedInvitation(res, invitation)) return;
+
+      const declined = await ProjectInvitation.query()
+        .findById(invitation.id)
+        .where('status', 'pending')
+        .patch({ status: 'declined', responded_at: new Date().toISOString() });
+
+      if (!declined) {
+        return res.status(409).json({
+          success: false,
+          error: 'This invitation has already been answered',
+        });
+      }
+
+      // The invitee may have no account; the activity is attributed to the inviter
+      if (invitation.invited_by) {
+        await ProjectActivity.record({
+          projectId: invitation.project_id,
+          userId: invitation.invited_by,
+          action: 'reject',
+          entityType: 'invitation',
+          entityId: invitation.id,
+          entityName: invitation.email,
+          request: req,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Invitation declined',
+      });
+    } catch (error) {
+      console.error('Decline invitation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to decline invitation',
+      });
+    }
+  }
+);
+
+export default router;
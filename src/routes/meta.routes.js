@@ -1,18 +1,15 @@
 import express from 'express';
 import { knexInstance } from '../config/database.js';
+import { getDialectForConnection } from '../services/dialects/index.js';
 
 const router = express.Router();
+const dialect = getDialectForConnection(knexInstance);
 
 // List tables
 router.get('/tables', async (req, res) => {
   try {
-    const { rows } = await knexInstance.raw(`
-      SELECT table_name
-      FROM information_schema.tables
-      WHERE table_schema = 'public'
-      ORDER BY table_name;
-    `);
-    res.json({ success: true, tables: rows.map(r => r.table_name) });
+    const tables = await dialect.listTables(knexInstance);
+    res.json({ success: true, tables });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -21,27 +18,15 @@ router.get('/tables', async (req, res) => {
 // Full schema (tables -> columns)
 router.get('/schema', async (req, res) => {
   try {
-    const { rows } = await knexInstance.raw(`
-      SELECT
-        c.table_name,
-        c.column_name,
-        c.data_type,
-        c.is_nullable,
-        c.character_maximum_length,
-        c.numeric_precision,
-        c.numeric_scale
-      FROM information_schema.columns c
-      WHERE c.table_schema = 'public'
-      ORDER BY c.table_name, c.ordinal_position;
-    `);
+    const columns = await dialect.listColumns(knexInstance);
 
     const schema = {};
-    for (const r of rows) {
+    for (const r of columns) {
       if (!schema[r.table_name]) schema[r.table_name] = [];
       schema[r.table_name].push({
         column: r.column_name,
         type: r.data_type,
-        nullable: r.is_nullable === 'YES',
+        nullable: r.is_nullable,
         char_max: r.character_maximum_length,
         numeric_precision: r.numeric_precision,
         numeric_scale: r.numeric_scale,
@@ -56,21 +41,8 @@ router.get('/schema', async (req, res) => {
 // Basic FK relations
 router.get('/relations', async (req, res) => {
   try {
-    const { rows } = await knexInstance.raw(`
-      SELECT
-        tc.table_name AS table_name,
-        kcu.column_name AS column_name,
-        ccu.table_name AS foreign_table_name,
-        ccu.column_name AS foreign_column_name
-      FROM information_schema.table_constraints AS tc
-      JOIN information_schema.key_column_usage AS kcu
-        ON tc.constraint_name = kcu.constraint_name
-      JOIN information_schema.constraint_column_usage AS ccu
-        ON ccu.constraint_name = tc.constraint_name
-      WHERE constraint_type = 'FOREIGN KEY' AND tc.table_schema='public'
-      ORDER BY tc.table_name, kcu.column_name;
-    `);
-    res.json({ success: true, relations: rows });
+    const relations = await dialect.listRelations(knexInstance);
+    res.json({ success: true, relations });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
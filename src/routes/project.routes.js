@@ -1,7 +1,9 @@
 import { Router } from 'express';
-import { body, param, validationResult } from 'express-validator';
-import { Project, ProjectDatabase } from '../models/index.js';
-import { authenticate, authorizeProject, projectContext } from '../middleware/auth.js';
+import { body, param, query, validationResult } from 'express-validator';
+import { ValidationError } from 'objection';
+import { Project, ProjectActivity, ProjectDatabase, ProjectMember, User } from '../models/index.js';
+import { authenticate, requirePermission, projectContext, requireUserSession } from '../middleware/auth.js';
+import ConnectionManager from '../services/ConnectionManager.js';
 
 const router = Router();
 
@@ -13,6 +15,7 @@ router.use(authenticate);
  * /api/v1/projects:
  *   get:
  *     summary: Get all projects for the current user
+ *     description: Requires a user session; API keys are refused.
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -22,7 +25,7 @@ router.use(authenticate);
  *       500:
  *         description: Server error
  */
-router.get('/', async (req, res) => {
+router.get('/', requireUserSession, async (req, res) => {
   try {
     const projects = await req.user.$relatedQuery('projects');
     res.json({
@@ -43,6 +46,7 @@ router.get('/', async (req, res) => {
  * /api/v1/projects/{id}:
  *   get:
  *     summary: Get project by ID
+ *     description: Requires `project:read`.
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -68,7 +72,7 @@ router.get(
   [
     param('id').isUUID(),
   ],
-  authorizeProject('user'),
+  requirePermission('project:read'),
   async (req, res) => {
     try {
       const project = await Project.query()
@@ -76,7 +80,8 @@ router.get(
         .withGraphFetched({
           members: true,
           databases: true,
-        });
+        })
+        .modifyGraph('members', builder => builder.where('is_active', true));
 
       if (!project) {
         return res.status(404).json({
@@ -104,6 +109,7 @@ router.get(
  * /api/v1/projects:
  *   post:
  *     summary: Create a new project
+ *     description: Requires a user session; API keys are refused.
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -140,6 +146,7 @@ router.post(
     body('is_public').optional().isBoolean().toBoolean(),
     body('settings').optional().isObject(),
   ],
+  requireUserSession,
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -169,7 +176,8 @@ router.post(
         await project.$relatedQuery('members', trx).insert({
           user_id: req.user.id,
           role: 'admin',
-          added_by: req.user.id,
+          invited_by: req.user.id,
+          joined_at: new Date().toISOString(),
         });
 
         await trx.commit();
@@ -197,6 +205,7 @@ router.post(
  * /api/v1/projects/{id}:
  *   put:
  *     summary: Update a project
+ *     description: Requires `project:update`.
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -241,7 +250,7 @@ router.put(
     body('is_public').optional().isBoolean().toBoolean(),
     body('settings').optional().isObject(),
   ],
-  authorizeProject('admin'),
+  requirePermission('project:update'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -253,7 +262,8 @@ router.put(
       }
 
       const { id } = req.params;
-      const updates = req.body;
+      // The two-factor requirement and allowed domains have their own endpoints and checks
+      const { require_two_factor, allowed_email_domains, ...updates } = req.body;
 
       const project = await Project.query().patchAndFetchById(id, {
         ...updates,
@@ -281,11 +291,240 @@ router.put(
   }
 );
 
+/**
+ * @swagger
+ * /api/v1/projects/{id}/two-factor:
+ *   put:
+ *     summary: Require two-factor authentication from every member
+ *     description: >
+ *       Requires `settings:update`. While required, members (and API keys of
+ *       members) without two-factor authentication are refused by every
+ *       project endpoint. Turning it on needs two-factor authentication on
+ *       the caller's own account; the response lists the members who still
+ *       have to enable it.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - required
+ *             properties:
+ *               required:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Requirement updated
+ *       400:
+ *         description: Validation error or the caller has no two-factor authentication
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  '/:id/two-factor',
+  [
+    param('id').isUUID(),
+    body('required').isBoolean().toBoolean(),
+  ],
+  requirePermission('settings:update'),
+  requireUserSession,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { id } = req.params;
+      const { required } = req.body;
+
+      // Keeps admins from locking themselves out
+      if (required && !req.user.two_factor_enabled) {
+        return res.status(400).json({
+          success: false,
+          error: 'Enable two-factor authentication on your account before requiring it',
+        });
+      }
+
+      await Project.query().patchAndFetchById(id, {
+        require_two_factor: required,
+        updated_at: new Date().toISOString(),
+      });
+
+      const membersWithoutTwoFactor = required
+        ? await User.query()
+          .select('users.id', 'users.email', 'users.first_name', 'users.last_name')
+          .join('project_members', 'project_members.user_id', 'users.id')
+          .where('project_members.project_id', id)
+          .where('project_members.is_active', true)
+          .where('users.two_factor_enabled', false)
+        : [];
+
+      await ProjectActivity.record({
+        projectId: id,
+        userId: req.user.id,
+        action: 'update',
+        entityType: 'project',
+        entityId: id,
+        metadata: { require_two_factor: required },
+        request: req,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          require_two_factor: required,
+          members_without_two_factor: membersWithoutTwoFactor,
+        },
+      });
+    } catch (error) {
+      console.error('Update two-factor requirement error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update the two-factor requirement',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/allowed-domains:
+ *   put:
+ *     summary: Restrict membership to email domains
+ *     description: >
+ *       Requires `settings:update`. Only users whose email address is in one
+ *       of the domains can then be added, invited or accept an invitation;
+ *       an empty list lifts the restriction. Current members are kept: the
+ *       response lists those outside the domains. The caller's own domain
+ *       must be allowed.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - domains
+ *             properties:
+ *               domains:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   example: example.com
+ *     responses:
+ *       200:
+ *         description: Allowed domains updated
+ *       400:
+ *         description: Validation error or the caller's domain is not in the list
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  '/:id/allowed-domains',
+  [
+    param('id').isUUID(),
+    body('domains').isArray({ max: 50 }),
+    body('domains.*').isString().trim().toLowerCase()
+      .customSanitizer(domain => domain.replace(/^@/, ''))
+      .isFQDN().withMessage('Each domain must be a domain name, e.g. example.com'),
+  ],
+  requirePermission('settings:update'),
+  requireUserSession,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { id } = req.params;
+      const domains = [...new Set(req.body.domains)];
+
+      const project = Project.fromDatabaseJson({ allowed_email_domains: domains });
+      // Keeps admins from restricting the project to domains they are not in
+      if (!project.allowsEmail(req.user.email)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Your own email domain must be one of the allowed domains',
+        });
+      }
+
+      await Project.query().patchAndFetchById(id, {
+        allowed_email_domains: domains,
+        updated_at: new Date().toISOString(),
+      });
+
+      const members = await User.query()
+        .select('users.id', 'users.email', 'users.first_name', 'users.last_name')
+        .join('project_members', 'project_members.user_id', 'users.id')
+        .where('project_members.project_id', id)
+        .where('project_members.is_active', true);
+
+      await ProjectActivity.record({
+        projectId: id,
+        userId: req.user.id,
+        action: 'update',
+        entityType: 'project',
+        entityId: id,
+        metadata: { allowed_email_domains: domains },
+        request: req,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          allowed_email_domains: domains,
+          members_outside_domains: members.filter(member => !project.allowsEmail(member.email)),
+        },
+      });
+    } catch (error) {
+      console.error('Update allowed domains error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update the allowed domains',
+      });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/v1/projects/{id}/databases:
  *   post:
  *     summary: Add a database to a project
+ *     description: Requires `database:create`.
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -341,7 +580,7 @@ router.post(
     body('is_primary').optional().isBoolean().toBoolean(),
     body('metadata').optional().isObject(),
   ],
-  authorizeProject('admin'),
+  requirePermission('database:create'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -377,6 +616,16 @@ router.post(
 
         await trx.commit();
 
+        await ProjectActivity.record({
+          projectId: projectId,
+          userId: req.user.id,
+          action: 'create',
+          entityType: 'database',
+          entityId: database.id,
+          entityName: database.name,
+          request: req,
+        });
+
         res.status(201).json({
           success: true,
           data: database,
@@ -395,11 +644,25 @@ router.post(
   }
 );
 
+/**
+ * Find a database of a project, ignoring deleted ones
+ * @param {string} projectId - Project ID
+ * @param {string} databaseId - Database ID
+ * @returns {Promise<ProjectDatabase|undefined>} Database record
+ */
+async function findProjectDatabase(projectId, databaseId) {
+  return ProjectDatabase.query()
+    .findById(databaseId)
+    .where('project_id', projectId)
+    .whereNull('deleted_at');
+}
+
 /**
  * @swagger
- * /api/v1/projects/{id}/members:
+ * /api/v1/projects/{id}/databases:
  *   get:
- *     summary: Get project members
+ *     summary: List the databases of a project
+ *     description: Requires `database:read`. Secrets are returned redacted.
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -410,40 +673,55 @@ router.post(
  *         schema:
  *           type: string
  *         description: Project ID
+ *       - in: query
+ *         name: include_inactive
+ *         schema:
+ *           type: boolean
+ *         description: Also list deactivated databases
  *     responses:
  *       200:
- *         description: List of project members
+ *         description: List of databases
  *       403:
  *         description: Insufficient permissions
  *       500:
  *         description: Server error
  */
 router.get(
-  '/:id/members',
-  [param('id').isUUID()],
-  authorizeProject('user'),
+  '/:id/databases',
+  [
+    param('id').isUUID(),
+    query('include_inactive').optional().isBoolean().toBoolean(),
+  ],
+  requirePermission('database:read'),
   async (req, res) => {
     try {
-      const members = await Project.relatedQuery('members')
-        .for(req.params.id)
-        .withGraphFetched('user');
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const databases = await ProjectDatabase.query()
+        .where('project_id', req.params.id)
+        .whereNull('deleted_at')
+        .modify(builder => {
+          if (!req.query.include_inactive) {
+            builder.where('is_active', true);
+          }
+        })
+        .orderBy([{ column: 'is_primary', order: 'desc' }, 'name']);
 
       res.json({
         success: true,
-        data: members.map(member => ({
-          id: member.user.id,
-          email: member.user.email,
-          first_name: member.user.first_name,
-          last_name: member.user.last_name,
-          role: member.role,
-          added_at: member.created_at,
-        })),
+        data: databases,
       });
     } catch (error) {
-      console.error('Get members error:', error);
+      console.error('List databases error:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to fetch project members',
+        error: 'Failed to fetch project databases',
       });
     }
   }
@@ -451,9 +729,13 @@ router.get(
 
 /**
  * @swagger
- * /api/v1/projects/{id}/members:
+ * /api/v1/projects/{id}/databases/test:
  *   post:
- *     summary: Add a member to a project
+ *     summary: Test a connection config before saving it
+ *     description: >
+ *       Requires `database:create`, as the server connects wherever the
+ *       config points. Nothing is stored. Failures are reported without the
+ *       driver's error, which would tell which hosts and ports answer.
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -471,33 +753,32 @@ router.get(
  *           schema:
  *             type: object
  *             required:
- *               - user_id
- *               - role
+ *               - type
+ *               - connection_config
  *             properties:
- *               user_id:
- *                 type: string
- *                 format: uuid
- *               role:
+ *               type:
  *                 type: string
- *                 enum: [user, editor, admin]
+ *                 enum: [postgresql, mysql, mongodb, sqlite, mssql]
+ *               connection_config:
+ *                 type: object
  *     responses:
- *       201:
- *         description: Member added successfully
+ *       200:
+ *         description: Test result with latency and server version
  *       400:
- *         description: Validation error or user already a member
+ *         description: Validation error
  *       403:
  *         description: Insufficient permissions
  *       500:
  *         description: Server error
  */
 router.post(
-  '/:id/members',
+  '/:id/databases/test',
   [
     param('id').isUUID(),
-    body('user_id').isUUID(),
-    body('role').isIn(['user', 'editor', 'admin']),
+    body('type').isIn(['postgresql', 'mysql', 'mongodb', 'sqlite', 'mssql']),
+    body('connection_config').isObject(),
   ],
-  authorizeProject('admin'),
+  requirePermission('database:create'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -508,40 +789,35 @@ router.post(
         });
       }
 
-      const { id: projectId } = req.params;
-      const { user_id, role } = req.body;
+      // Validate the config the same way a saved database would be
+      const database = ProjectDatabase.fromJson({
+        project_id: req.params.id,
+        name: 'Connection test',
+        type: req.body.type,
+        connection_config: req.body.connection_config,
+      });
 
-      // Check if user is already a member
-      const existingMember = await Project.relatedQuery('members')
-        .for(projectId)
-        .where('user_id', user_id)
-        .first();
+      const result = await database.testConnection();
+      if (!result.success) {
+        console.warn(`Connection test for project ${req.params.id} failed: ${result.message}`);
+      }
 
-      if (existingMember) {
+      res.json({
+        success: true,
+        data: result.success ? result : { success: false, message: 'Could not connect with this configuration' },
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
         return res.status(400).json({
           success: false,
-          error: 'User is already a member of this project',
+          error: error.message,
         });
       }
 
-      // Add user to project
-      await Project.relatedQuery('members')
-        .for(projectId)
-        .insert({
-          user_id,
-          role,
-          added_by: req.user.id,
-        });
-
-      res.status(201).json({
-        success: true,
-        message: 'Member added successfully',
-      });
-    } catch (error) {
-      console.error('Add member error:', error);
+      console.error('Test connection error:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to add member to project',
+        error: 'Failed to test connection',
       });
     }
   }
@@ -549,9 +825,10 @@ router.post(
 
 /**
  * @swagger
- * /api/v1/projects/{id}/members/{userId}:
- *   delete:
- *     summary: Remove a member from a project
+ * /api/v1/projects/{id}/databases/{databaseId}:
+ *   get:
+ *     summary: Get a project database
+ *     description: Requires `database:read`. Secrets are returned redacted.
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -563,52 +840,1066 @@ router.post(
  *           type: string
  *         description: Project ID
  *       - in: path
- *         name: userId
+ *         name: databaseId
  *         required: true
  *         schema:
  *           type: string
- *         description: User ID to remove
+ *         description: Database ID
  *     responses:
  *       200:
- *         description: Member removed successfully
- *       400:
- *         description: Cannot remove last admin or self
+ *         description: Database details
  *       403:
  *         description: Insufficient permissions
  *       404:
- *         description: Member not found
+ *         description: Database not found
  *       500:
  *         description: Server error
  */
-router.delete(
-  '/:id/members/:userId',
+router.get(
+  '/:id/databases/:databaseId',
   [
     param('id').isUUID(),
-    param('userId').isUUID(),
+    param('databaseId').isUUID(),
   ],
-  authorizeProject('admin'),
+  requirePermission('database:read'),
   async (req, res) => {
     try {
-      const { id: projectId, userId } = req.params;
+      const database = await findProjectDatabase(req.params.id, req.params.databaseId);
 
-      // Prevent removing self
-      if (userId === req.user.id) {
-        return res.status(400).json({
+      if (!database) {
+        return res.status(404).json({
           success: false,
-          error: 'You cannot remove yourself from the project',
+          error: 'Database not found',
         });
       }
 
-      // Check if user is the last admin
-      const admins = await Project.relatedQuery('members')
-        .for(projectId)
-        .where('role', 'admin');
+      res.json({
+        success: true,
+        data: database,
+      });
+    } catch (error) {
+      console.error('Get database error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch database',
+      });
+    }
+  }
+);
 
-      if (admins.length <= 1 && admins[0]?.user_id === userId) {
-        return res.status(400).json({
-          success: false,
-          error: 'Cannot remove the last admin from the project',
-        });
+/**
+ * @swagger
+ * /api/v1/projects/{id}/databases/{databaseId}:
+ *   put:
+ *     summary: Update a project database
+ *     description: >
+ *       Requires `database:update`. `connection_config` is merged into the
+ *       stored one; secrets that are left out or sent back redacted keep their
+ *       current value.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: databaseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Database ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [postgresql, mysql, mongodb, sqlite, mssql]
+ *               connection_config:
+ *                 type: object
+ *               is_active:
+ *                 type: boolean
+ *               metadata:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Database updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Database not found
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  '/:id/databases/:databaseId',
+  [
+    param('id').isUUID(),
+    param('databaseId').isUUID(),
+    body('name').optional().trim().notEmpty(),
+    body('description').optional({ nullable: true }).trim(),
+    body('type').optional().isIn(['postgresql', 'mysql', 'mongodb', 'sqlite', 'mssql']),
+    body('connection_config').optional().isObject(),
+    body('is_active').optional().isBoolean().toBoolean(),
+    body('metadata').optional().isObject(),
+  ],
+  requirePermission('database:update'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const database = await findProjectDatabase(req.params.id, req.params.databaseId);
+
+      if (!database) {
+        return res.status(404).json({
+          success: false,
+          error: 'Database not found',
+        });
+      }
+
+      const { name, description, type, connection_config, is_active, metadata } = req.body;
+      const updates = { name, description, type, is_active, metadata };
+      if (connection_config) {
+        updates.connection_config = ProjectDatabase.mergeConnectionConfig(database.connection_config, connection_config);
+      }
+      Object.keys(updates).forEach(key => updates[key] === undefined && delete updates[key]);
+
+      // Validate against the full record so type-specific connection requirements apply
+      ProjectDatabase.fromJson({
+        project_id: database.project_id,
+        name: updates.name ?? database.name,
+        type: updates.type ?? database.type,
+        connection_config: updates.connection_config ?? database.connection_config,
+      });
+
+      const updated = await database.$query().patchAndFetch(updates);
+
+      await ProjectActivity.record({
+        projectId: updated.project_id,
+        userId: req.user.id,
+        action: 'update',
+        entityType: 'database',
+        entityId: updated.id,
+        entityName: updated.name,
+        metadata: { fields: Object.keys(updates) },
+        request: req,
+      });
+
+      res.json({
+        success: true,
+        data: updated,
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      console.error('Update database error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update database',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/databases/{databaseId}:
+ *   delete:
+ *     summary: Remove a database from a project
+ *     description: Requires `database:delete`. Query history keeps referring to the removed database.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: databaseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Database ID
+ *     responses:
+ *       200:
+ *         description: Database removed successfully
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Database not found
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  '/:id/databases/:databaseId',
+  [
+    param('id').isUUID(),
+    param('databaseId').isUUID(),
+  ],
+  requirePermission('database:delete'),
+  async (req, res) => {
+    try {
+      const database = await findProjectDatabase(req.params.id, req.params.databaseId);
+
+      if (!database) {
+        return res.status(404).json({
+          success: false,
+          error: 'Database not found',
+        });
+      }
+
+      // Soft delete, closing its connection pool (see ProjectDatabase.beforeUpdate)
+      await database.$query().patch({
+        is_active: false,
+        is_primary: false,
+        deleted_at: new Date().toISOString(),
+      });
+
+      await ProjectActivity.record({
+        projectId: database.project_id,
+        userId: req.user.id,
+        action: 'delete',
+        entityType: 'database',
+        entityId: database.id,
+        entityName: database.name,
+        request: req,
+      });
+
+      res.json({
+        success: true,
+        message: 'Database removed successfully',
+      });
+    } catch (error) {
+      console.error('Delete database error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to remove database',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/databases/{databaseId}/test:
+ *   post:
+ *     summary: Test the stored connection of a project database
+ *     description: Requires `database:test`. Opens a new connection instead of using the pool.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: databaseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Database ID
+ *     responses:
+ *       200:
+ *         description: Test result with latency and server version
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Database not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:id/databases/:databaseId/test',
+  [
+    param('id').isUUID(),
+    param('databaseId').isUUID(),
+  ],
+  requirePermission('database:test'),
+  async (req, res) => {
+    try {
+      const database = await findProjectDatabase(req.params.id, req.params.databaseId);
+
+      if (!database) {
+        return res.status(404).json({
+          success: false,
+          error: 'Database not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: await database.testConnection(),
+      });
+    } catch (error) {
+      console.error('Test database error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to test database connection',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/databases/{databaseId}/primary:
+ *   patch:
+ *     summary: Make a database the primary database of its project
+ *     description: Requires `database:update`. The previous primary database is unset.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: databaseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Database ID
+ *     responses:
+ *       200:
+ *         description: Primary database updated
+ *       400:
+ *         description: Database is inactive
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Database not found
+ *       500:
+ *         description: Server error
+ */
+router.patch(
+  '/:id/databases/:databaseId/primary',
+  [
+    param('id').isUUID(),
+    param('databaseId').isUUID(),
+  ],
+  requirePermission('database:update'),
+  async (req, res) => {
+    try {
+      const database = await findProjectDatabase(req.params.id, req.params.databaseId);
+
+      if (!database) {
+        return res.status(404).json({
+          success: false,
+          error: 'Database not found',
+        });
+      }
+
+      if (!database.is_active) {
+        return res.status(400).json({
+          success: false,
+          error: 'An inactive database cannot be the primary database',
+        });
+      }
+
+      // Unsetting the previous primary happens in ProjectDatabase.$beforeUpdate
+      const updated = await ProjectDatabase.transaction(trx =>
+        database.$query(trx).patchAndFetch({ is_primary: true })
+      );
+
+      await ProjectActivity.record({
+        projectId: updated.project_id,
+        userId: req.user.id,
+        action: 'update',
+        entityType: 'database',
+        entityId: updated.id,
+        entityName: updated.name,
+        metadata: { fields: ['is_primary'] },
+        request: req,
+      });
+
+      res.json({
+        success: true,
+        data: updated,
+      });
+    } catch (error) {
+      console.error('Set primary database error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to set primary database',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/databases/{databaseId}/credentials:
+ *   put:
+ *     summary: Replace the stored secret of a project database
+ *     description: >
+ *       Requires `database:update`.
+ *       Secrets are encrypted at rest and always returned redacted, so they
+ *       can be replaced but never read back.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: databaseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Database ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret replaced
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Database not found
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  '/:id/databases/:databaseId/credentials',
+  [
+    param('id').isUUID(),
+    param('databaseId').isUUID(),
+    body('password').isString().notEmpty(),
+  ],
+  requirePermission('database:update'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { id: projectId, databaseId } = req.params;
+
+      const database = await findProjectDatabase(projectId, databaseId);
+
+      if (!database) {
+        return res.status(404).json({
+          success: false,
+          error: 'Database not found',
+        });
+      }
+
+      const updated = await database.$query().patchAndFetch({
+        connection_config: ProjectDatabase.mergeConnectionConfig(database.connection_config, {
+          password: req.body.password,
+        }),
+      });
+
+      await ProjectActivity.record({
+        projectId: updated.project_id,
+        userId: req.user.id,
+        action: 'update',
+        entityType: 'database',
+        entityId: updated.id,
+        entityName: updated.name,
+        metadata: { fields: ['connection_config.password'] },
+        request: req,
+      });
+
+      res.json({
+        success: true,
+        data: updated,
+      });
+    } catch (error) {
+      console.error('Replace database credentials error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to replace database credentials',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/connections:
+ *   get:
+ *     summary: Get connection pool stats of the project databases
+ *     description: >
+ *       Requires `database:test`.
+ *       Open, in-use, idle and waiting connections of every pool the server
+ *       holds for the project's databases, plus the last failed connect or
+ *       health check of databases without an open pool. Pools of other
+ *       projects are never listed.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Pool stats per database
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/:id/connections',
+  [param('id').isUUID()],
+  requirePermission('database:test'),
+  async (req, res) => {
+    try {
+      // Only the pools of this project's current databases
+      const databases = await ProjectDatabase.getProjectDatabases(req.params.id);
+      const pools = new Map(ConnectionManager.getStats(req.params.id, databases.map(database => database.id))
+        .map(pool => [pool.database_id, pool]));
+
+      res.json({
+        success: true,
+        data: databases.map(database => ({
+          database_id: database.id,
+          name: database.name,
+          type: database.type,
+          ...(pools.get(database.id) || { status: 'closed' }),
+          last_failure: ConnectionManager.getFailure(database.id),
+        })),
+      });
+    } catch (error) {
+      console.error('Get connection stats error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch connection stats',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/permissions:
+ *   get:
+ *     summary: Get the caller's effective permissions in a project
+ *     description: >
+ *       Requires project membership. Admins hold every permission, custom
+ *       roles the ones listed on their membership. Requests made with an API
+ *       key only get the permissions both the key and its owner hold.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Role and permissions of the caller
+ *       403:
+ *         description: Not a member of the project
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/:id/permissions',
+  [param('id').isUUID()],
+  requirePermission(),
+  async (req, res) => {
+    try {
+      const member = req.projectMember;
+      let permissions = member.getEffectivePermissions();
+      if (req.apiKey) {
+        permissions = permissions.filter(permission => req.apiKey.grants(permission));
+      }
+
+      res.json({
+        success: true,
+        data: {
+          project_id: req.projectId,
+          user_id: member.user_id,
+          role: member.role,
+          api_key_id: req.apiKey?.id || null,
+          permissions,
+        },
+      });
+    } catch (error) {
+      console.error('Get permissions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch permissions',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/members:
+ *   get:
+ *     summary: Get project members
+ *     description: Requires `member:list`.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: List of project members
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/:id/members',
+  [param('id').isUUID()],
+  requirePermission('member:list'),
+  async (req, res) => {
+    try {
+      const members = await Project.relatedQuery('members')
+        .for(req.params.id)
+        .where('is_active', true)
+        .withGraphFetched('user');
+
+      res.json({
+        success: true,
+        data: members.map(member => ({
+          id: member.user.id,
+          email: member.user.email,
+          first_name: member.user.first_name,
+          last_name: member.user.last_name,
+          role: member.role,
+          permissions: member.getEffectivePermissions(),
+          added_at: member.created_at,
+        })),
+      });
+    } catch (error) {
+      console.error('Get members error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch project members',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/members:
+ *   post:
+ *     summary: Add a member to a project
+ *     description: >
+ *       Requires `member:add`. Members can only grant roles whose
+ *       permissions they hold themselves. When the project restricts
+ *       membership to email domains, the user's email must be in one.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_id
+ *               - role
+ *             properties:
+ *               user_id:
+ *                 type: string
+ *                 format: uuid
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor, admin, custom]
+ *               permissions:
+ *                 type: array
+ *                 description: Permissions of a custom role
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Member added successfully
+ *       400:
+ *         description: Validation error or user already a member
+ *       403:
+ *         description: Insufficient permissions, or the user's email domain is not allowed
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:id/members',
+  [
+    param('id').isUUID(),
+    body('user_id').isUUID(),
+    body('role').isIn(Object.values(ProjectMember.ROLES).map(r => r.key)),
+    body('permissions').optional().isArray(),
+    body('permissions.*').isIn(ProjectMember.getAllPermissions()),
+  ],
+  requirePermission('member:add'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { id: projectId } = req.params;
+      const { user_id, role, permissions = [] } = req.body;
+
+      const ungrantable = req.projectMember.findUngrantablePermissions(role, permissions);
+      if (ungrantable.length) {
+        return res.status(403).json({
+          success: false,
+          error: `You cannot grant permissions you do not have: ${ungrantable.join(', ')}`,
+        });
+      }
+
+      const user = await User.query().findById(user_id).select('id', 'email');
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found',
+        });
+      }
+
+      if (!(await Project.allowsMemberEmail(projectId, user.email))) {
+        return res.status(403).json({
+          success: false,
+          error: 'This project only accepts members with an email address in its allowed domains',
+          code: 'email_domain_not_allowed',
+        });
+      }
+
+      // Check if user is already a member
+      const existingMember = await ProjectMember.getByProjectAndUser(projectId, user_id);
+
+      if (existingMember?.is_active) {
+        return res.status(400).json({
+          success: false,
+          error: 'User is already a member of this project',
+        });
+      }
+
+      // Add user to project
+      await ProjectMember.addMember(projectId, user_id, role, req.user.id, permissions);
+
+      await ProjectActivity.record({
+        projectId,
+        userId: req.user.id,
+        action: 'create',
+        entityType: 'member',
+        entityId: user_id,
+        metadata: { role },
+        request: req,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Member added successfully',
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      console.error('Add member error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add member to project',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/members/{userId}:
+ *   put:
+ *     summary: Change the role of a project member
+ *     description: >
+ *       Requires `member:update`. Members can only change members whose
+ *       permissions they hold themselves, and only to roles they could grant.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID of the member
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor, admin, custom]
+ *               permissions:
+ *                 type: array
+ *                 description: Permissions of a custom role
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Member updated successfully
+ *       400:
+ *         description: Validation error or last admin
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Member not found
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  '/:id/members/:userId',
+  [
+    param('id').isUUID(),
+    param('userId').isUUID(),
+    body('role').isIn(Object.values(ProjectMember.ROLES).map(r => r.key)),
+    body('permissions').optional().isArray(),
+    body('permissions.*').isIn(ProjectMember.getAllPermissions()),
+  ],
+  requirePermission('member:update'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { id: projectId, userId } = req.params;
+      const { role, permissions = [] } = req.body;
+
+      const member = await ProjectMember.getByProjectAndUser(projectId, userId);
+      if (!member?.is_active) {
+        return res.status(404).json({
+          success: false,
+          error: 'Member not found in this project',
+        });
+      }
+
+      const ungrantable = [
+        ...req.projectMember.findUngrantablePermissions(member.role, member.permissions),
+        ...req.projectMember.findUngrantablePermissions(role, permissions),
+      ];
+      if (ungrantable.length) {
+        return res.status(403).json({
+          success: false,
+          error: `You cannot grant or take away permissions you do not have: ${[...new Set(ungrantable)].join(', ')}`,
+        });
+      }
+
+      const updated = await ProjectMember.updateMember(projectId, userId, role, permissions);
+
+      await ProjectActivity.record({
+        projectId,
+        userId: req.user.id,
+        action: 'update',
+        entityType: 'member',
+        entityId: userId,
+        metadata: { previous_role: member.role, role },
+        request: req,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          user_id: updated.user_id,
+          role: updated.role,
+          permissions: updated.getEffectivePermissions(),
+        },
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      if (error.message === 'Cannot change the role of the last admin') {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      console.error('Update member error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update project member',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from a project
+ *     description: >
+ *       Requires `member:remove`. Members can only remove members whose
+ *       permissions they hold themselves. Access tokens already issued to
+ *       the removed user stop working.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID to remove
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       400:
+ *         description: Cannot remove last admin or self
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Member not found
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  '/:id/members/:userId',
+  [
+    param('id').isUUID(),
+    param('userId').isUUID(),
+  ],
+  requirePermission('member:remove'),
+  async (req, res) => {
+    try {
+      const { id: projectId, userId } = req.params;
+
+      // Prevent removing self
+      if (userId === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          error: 'You cannot remove yourself from the project',
+        });
+      }
+
+      const member = await ProjectMember.getByProjectAndUser(projectId, userId);
+      if (member && req.projectMember.findUngrantablePermissions(member.role, member.permissions).length) {
+        return res.status(403).json({
+          success: false,
+          error: 'You cannot remove a member who has permissions you do not have',
+        });
+      }
+
+      // Check if user is the last admin
+      const admins = await Project.relatedQuery('members')
+        .for(projectId)
+        .where('role', 'admin');
+
+      if (admins.length <= 1 && admins[0]?.user_id === userId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot remove the last admin from the project',
+        });
       }
 
       // Remove member
@@ -624,6 +1915,19 @@ router.delete(
         });
       }
 
+      // Sign the removed user out of open requests; their refresh tokens get them new access tokens
+      await User.revokeAccessTokens(userId);
+
+      await ProjectActivity.record({
+        projectId,
+        userId: req.user.id,
+        action: 'delete',
+        entityType: 'member',
+        entityId: userId,
+        metadata: { role: member?.role },
+        request: req,
+      });
+
       res.json({
         success: true,
         message: 'Member removed successfully',
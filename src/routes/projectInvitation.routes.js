@@ -0,0 +1,480 @@
+import { Router } from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { ValidationError } from 'objection';
+import { v4 as uuidv4 } from 'uuid';
+import { Project, ProjectActivity, ProjectInvitation, ProjectMember, User } from '../models/index.js';
+import { authenticate, requirePermission, requireUserSession } from '../middleware/auth.js';
+import { sendProjectInvitation } from '../utils/email.js';
+import { signInvitationToken } from '../utils/invitationToken.js';
+
+// Mounted under /projects/:projectId/invitations
+const router = Router({ mergeParams: true });
+
+// Invitations are sent on behalf of a person, not an API key
+router.use(authenticate, requireUserSession);
+
+// Minimum time between two emails for the same invitation
+const RESEND_INTERVAL_MS = parseInt(process.env.INVITATION_RESEND_INTERVAL_MS || '60000', 10);
+
+/**
+ * Find an invitation of a project
+ * @param {string} projectId - Project ID
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<ProjectInvitation|undefined>} Invitation
+ */
+async function findInvitation(projectId, invitationId) {
+  return ProjectInvitation.query()
+    .findById(invitationId)
+    .where('project_id', projectId);
+}
+
+/**
+ * Email an invitation with its accept link
+ * @param {ProjectInvitation} invitation - Invitation
+ * @param {string} token - Current invitation token
+ * @param {User} inviter - User sending the invitation
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+async function sendInvitation(invitation, token, inviter) {
+  const project = await Project.query().findById(invitation.project_id);
+  const inviterName = [inviter.first_name, inviter.last_name].filter(Boolean).join(' ') || inviter.email;
+  const acceptUrl = `${process.env.APP_URL || 'http://localhost:3000'}/invitations/accept?token=${encodeURIComponent(token)}`;
+
+  const result = await sendProjectInvitation(
+    invitation.email,
+    inviterName,
+    project.name,
+    invitation.role,
+    acceptUrl,
+    invitation.expires_at
+  );
+  return result.success;
+}
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/invitations:
+ *   get:
+ *     summary: List the pending invitations of a project
+ *     description: Requires `member:add`. Includes expired invitations that were never answered.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Pending invitations, newest first
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/',
+  [
+    param('projectId').isUUID(),
+  ],
+  requirePermission('member:add'),
+  async (req, res) => {
+    try {
+      const invitations = await ProjectInvitation.getPendingInvitations(req.params.projectId);
+
+      res.json({
+        success: true,
+        data: invitations,
+      });
+    } catch (error) {
+      console.error('List invitations error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch invitations',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/invitations:
+ *   post:
+ *     summary: Invite someone to a project by email
+ *     description: >
+ *       Requires `member:add`. Members can only offer roles whose permissions
+ *       they hold themselves. The invitation is accepted with the token from
+ *       the email, after signing in with the invited address. When the
+ *       project restricts membership to email domains, the address must be
+ *       in one.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor, admin, custom]
+ *               permissions:
+ *                 type: array
+ *                 description: Permissions of a custom role
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Invitation created; `email_sent` tells whether the email went out
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions, or the email domain is not allowed
+ *       409:
+ *         description: Already a member or already invited
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/',
+  [
+    param('projectId').isUUID(),
+    body('email').isEmail().normalizeEmail(),
+    body('role').isIn(Object.values(ProjectMember.ROLES).map(r => r.key)),
+    body('permissions').optional().isArray(),
+    body('permissions.*').isIn(ProjectMember.getAllPermissions()),
+  ],
+  requirePermission('member:add'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { projectId } = req.params;
+      const { role, permissions = [] } = req.body;
+      const email = req.body.email.toLowerCase();
+
+      const ungrantable = req.projectMember.findUngrantablePermissions(role, permissions);
+      if (ungrantable.length) {
+        return res.status(403).json({
+          success: false,
+          error: `You cannot grant permissions you do not have: ${ungrantable.join(', ')}`,
+        });
+      }
+
+      if (!(await Project.allowsMemberEmail(projectId, email))) {
+        return res.status(403).json({
+          success: false,
+          error: 'This project only accepts members with an email address in its allowed domains',
+          code: 'email_domain_not_allowed',
+        });
+      }
+
+      const user = await User.query().whereRaw('lower(email) = ?', [email]).first();
+      const member = user && await ProjectMember.getByProjectAndUser(projectId, user.id);
+      if (member?.is_active) {
+        return res.status(409).json({
+          success: false,
+          error: 'This user is already a member of the project',
+        });
+      }
+
+      const pending = await ProjectInvitation.query()
+        .where('project_id', projectId)
+        .where('email', email)
+        .where('status', 'pending')
+        .first();
+
+      if (pending?.isOpen()) {
+        return res.status(409).json({
+          success: false,
+          error: 'This address already has a pending invitation; resend it instead',
+        });
+      }
+
+      const id = uuidv4();
+      const { token, tokenHash, expiresAt } = signInvitationToken({ invitationId: id, projectId, email });
+
+      const invitation = await ProjectInvitation.transaction(async trx => {
+        // An expired invitation makes way for the new one
+        if (pending) {
+          await pending.$query(trx).patch({ status: 'revoked' });
+        }
+
+        return ProjectInvitation.query(trx).insert({
+          id,
+          project_id: projectId,
+          email,
+          role,
+          permissions: role === ProjectMember.ROLES.CUSTOM.key ? permissions : [],
+          token_hash: tokenHash,
+          expires_at: expiresAt,
+          last_sent_at: new Date().toISOString(),
+          invited_by: req.user.id,
+        });
+      });
+
+      const emailSent = await sendInvitation(invitation, token, req.user);
+
+      await ProjectActivity.record({
+        projectId,
+        userId: req.user.id,
+        action: 'create',
+        entityType: 'invitation',
+        entityId: invitation.id,
+        entityName: invitation.email,
+        metadata: { role, email_sent: emailSent },
+        request: req,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          ...invitation.toJSON(),
+          email_sent: emailSent,
+        },
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      console.error('Create invitation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create invitation',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/invitations/{invitationId}/resend:
+ *   post:
+ *     summary: Email a pending invitation again
+ *     description: >
+ *       Requires `member:add`. Issues a new token, which replaces the one in
+ *       earlier emails, and restarts the expiry period.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation sent again; `email_sent` tells whether the email went out
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation is no longer pending
+ *       429:
+ *         description: Invitation was sent too recently
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:invitationId/resend',
+  [
+    param('projectId').isUUID(),
+    param('invitationId').isUUID(),
+  ],
+  requirePermission('member:add'),
+  async (req, res) => {
+    try {
+      const { projectId, invitationId } = req.params;
+
+      const invitation = await findInvitation(projectId, invitationId);
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Invitation not found',
+        });
+      }
+
+      if (invitation.status !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          error: `This invitation has already been ${invitation.status}`,
+        });
+      }
+
+      if (invitation.last_sent_at && Date.now() - new Date(invitation.last_sent_at) < RESEND_INTERVAL_MS) {
+        return res.status(429).json({
+          success: false,
+          error: 'This invitation was sent moments ago; try again later',
+        });
+      }
+
+      const { token, tokenHash, expiresAt } = signInvitationToken({
+        invitationId: invitation.id,
+        projectId,
+        email: invitation.email,
+      });
+
+      const updated = await invitation.$query().patchAndFetch({
+        token_hash: tokenHash,
+        expires_at: expiresAt,
+        send_count: invitation.send_count + 1,
+        last_sent_at: new Date().toISOString(),
+      });
+
+      const emailSent = await sendInvitation(updated, token, req.user);
+
+      await ProjectActivity.record({
+        projectId,
+        userId: req.user.id,
+        action: 'update',
+        entityType: 'invitation',
+        entityId: invitation.id,
+        entityName: invitation.email,
+        metadata: { resent: true, send_count: updated.send_count, email_sent: emailSent },
+        request: req,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...updated.toJSON(),
+          email_sent: emailSent,
+        },
+      });
+    } catch (error) {
+      console.error('Resend invitation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to resend invitation',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     description: Requires `member:remove`. The token in the email stops working.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation is no longer pending
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  '/:invitationId',
+  [
+    param('projectId').isUUID(),
+    param('invitationId').isUUID(),
+  ],
+  requirePermission('member:remove'),
+  async (req, res) => {
+    try {
+      const { projectId, invitationId } = req.params;
+
+      const invitation = await findInvitation(projectId, invitationId);
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Invitation not found',
+        });
+      }
+
+      const revoked = await ProjectInvitation.query()
+        .findById(invitation.id)
+        .where('status', 'pending')
+        .patch({ status: 'revoked' });
+
+      if (!revoked) {
+        return res.status(409).json({
+          success: false,
+          error: `This invitation has already been ${invitation.status}`,
+        });
+      }
+
+      await ProjectActivity.record({
+        projectId,
+        userId: req.user.id,
+        action: 'delete',
+        entityType: 'invitation',
+        entityId: invitation.id,
+        entityName: invitation.email,
+        request: req,
+      });
+
+      res.json({
+        success: true,
+        message: 'Invitation revoked',
+      });
+    } catch (error) {
+      console.error('Revoke invitation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke invitation',
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,201 @@
+import { Router } from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { ValidationError } from 'objection';
+import { Project, ProjectTemplate } from '../models/index.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { TemplateVariableError } from '../utils/templateVariables.js';
+
+// Mounted under /projects/:projectId/template
+const router = Router({ mergeParams: true });
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+const notFromTemplate = (res) => res.status(404).json({
+  success: false,
+  error: 'Project was not created from a template',
+});
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/template:
+ *   get:
+ *     summary: Check for a template update
+ *     description: >
+ *       Requires `project:read`. The template version the project follows, and
+ *       the latest version of that template the caller can see.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: "`current_version`, `latest_version` and `update_available`"
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Project not created from a template
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/',
+  [
+    param('projectId').isUUID(),
+  ],
+  requirePermission('project:read'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const project = await Project.query().findById(req.params.projectId);
+      const update = project && await ProjectTemplate.checkForUpdate(project, req.user.id);
+
+      if (!update) {
+        return notFromTemplate(res);
+      }
+
+      res.json({
+        success: true,
+        data: update,
+      });
+    } catch (error) {
+      console.error('Check template update error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to check for a template update',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/template/upgrade:
+ *   post:
+ *     summary: Upgrade a project to the latest version of its template
+ *     description: >
+ *       Requires `project:update`. Merges what changed in the template since
+ *       the version the project follows: settings, databases and saved
+ *       queries the project left as they were take the template's changes.
+ *       Where the project changed them too, the project keeps its value and a
+ *       conflict is reported. Database passwords are never merged; a database
+ *       added by the template needs its secret variable in `variables`. A
+ *       version of the project is saved first as a backup. With `dry_run`,
+ *       only the changes and conflicts are returned.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dry_run:
+ *                 type: boolean
+ *                 default: false
+ *               variables:
+ *                 type: object
+ *                 description: Values by variable name, over those the project was created with
+ *     responses:
+ *       200:
+ *         description: "`from`, `to`, `changes`, `conflicts` and, unless a dry run, `backup_version`"
+ *       400:
+ *         description: Validation error, or variables missing, unknown or invalid (`errors` lists them)
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Project not created from a template
+ *       409:
+ *         description: The project already follows the latest version
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/upgrade',
+  [
+    param('projectId').isUUID(),
+    body('dry_run').optional().isBoolean().toBoolean(),
+    body('variables').optional().isObject(),
+  ],
+  requirePermission('project:update'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const project = await Project.query().findById(req.params.projectId);
+      const update = project && await ProjectTemplate.checkForUpdate(project, req.user.id);
+
+      if (!update) {
+        return notFromTemplate(res);
+      }
+      if (!update.update_available) {
+        return res.status(409).json({
+          success: false,
+          error: `The project already follows the latest version (${update.current_version}) of its template`,
+        });
+      }
+
+      // Logs the upgrade unless a dry run
+      const result = await ProjectTemplate.upgradeProject(project, req.user.id, {
+        variables: req.body.variables,
+        dryRun: req.body.dry_run === true,
+        request: req,
+      });
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      if (error instanceof TemplateVariableError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          errors: error.errors,
+        });
+      }
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      console.error('Upgrade from template error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to upgrade the project from its template',
+      });
+    }
+  }
+);
+
+export default router;
@@ -1,92 +1,81 @@
 import { Router } from 'express';
 import { body, param, query as q, validationResult } from 'express-validator';
-import { Project, ProjectDatabase } from '../models/index.js';
-import { authenticate, authorizeProject } from '../middleware/auth.js';
+import { Project, ProjectDatabase, QueryHistory } from '../models/index.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import AIService from '../services/AIService.js';
-import knex from 'knex';
+import QueryRunner from '../services/QueryRunner.js';
+import ConnectionManager from '../services/ConnectionManager.js';
+import QueryExecutor, { QueryRejectedError } from '../services/QueryExecutor.js';
+import { checkStatementPolicy } from '../utils/sqlClassifier.js';
+import { signQueryConfirmation, redeemQueryConfirmation } from '../utils/queryToken.js';
+import { getDialectForConnection } from '../services/dialects/index.js';
 
 const router = Router();
 
 // Apply authentication middleware to all routes
 router.use(authenticate);
 
-// Cache for database connections
-const dbConnections = new Map();
-
 /**
- * Get or create a database connection
+ * Get a project database record
  * @param {string} projectId - Project ID
  * @param {string} databaseId - Database ID
- * @returns {Promise<import('knex').Knex>} Knex instance
+ * @returns {Promise<ProjectDatabase>} Database record
  */
-async function getDbConnection(projectId, databaseId) {
-  const cacheKey = `${projectId}:${databaseId}`;
-  
-  // Return cached connection if available
-  if (dbConnections.has(cacheKey)) {
-    return dbConnections.get(cacheKey);
-  }
-
-  // Get database config
+async function getProjectDatabase(projectId, databaseId) {
   const database = await ProjectDatabase.query()
     .findById(databaseId)
-    .where('project_id', projectId);
+    .where('project_id', projectId)
+    .where('is_active', true)
+    .whereNull('deleted_at');
 
   if (!database) {
     throw new Error('Database not found or access denied');
   }
 
-  // Create Knex connection
-  const connection = knex({
-    client: database.type,
-    connection: {
-      ...database.connection_config,
-      // Add SSL if needed
-      ssl: database.connection_config.ssl ? { rejectUnauthorized: false } : false,
-    },
-    pool: {
-      min: 0,
-      max: 7, // Adjust based on your needs
-    },
-    debug: process.env.NODE_ENV === 'development',
-  });
-
-  // Test the connection
-  try {
-    await connection.raw('SELECT 1');
-  } catch (error) {
-    connection.destroy();
-    throw new Error(`Failed to connect to database: ${error.message}`);
-  }
+  return database;
+}
 
-  // Cache the connection
-  dbConnections.set(cacheKey, connection);
-  return connection;
+/**
+ * Get the pooled connection of a project database
+ * @param {string} projectId - Project ID
+ * @param {string} databaseId - Database ID
+ * @returns {Promise<import('knex').Knex>} Knex instance
+ */
+async function getDbConnection(projectId, databaseId) {
+  const database = await getProjectDatabase(projectId, databaseId);
+  return ConnectionManager.acquire(database);
 }
 
 /**
- * Clean up database connections on server shutdown
+ * Introspect the tenant database into the schema format the AI expects
+ * @param {import('knex').Knex} db - Tenant database connection
+ * @returns {Promise<Object>} Table name => column descriptions
  */
-function cleanupDbConnections() {
-  for (const [key, connection] of dbConnections.entries()) {
-    try {
-      connection.destroy();
-      dbConnections.delete(key);
-    } catch (error) {
-      console.error('Error closing database connection:', error);
+async function getSchemaForAi(db) {
+  const columns = await getDialectForConnection(db).listColumns(db);
+
+  const schema = {};
+  columns.forEach(row => {
+    if (!schema[row.table_name]) {
+      schema[row.table_name] = [];
     }
-  }
-}
+    schema[row.table_name].push({
+      name: row.column_name,
+      type: row.data_type,
+      nullable: row.is_nullable,
+      default: row.column_default,
+    });
+  });
 
-// Handle process termination
-process.on('SIGTERM', cleanupDbConnections);
-process.on('SIGINT', cleanupDbConnections);
+  return schema;
+}
 
 /**
  * @swagger
  * /api/v1/query/translate:
  *   post:
  *     summary: Translate natural language to database query
+ *     description: Requires `query:execute`.
  *     tags: [Queries]
  *     security:
  *       - bearerAuth: []
@@ -128,7 +117,7 @@ router.post(
     body('database_id').optional().isUUID(),
     body('schema').optional().isObject(),
   ],
-  authorizeProject('user'),
+  requirePermission('query:execute'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -143,20 +132,18 @@ router.post(
 
       // Get database schema if not provided
       let dbSchema = schema;
-      if (!dbSchema && database_id) {
+      let databaseType;
+      if (database_id) {
         const db = await getDbConnection(project_id, database_id);
-        // This is a simplified example - in a real app, you'd introspect the database
-        // to get the actual schema
-        const tables = await db.raw(`
-          SELECT table_name 
-          FROM information_schema.tables 
-          WHERE table_schema = 'public'
-        `);
-        
-        dbSchema = {
-          tables: tables.rows.map(t => t.table_name),
-          // Add more schema details as needed
-        };
+        const dialect = getDialectForConnection(db);
+        databaseType = dialect.type;
+
+        if (!dbSchema) {
+          dbSchema = {
+            tables: await dialect.listTables(db),
+            // Add more schema details as needed
+          };
+        }
       }
 
       // Translate query using AI
@@ -165,6 +152,7 @@ router.post(
         project_id,
         user_id: req.user.id,
         database_id,
+        database_type: databaseType,
       });
 
       res.json({
@@ -186,9 +174,11 @@ router.post(
  * /api/v1/query/execute:
  *   post:
  *     summary: Execute a database query
+ *     description: Requires `query:execute`. Accepts a user session or a project API key.
  *     tags: [Queries]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -201,8 +191,15 @@ router.post(
  *               - database_id
  *             properties:
  *               query:
- *                 type: string
- *                 description: SQL/NoSQL query to execute
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: object
+ *                 description: >
+ *                   SQL text, or for MongoDB databases a query document
+ *                   (object or JSON string) such as
+ *                   `{"operation": "aggregate", "collection": "orders", "pipeline": [...]}`.
+ *                   Supported operations are find, aggregate, count and distinct,
+ *                   with filter, projection, sort, pipeline, field and limit.
  *               project_id:
  *                 type: string
  *                 format: uuid
@@ -221,24 +218,28 @@ router.post(
  *       400:
  *         description: Invalid request or query
  *       403:
- *         description: Insufficient permissions
+ *         description: >
+ *           Insufficient permissions. Viewers may only run read statements,
+ *           editors may also run DML and only admins may run DDL. The response
+ *           names the first offending statement.
  *       500:
  *         description: Server error
  */
 router.post(
   '/execute',
   [
-    body('query').trim().notEmpty(),
+    // MongoDB query documents may be sent as objects
+    body('query')
+      .customSanitizer(value => (value && typeof value === 'object' ? JSON.stringify(value) : value))
+      .trim()
+      .notEmpty(),
     body('project_id').isUUID(),
     body('database_id').isUUID(),
     body('params').optional().isArray(),
     body('is_ai_generated').optional().isBoolean().toBoolean(),
   ],
-  authorizeProject('user'),
+  requirePermission('query:execute'),
   async (req, res) => {
-    const startTime = Date.now();
-    let dbConnection;
-    
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -249,83 +250,40 @@ router.post(
       }
 
       const { query, database_id, params = [], is_ai_generated = false, project_id } = req.body;
-
-      // Get database connection
-      dbConnection = await getDbConnection(project_id, database_id);
-
-      // Execute query
-      const result = await dbConnection.raw(query, params);
-      const executionTime = Date.now() - startTime;
-
-      // Log the query
-      await Project.relatedQuery('query_history')
-        .for(project_id)
-        .insert({
-          user_id: req.user.id,
-          database_id,
-          query,
-          params: params.length ? params : null,
-          result_metadata: {
-            row_count: result.rowCount || result.rows?.length || 0,
-            execution_time_ms: executionTime,
-            is_ai_generated,
-          },
-        });
-
-      // Format response based on query type
-      let data;
-      if (query.trim().toLowerCase().startsWith('select') || 
-          query.trim().toLowerCase().startsWith('show') ||
-          query.trim().toLowerCase().startsWith('describe') ||
-          query.trim().toLowerCase().startsWith('explain')) {
-        // For SELECT/SHOW/DESCRIBE/EXPLAIN queries, return the rows
-        data = result.rows || result;
-      } else {
-        // For INSERT/UPDATE/DELETE, return the command and row count
-        data = {
-          command: result.command,
-          rowCount: result.rowCount || 0,
-        };
-      }
+      const database = await getProjectDatabase(project_id, database_id);
+
+      // Classifies, checks the statements against the caller's role, runs and logs the query
+      const { data, meta } = await QueryExecutor.execute({
+        database,
+        query,
+        params,
+        role: req.projectRole,
+        userId: req.user.id,
+        isAiGenerated: is_ai_generated,
+        metadata: req.apiKey ? { api_key_id: req.apiKey.id } : {},
+      });
 
       res.json({
         success: true,
         data,
-        meta: {
-          execution_time_ms: executionTime,
-          row_count: result.rowCount || result.rows?.length || 0,
-        },
+        meta,
       });
     } catch (error) {
-      console.error('Query execution error:', error);
-      
-      // Log failed query
-      try {
-        await Project.relatedQuery('query_history')
-          .for(req.params.project_id)
-          .insert({
-            user_id: req.user.id,
-            database_id: req.body.database_id,
-            query: req.body.query,
-            params: req.body.params || null,
-            result_metadata: {
-              error: error.message,
-              execution_time_ms: Date.now() - startTime,
-              is_ai_generated: req.body.is_ai_generated || false,
-            },
-          });
-      } catch (logError) {
-        console.error('Failed to log query error:', logError);
+      if (error instanceof QueryRejectedError) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message,
+          ...(error.code && { code: error.code }),
+          ...(error.details && { details: error.details }),
+        });
       }
 
+      console.error('Query execution error:', error);
       res.status(500).json({
         success: false,
         error: error.message || 'Failed to execute query',
         code: error.code,
       });
-    } finally {
-      // For non-persistent connections, you might want to close the connection
-      // For now, we'll keep it in the pool for reuse
     }
   }
 );
@@ -334,7 +292,13 @@ router.post(
  * @swagger
  * /api/v1/query/ask:
  *   post:
- *     summary: Ask a question in natural language and get results
+ *     summary: Translate a natural language question and preview the generated query
+ *     description: >
+ *       Requires `query:execute`.
+ *       Nothing is executed. The response contains the generated query, its
+ *       parameters, the planner's cost estimate and a short-lived confirmation
+ *       token bound to the query text, the database and the caller. Send the
+ *       token to `/api/v1/query/ask/confirm` to run exactly that query.
  *     tags: [Queries]
  *     security:
  *       - bearerAuth: []
@@ -360,7 +324,7 @@ router.post(
  *                 format: uuid
  *     responses:
  *       200:
- *         description: Question answered successfully
+ *         description: Query generated, awaiting confirmation
  *       400:
  *         description: Invalid request
  *       500:
@@ -373,7 +337,7 @@ router.post(
     body('project_id').isUUID(),
     body('database_id').isUUID(),
   ],
-  authorizeProject('user'),
+  requirePermission('query:execute'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -386,33 +350,13 @@ router.post(
 
       const { question, database_id, project_id } = req.body;
 
-      // 1. Get database schema
+      const project = await Project.query().findById(project_id);
+      const limits = QueryRunner.getLimits(project);
       const db = await getDbConnection(project_id, database_id);
-      const tables = await db.raw(`
-        SELECT 
-          table_name,
-          column_name,
-          data_type,
-          is_nullable,
-          column_default
-        FROM information_schema.columns 
-        WHERE table_schema = 'public'
-        ORDER BY table_name, ordinal_position
-      `);
-
-      // Format schema for AI
-      const schema = {};
-      tables.rows.forEach(row => {
-        if (!schema[row.table_name]) {
-          schema[row.table_name] = [];
-        }
-        schema[row.table_name].push({
-          name: row.column_name,
-          type: row.data_type,
-          nullable: row.is_nullable === 'YES',
-          default: row.column_default,
-        });
-      });
+      const dialect = getDialectForConnection(db);
+
+      // 1. Get database schema
+      const schema = await getSchemaForAi(db);
 
       // 2. Translate question to query using AI
       const translation = await AIService.translateQuery(question, {
@@ -420,65 +364,92 @@ router.post(
         project_id,
         user_id: req.user.id,
         database_id,
-        database_type: 'postgresql', // This should be dynamic based on the actual DB
+        database_type: dialect.type,
       });
+      const parameters = translation.parameters || [];
+
+      // 3. Estimate the cost without running anything
+      const { classification, isRead, isSingleStatement } = QueryRunner.inspect(translation.query, dialect);
+      const warnings = [...(translation.warnings || [])];
+      let estimate = null;
+
+      if (isSingleStatement) {
+        try {
+          estimate = await QueryRunner.explain(db, translation.query, parameters, limits);
+        } catch (explainError) {
+          warnings.push(`Could not estimate query cost: ${explainError.message}`);
+        }
+      } else {
+        warnings.push('Cost estimates are only available for single-statement queries');
+      }
 
-      // 3. Execute the query
-      const queryStartTime = Date.now();
-      const result = await db.raw(translation.query, translation.parameters || []);
-      const executionTime = Date.now() - queryStartTime;
+      // Writes are only ever confirmable when the project opted into write mode
+      const mode = !isRead && limits.writeMode ? 'write' : 'read';
+      if (!isRead && !limits.writeMode) {
+        warnings.push('The generated query modifies data and will be rejected by the read-only sandbox');
+      }
 
-      // 4. Format the results
-      const formattedResults = {
-        question,
+      const confirmationToken = signQueryConfirmation({
         query: translation.query,
-        parameters: translation.parameters || [],
-        data: result.rows || result,
-        meta: {
-          execution_time_ms: executionTime,
-          row_count: result.rowCount || result.rows?.length || 0,
-          is_ai_generated: true,
+        parameters,
+        projectId: project_id,
+        databaseId: database_id,
+        userId: req.user.id,
+        mode,
+      });
+
+      // 4. Keep a trace of what the model proposed
+      await QueryHistory.log({
+        projectId: project_id,
+        userId: req.user.id,
+        databaseId: database_id,
+        query: translation.query,
+        params: translation.parameters,
+        isAiGenerated: true,
+        metadata: {
+          stage: 'preview',
+          question,
           confidence: translation.confidence,
+          mode,
+          estimate,
         },
-      };
+      });
 
-      // 5. Log the query
-      await Project.relatedQuery('query_history')
-        .for(project_id)
-        .insert({
-          user_id: req.user.id,
-          database_id,
+      res.json({
+        success: true,
+        data: {
+          question,
           query: translation.query,
-          params: translation.parameters || null,
-          result_metadata: {
-            row_count: result.rowCount || result.rows?.length || 0,
-            execution_time_ms: executionTime,
+          parameters,
+          description: translation.description,
+          estimate,
+          statement_class: classification?.class || null,
+          mode,
+          confirmation_token: confirmationToken,
+          meta: {
             is_ai_generated: true,
             confidence: translation.confidence,
-            question,
+            warnings,
+            max_rows: limits.maxRows,
+            statement_timeout_ms: limits.statementTimeoutMs,
           },
-        });
-
-      res.json({
-        success: true,
-        data: formattedResults,
+        },
       });
     } catch (error) {
       console.error('Ask question error:', error);
       
       // Log the error
       try {
-        await Project.relatedQuery('query_history')
-          .for(req.params.project_id)
-          .insert({
-            user_id: req.user.id,
-            database_id: req.body.database_id,
-            query: 'NATURAL_LANGUAGE_QUERY: ' + req.body.question,
-            result_metadata: {
-              error: error.message,
-              is_ai_generated: true,
-            },
-          });
+        await QueryHistory.log({
+          projectId: req.body.project_id,
+          userId: req.user.id,
+          databaseId: req.body.database_id,
+          query: 'NATURAL_LANGUAGE_QUERY: ' + req.body.question,
+          isAiGenerated: true,
+          metadata: {
+            error: error.message,
+          },
+        });
       } catch (logError) {
         console.error('Failed to log query error:', logError);
       }
@@ -492,11 +463,190 @@ router.post(
   }
 );
 
+/**
+ * @swagger
+ * /api/v1/query/ask/confirm:
+ *   post:
+ *     summary: Run a query previously generated by /query/ask
+ *     description: >
+ *       Requires `query:execute`.
+ *       Runs exactly the query bound to the confirmation token. Tokens are
+ *       single use, expire after a few minutes and only work for the user and
+ *       database they were issued for. Reads run in the read-only sandbox;
+ *       writes require the project's `settings.ai_query.write_mode`.
+ *     tags: [Queries]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - project_id
+ *               - confirmation_token
+ *             properties:
+ *               project_id:
+ *                 type: string
+ *                 format: uuid
+ *               database_id:
+ *                 type: string
+ *                 format: uuid
+ *               confirmation_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Query executed successfully
+ *       400:
+ *         description: Invalid, expired or already used token
+ *       403:
+ *         description: Write mode disabled or role not allowed to run the statement
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/ask/confirm',
+  [
+    body('project_id').isUUID(),
+    body('database_id').optional().isUUID(),
+    body('confirmation_token').isString().notEmpty(),
+  ],
+  requirePermission('query:execute'),
+  async (req, res) => {
+    let confirmed;
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { project_id, database_id, confirmation_token } = req.body;
+
+      try {
+        confirmed = redeemQueryConfirmation(confirmation_token, {
+          userId: req.user.id,
+          projectId: project_id,
+          databaseId: database_id,
+        });
+      } catch (tokenError) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid confirmation token: ${tokenError.message}`,
+        });
+      }
+
+      const project = await Project.query().findById(project_id);
+      const limits = QueryRunner.getLimits(project);
+      const db = await getDbConnection(project_id, confirmed.database_id);
+
+      if (confirmed.mode === 'write') {
+        // The project may have turned write mode off since the preview
+        if (!limits.writeMode) {
+          return res.status(403).json({
+            success: false,
+            error: 'Write mode is not enabled for this project',
+          });
+        }
+
+        const { classification } = QueryRunner.inspect(confirmed.query, getDialectForConnection(db));
+        const policy = classification
+          ? checkStatementPolicy(classification, req.projectRole)
+          : { allowed: false, role: req.projectRole, violation: null };
+
+        if (!policy.allowed) {
+          return res.status(403).json({
+            success: false,
+            error: `Role '${policy.role}' is not allowed to run this statement`,
+            code: 'STATEMENT_NOT_ALLOWED',
+            details: { statement: policy.violation },
+          });
+        }
+      }
+
+      const parameters = confirmed.parameters || [];
+
+      const queryStartTime = Date.now();
+      const result = confirmed.mode === 'write'
+        ? await QueryRunner.runWrite(db, confirmed.query, parameters, limits)
+        : await QueryRunner.runReadOnly(db, confirmed.query, parameters, limits);
+      const executionTime = Date.now() - queryStartTime;
+
+      await QueryHistory.log({
+        projectId: project_id,
+        userId: req.user.id,
+        databaseId: confirmed.database_id,
+        query: confirmed.query,
+        params: confirmed.parameters,
+        isAiGenerated: true,
+        metadata: {
+          stage: 'confirmed',
+          row_count: result.rowCount,
+          execution_time_ms: executionTime,
+          mode: confirmed.mode,
+          truncated: result.truncated,
+          statement_timeout_ms: limits.statementTimeoutMs,
+          max_rows: limits.maxRows,
+        },
+      });
+
+      res.json({
+        success: true,
+        data: {
+          query: confirmed.query,
+          parameters,
+          data: result.rows,
+          meta: {
+            execution_time_ms: executionTime,
+            row_count: result.rowCount,
+            truncated: result.truncated,
+            max_rows: limits.maxRows,
+            mode: confirmed.mode,
+            is_ai_generated: true,
+          },
+        },
+      });
+    } catch (error) {
+      console.error('Confirm query error:', error);
+
+      if (confirmed) {
+        try {
+          await QueryHistory.log({
+            projectId: req.body.project_id,
+            userId: req.user.id,
+            databaseId: confirmed.database_id,
+            query: confirmed.query,
+            params: confirmed.parameters,
+            isAiGenerated: true,
+            metadata: {
+              stage: 'confirmed',
+              error: error.message,
+            },
+          });
+        } catch (logError) {
+          console.error('Failed to log query error:', logError);
+        }
+      }
+
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to execute query',
+        code: error.code,
+      });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/v1/query/history:
  *   get:
  *     summary: Get query history for a project
+ *     description: Requires `query:read`.
  *     tags: [Queries]
  *     security:
  *       - bearerAuth: []
@@ -538,7 +688,7 @@ router.get(
     q('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
     q('offset').optional().isInt({ min: 0 }).toInt(),
   ],
-  authorizeProject('user'),
+  requirePermission('query:read'),
   async (req, res) => {
     try {
       const { project_id } = req.query;
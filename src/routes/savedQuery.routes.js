@@ -0,0 +1,772 @@
+import { Router } from 'express';
+import { body, param, query as q, validationResult } from 'express-validator';
+import { ValidationError } from 'objection';
+import { ProjectActivity, ProjectDatabase, Query } from '../models/index.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import QueryExecutor, { QueryRejectedError } from '../services/QueryExecutor.js';
+import { getDialect, classifyQuery } from '../services/dialects/index.js';
+import { SqlParseError } from '../utils/sqlClassifier.js';
+
+// Mounted under /projects/:projectId/queries
+const router = Router({ mergeParams: true });
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+/**
+ * Find a saved query of a project, ignoring deleted ones
+ * @param {string} projectId - Project ID
+ * @param {string} queryId - Saved query ID
+ * @returns {Promise<Query|undefined>} Saved query
+ */
+async function findSavedQuery(projectId, queryId) {
+  return Query.query()
+    .findById(queryId)
+    .where('project_id', projectId)
+    .whereNull('deleted_at');
+}
+
+/**
+ * Find the target database of a saved query within the project
+ * @param {string} projectId - Project ID
+ * @param {string} databaseId - Database ID
+ * @returns {Promise<ProjectDatabase|undefined>} Active database
+ */
+async function findTargetDatabase(projectId, databaseId) {
+  return ProjectDatabase.query()
+    .findById(databaseId)
+    .where('project_id', projectId)
+    .where('is_active', true)
+    .whereNull('deleted_at');
+}
+
+/**
+ * Check that query text parses with the rules of the target database
+ * @returns {string|null} Error message, or null when the query parses
+ */
+function checkQuerySyntax(database, query) {
+  try {
+    classifyQuery(getDialect(database.type), query);
+    return null;
+  } catch (error) {
+    if (error instanceof SqlParseError) {
+      return `Could not parse query: ${error.message}`;
+    }
+    throw error;
+  }
+}
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/queries:
+ *   get:
+ *     summary: List the saved queries of a project
+ *     description: Requires `query:read`.
+ *     tags: [Queries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Only queries with this tag
+ *       - in: query
+ *         name: database_id
+ *         schema:
+ *           type: string
+ *         description: Only queries targeting this database
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match on the name
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of saved queries
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/',
+  [
+    param('projectId').isUUID(),
+    q('tag').optional().isString().trim().notEmpty(),
+    q('database_id').optional().isUUID(),
+    q('search').optional().isString().trim(),
+    q('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    q('offset').optional().isInt({ min: 0 }).toInt(),
+  ],
+  requirePermission('query:read'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { tag, database_id, search } = req.query;
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = parseInt(req.query.offset) || 0;
+
+      const baseQuery = Query.query()
+        .where('project_id', req.params.projectId)
+        .whereNull('deleted_at')
+        .modify(builder => {
+          if (tag) builder.whereJsonSupersetOf('tags', [tag]);
+          if (database_id) builder.where('database_id', database_id);
+          if (search) builder.where('name', 'ilike', `%${search.replace(/[\\%_]/g, '\\$&')}%`);
+        });
+
+      const [queries, total] = await Promise.all([
+        baseQuery.clone().orderBy('name').limit(limit).offset(offset),
+        baseQuery.clone().resultSize(),
+      ]);
+
+      res.json({
+        success: true,
+        data: queries,
+        meta: {
+          total,
+          limit,
+          offset,
+        },
+      });
+    } catch (error) {
+      console.error('List saved queries error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch saved queries',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/queries:
+ *   post:
+ *     summary: Save a query
+ *     description: >
+ *       Requires `query:create`. SQL queries reference parameters as named
+ *       bindings (`:customer_id`), MongoDB query documents as
+ *       `{ "$param": "customer_id" }`.
+ *     tags: [Queries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - query
+ *               - database_id
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               query:
+ *                 type: string
+ *               database_id:
+ *                 type: string
+ *                 format: uuid
+ *               parameters:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [name, type]
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                       enum: [string, number, integer, boolean, date]
+ *                     required:
+ *                       type: boolean
+ *                     default: {}
+ *                     description:
+ *                       type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Query saved
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ *       409:
+ *         description: A query with this name already exists
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/',
+  [
+    param('projectId').isUUID(),
+    body('name').trim().notEmpty(),
+    body('description').optional({ nullable: true }).trim(),
+    body('query').isString().trim().notEmpty(),
+    body('database_id').isUUID(),
+    body('parameters').optional().isArray(),
+    body('tags').optional().isArray(),
+  ],
+  requirePermission('query:create'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { projectId } = req.params;
+      const { name, description, query, database_id, parameters = [], tags = [] } = req.body;
+
+      const database = await findTargetDatabase(projectId, database_id);
+      if (!database) {
+        return res.status(400).json({
+          success: false,
+          error: 'Database not found in this project',
+        });
+      }
+
+      const syntaxError = checkQuerySyntax(database, query);
+      if (syntaxError) {
+        return res.status(400).json({
+          success: false,
+          error: syntaxError,
+        });
+      }
+
+      const existing = await Query.query()
+        .where('project_id', projectId)
+        .where('name', name)
+        .whereNull('deleted_at')
+        .first();
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          error: 'A saved query with this name already exists',
+        });
+      }
+
+      const saved = await Query.query().insert({
+        project_id: projectId,
+        database_id,
+        name,
+        description,
+        query,
+        parameters,
+        tags,
+        created_by: req.user.id,
+      });
+
+      await ProjectActivity.record({
+        projectId: projectId,
+        userId: req.user.id,
+        action: 'create',
+        entityType: 'query',
+        entityId: saved.id,
+        entityName: saved.name,
+        request: req,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: saved,
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      console.error('Create saved query error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save query',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/queries/{queryId}:
+ *   get:
+ *     summary: Get a saved query
+ *     description: Requires `query:read`.
+ *     tags: [Queries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: queryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Saved query ID
+ *     responses:
+ *       200:
+ *         description: Saved query
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Saved query not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/:queryId',
+  [
+    param('projectId').isUUID(),
+    param('queryId').isUUID(),
+  ],
+  requirePermission('query:read'),
+  async (req, res) => {
+    try {
+      const saved = await findSavedQuery(req.params.projectId, req.params.queryId);
+
+      if (!saved) {
+        return res.status(404).json({
+          success: false,
+          error: 'Saved query not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: saved,
+      });
+    } catch (error) {
+      console.error('Get saved query error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch saved query',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/queries/{queryId}:
+ *   put:
+ *     summary: Update a saved query
+ *     description: Requires `query:update`. Parameters and tags are replaced as a whole.
+ *     tags: [Queries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: queryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Saved query ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               query:
+ *                 type: string
+ *               database_id:
+ *                 type: string
+ *                 format: uuid
+ *               parameters:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Saved query updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Saved query not found
+ *       409:
+ *         description: A query with this name already exists
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  '/:queryId',
+  [
+    param('projectId').isUUID(),
+    param('queryId').isUUID(),
+    body('name').optional().trim().notEmpty(),
+    body('description').optional({ nullable: true }).trim(),
+    body('query').optional().isString().trim().notEmpty(),
+    body('database_id').optional().isUUID(),
+    body('parameters').optional().isArray(),
+    body('tags').optional().isArray(),
+  ],
+  requirePermission('query:update'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { projectId, queryId } = req.params;
+      const saved = await findSavedQuery(projectId, queryId);
+
+      if (!saved) {
+        return res.status(404).json({
+          success: false,
+          error: 'Saved query not found',
+        });
+      }
+
+      const { name, description, query, database_id, parameters, tags } = req.body;
+      const updates = { name, description, query, database_id, parameters, tags, updated_by: req.user.id };
+      Object.keys(updates).forEach(key => updates[key] === undefined && delete updates[key]);
+
+      // Re-check the text whenever the query or its target database changes
+      if (query !== undefined || database_id !== undefined) {
+        const database = await findTargetDatabase(projectId, database_id || saved.database_id);
+        if (!database) {
+          return res.status(400).json({
+            success: false,
+            error: 'Database not found in this project',
+          });
+        }
+
+        const syntaxError = checkQuerySyntax(database, query ?? saved.query);
+        if (syntaxError) {
+          return res.status(400).json({
+            success: false,
+            error: syntaxError,
+          });
+        }
+      }
+
+      if (name !== undefined && name !== saved.name) {
+        const existing = await Query.query()
+          .where('project_id', projectId)
+          .where('name', name)
+          .whereNull('deleted_at')
+          .first();
+        if (existing) {
+          return res.status(409).json({
+            success: false,
+            error: 'A saved query with this name already exists',
+          });
+        }
+      }
+
+      const updated = await saved.$query().patchAndFetch(updates);
+
+      await ProjectActivity.record({
+        projectId: projectId,
+        userId: req.user.id,
+        action: 'update',
+        entityType: 'query',
+        entityId: updated.id,
+        entityName: updated.name,
+        metadata: { fields: Object.keys(updates).filter(key => key !== 'updated_by') },
+        request: req,
+      });
+
+      res.json({
+        success: true,
+        data: updated,
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      console.error('Update saved query error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update saved query',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/queries/{queryId}:
+ *   delete:
+ *     summary: Delete a saved query
+ *     description: Requires `query:delete`. Its query history is kept.
+ *     tags: [Queries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: queryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Saved query ID
+ *     responses:
+ *       200:
+ *         description: Saved query deleted
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Saved query not found
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  '/:queryId',
+  [
+    param('projectId').isUUID(),
+    param('queryId').isUUID(),
+  ],
+  requirePermission('query:delete'),
+  async (req, res) => {
+    try {
+      const saved = await findSavedQuery(req.params.projectId, req.params.queryId);
+
+      if (!saved) {
+        return res.status(404).json({
+          success: false,
+          error: 'Saved query not found',
+        });
+      }
+
+      await saved.$query().patch({
+        deleted_at: new Date().toISOString(),
+        updated_by: req.user.id,
+      });
+
+      await ProjectActivity.record({
+        projectId: saved.project_id,
+        userId: req.user.id,
+        action: 'delete',
+        entityType: 'query',
+        entityId: saved.id,
+        entityName: saved.name,
+        request: req,
+      });
+
+      res.json({
+        success: true,
+        message: 'Saved query deleted successfully',
+      });
+    } catch (error) {
+      console.error('Delete saved query error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete saved query',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/queries/{queryId}/run:
+ *   post:
+ *     summary: Run a saved query
+ *     description: >
+ *       Requires `query:execute`. Parameter values are checked against the
+ *       declared types; declared defaults fill in missing values. The
+ *       statements are checked against the caller's role like
+ *       `/api/v1/query/execute`.
+ *     tags: [Queries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: queryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Saved query ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               parameters:
+ *                 type: object
+ *                 description: Parameter name => value
+ *     responses:
+ *       200:
+ *         description: Query results
+ *       400:
+ *         description: Invalid parameters
+ *       403:
+ *         description: Insufficient permissions or statement not allowed for the caller's role
+ *       404:
+ *         description: Saved query not found
+ *       409:
+ *         description: The target database is no longer available
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:queryId/run',
+  [
+    param('projectId').isUUID(),
+    param('queryId').isUUID(),
+    body('parameters').optional().isObject(),
+  ],
+  requirePermission('query:execute'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { projectId, queryId } = req.params;
+      const saved = await findSavedQuery(projectId, queryId);
+
+      if (!saved) {
+        return res.status(404).json({
+          success: false,
+          error: 'Saved query not found',
+        });
+      }
+
+      const bound = saved.bindParameters(req.body.parameters);
+      if (bound.errors.length) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          errors: bound.errors,
+        });
+      }
+
+      const database = await findTargetDatabase(projectId, saved.database_id);
+      if (!database) {
+        return res.status(409).json({
+          success: false,
+          error: 'The target database of this query is no longer available',
+        });
+      }
+
+      const { data, meta } = await QueryExecutor.execute({
+        database,
+        query: saved.query,
+        params: saved.parameters.length ? bound.values : [],
+        role: req.projectRole,
+        userId: req.user.id,
+        metadata: {
+          saved_query_id: saved.id,
+          ...(req.apiKey && { api_key_id: req.apiKey.id }),
+        },
+      });
+
+      res.json({
+        success: true,
+        data,
+        meta: {
+          ...meta,
+          query_id: saved.id,
+          parameters: bound.values,
+        },
+      });
+    } catch (error) {
+      if (error instanceof QueryRejectedError) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message,
+          ...(error.code && { code: error.code }),
+          ...(error.details && { details: error.details }),
+        });
+      }
+
+      console.error('Run saved query error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to run saved query',
+        code: error.code,
+      });
+    }
+  }
+);
+
+export default router;
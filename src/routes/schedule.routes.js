@@ -0,0 +1,792 @@
+import { Router } from 'express';
+import { body, param, query as q, validationResult } from 'express-validator';
+import { ValidationError } from 'objection';
+import { ProjectActivity, ProjectDatabase, Query, Schedule, ScheduleRun } from '../models/index.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import QueryExecutor, { QueryRejectedError } from '../services/QueryExecutor.js';
+import Scheduler from '../services/Scheduler.js';
+import { getDialect } from '../services/dialects/index.js';
+
+// Mounted under /projects/:projectId/schedules
+const router = Router({ mergeParams: true });
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Fields a client may set on a schedule
+const SCHEDULE_FIELDS = [
+  'name', 'description', 'cron_expression', 'query_id', 'database_id', 'query', 'parameters',
+  'is_active', 'max_retries', 'retry_delay_seconds',
+];
+
+/**
+ * Find a schedule of a project, ignoring deleted ones
+ * @param {string} projectId - Project ID
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Schedule|undefined>} Schedule
+ */
+async function findSchedule(projectId, scheduleId) {
+  return Schedule.query()
+    .findById(scheduleId)
+    .where('project_id', projectId)
+    .whereNull('deleted_at');
+}
+
+/**
+ * Check that the saved query or query text of a schedule can run in the
+ * project, with the caller's role
+ * @param {string} projectId - Project ID
+ * @param {Object} schedule - Schedule fields
+ * @param {string} role - Project role of the caller
+ * @returns {Promise<{status: number, body: Object}|null>} Error response, or null when the schedule can run
+ */
+async function checkScheduleTarget(projectId, schedule, role) {
+  let databaseId = schedule.database_id;
+  let query = schedule.query;
+
+  if (schedule.query_id) {
+    const savedQuery = await Query.query()
+      .findById(schedule.query_id)
+      .where('project_id', projectId)
+      .whereNull('deleted_at');
+    if (!savedQuery) {
+      return { status: 400, body: { success: false, error: 'Saved query not found in this project' } };
+    }
+
+    const bound = savedQuery.bindParameters(schedule.parameters || {});
+    if (bound.errors.length) {
+      return { status: 400, body: { success: false, error: 'Invalid query parameters', errors: bound.errors } };
+    }
+
+    databaseId = savedQuery.database_id;
+    query = savedQuery.query;
+  }
+
+  const database = databaseId && await ProjectDatabase.query()
+    .findById(databaseId)
+    .where('project_id', projectId)
+    .where('is_active', true)
+    .whereNull('deleted_at');
+  if (!database) {
+    return { status: 400, body: { success: false, error: 'Database not found in this project' } };
+  }
+
+  try {
+    const { policy } = QueryExecutor.check(getDialect(database.type), query, role);
+    if (!policy.allowed) {
+      return {
+        status: 403,
+        body: {
+          success: false,
+          error: `Role '${policy.role}' is not allowed to run ${policy.violation.class.toUpperCase()} statements`,
+          code: 'STATEMENT_NOT_ALLOWED',
+        },
+      };
+    }
+  } catch (error) {
+    if (error instanceof QueryRejectedError) {
+      return { status: error.status, body: { success: false, error: error.message } };
+    }
+    throw error;
+  }
+
+  return null;
+}
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/schedules:
+ *   get:
+ *     summary: List the schedules of a project
+ *     description: Requires `schedule:read`.
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: List of schedules
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/',
+  [
+    param('projectId').isUUID(),
+  ],
+  requirePermission('schedule:read'),
+  async (req, res) => {
+    try {
+      const schedules = await Schedule.getProjectSchedules(req.params.projectId);
+
+      res.json({
+        success: true,
+        data: schedules,
+      });
+    } catch (error) {
+      console.error('List schedules error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch schedules',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/schedules:
+ *   post:
+ *     summary: Schedule a query
+ *     description: >
+ *       Requires `schedule:create`. Runs either a saved query (`query_id`,
+ *       with `parameters` as name => value) or query text on a database
+ *       (`database_id` and `query`). The cron expression has five fields and
+ *       is read in the project's timezone (`settings.timezone`). Runs use the
+ *       statement permissions of the member who created the schedule.
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - cron_expression
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               cron_expression:
+ *                 type: string
+ *                 example: '0 8 * * 1-5'
+ *               query_id:
+ *                 type: string
+ *                 format: uuid
+ *               database_id:
+ *                 type: string
+ *                 format: uuid
+ *               query:
+ *                 type: string
+ *               parameters:
+ *                 type: object
+ *               is_active:
+ *                 type: boolean
+ *               max_retries:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 10
+ *               retry_delay_seconds:
+ *                 type: integer
+ *                 description: Delay before the first retry, doubled for each further attempt
+ *     responses:
+ *       201:
+ *         description: Schedule created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions or statement not allowed for the caller's role
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/',
+  [
+    param('projectId').isUUID(),
+    body('name').trim().notEmpty(),
+    body('description').optional({ nullable: true }).trim(),
+    body('cron_expression').isString().trim().notEmpty(),
+    body('query_id').optional({ nullable: true }).isUUID(),
+    body('database_id').optional({ nullable: true }).isUUID(),
+    body('query').optional({ nullable: true }).isString().trim().notEmpty(),
+    body('parameters').optional().isObject(),
+    body('is_active').optional().isBoolean(),
+    body('max_retries').optional().isInt({ min: 0, max: 10 }).toInt(),
+    body('retry_delay_seconds').optional().isInt({ min: 1, max: 3600 }).toInt(),
+  ],
+  requirePermission('schedule:create'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { projectId } = req.params;
+      const fields = { project_id: projectId, created_by: req.user.id };
+      SCHEDULE_FIELDS.forEach(key => {
+        if (req.body[key] !== undefined) fields[key] = req.body[key];
+      });
+
+      const schedule = Schedule.fromJson(fields);
+
+      const targetError = await checkScheduleTarget(projectId, schedule, req.projectRole);
+      if (targetError) {
+        return res.status(targetError.status).json(targetError.body);
+      }
+
+      const timezone = await Scheduler.getProjectTimezone(projectId);
+      const created = await Schedule.query().insert({
+        ...fields,
+        next_run_at: schedule.getNextRunAt(timezone),
+      });
+
+      await ProjectActivity.record({
+        projectId: projectId,
+        userId: req.user.id,
+        action: 'create',
+        entityType: 'schedule',
+        entityId: created.id,
+        entityName: created.name,
+        metadata: { cron_expression: created.cron_expression, timezone },
+        request: req,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: created,
+        meta: { timezone },
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      console.error('Create schedule error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create schedule',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/schedules/{scheduleId}:
+ *   get:
+ *     summary: Get a schedule
+ *     description: Requires `schedule:read`.
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Schedule ID
+ *     responses:
+ *       200:
+ *         description: Schedule
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Schedule not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/:scheduleId',
+  [
+    param('projectId').isUUID(),
+    param('scheduleId').isUUID(),
+  ],
+  requirePermission('schedule:read'),
+  async (req, res) => {
+    try {
+      const schedule = await findSchedule(req.params.projectId, req.params.scheduleId);
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Schedule not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: schedule,
+      });
+    } catch (error) {
+      console.error('Get schedule error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch schedule',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/schedules/{scheduleId}:
+ *   put:
+ *     summary: Update a schedule
+ *     description: >
+ *       Requires `schedule:update`. Setting `query_id` replaces query text and
+ *       vice versa. Changing the cron expression or re-activating the schedule
+ *       moves its next run and clears pending retries.
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Schedule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               cron_expression:
+ *                 type: string
+ *               query_id:
+ *                 type: string
+ *                 format: uuid
+ *               database_id:
+ *                 type: string
+ *                 format: uuid
+ *               query:
+ *                 type: string
+ *               parameters:
+ *                 type: object
+ *               is_active:
+ *                 type: boolean
+ *               max_retries:
+ *                 type: integer
+ *               retry_delay_seconds:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Schedule updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions or statement not allowed for the caller's role
+ *       404:
+ *         description: Schedule not found
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  '/:scheduleId',
+  [
+    param('projectId').isUUID(),
+    param('scheduleId').isUUID(),
+    body('name').optional().trim().notEmpty(),
+    body('description').optional({ nullable: true }).trim(),
+    body('cron_expression').optional().isString().trim().notEmpty(),
+    body('query_id').optional({ nullable: true }).isUUID(),
+    body('database_id').optional({ nullable: true }).isUUID(),
+    body('query').optional({ nullable: true }).isString().trim().notEmpty(),
+    body('parameters').optional().isObject(),
+    body('is_active').optional().isBoolean(),
+    body('max_retries').optional().isInt({ min: 0, max: 10 }).toInt(),
+    body('retry_delay_seconds').optional().isInt({ min: 1, max: 3600 }).toInt(),
+  ],
+  requirePermission('schedule:update'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { projectId, scheduleId } = req.params;
+      const schedule = await findSchedule(projectId, scheduleId);
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Schedule not found',
+        });
+      }
+
+      const updates = { updated_by: req.user.id };
+      SCHEDULE_FIELDS.forEach(key => {
+        if (req.body[key] !== undefined) updates[key] = req.body[key];
+      });
+
+      // A schedule runs either a saved query or query text
+      if (updates.query_id) {
+        updates.database_id = null;
+        updates.query = null;
+      } else if (updates.query) {
+        updates.query_id = null;
+      }
+
+      const current = {};
+      ['project_id', ...SCHEDULE_FIELDS].forEach(key => {
+        current[key] = schedule[key];
+      });
+      const merged = Schedule.fromJson({ ...current, ...updates });
+
+      const targetFields = ['query_id', 'database_id', 'query', 'parameters'];
+      if (targetFields.some(key => updates[key] !== undefined)) {
+        const targetError = await checkScheduleTarget(projectId, merged, req.projectRole);
+        if (targetError) {
+          return res.status(targetError.status).json(targetError.body);
+        }
+      }
+
+      const cronChanged = updates.cron_expression !== undefined && updates.cron_expression !== schedule.cron_expression;
+      const reactivated = updates.is_active === true && !schedule.is_active;
+      if (cronChanged || reactivated) {
+        const timezone = await Scheduler.getProjectTimezone(projectId);
+        updates.next_run_at = merged.getNextRunAt(timezone);
+        updates.retry_attempt = 0;
+      }
+      if (reactivated) {
+        updates.disabled_reason = null;
+      }
+
+      const updated = await schedule.$query().patchAndFetch(updates);
+
+      await ProjectActivity.record({
+        projectId: projectId,
+        userId: req.user.id,
+        action: 'update',
+        entityType: 'schedule',
+        entityId: updated.id,
+        entityName: updated.name,
+        metadata: { fields: Object.keys(req.body).filter(key => SCHEDULE_FIELDS.includes(key)) },
+        request: req,
+      });
+
+      res.json({
+        success: true,
+        data: updated,
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      console.error('Update schedule error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update schedule',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/schedules/{scheduleId}:
+ *   delete:
+ *     summary: Delete a schedule
+ *     description: Requires `schedule:delete`. A run in progress is allowed to finish.
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Schedule ID
+ *     responses:
+ *       200:
+ *         description: Schedule deleted
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Schedule not found
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  '/:scheduleId',
+  [
+    param('projectId').isUUID(),
+    param('scheduleId').isUUID(),
+  ],
+  requirePermission('schedule:delete'),
+  async (req, res) => {
+    try {
+      const schedule = await findSchedule(req.params.projectId, req.params.scheduleId);
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Schedule not found',
+        });
+      }
+
+      await schedule.$query().patch({
+        is_active: false,
+        deleted_at: new Date().toISOString(),
+        updated_by: req.user.id,
+      });
+
+      await ProjectActivity.record({
+        projectId: schedule.project_id,
+        userId: req.user.id,
+        action: 'delete',
+        entityType: 'schedule',
+        entityId: schedule.id,
+        entityName: schedule.name,
+        request: req,
+      });
+
+      res.json({
+        success: true,
+        message: 'Schedule deleted successfully',
+      });
+    } catch (error) {
+      console.error('Delete schedule error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete schedule',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/schedules/{scheduleId}/runs:
+ *   get:
+ *     summary: List the runs of a schedule
+ *     description: Requires `schedule:read`. Most recent first; only the latest runs are kept.
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Schedule ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, succeeded, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of runs with their status, duration, row count and result snapshot
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Schedule not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/:scheduleId/runs',
+  [
+    param('projectId').isUUID(),
+    param('scheduleId').isUUID(),
+    q('status').optional().isIn(ScheduleRun.STATUSES),
+    q('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    q('offset').optional().isInt({ min: 0 }).toInt(),
+  ],
+  requirePermission('schedule:read'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const schedule = await findSchedule(req.params.projectId, req.params.scheduleId);
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Schedule not found',
+        });
+      }
+
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = parseInt(req.query.offset) || 0;
+
+      const baseQuery = ScheduleRun.query()
+        .where('schedule_id', schedule.id)
+        .modify(builder => {
+          if (req.query.status) builder.where('status', req.query.status);
+        });
+
+      const [runs, total] = await Promise.all([
+        baseQuery.clone().orderBy('started_at', 'desc').limit(limit).offset(offset),
+        baseQuery.clone().resultSize(),
+      ]);
+
+      res.json({
+        success: true,
+        data: runs,
+        meta: {
+          total,
+          limit,
+          offset,
+        },
+      });
+    } catch (error) {
+      console.error('List schedule runs error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch schedule runs',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/schedules/{scheduleId}/run:
+ *   post:
+ *     summary: Run a schedule now
+ *     description: >
+ *       Requires `schedule:execute`. Runs the schedule once and waits for the
+ *       result, without moving its next scheduled run. Fails with 409 while a
+ *       run of the schedule is in progress.
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Schedule ID
+ *     responses:
+ *       200:
+ *         description: The finished run (its status tells whether the query succeeded)
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Schedule not found
+ *       409:
+ *         description: The schedule is already running
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:scheduleId/run',
+  [
+    param('projectId').isUUID(),
+    param('scheduleId').isUUID(),
+  ],
+  requirePermission('schedule:execute'),
+  async (req, res) => {
+    try {
+      const schedule = await findSchedule(req.params.projectId, req.params.scheduleId);
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Schedule not found',
+        });
+      }
+
+      const run = await Scheduler.runNow(schedule.id);
+      if (!run) {
+        return res.status(409).json({
+          success: false,
+          error: 'The schedule is already running',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: run,
+      });
+    } catch (error) {
+      console.error('Run schedule error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to run schedule',
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,661 @@
+import { Router } from 'express';
+import { body, param, query as q, validationResult } from 'express-validator';
+import { ValidationError } from 'objection';
+import { ProjectActivity, ProjectMember, ProjectTemplate } from '../models/index.js';
+import { authenticate, requirePermission, requireUserSession } from '../middleware/auth.js';
+import { TemplateVariableError } from '../utils/templateVariables.js';
+
+const router = Router();
+
+// Templates belong to users and span projects, so API keys never reach them
+router.use(authenticate, requireUserSession);
+
+/**
+ * Find a template the user may see, ignoring deleted ones
+ * @param {string} templateId - Template ID
+ * @param {string} userId - User ID
+ * @returns {Promise<ProjectTemplate|null>} Template
+ */
+async function findTemplate(templateId, userId) {
+  const template = await ProjectTemplate.query().findById(templateId);
+  return template?.isVisibleTo(userId) ? template : null;
+}
+
+// Public templates are listed to every user, so only project admins publish them
+const rejectPublic = (res) => res.status(403).json({
+  success: false,
+  error: 'Only project admins can publish public templates',
+});
+
+// 400 response listing the problem of each variable
+const rejectVariables = (res, error) => res.status(400).json({
+  success: false,
+  error: error.message,
+  code: error.code,
+  errors: error.errors,
+});
+
+/**
+ * @swagger
+ * /api/v1/templates:
+ *   get:
+ *     summary: Browse project templates
+ *     description: Public templates and the caller's own, featured ones first.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: featured
+ *         schema:
+ *           type: boolean
+ *         description: Only featured templates
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags the templates must all have
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Text in the name or description
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Page of templates, with the total in `meta`
+ *       400:
+ *         description: Validation error
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/',
+  [
+    q('featured').optional().isBoolean().toBoolean(),
+    q('category').optional().isString().trim().notEmpty(),
+    q('tags').optional().isString(),
+    q('search').optional().isString().trim(),
+    q('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    q('offset').optional().isInt({ min: 0 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = parseInt(req.query.offset) || 0;
+      const tags = (req.query.tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+
+      const { results, total } = await ProjectTemplate.browse({
+        userId: req.user.id,
+        featured: req.query.featured,
+        category: req.query.category,
+        tags,
+        search: req.query.search,
+        limit,
+        offset,
+      });
+
+      res.json({
+        success: true,
+        data: results,
+        meta: {
+          total,
+          limit,
+          offset,
+        },
+      });
+    } catch (error) {
+      console.error('List templates error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch templates',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/templates:
+ *   post:
+ *     summary: Create a template from a project
+ *     description: >
+ *       Requires `project:export` on the project, and the project admin role
+ *       for a public template. Copies its settings, databases and saved
+ *       queries. Database passwords are not copied: each becomes a required
+ *       secret variable named `<database key>_password`. Hosts, usernames,
+ *       database names and files become required variables the same way
+ *       (`<database key>_host`, `_username`, `_database`, `_filename`).
+ *       `{{variable}}` placeholders already in the project must be declared
+ *       in `variables`.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - project_id
+ *               - name
+ *             properties:
+ *               project_id:
+ *                 type: string
+ *                 format: uuid
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               is_public:
+ *                 type: boolean
+ *                 default: false
+ *               variables:
+ *                 type: object
+ *                 description: Definitions by name (`type` string, number, boolean or select; `label`, `description`, `required`, `default`, `options`, `secret`)
+ *                 example:
+ *                   schema_name: { type: string, label: Schema, default: public }
+ *                   region: { type: select, options: [{ label: Europe, value: eu }, { label: Americas, value: us }] }
+ *     responses:
+ *       201:
+ *         description: Template created
+ *       400:
+ *         description: Validation error or invalid variables
+ *       403:
+ *         description: Insufficient permissions, or a public template from a project the caller does not administer
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/',
+  [
+    body('project_id').isUUID(),
+    body('name').isString().trim().isLength({ min: 1, max: 255 }),
+    body('description').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }),
+    body('category').optional().isString().trim().isLength({ min: 1, max: 100 }),
+    body('tags').optional().isArray({ max: 20 }),
+    body('tags.*').isString().trim().isLength({ min: 1, max: 50 }),
+    body('is_public').optional().isBoolean(),
+    body('variables').optional().isObject(),
+  ],
+  requirePermission('project:export'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { project_id: projectId, name, description, category, tags = [], is_public: isPublic = false, variables = {} } = req.body;
+
+      if (isPublic && req.projectRole !== ProjectMember.ROLES.ADMIN.key) {
+        return rejectPublic(res);
+      }
+
+      const template = await ProjectTemplate.createFromProject(projectId, req.user.id, {
+        name,
+        description,
+        category,
+        tags,
+        isPublic,
+        variables,
+      });
+
+      await ProjectActivity.record({
+        projectId,
+        userId: req.user.id,
+        action: 'create',
+        entityType: 'template',
+        entityId: template.id,
+        entityName: template.name,
+        request: req,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: template,
+      });
+    } catch (error) {
+      if (error instanceof TemplateVariableError) {
+        return rejectVariables(res, error);
+      }
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      console.error('Create template error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create template',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/templates/{templateId}:
+ *   get:
+ *     summary: Get a template
+ *     description: With its variable definitions (`metadata.variables`) and content.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template ID
+ *     responses:
+ *       200:
+ *         description: Template
+ *       404:
+ *         description: Template not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/:templateId',
+  [
+    param('templateId').isUUID(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const template = await findTemplate(req.params.templateId, req.user.id);
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: template,
+      });
+    } catch (error) {
+      console.error('Get template error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch template',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/templates/{templateId}/instantiate:
+ *   post:
+ *     summary: Create a project from a template
+ *     description: >
+ *       Checks `variables` against the template's definitions (declared
+ *       defaults fill in the rest), substitutes `{{variable}}` placeholders in
+ *       the settings, database definitions and saved queries, and creates the
+ *       project with the caller as admin. Values of secret variables are not
+ *       kept on the project.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Defaults to the template name
+ *               description:
+ *                 type: string
+ *               variables:
+ *                 type: object
+ *                 description: Values by variable name
+ *               settings:
+ *                 type: object
+ *                 description: Settings overriding the template's
+ *     responses:
+ *       201:
+ *         description: Project created
+ *       400:
+ *         description: Validation error, or variables missing, unknown or invalid (`errors` lists them)
+ *       404:
+ *         description: Template not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:templateId/instantiate',
+  [
+    param('templateId').isUUID(),
+    body('name').optional().isString().trim().isLength({ min: 1, max: 255 }),
+    body('description').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }),
+    body('variables').optional().isObject(),
+    body('settings').optional().isObject(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const template = await findTemplate(req.params.templateId, req.user.id);
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found',
+        });
+      }
+
+      const project = await template.createProject(req.user.id, {
+        name: req.body.name,
+        description: req.body.description,
+        variables: req.body.variables,
+        settings: req.body.settings,
+      });
+
+      await ProjectActivity.record({
+        projectId: project.id,
+        userId: req.user.id,
+        action: 'create',
+        entityType: 'project',
+        entityId: project.id,
+        entityName: project.name,
+        metadata: { template_id: template.id, template_version: template.version },
+        request: req,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: project,
+      });
+    } catch (error) {
+      if (error instanceof TemplateVariableError) {
+        return rejectVariables(res, error);
+      }
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      console.error('Instantiate template error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create project from template',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/templates/{templateId}/versions:
+ *   get:
+ *     summary: List the versions of a template
+ *     description: Every version of the template's lineage the caller can see, newest first.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of any version of the template
+ *     responses:
+ *       200:
+ *         description: Versions
+ *       404:
+ *         description: Template not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/:templateId/versions',
+  [
+    param('templateId').isUUID(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const template = await findTemplate(req.params.templateId, req.user.id);
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found',
+        });
+      }
+
+      const versions = await template.getVersions();
+
+      res.json({
+        success: true,
+        data: versions.filter(version => version.isVisibleTo(req.user.id)),
+      });
+    } catch (error) {
+      console.error('List template versions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch template versions',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/templates/{templateId}/versions:
+ *   post:
+ *     summary: Publish a new version of a template from a project
+ *     description: >
+ *       Only the template's creator, with `project:export` on the project,
+ *       and the project admin role if the template is public. The project is
+ *       copied as when creating a template. The new version
+ *       replaces the latest one, which is archived but kept for the projects
+ *       that follow it; those can then be upgraded.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the latest version of the template
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - project_id
+ *             properties:
+ *               project_id:
+ *                 type: string
+ *                 format: uuid
+ *               description:
+ *                 type: string
+ *               bump:
+ *                 type: string
+ *                 enum: [major, minor, patch]
+ *                 default: patch
+ *               variables:
+ *                 type: object
+ *                 description: Definitions by name, as when creating a template
+ *     responses:
+ *       201:
+ *         description: New template version
+ *       400:
+ *         description: Validation error or invalid variables
+ *       403:
+ *         description: Not the template's creator, insufficient permissions, or a public template and not a project admin
+ *       404:
+ *         description: Template not found
+ *       409:
+ *         description: Not the latest version of the template
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:templateId/versions',
+  [
+    param('templateId').isUUID(),
+    body('project_id').isUUID(),
+    body('description').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }),
+    body('bump').optional().isIn(['major', 'minor', 'patch']),
+    body('variables').optional().isObject(),
+  ],
+  requirePermission('project:export'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const template = await findTemplate(req.params.templateId, req.user.id);
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found',
+        });
+      }
+      if (template.created_by !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only the creator of a template can publish new versions',
+        });
+      }
+      if (template.is_public && req.projectRole !== ProjectMember.ROLES.ADMIN.key) {
+        return rejectPublic(res);
+      }
+
+      const latest = await template.getLatestVersion();
+      if (latest && latest.id !== template.id) {
+        return res.status(409).json({
+          success: false,
+          error: `Version ${latest.version} is the latest version of this template`,
+        });
+      }
+
+      const { project_id: projectId, description, bump = 'patch', variables = {} } = req.body;
+
+      const version = await template.createVersionFromProject(projectId, req.user.id, {
+        description,
+        variables,
+        level: bump,
+      });
+
+      await ProjectActivity.record({
+        projectId,
+        userId: req.user.id,
+        action: 'publish',
+        entityType: 'template',
+        entityId: version.id,
+        entityName: version.name,
+        metadata: { version: version.version, previous_version_id: template.id },
+        request: req,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: version,
+      });
+    } catch (error) {
+      if (error instanceof TemplateVariableError) {
+        return rejectVariables(res, error);
+      }
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      console.error('Create template version error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create template version',
+      });
+    }
+  }
+);
+
+export default router;
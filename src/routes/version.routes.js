@@ -0,0 +1,714 @@
+import { Router } from 'express';
+import { body, param, query as q, validationResult } from 'express-validator';
+import { ValidationError } from 'objection';
+import { ProjectActivity, ProjectVersion } from '../models/index.js';
+import { summarizeDiff } from '../models/ProjectSnapshot.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+
+// Mounted under /projects/:projectId/versions
+const router = Router({ mergeParams: true });
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+// Stands for the project as it is now wherever a version ID is expected
+const LIVE = 'live';
+
+// Columns versions can be listed by
+const SORT_FIELDS = ['created_at', 'name'];
+
+const isVersionRef = (value) => value === LIVE || /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+
+/**
+ * Find a version of a project
+ * @param {string} projectId - Project ID
+ * @param {string} versionId - Version ID
+ * @returns {Promise<ProjectVersion|undefined>} Version
+ */
+async function findVersion(projectId, versionId) {
+  return ProjectVersion.query()
+    .findById(versionId)
+    .where('project_id', projectId);
+}
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/versions:
+ *   get:
+ *     summary: List the versions of a project
+ *     description: Requires `version:read`. Newest first by default.
+ *     tags: [Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Only versions with this tag
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           enum: [created_at, name]
+ *           default: created_at
+ *       - in: query
+ *         name: sort_order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Page of versions, with the total in `meta`
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/',
+  [
+    param('projectId').isUUID(),
+    q('tag').optional().isString().trim().notEmpty(),
+    q('sort_by').optional().isIn(SORT_FIELDS),
+    q('sort_order').optional().isIn(['asc', 'desc']),
+    q('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    q('offset').optional().isInt({ min: 0 }).toInt(),
+  ],
+  requirePermission('version:read'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = parseInt(req.query.offset) || 0;
+
+      const { results, total } = await ProjectVersion.getByProject(req.params.projectId, {
+        limit,
+        offset,
+        sortBy: req.query.sort_by || 'created_at',
+        sortOrder: req.query.sort_order || 'desc',
+        tag: req.query.tag,
+      });
+
+      res.json({
+        success: true,
+        data: results,
+        meta: {
+          total,
+          limit,
+          offset,
+        },
+      });
+    } catch (error) {
+      console.error('List versions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch versions',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/versions:
+ *   post:
+ *     summary: Create a version of the project
+ *     description: >
+ *       Requires `version:create`. Snapshots the project's settings,
+ *       databases (passwords redacted), saved queries, schedules, webhooks
+ *       (without secrets) and members, and makes it the current version. The
+ *       version number is the latest one with `bump` incremented.
+ *     tags: [Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               bump:
+ *                 type: string
+ *                 enum: [major, minor, patch]
+ *                 default: patch
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Version created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/',
+  [
+    param('projectId').isUUID(),
+    body('name').optional().isString().trim().isLength({ min: 1, max: 255 }),
+    body('description').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }),
+    body('bump').optional().isIn(['major', 'minor', 'patch']),
+    body('tags').optional().isArray({ max: 20 }),
+    body('tags.*').isString().trim().isLength({ min: 1, max: 50 }),
+  ],
+  requirePermission('version:create'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { projectId } = req.params;
+      const { name, description = '', bump = 'patch', tags = [] } = req.body;
+
+      const version = await ProjectVersion.createVersion(projectId, req.user.id, {
+        name,
+        description,
+        level: bump,
+        metadata: { tags: [...new Set(tags)] },
+      });
+
+      await ProjectActivity.record({
+        projectId,
+        userId: req.user.id,
+        action: 'create',
+        entityType: 'version',
+        entityId: version.id,
+        entityName: version.name || version.version,
+        metadata: { version: version.version, bump },
+        request: req,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: version,
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      console.error('Create version error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create version',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/versions/stats:
+ *   get:
+ *     summary: Version statistics of a project
+ *     description: Requires `version:read`. Total versions, versions per author and per month.
+ *     tags: [Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Statistics
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/stats',
+  [
+    param('projectId').isUUID(),
+  ],
+  requirePermission('version:read'),
+  async (req, res) => {
+    try {
+      const stats = await ProjectVersion.getVersionStats(req.params.projectId);
+
+      res.json({
+        success: true,
+        data: stats,
+      });
+    } catch (error) {
+      console.error('Version stats error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch version statistics',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/versions/compare:
+ *   get:
+ *     summary: Compare two versions, or a version and the current state
+ *     description: >
+ *       Requires `version:read`. Reports the settings keys, project fields,
+ *       databases, saved queries, schedules, webhooks and members added,
+ *       removed or modified between `from` and `to`, with before and after
+ *       values per field. Database passwords are redacted and webhook
+ *       secrets left out. To review a restore, compare `from=live` with the
+ *       version to restore (members are shown but not restored).
+ *     tags: [Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Version ID, or `live` for the current state
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           default: live
+ *         description: Version ID, or `live` for the current state
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, patch, summary]
+ *           default: json
+ *         description: >
+ *           `json` for the changes, `patch` for a JSON Patch (RFC 6902,
+ *           `application/json-patch+json`) turning the `from` snapshot into
+ *           the `to` snapshot, `summary` for one sentence per change
+ *     responses:
+ *       200:
+ *         description: The differences
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Version not found
+ *       409:
+ *         description: The version has no snapshot
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/compare',
+  [
+    param('projectId').isUUID(),
+    q('from').custom(isVersionRef).withMessage('must be a version ID or "live"'),
+    q('to').optional().custom(isVersionRef).withMessage('must be a version ID or "live"'),
+    q('format').optional().isIn(['json', 'patch', 'summary']),
+  ],
+  requirePermission('version:read'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { projectId } = req.params;
+      const ids = [req.query.from, req.query.to || LIVE].map(ref => (ref === LIVE ? null : ref));
+
+      for (const id of ids.filter(Boolean)) {
+        const version = await findVersion(projectId, id);
+        if (!version) {
+          return res.status(404).json({
+            success: false,
+            error: 'Version not found',
+          });
+        }
+        if (!version.snapshot_hash) {
+          return res.status(409).json({
+            success: false,
+            error: `Version ${version.version} has no snapshot to compare`,
+          });
+        }
+      }
+
+      const comparison = await ProjectVersion.compareVersions(ids[0], ids[1], projectId);
+
+      if (req.query.format === 'patch') {
+        return res.type('application/json-patch+json').send(JSON.stringify(comparison.patch));
+      }
+
+      res.json({
+        success: true,
+        data: {
+          from: comparison.version1,
+          to: comparison.version2,
+          stats: comparison.stats,
+          ...(req.query.format === 'summary'
+            ? { summary: summarizeDiff(comparison.changes) }
+            : { changes: comparison.changes }),
+        },
+      });
+    } catch (error) {
+      console.error('Compare versions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to compare versions',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/versions/{versionId}:
+ *   get:
+ *     summary: Get a version
+ *     description: Requires `version:read`.
+ *     tags: [Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: versionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Version ID
+ *     responses:
+ *       200:
+ *         description: Version
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Version not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/:versionId',
+  [
+    param('projectId').isUUID(),
+    param('versionId').isUUID(),
+  ],
+  requirePermission('version:read'),
+  async (req, res) => {
+    try {
+      const version = await findVersion(req.params.projectId, req.params.versionId);
+
+      if (!version) {
+        return res.status(404).json({
+          success: false,
+          error: 'Version not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: version,
+      });
+    } catch (error) {
+      console.error('Get version error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch version',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/versions/{versionId}/tags:
+ *   put:
+ *     summary: Set the tags of a version
+ *     description: Requires `version:update`. Replaces the tags (`metadata.tags`) of the version.
+ *     tags: [Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: versionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Version ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tags
+ *             properties:
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['release', 'approved']
+ *     responses:
+ *       200:
+ *         description: Version with its new tags
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Version not found
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  '/:versionId/tags',
+  [
+    param('projectId').isUUID(),
+    param('versionId').isUUID(),
+    body('tags').isArray({ max: 20 }),
+    body('tags.*').isString().trim().isLength({ min: 1, max: 50 }),
+  ],
+  requirePermission('version:update'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const version = await findVersion(req.params.projectId, req.params.versionId);
+
+      if (!version) {
+        return res.status(404).json({
+          success: false,
+          error: 'Version not found',
+        });
+      }
+
+      const previousTags = version.metadata?.tags || [];
+      const updated = await version.setTags(req.body.tags);
+
+      await ProjectActivity.record({
+        projectId: req.params.projectId,
+        userId: req.user.id,
+        action: 'update',
+        entityType: 'version',
+        entityId: version.id,
+        entityName: version.name || version.version,
+        metadata: { previous_tags: previousTags, tags: updated.metadata.tags },
+        request: req,
+      });
+
+      res.json({
+        success: true,
+        data: updated,
+      });
+    } catch (error) {
+      console.error('Tag version error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update version tags',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/versions/{versionId}/restore:
+ *   post:
+ *     summary: Restore a version
+ *     description: >
+ *       Requires `version:restore`. In one transaction, saves the current
+ *       state as a backup version (unless the current version already holds
+ *       it), brings the project back to the snapshot of the version and
+ *       creates a new current version from the result. Secrets are kept as
+ *       they are; databases and webhooks removed since cannot be recreated
+ *       without them and are reported as skipped, with what uses them.
+ *       Review the changes first with `compare?from=live&to={versionId}`.
+ *     tags: [Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: versionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Version ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Name of the restored version
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The restored and backup versions and the changes made
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Version not found
+ *       409:
+ *         description: The version has no snapshot
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:versionId/restore',
+  [
+    param('projectId').isUUID(),
+    param('versionId').isUUID(),
+    body('name').optional().isString().trim().isLength({ min: 1, max: 255 }),
+    body('description').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }),
+  ],
+  requirePermission('version:restore'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const version = await findVersion(req.params.projectId, req.params.versionId);
+
+      if (!version) {
+        return res.status(404).json({
+          success: false,
+          error: 'Version not found',
+        });
+      }
+      if (!version.snapshot_hash) {
+        return res.status(409).json({
+          success: false,
+          error: `Version ${version.version} has no snapshot to restore`,
+        });
+      }
+
+      // Logs the restore with its changes
+      const { restoredVersion, backupVersion, changes } = await ProjectVersion.restoreVersion(
+        version.id,
+        req.user.id,
+        req.body.name,
+        req.body.description,
+        req
+      );
+
+      res.json({
+        success: true,
+        data: {
+          restored_version: restoredVersion,
+          backup_version: backupVersion,
+          changes,
+        },
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      console.error('Restore version error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to restore version',
+      });
+    }
+  }
+);
+
+export default router;
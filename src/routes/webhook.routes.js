@@ -0,0 +1,708 @@
+import { Router } from 'express';
+import { body, param, query as q, validationResult } from 'express-validator';
+import { ValidationError } from 'objection';
+import { ProjectActivity, Webhook, WebhookDelivery } from '../models/index.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import WebhookDispatcher from '../services/WebhookDispatcher.js';
+import { generateWebhookSecret } from '../utils/webhookSignature.js';
+import { assertPublicWebhookUrl, WebhookUrlError } from '../utils/webhookUrl.js';
+
+// Mounted under /projects/:projectId/webhooks
+const router = Router({ mergeParams: true });
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+/**
+ * Find a webhook of a project, ignoring deleted ones
+ * @param {string} projectId - Project ID
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Webhook|undefined>} Webhook
+ */
+async function findWebhook(projectId, webhookId) {
+  return Webhook.query()
+    .findById(webhookId)
+    .where('project_id', projectId)
+    .whereNull('deleted_at');
+}
+
+/**
+ * Validator rejecting webhook URLs that do not resolve or reach a private address
+ * @param {string} url - Webhook URL
+ * @returns {Promise<boolean>} True if the URL may be called
+ */
+async function isPublicWebhookUrl(url) {
+  try {
+    await assertPublicWebhookUrl(url);
+  } catch (error) {
+    if (error instanceof WebhookUrlError) throw error;
+    throw new Error('Webhook URL host could not be resolved');
+  }
+  return true;
+}
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/webhooks:
+ *   get:
+ *     summary: List the webhooks of a project
+ *     description: Requires `webhook:read`. Secrets are returned redacted.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: List of webhooks
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/',
+  [
+    param('projectId').isUUID(),
+  ],
+  requirePermission('webhook:read'),
+  async (req, res) => {
+    try {
+      const webhooks = await Webhook.query()
+        .where('project_id', req.params.projectId)
+        .whereNull('deleted_at')
+        .orderBy('created_at');
+
+      res.json({
+        success: true,
+        data: webhooks,
+      });
+    } catch (error) {
+      console.error('List webhooks error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch webhooks',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/webhooks:
+ *   post:
+ *     summary: Create a webhook
+ *     description: >
+ *       Requires `webhook:create`. Events are named `<entity_type>.<action>`
+ *       after the project activity they come from (e.g. `database.update`,
+ *       `schedule.execute`); `<entity_type>.*` and `*` subscribe to several.
+ *       Each delivery is a POST signed with the webhook secret:
+ *       `X-Webhook-Signature: sha256=<hex>` is the HMAC-SHA256 of
+ *       `<X-Webhook-Timestamp>.<raw body>`. The secret is generated unless
+ *       given, and only returned by this call.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - events
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 description: Must not resolve to a private, loopback or link-local address unless listed in WEBHOOK_ALLOWED_HOSTS
+ *               description:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['database.*', 'schedule.execute']
+ *               secret:
+ *                 type: string
+ *                 minLength: 16
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Webhook created, with its secret
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/',
+  [
+    param('projectId').isUUID(),
+    body('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .bail().custom(isPublicWebhookUrl),
+    body('description').optional({ nullable: true }).trim(),
+    body('events').isArray({ min: 1 }),
+    body('secret').optional().isString().isLength({ min: 16, max: 255 }),
+    body('is_active').optional().isBoolean(),
+  ],
+  requirePermission('webhook:create'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { url, description, events, is_active } = req.body;
+      const secret = req.body.secret || generateWebhookSecret();
+
+      const webhook = await Webhook.query().insert({
+        project_id: req.params.projectId,
+        url,
+        description,
+        events,
+        secret,
+        is_active,
+        created_by: req.user.id,
+      });
+
+      await ProjectActivity.record({
+        projectId: webhook.project_id,
+        userId: req.user.id,
+        action: 'create',
+        entityType: 'webhook',
+        entityId: webhook.id,
+        entityName: webhook.url,
+        request: req,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          ...webhook.toJSON(),
+          // Shown once; responses redact it from now on
+          secret,
+        },
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      console.error('Create webhook error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create webhook',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/webhooks/{webhookId}:
+ *   get:
+ *     summary: Get a webhook
+ *     description: Requires `webhook:read`. The secret is returned redacted.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Webhook ID
+ *     responses:
+ *       200:
+ *         description: Webhook
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Webhook not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/:webhookId',
+  [
+    param('projectId').isUUID(),
+    param('webhookId').isUUID(),
+  ],
+  requirePermission('webhook:read'),
+  async (req, res) => {
+    try {
+      const webhook = await findWebhook(req.params.projectId, req.params.webhookId);
+
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: webhook,
+      });
+    } catch (error) {
+      console.error('Get webhook error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch webhook',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/webhooks/{webhookId}:
+ *   put:
+ *     summary: Update a webhook
+ *     description: >
+ *       Requires `webhook:update`. Sending a `secret` replaces the signing
+ *       secret; deliveries already queued are signed with the new one.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Webhook ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 description: Must not resolve to a private, loopback or link-local address unless listed in WEBHOOK_ALLOWED_HOSTS
+ *               description:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               secret:
+ *                 type: string
+ *                 minLength: 16
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Webhook updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Webhook not found
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  '/:webhookId',
+  [
+    param('projectId').isUUID(),
+    param('webhookId').isUUID(),
+    body('url').optional().isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .bail().custom(isPublicWebhookUrl),
+    body('description').optional({ nullable: true }).trim(),
+    body('events').optional().isArray({ min: 1 }),
+    body('secret').optional().isString().isLength({ min: 16, max: 255 }),
+    body('is_active').optional().isBoolean(),
+  ],
+  requirePermission('webhook:update'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const webhook = await findWebhook(req.params.projectId, req.params.webhookId);
+
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook not found',
+        });
+      }
+
+      const { url, description, events, secret, is_active } = req.body;
+      const updates = { url, description, events, secret, is_active, updated_by: req.user.id };
+      Object.keys(updates).forEach(key => updates[key] === undefined && delete updates[key]);
+
+      const updated = await webhook.$query().patchAndFetch(updates);
+
+      await ProjectActivity.record({
+        projectId: updated.project_id,
+        userId: req.user.id,
+        action: 'update',
+        entityType: 'webhook',
+        entityId: updated.id,
+        entityName: updated.url,
+        metadata: { fields: Object.keys(updates).filter(key => key !== 'updated_by') },
+        request: req,
+      });
+
+      res.json({
+        success: true,
+        data: updated,
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      console.error('Update webhook error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update webhook',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/webhooks/{webhookId}:
+ *   delete:
+ *     summary: Delete a webhook
+ *     description: Requires `webhook:delete`. Pending retries are abandoned.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Webhook ID
+ *     responses:
+ *       200:
+ *         description: Webhook deleted
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Webhook not found
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  '/:webhookId',
+  [
+    param('projectId').isUUID(),
+    param('webhookId').isUUID(),
+  ],
+  requirePermission('webhook:delete'),
+  async (req, res) => {
+    try {
+      const webhook = await findWebhook(req.params.projectId, req.params.webhookId);
+
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook not found',
+        });
+      }
+
+      await webhook.$query().patch({
+        is_active: false,
+        deleted_at: new Date().toISOString(),
+        updated_by: req.user.id,
+      });
+
+      await ProjectActivity.record({
+        projectId: webhook.project_id,
+        userId: req.user.id,
+        action: 'delete',
+        entityType: 'webhook',
+        entityId: webhook.id,
+        entityName: webhook.url,
+        request: req,
+      });
+
+      res.json({
+        success: true,
+        message: 'Webhook deleted successfully',
+      });
+    } catch (error) {
+      console.error('Delete webhook error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete webhook',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/webhooks/{webhookId}/deliveries:
+ *   get:
+ *     summary: List the deliveries of a webhook
+ *     description: >
+ *       Requires `webhook:read`. Most recent first, with the response status
+ *       and an excerpt of the response body of the last attempt, and a log of
+ *       every attempt.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Webhook ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of deliveries
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Webhook not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/:webhookId/deliveries',
+  [
+    param('projectId').isUUID(),
+    param('webhookId').isUUID(),
+    q('status').optional().isIn(WebhookDelivery.STATUSES),
+    q('event').optional().isString().trim().notEmpty(),
+    q('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    q('offset').optional().isInt({ min: 0 }).toInt(),
+  ],
+  requirePermission('webhook:read'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const webhook = await findWebhook(req.params.projectId, req.params.webhookId);
+
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook not found',
+        });
+      }
+
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = parseInt(req.query.offset) || 0;
+
+      const baseQuery = WebhookDelivery.query()
+        .where('webhook_id', webhook.id)
+        .modify(builder => {
+          if (req.query.status) builder.where('status', req.query.status);
+          if (req.query.event) builder.where('event', req.query.event);
+        });
+
+      const [deliveries, total] = await Promise.all([
+        baseQuery.clone().orderBy('created_at', 'desc').limit(limit).offset(offset),
+        baseQuery.clone().resultSize(),
+      ]);
+
+      res.json({
+        success: true,
+        data: deliveries,
+        meta: {
+          total,
+          limit,
+          offset,
+        },
+      });
+    } catch (error) {
+      console.error('List webhook deliveries error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch webhook deliveries',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{projectId}/webhooks/{webhookId}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a delivery again
+ *     description: >
+ *       Requires `webhook:update`. Sends the same payload as a new delivery
+ *       (with its own `X-Webhook-Delivery` ID) and returns it after the first
+ *       attempt; failed attempts are retried like any other delivery.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Webhook ID
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Delivery ID
+ *     responses:
+ *       201:
+ *         description: The new delivery
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Webhook or delivery not found
+ *       409:
+ *         description: The webhook is inactive or was deleted meanwhile
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:webhookId/deliveries/:deliveryId/redeliver',
+  [
+    param('projectId').isUUID(),
+    param('webhookId').isUUID(),
+    param('deliveryId').isUUID(),
+  ],
+  requirePermission('webhook:update'),
+  async (req, res) => {
+    try {
+      const webhook = await findWebhook(req.params.projectId, req.params.webhookId);
+      const delivery = webhook && await WebhookDelivery.query()
+        .findById(req.params.deliveryId)
+        .where('webhook_id', webhook.id);
+
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          error: webhook ? 'Delivery not found' : 'Webhook not found',
+        });
+      }
+
+      if (!webhook.is_active) {
+        return res.status(409).json({
+          success: false,
+          error: 'The webhook is inactive',
+        });
+      }
+
+      const redelivery = await WebhookDispatcher.redeliver(delivery);
+
+      // Deleted or deactivated since it was loaded above
+      if (!redelivery) {
+        return res.status(409).json({
+          success: false,
+          error: 'The webhook is inactive or was deleted',
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: redelivery,
+      });
+    } catch (error) {
+      console.error('Redeliver webhook error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to redeliver webhook',
+      });
+    }
+  }
+);
+
+export default router;
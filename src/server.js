@@ -7,6 +7,9 @@ import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import createApp from './app.js';
 import { logger } from './utils/logger.js';
+import ConnectionManager from './services/ConnectionManager.js';
+import Scheduler from './services/Scheduler.js';
+import WebhookDispatcher from './services/WebhookDispatcher.js';
 
 // Load environment variables
 dotenv.config();
@@ -73,6 +76,15 @@ const onListening = () => {
   if (process.env.NODE_ENV !== 'production') {
     logger.info(`API Documentation available at http://localhost:${port}/api-docs`);
   }
+
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    Scheduler.start();
+    logger.info(`Query scheduler started (instance ${Scheduler.instanceId})`);
+  }
+
+  if (process.env.WEBHOOKS_ENABLED !== 'false') {
+    WebhookDispatcher.start();
+  }
 };
 
 // Listen on provided port, on all network interfaces
@@ -97,7 +109,11 @@ process.on('uncaughtException', (err) => {
 // Handle SIGTERM signal (for Docker, Kubernetes, etc.)
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully');
-  server.close(() => {
+  server.close(async () => {
+    // Let scheduled runs finish before their connections close
+    await Scheduler.stop();
+    await WebhookDispatcher.stop();
+    await ConnectionManager.closeAll();
     logger.info('Process terminated');
     process.exit(0);
   });
@@ -106,7 +122,11 @@ process.on('SIGTERM', () => {
 // Handle Ctrl+C
 process.on('SIGINT', () => {
   logger.info('SIGINT received. Shutting down gracefully');
-  server.close(() => {
+  server.close(async () => {
+    // Let scheduled runs finish before their connections close
+    await Scheduler.stop();
+    await WebhookDispatcher.stop();
+    await ConnectionManager.closeAll();
     logger.info('Process terminated');
     process.exit(0);
   });
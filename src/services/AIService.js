@@ -83,11 +83,14 @@ class AIService {
    * Generate query using primary model (OpenAI)
    */
   async generateWithPrimaryModel(naturalLanguage, context) {
-    const { schema = {}, project_id, user_id } = context;
+    const { schema = {}, project_id, user_id, database_type } = context;
     
     const prompt = PromptTemplate.fromTemplate(`
       You are an expert SQL/NoSQL query generator. Your task is to convert the following natural language request into a valid database query.
       
+      Database Type: ${database_type || 'postgresql'}
+      ${this.getQueryFormatInstructions(database_type)}
+      
       Database Schema:
       ${JSON.stringify(schema, null, 2)}
       
@@ -130,6 +133,24 @@ class AIService {
     return { ...result, optimized: false };
   }
 
+  /**
+   * Describe the query format the model must emit for a database type
+   * (braces are doubled because the text goes through PromptTemplate)
+   * @param {string} databaseType - `ProjectDatabase.type`
+   * @returns {string} Prompt instructions
+   */
+  getQueryFormatInstructions(databaseType) {
+    if (databaseType === 'mongodb') {
+      return `This is a MongoDB database: do not write SQL. The "query" field must be a JSON string
+      holding a query document, preferably an aggregation pipeline:
+      {{"operation": "aggregate", "collection": "<collection>", "pipeline": [{{"$match": {{}}}}, ...]}}
+      "find" (filter, projection, sort, limit), "count" (filter) and "distinct" (field, filter) are also accepted.
+      Never use $out, $merge, $where, $function or $accumulator. Inline values instead of using parameters.`;
+    }
+
+    return 'Use only SQL syntax supported by this database.';
+  }
+
   /**
    * Validate and optimize query using secondary model (Hugging Face)
    */
@@ -147,7 +168,7 @@ class AIService {
         Context:
         - Project ID: ${context.project_id || 'N/A'}
         - User ID: ${context.user_id || 'N/A'}
-        - Database Type: ${context.databaseType || 'PostgreSQL'}
+        - Database Type: ${context.database_type || 'postgresql'}
         
         Please provide:
         1. An optimized version of the query
@@ -215,8 +236,9 @@ class AIService {
    * Generate a cache key for the query
    */
   getCacheKey(naturalLanguage, context) {
-    const { project_id, user_id } = context;
-    return `${project_id || 'global'}:${user_id || 'anon'}:${naturalLanguage}`;
+    const { project_id, user_id, database_id } = context;
+    // The same question compiles to different SQL on different databases
+    return `${project_id || 'global'}:${user_id || 'anon'}:${database_id || 'any'}:${naturalLanguage}`;
   }
 
   /**
@@ -0,0 +1,274 @@
+import crypto from 'crypto';
+import { createConnection, pingConnection, getPoolStats } from './dialects/index.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULTS = {
+  maxConnections: parseInt(process.env.CONNECTION_CACHE_MAX || '50', 10),
+  idleTtlMs: parseInt(process.env.CONNECTION_IDLE_TTL_MS || '600000', 10),
+  healthCheckIntervalMs: parseInt(process.env.CONNECTION_HEALTH_INTERVAL_MS || '30000', 10),
+  poolMin: parseInt(process.env.CONNECTION_POOL_MIN || '0', 10),
+  poolMax: parseInt(process.env.CONNECTION_POOL_MAX || '7', 10),
+  poolLimit: parseInt(process.env.CONNECTION_POOL_LIMIT || '20', 10),
+};
+
+/**
+ * Keeps one connection pool per project database.
+ *
+ * Pools are cached by database ID in least-recently-used order. The oldest
+ * idle pools are closed when the cache is full, pools nobody used for the idle
+ * TTL are closed by a periodic sweep that also pings the rest, and a pool is
+ * replaced as soon as the database's type, connection settings or pool size
+ * change. ProjectDatabase invalidates pools when rows are updated or deleted.
+ */
+export class ConnectionManager {
+  /**
+   * @param {Object} [options] - Overrides for the CONNECTION_* environment defaults
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    // Database ID => { connection, fingerprint, projectId, type, createdAt, lastUsedAt, lastCheckedAt }
+    // Map iteration order doubles as LRU order: entries are re-inserted on use
+    this.entries = new Map();
+    // `${databaseId}:${fingerprint}` => Promise of a connection being opened
+    this.pending = new Map();
+    // Database ID => { error, at } of the last failed connect or health check
+    this.failures = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Pool size for a database, from `metadata.pool` ({ min, max }) within the configured limit
+   * @param {Object} database - ProjectDatabase instance
+   * @returns {{min: number, max: number}}
+   */
+  getPoolSize(database) {
+    const pool = database.metadata?.pool || {};
+    const max = Math.min(Math.max(parseInt(pool.max, 10) || this.options.poolMax, 1), this.options.poolLimit);
+    const min = Math.min(Math.max(parseInt(pool.min, 10) || this.options.poolMin, 0), max);
+    return { min, max };
+  }
+
+  /**
+   * Everything a pool depends on; a different value means the pool is stale
+   * @param {Object} database - ProjectDatabase instance
+   * @returns {string} Hash (so decrypted secrets are not kept around in clear)
+   */
+  fingerprint(database) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([database.type, database.connection_config, this.getPoolSize(database)]))
+      .digest('hex');
+  }
+
+  /**
+   * Get the pool for a database, opening (and pinging) it when needed
+   * @param {Object} database - ProjectDatabase instance
+   * @returns {Promise<import('knex').Knex|import('./dialects/mongodb.js').MongoConnection>} Open connection
+   */
+  async acquire(database) {
+    const fingerprint = this.fingerprint(database);
+    const entry = this.entries.get(database.id);
+
+    if (entry && entry.fingerprint === fingerprint) {
+      entry.lastUsedAt = Date.now();
+      // Move to the most recently used end
+      this.entries.delete(database.id);
+      this.entries.set(database.id, entry);
+      return entry.connection;
+    }
+
+    if (entry) {
+      // Credentials, host or pool size changed since the pool was opened. Not
+      // awaited: closing waits for queries still running on the old pool.
+      this.invalidate(database.id);
+    }
+
+    const pendingKey = `${database.id}:${fingerprint}`;
+    if (!this.pending.has(pendingKey)) {
+      const opening = this.open(database, fingerprint)
+        .finally(() => this.pending.delete(pendingKey));
+      this.pending.set(pendingKey, opening);
+    }
+    return this.pending.get(pendingKey);
+  }
+
+  /**
+   * Open, ping and cache a new pool
+   * @private
+   */
+  async open(database, fingerprint) {
+    const connection = await createConnection(database.type, database.connection_config, {
+      pool: this.getPoolSize(database),
+      debug: process.env.NODE_ENV === 'development',
+    });
+
+    try {
+      await pingConnection(connection);
+    } catch (error) {
+      this.failures.set(database.id, { error: error.message, at: new Date().toISOString() });
+      await connection.destroy();
+      throw new Error(`Failed to connect to database: ${error.message}`);
+    }
+
+    const now = Date.now();
+    this.failures.delete(database.id);
+    this.entries.set(database.id, {
+      connection,
+      fingerprint,
+      projectId: database.project_id,
+      type: database.type,
+      createdAt: now,
+      lastUsedAt: now,
+      lastCheckedAt: now,
+    });
+
+    await this.evictOverflow();
+    this.startTimer();
+    return connection;
+  }
+
+  /**
+   * Close the pool of a database, if open
+   * @param {string} databaseId - Database ID
+   * @returns {Promise<boolean>} Whether a pool was closed
+   */
+  async invalidate(databaseId) {
+    const entry = this.entries.get(databaseId);
+    if (!entry) return false;
+
+    this.entries.delete(databaseId);
+    if (!this.entries.size) this.stopTimer();
+
+    try {
+      // Lets queries already running finish before the connections close
+      await entry.connection.destroy();
+    } catch (error) {
+      logger.error(`Error closing connection pool for database ${databaseId}:`, error);
+    }
+    return true;
+  }
+
+  /**
+   * Close least recently used pools while the cache is over its limit. Pools
+   * with connections in use are skipped, so the cache can briefly overflow.
+   * @private
+   */
+  async evictOverflow() {
+    let excess = this.entries.size - this.options.maxConnections;
+    if (excess <= 0) return;
+
+    for (const [databaseId, entry] of this.entries) {
+      if (excess <= 0) break;
+      if (getPoolStats(entry.connection).in_use > 0) continue;
+
+      await this.invalidate(databaseId);
+      excess--;
+    }
+
+    if (excess > 0) {
+      logger.warn(`Connection cache over its limit of ${this.options.maxConnections}: all pools are busy`);
+    }
+  }
+
+  /**
+   * Close idle pools past their TTL and ping the others, closing those that fail
+   * @returns {Promise<{closed: Array<string>, failed: Array<string>}>} Database IDs
+   */
+  async sweep() {
+    const now = Date.now();
+    const closed = [];
+    const failed = [];
+
+    for (const [databaseId, entry] of [...this.entries]) {
+      const stats = getPoolStats(entry.connection);
+
+      if (stats.in_use === 0 && now - entry.lastUsedAt >= this.options.idleTtlMs) {
+        await this.invalidate(databaseId);
+        closed.push(databaseId);
+        continue;
+      }
+
+      try {
+        await pingConnection(entry.connection);
+        entry.lastCheckedAt = now;
+      } catch (error) {
+        logger.warn(`Health check failed for database ${databaseId}: ${error.message}`);
+        this.failures.set(databaseId, { error: error.message, at: new Date(now).toISOString() });
+        await this.invalidate(databaseId);
+        failed.push(databaseId);
+      }
+    }
+
+    return { closed, failed };
+  }
+
+  /**
+   * Pool stats of a project's databases. Pools of other projects are never
+   * included, so there is no way to list every pool of the process.
+   * @param {string} projectId - Project ID
+   * @param {Array<string>} [databaseIds] - Only these databases of the project
+   * @returns {Array<Object>} One entry per open pool
+   * @throws {Error} Without a project ID
+   */
+  getStats(projectId, databaseIds = null) {
+    if (!projectId) {
+      throw new Error('Pool stats are only available per project');
+    }
+
+    const wanted = databaseIds && new Set(databaseIds);
+    const stats = [];
+
+    for (const [databaseId, entry] of this.entries) {
+      if (entry.projectId !== projectId || (wanted && !wanted.has(databaseId))) continue;
+      stats.push({
+        database_id: databaseId,
+        type: entry.type,
+        status: 'open',
+        ...getPoolStats(entry.connection),
+        opened_at: new Date(entry.createdAt).toISOString(),
+        last_used_at: new Date(entry.lastUsedAt).toISOString(),
+        last_checked_at: new Date(entry.lastCheckedAt).toISOString(),
+      });
+    }
+
+    return stats;
+  }
+
+  /**
+   * Last connect or health check failure of a database
+   * @param {string} databaseId - Database ID
+   * @returns {{error: string, at: string}|null}
+   */
+  getFailure(databaseId) {
+    return this.failures.get(databaseId) || null;
+  }
+
+  /**
+   * Close every pool (on shutdown)
+   */
+  async closeAll() {
+    this.stopTimer();
+    await Promise.all([...this.entries.keys()].map(databaseId => this.invalidate(databaseId)));
+  }
+
+  /** @private */
+  startTimer() {
+    if (this.timer || !this.options.healthCheckIntervalMs) return;
+
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => logger.error('Error checking database connections:', error));
+    }, this.options.healthCheckIntervalMs);
+    // Never keep the process alive just for health checks
+    this.timer.unref();
+  }
+
+  /** @private */
+  stopTimer() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export a singleton instance
+export default new ConnectionManager();
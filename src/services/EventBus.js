@@ -0,0 +1,38 @@
+import { EventEmitter } from 'events';
+
+/**
+ * In-process bus for project events.
+ *
+ * Every logged project activity is published as an event named
+ * `<entity_type>.<action>` (e.g. `database.update`, `schedule.execute`).
+ * Subscribers such as the webhook dispatcher listen to `event`.
+ */
+class EventBus extends EventEmitter {
+  /**
+   * Publish a project activity
+   * @param {Object} activity - ProjectActivity instance
+   * @returns {Object} The published event
+   */
+  publish(activity) {
+    const event = {
+      id: activity.id,
+      name: `${activity.entity_type}.${activity.action}`,
+      project_id: activity.project_id,
+      occurred_at: activity.created_at,
+      data: {
+        action: activity.action,
+        entity_type: activity.entity_type,
+        entity_id: activity.entity_id,
+        entity_name: activity.entity_name,
+        user_id: activity.user_id,
+        metadata: activity.metadata || {},
+      },
+    };
+
+    this.emit('event', event);
+    return event;
+  }
+}
+
+// Export a singleton instance
+export default new EventBus();
@@ -0,0 +1,206 @@
+import { RateLimiterMemory } from 'rate-limiter-flexible';
+
+const DEFAULTS = {
+  maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES || '10', 10),
+  failureWindowSeconds: parseInt(process.env.LOGIN_FAILURE_WINDOW_SECONDS || '900', 10),
+  lockoutSeconds: parseInt(process.env.LOGIN_LOCKOUT_SECONDS || '900', 10),
+  ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES || '50', 10),
+  ipLockoutSeconds: parseInt(process.env.LOGIN_IP_LOCKOUT_SECONDS || '3600', 10),
+  delayAfterFailures: parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES || '3', 10),
+  maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS || '30', 10),
+  resetMaxRequests: parseInt(process.env.PASSWORD_RESET_MAX_REQUESTS || '3', 10),
+  resetIpMaxRequests: parseInt(process.env.PASSWORD_RESET_IP_MAX_REQUESTS || '5', 10),
+  resetWindowSeconds: parseInt(process.env.PASSWORD_RESET_WINDOW_SECONDS || '3600', 10),
+};
+
+/**
+ * Consume a point, telling a refusal apart from a store error
+ * @param {RateLimiterMemory} limiter - Limiter
+ * @param {string} key - Key
+ * @returns {Promise<{res: Object, refused: boolean}>}
+ */
+const consume = async (limiter, key) => {
+  try {
+    return { res: await limiter.consume(key), refused: false };
+  } catch (res) {
+    if (res instanceof Error) throw res;
+    return { res, refused: true };
+  }
+};
+
+/**
+ * Milliseconds a key stays blocked, 0 when it is not
+ * @param {RateLimiterMemory} limiter - Limiter
+ * @param {string} key - Key
+ * @returns {Promise<number>}
+ */
+const blockedFor = async (limiter, key) => {
+  const res = await limiter.get(key);
+  return res && res.consumedPoints > limiter.points ? res.msBeforeNext : 0;
+};
+
+/**
+ * Counts failed sign-ins per account and per IP.
+ *
+ * After `delayAfterFailures` consecutive failures an account has to wait
+ * before the next attempt, twice as long after each further failure (up to
+ * `maxDelaySeconds`). At `maxFailures` within the window the account is
+ * locked for `lockoutSeconds`; an IP failing on many accounts is blocked
+ * the same way. A successful sign-in clears the account's counters.
+ * Password reset requests are counted per account and per IP too.
+ *
+ * Accounts are keyed by user ID when the identifier matches a user, so
+ * switching between email, phone and document ID does not buy attempts.
+ * Counters live in memory and are per process.
+ */
+export class LoginThrottle {
+  /**
+   * @param {Object} [options] - Overrides for the LOGIN_* and PASSWORD_RESET_* environment defaults
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    const { options: o } = this;
+
+    this.accountFailures = new RateLimiterMemory({
+      keyPrefix: 'login_fail_account',
+      points: o.maxFailures,
+      duration: o.failureWindowSeconds,
+      blockDuration: o.lockoutSeconds,
+    });
+    this.ipFailures = new RateLimiterMemory({
+      keyPrefix: 'login_fail_ip',
+      points: o.ipMaxFailures,
+      duration: o.failureWindowSeconds,
+      blockDuration: o.ipLockoutSeconds,
+    });
+    // A key is blocked here for the progressive delay after a failure
+    this.delays = new RateLimiterMemory({ keyPrefix: 'login_delay', points: 1, duration: 1 });
+    this.resetRequests = new RateLimiterMemory({
+      keyPrefix: 'password_reset_account',
+      points: o.resetMaxRequests,
+      duration: o.resetWindowSeconds,
+    });
+    this.resetIpRequests = new RateLimiterMemory({
+      keyPrefix: 'password_reset_ip',
+      points: o.resetIpMaxRequests,
+      duration: o.resetWindowSeconds,
+    });
+  }
+
+  /**
+   * Key failed attempts are counted under
+   * @param {string} identifier - Identifier entered (email, phone or document ID)
+   * @param {User|null} user - User it matched
+   * @returns {string}
+   */
+  accountKey(identifier, user) {
+    return user ? `user:${user.id}` : `identifier:${String(identifier).trim().toLowerCase()}`;
+  }
+
+  /**
+   * Seconds to wait after a number of consecutive failures
+   * @param {number} failures - Consecutive failures
+   * @returns {number}
+   */
+  getDelaySeconds(failures) {
+    const { delayAfterFailures, maxDelaySeconds } = this.options;
+    if (failures < delayAfterFailures) return 0;
+    return Math.min(2 ** (failures - delayAfterFailures), maxDelaySeconds);
+  }
+
+  /**
+   * Whether a sign-in attempt may be checked
+   * @param {string} accountKey - See accountKey()
+   * @param {string} ip - Client IP
+   * @returns {Promise<{allowed: boolean, reason?: string, retryAfterMs?: number}>}
+   *   reason is ip_blocked, account_locked or login_delayed
+   */
+  async check(accountKey, ip) {
+    const checks = [
+      ['ip_blocked', this.ipFailures, ip],
+      ['account_locked', this.accountFailures, accountKey],
+      ['login_delayed', this.delays, accountKey],
+    ];
+
+    for (const [reason, limiter, key] of checks) {
+      const retryAfterMs = await blockedFor(limiter, key);
+      if (retryAfterMs > 0) {
+        return { allowed: false, reason, retryAfterMs };
+      }
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Count a failed sign-in
+   * @param {string} accountKey - See accountKey()
+   * @param {string} ip - Client IP
+   * @returns {Promise<Object>} `failures` of the account; `accountLocked` / `ipBlocked`
+   *   when this failure caused the lockout, with `lockedUntil`
+   */
+  async registerFailure(accountKey, ip) {
+    const { options: o } = this;
+    const account = await consume(this.accountFailures, accountKey);
+    const address = await consume(this.ipFailures, ip);
+    const failures = account.res.consumedPoints;
+
+    // Only the failure that crosses the limit reports the lockout
+    const accountLocked = account.refused && failures === o.maxFailures + 1;
+    const ipBlocked = address.refused && address.res.consumedPoints === o.ipMaxFailures + 1;
+
+    if (!account.refused) {
+      const delay = this.getDelaySeconds(failures);
+      if (delay > 0) {
+        await this.delays.block(accountKey, delay);
+      }
+    }
+
+    return {
+      failures,
+      accountLocked,
+      ipBlocked,
+      lockedUntil: accountLocked
+        ? new Date(Date.now() + o.lockoutSeconds * 1000).toISOString()
+        : ipBlocked ? new Date(Date.now() + o.ipLockoutSeconds * 1000).toISOString() : null,
+    };
+  }
+
+  /**
+   * Clear the counters of an account after it signed in
+   * @param {string} accountKey - See accountKey()
+   */
+  async registerSuccess(accountKey) {
+    await this.accountFailures.delete(accountKey);
+    await this.delays.delete(accountKey);
+  }
+
+  /**
+   * Count a password reset request
+   * @param {string} accountKey - See accountKey()
+   * @param {string} ip - Client IP
+   * @returns {Promise<{allowed: boolean, reason?: string, retryAfterMs?: number, throttledNow?: boolean}>}
+   *   reason is ip_blocked (answer with an error) or account_throttled (answer as usual,
+   *   without sending the email); throttledNow marks the first refused request
+   */
+  async consumePasswordReset(accountKey, ip) {
+    const address = await consume(this.resetIpRequests, ip);
+    if (address.refused) {
+      return { allowed: false, reason: 'ip_blocked', retryAfterMs: address.res.msBeforeNext };
+    }
+
+    const account = await consume(this.resetRequests, accountKey);
+    if (account.refused) {
+      return {
+        allowed: false,
+        reason: 'account_throttled',
+        retryAfterMs: account.res.msBeforeNext,
+        throttledNow: account.res.consumedPoints === this.options.resetMaxRequests + 1,
+      };
+    }
+
+    return { allowed: true };
+  }
+}
+
+// Export a singleton instance
+export default new LoginThrottle();
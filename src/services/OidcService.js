@@ -0,0 +1,441 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { OidcLoginRequest, User, UserIdentity } from '../models/index.js';
+
+const DEFAULTS = {
+  loginRequestTtlMs: parseInt(process.env.OIDC_LOGIN_REQUEST_TTL_SECONDS || '600', 10) * 1000,
+  metadataTtlMs: parseInt(process.env.OIDC_METADATA_TTL_SECONDS || '3600', 10) * 1000,
+  timeoutMs: parseInt(process.env.OIDC_TIMEOUT_MS || '10000', 10),
+  // Tolerated clock difference with the provider when checking id tokens
+  clockToleranceSeconds: 60,
+};
+
+// Asymmetric algorithms only: keys come from the provider's JWKS
+const SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+/**
+ * Error raised when a single sign-on cannot be started or completed
+ */
+export class OidcError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - unknown_provider, invalid_state, invalid_grant, invalid_token,
+   *   provider_error, email_not_verified or account_not_linkable
+   * @param {number} [status=400] - HTTP status to answer with
+   */
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'OidcError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const randomToken = (bytes) => crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Hash of the `state` parameter as stored with its login request
+ * @param {string} state - State sent to the provider
+ * @returns {string} Hex SHA-256 digest
+ */
+export const hashState = (state) =>
+  crypto.createHash('sha256').update(state).digest('hex');
+
+/**
+ * PKCE S256 code challenge of a verifier (RFC 7636)
+ * @param {string} verifier - Code verifier
+ * @returns {string} Base64url SHA-256 digest
+ */
+export const pkceChallenge = (verifier) =>
+  crypto.createHash('sha256').update(verifier).digest('base64url');
+
+/**
+ * Read the configured providers from the environment. OIDC_PROVIDERS lists
+ * their keys (e.g. `corp,google`); each key has OIDC_<KEY>_ISSUER,
+ * OIDC_<KEY>_CLIENT_ID, OIDC_<KEY>_CLIENT_SECRET (omit for public clients),
+ * and optionally OIDC_<KEY>_NAME, OIDC_<KEY>_SCOPES and OIDC_<KEY>_REDIRECT_URI.
+ * @param {Object} [env=process.env] - Environment
+ * @returns {Object<string, Object>} Providers by key
+ */
+export function loadProviders(env = process.env) {
+  const appUrl = env.APP_URL || 'http://localhost:3000';
+  const providers = {};
+
+  for (const key of (env.OIDC_PROVIDERS || '').split(',').map(k => k.trim().toLowerCase()).filter(Boolean)) {
+    const prefix = `OIDC_${key.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const issuer = env[`${prefix}ISSUER`];
+    const clientId = env[`${prefix}CLIENT_ID`];
+    if (!issuer || !clientId) {
+      throw new Error(`${prefix}ISSUER and ${prefix}CLIENT_ID are required for the "${key}" OIDC provider`);
+    }
+
+    providers[key] = {
+      key,
+      name: env[`${prefix}NAME`] || key,
+      issuer: issuer.replace(/\/+$/, ''),
+      clientId,
+      clientSecret: env[`${prefix}CLIENT_SECRET`] || null,
+      scopes: env[`${prefix}SCOPES`] || 'openid email profile',
+      redirectUri: env[`${prefix}REDIRECT_URI`] || `${appUrl}/auth/oidc/${key}/callback`,
+    };
+  }
+
+  return providers;
+}
+
+/**
+ * Signs users in through OpenID Connect providers with the authorization
+ * code flow and PKCE.
+ *
+ * createAuthorization() returns the provider URL to send the browser to.
+ * The provider redirects back to the client's `redirect_uri` with `code` and
+ * `state`, which the client hands to completeAuthorization(): the code is
+ * exchanged with the stored PKCE verifier and the id token is checked
+ * against the provider's keys, issuer, audience and nonce. resolveUser()
+ * then finds the user of the provider account, links it to the user with
+ * the same verified email, or creates one.
+ */
+export class OidcService {
+  /**
+   * @param {Object} [options] - Overrides for the OIDC_* environment defaults
+   * @param {Object<string, Object>} [options.providers] - Providers by key, see loadProviders()
+   */
+  constructor({ providers, ...options } = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.providers = providers || loadProviders();
+    // Discovery documents and key sets by provider key
+    this.metadata = new Map();
+    this.keySets = new Map();
+  }
+
+  /**
+   * Providers users can sign in with
+   * @returns {Array<{key: string, name: string}>}
+   */
+  listProviders() {
+    return Object.values(this.providers).map(({ key, name }) => ({ key, name }));
+  }
+
+  /**
+   * Configuration of a provider
+   * @param {string} key - Provider key
+   * @returns {Object}
+   * @throws {OidcError} When no such provider is configured
+   */
+  getProvider(key) {
+    const provider = Object.hasOwn(this.providers, key) ? this.providers[key] : null;
+    if (!provider) {
+      throw new OidcError(`Unknown sign-in provider: ${key}`, 'unknown_provider', 404);
+    }
+    return provider;
+  }
+
+  /**
+   * Start a sign-in at a provider
+   * @param {string} providerKey - Provider key
+   * @returns {Promise<{authorizationUrl: string, expiresAt: string}>}
+   */
+  async createAuthorization(providerKey) {
+    const provider = this.getProvider(providerKey);
+    const metadata = await this.discover(provider);
+
+    const state = randomToken(32);
+    const nonce = randomToken(24);
+    const codeVerifier = randomToken(32);
+    const expiresAt = new Date(Date.now() + this.options.loginRequestTtlMs).toISOString();
+
+    await OidcLoginRequest.deleteExpired();
+    await OidcLoginRequest.query().insert({
+      provider: provider.key,
+      state_hash: hashState(state),
+      nonce,
+      code_verifier: codeVerifier,
+      redirect_uri: provider.redirectUri,
+      expires_at: expiresAt,
+    });
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: provider.redirectUri,
+      scope: provider.scopes,
+      state,
+      nonce,
+      code_challenge: pkceChallenge(codeVerifier),
+      code_challenge_method: 'S256',
+    }).toString();
+
+    return { authorizationUrl: url.toString(), expiresAt };
+  }
+
+  /**
+   * Finish a sign-in with what the provider redirected back with
+   * @param {string} providerKey - Provider key
+   * @param {Object} params
+   * @param {string} params.code - Authorization code
+   * @param {string} params.state - State returned by the provider
+   * @returns {Promise<Object>} Verified id token claims
+   * @throws {OidcError}
+   */
+  async completeAuthorization(providerKey, { code, state }) {
+    const provider = this.getProvider(providerKey);
+    const now = new Date();
+
+    const request = await OidcLoginRequest.query().findOne({ state_hash: hashState(state) });
+    if (!request || request.provider !== provider.key || !request.isOpen(now)) {
+      throw new OidcError('Invalid or expired sign-in request', 'invalid_state');
+    }
+
+    // A request is good for one attempt, successful or not
+    const claimed = await OidcLoginRequest.query()
+      .findById(request.id)
+      .whereNull('used_at')
+      .patch({ used_at: now.toISOString() });
+    if (!claimed) {
+      throw new OidcError('Invalid or expired sign-in request', 'invalid_state');
+    }
+
+    const metadata = await this.discover(provider);
+    const tokens = await this.exchangeCode(provider, metadata, {
+      code,
+      codeVerifier: request.code_verifier,
+      redirectUri: request.redirect_uri,
+    });
+
+    return this.verifyIdToken(provider, metadata, tokens.id_token, request.nonce);
+  }
+
+  /**
+   * Find, link or create the user of a provider account
+   * @param {string} providerKey - Provider key
+   * @param {Object} claims - Verified id token claims
+   * @returns {Promise<{user: User, created: boolean, linked: boolean}>}
+   *   `linked` when the account was just linked to an existing user
+   * @throws {OidcError} When there is no verified email to match, or the user
+   *   with that email cannot be linked
+   */
+  async resolveUser(providerKey, claims) {
+    const provider = this.getProvider(providerKey);
+    const email = typeof claims.email === 'string' ? claims.email.trim().toLowerCase() : null;
+    const now = new Date().toISOString();
+
+    return UserIdentity.transaction(async trx => {
+      const identity = await UserIdentity.query(trx).findOne({ provider: provider.key, subject: claims.sub });
+      if (identity) {
+        await identity.$query(trx).patch({ email, last_login_at: now });
+        return { user: await User.query(trx).findById(identity.user_id), created: false, linked: false };
+      }
+
+      // Some providers send the flag as a string
+      if (!email || String(claims.email_verified) !== 'true') {
+        throw new OidcError('The provider did not return a verified email address', 'email_not_verified', 403);
+      }
+
+      let user = await User.query(trx).whereRaw('lower(email) = ?', [email]).first();
+      const created = !user;
+
+      if (user) {
+        // Otherwise whoever registered the address without owning it would get the account
+        if (!user.email_verified) {
+          throw new OidcError(
+            'Verify the email address of your account, or sign in with your password, before using single sign-on',
+            'account_not_linkable',
+            409
+          );
+        }
+
+        const linkedElsewhere = await UserIdentity.query(trx).findOne({ user_id: user.id, provider: provider.key });
+        if (linkedElsewhere) {
+          throw new OidcError(
+            'Your account is already linked to another account of this provider',
+            'account_not_linkable',
+            409
+          );
+        }
+      } else {
+        user = await User.createForSingleSignOn({
+          email,
+          firstName: claims.given_name,
+          lastName: claims.family_name,
+        }, trx);
+      }
+
+      await UserIdentity.query(trx).insert({
+        user_id: user.id,
+        provider: provider.key,
+        subject: claims.sub,
+        email,
+        last_login_at: now,
+      });
+
+      return { user, created, linked: !created };
+    });
+  }
+
+  /**
+   * Provider metadata from its discovery document, cached
+   * @param {Object} provider - Provider configuration
+   * @returns {Promise<Object>}
+   */
+  async discover(provider) {
+    const cached = this.metadata.get(provider.key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    const value = await this.fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+    if (value.issuer !== provider.issuer && value.issuer !== `${provider.issuer}/`) {
+      throw new OidcError(`The discovery document of ${provider.key} names another issuer`, 'provider_error', 502);
+    }
+    for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+      if (!value[field]) {
+        throw new OidcError(`The discovery document of ${provider.key} has no ${field}`, 'provider_error', 502);
+      }
+    }
+
+    this.metadata.set(provider.key, { value, expiresAt: Date.now() + this.options.metadataTtlMs });
+    return value;
+  }
+
+  /**
+   * Public key of the provider that signed a token. The key set is cached
+   * and fetched again once when it does not have the key (keys rotate).
+   * @param {Object} provider - Provider configuration
+   * @param {Object} metadata - Provider metadata
+   * @param {string} [kid] - Key ID from the token header
+   * @returns {Promise<crypto.KeyObject>}
+   */
+  async getSigningKey(provider, metadata, kid) {
+    const find = (keys) => {
+      const candidates = keys.filter(key => key.use !== 'enc' && (!kid || key.kid === kid));
+      return candidates.length === 1 || (kid && candidates.length) ? candidates[0] : null;
+    };
+
+    let jwk = find(this.keySets.get(provider.key) || []);
+    if (!jwk) {
+      const { keys = [] } = await this.fetchJson(metadata.jwks_uri);
+      this.keySets.set(provider.key, keys);
+      jwk = find(keys);
+    }
+    if (!jwk) {
+      throw new OidcError('The id token was signed with an unknown key', 'invalid_token', 401);
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  /**
+   * Exchange an authorization code at the token endpoint
+   * @param {Object} provider - Provider configuration
+   * @param {Object} metadata - Provider metadata
+   * @param {Object} params
+   * @param {string} params.code - Authorization code
+   * @param {string} params.codeVerifier - PKCE verifier of the login request
+   * @param {string} params.redirectUri - Redirect URI the code was issued for
+   * @returns {Promise<Object>} Token response
+   */
+  async exchangeCode(provider, metadata, { code, codeVerifier, redirectUri }) {
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json',
+    };
+    const form = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier,
+      client_id: provider.clientId,
+    });
+
+    // client_secret_basic, the default authentication method of the spec
+    if (provider.clientSecret) {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const tokens = await this.fetchJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers,
+      body: form.toString(),
+    });
+
+    if (!tokens.id_token) {
+      throw new OidcError('The provider returned no id token', 'provider_error', 502);
+    }
+    return tokens;
+  }
+
+  /**
+   * Check the signature and claims of an id token
+   * @param {Object} provider - Provider configuration
+   * @param {Object} metadata - Provider metadata
+   * @param {string} idToken - Id token
+   * @param {string} nonce - Nonce of the login request
+   * @returns {Promise<Object>} Claims
+   * @throws {OidcError} When the token is not valid for this login
+   */
+  async verifyIdToken(provider, metadata, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !SIGNING_ALGORITHMS.includes(decoded.header.alg)) {
+      throw new OidcError('The id token is malformed or not signed with a supported algorithm', 'invalid_token', 401);
+    }
+
+    const key = await this.getSigningKey(provider, metadata, decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: [decoded.header.alg],
+        issuer: metadata.issuer,
+        audience: provider.clientId,
+        clockTolerance: this.options.clockToleranceSeconds,
+      });
+    } catch (error) {
+      throw new OidcError(`Invalid id token: ${error.message}`, 'invalid_token', 401);
+    }
+
+    if (claims.nonce !== nonce) {
+      throw new OidcError('The id token was not issued for this sign-in', 'invalid_token', 401);
+    }
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+      throw new OidcError('The id token was issued to another client', 'invalid_token', 401);
+    }
+    if (!claims.sub) {
+      throw new OidcError('The id token has no subject', 'invalid_token', 401);
+    }
+
+    return claims;
+  }
+
+  /**
+   * Request JSON from a provider
+   * @param {string} url - URL
+   * @param {Object} [init] - fetch options
+   * @returns {Promise<Object>}
+   * @throws {OidcError} When the provider cannot be reached or answers with an error
+   */
+  async fetchJson(url, init = {}) {
+    let response;
+    try {
+      response = await fetch(url, { ...init, signal: AbortSignal.timeout(this.options.timeoutMs) });
+    } catch (error) {
+      throw new OidcError(`Could not reach the sign-in provider: ${error.message}`, 'provider_error', 502);
+    }
+
+    const body = await response.json().catch(() => null);
+    if (response.ok && body) {
+      return body;
+    }
+
+    // The code was used, expired, or does not match the verifier
+    if (body?.error === 'invalid_grant') {
+      throw new OidcError('The provider refused the authorization code', 'invalid_grant', 401);
+    }
+    const reason = body?.error_description || body?.error || `HTTP ${response.status}`;
+    throw new OidcError(`The sign-in provider answered with an error: ${reason}`, 'provider_error', 502);
+  }
+}
+
+// Export a singleton instance
+export default new OidcService();
@@ -0,0 +1,179 @@
+import { QueryHistory } from '../models/index.js';
+import ConnectionManager from './ConnectionManager.js';
+import { getDialect, classifyQuery, executeQuery } from './dialects/index.js';
+import { checkStatementPolicy, SqlParseError, STATEMENT_CLASSES, UnsupportedStatementError } from '../utils/sqlClassifier.js';
+
+/**
+ * Error raised when a query is refused before it reaches the database
+ */
+export class QueryRejectedError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options]
+   * @param {number} [options.status=400] - HTTP status to answer with
+   * @param {string} [options.code] - Machine-readable error code
+   * @param {Object} [options.details] - Extra details for the client
+   */
+  constructor(message, { status = 400, code, details } = {}) {
+    super(message);
+    this.name = 'QueryRejectedError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Runs queries on behalf of a project member.
+ *
+ * Every query is classified with the rules of its database dialect and
+ * checked against the statement classes the caller's role may run, then
+ * executed on the pooled connection and recorded in the query history,
+ * whether it was refused, failed or succeeded.
+ */
+class QueryExecutor {
+  /**
+   * Classify a query and check it against the dialect and the role
+   * @param {Object} dialect - Dialect adapter
+   * @param {string} query - Query text
+   * @param {string} role - Project role of the caller
+   * @returns {{classification: Object, policy: Object, policyDecision: Object}}
+   * @throws {QueryRejectedError} When the query cannot be parsed or run on this dialect
+   */
+  check(dialect, query, role) {
+    let classification;
+    try {
+      classification = classifyQuery(dialect, query);
+    } catch (error) {
+      if (error instanceof SqlParseError) {
+        throw new QueryRejectedError(`Could not parse query: ${error.message}`);
+      }
+      if (error instanceof UnsupportedStatementError) {
+        throw new QueryRejectedError(error.message, { status: 403, code: 'STATEMENT_NOT_SUPPORTED' });
+      }
+      throw error;
+    }
+
+    if (!classification.statements.length) {
+      throw new QueryRejectedError('Query does not contain any statement');
+    }
+
+    if (classification.statements.length > 1 && !dialect.multipleStatements) {
+      throw new QueryRejectedError(`${dialect.type} databases accept one statement per request`);
+    }
+
+    const policy = checkStatementPolicy(classification, role);
+    const policyDecision = {
+      decision: policy.allowed ? 'allowed' : 'denied',
+      role: policy.role,
+      allowed_classes: policy.allowed_classes,
+      statements: classification.statements.map(({ index, type, class: cls }) => ({ index, type, class: cls })),
+      violation: policy.violation,
+    };
+
+    return { classification, policy, policyDecision };
+  }
+
+  /**
+   * Run a query on a project database
+   * @param {Object} options
+   * @param {Object} options.database - ProjectDatabase instance
+   * @param {string} options.query - Query text
+   * @param {Array|Object} [options.params] - Query bindings
+   * @param {string} options.role - Project role of the caller
+   * @param {string} options.userId - User the query runs for
+   * @param {boolean} [options.isAiGenerated=false] - Whether the query came from the AI
+   * @param {Object} [options.metadata] - Extra history metadata (e.g. the saved query it came from)
+   * @returns {Promise<{data: Array|Object, meta: Object}>} Rows for reads, command and row count otherwise
+   * @throws {QueryRejectedError} When the query is refused
+   */
+  async execute({ database, query, params = [], role, userId, isAiGenerated = false, metadata = {} }) {
+    const startTime = Date.now();
+    const dialect = getDialect(database.type);
+    const history = {
+      projectId: database.project_id,
+      userId,
+      databaseId: database.id,
+      query,
+      params,
+      isAiGenerated,
+    };
+
+    const { classification, policy, policyDecision } = this.check(dialect, query, role);
+
+    if (!policy.allowed) {
+      await QueryHistory.log({
+        ...history,
+        metadata: {
+          ...metadata,
+          error: 'Statement not allowed for role',
+          execution_time_ms: 0,
+          policy: policyDecision,
+        },
+      });
+
+      throw new QueryRejectedError(
+        `Role '${policy.role}' is not allowed to run ${policy.violation.class.toUpperCase()} statements`,
+        {
+          status: 403,
+          code: 'STATEMENT_NOT_ALLOWED',
+          details: {
+            statement: policy.violation,
+            allowed_classes: policy.allowed_classes,
+          },
+        }
+      );
+    }
+
+    const lastStatement = classification.statements[classification.statements.length - 1];
+    let result;
+    try {
+      const db = await ConnectionManager.acquire(database);
+      result = await executeQuery(db, query, params, { command: lastStatement.type });
+    } catch (error) {
+      try {
+        await QueryHistory.log({
+          ...history,
+          metadata: {
+            ...metadata,
+            error: error.message,
+            execution_time_ms: Date.now() - startTime,
+            policy: policyDecision,
+          },
+        });
+      } catch (logError) {
+        console.error('Failed to log query error:', logError);
+      }
+      throw error;
+    }
+
+    const executionTime = Date.now() - startTime;
+    await QueryHistory.log({
+      ...history,
+      metadata: {
+        ...metadata,
+        row_count: result.rowCount,
+        execution_time_ms: executionTime,
+        policy: policyDecision,
+      },
+    });
+
+    // Reads return their rows, everything else the command and affected row count
+    const data = lastStatement.class === STATEMENT_CLASSES.READ
+      ? result.rows
+      : { command: result.command, rowCount: result.rowCount };
+
+    return {
+      data,
+      meta: {
+        execution_time_ms: executionTime,
+        row_count: result.rowCount,
+        statement_class: classification.class,
+        database_type: dialect.type,
+      },
+    };
+  }
+}
+
+// Export a singleton instance
+export default new QueryExecutor();
@@ -0,0 +1,200 @@
+import { classifySql, STATEMENT_CLASSES } from '../utils/sqlClassifier.js';
+import { getDialectForConnection, classifyQuery } from './dialects/index.js';
+
+const DEFAULT_STATEMENT_TIMEOUT_MS = parseInt(process.env.AI_QUERY_STATEMENT_TIMEOUT_MS || '5000', 10);
+const DEFAULT_MAX_ROWS = parseInt(process.env.AI_QUERY_MAX_ROWS || '1000', 10);
+
+/**
+ * Runs untrusted (AI-generated) SQL with hard limits.
+ *
+ * Reads always run inside a read-only transaction that is rolled back, with a
+ * statement timeout and a row cap, so whatever the model returns it cannot
+ * change data or hog the tenant database. How each limit is enforced depends
+ * on the dialect adapter of the connection.
+ */
+class QueryRunner {
+  /**
+   * Resolve execution limits for a project from `settings.ai_query`
+   * @param {Object} project - Project instance
+   * @returns {{statementTimeoutMs: number, maxRows: number, writeMode: boolean}}
+   */
+  getLimits(project) {
+    const settings = project?.settings?.ai_query || {};
+
+    return {
+      statementTimeoutMs: parseInt(settings.statement_timeout_ms, 10) || DEFAULT_STATEMENT_TIMEOUT_MS,
+      maxRows: parseInt(settings.max_rows, 10) || DEFAULT_MAX_ROWS,
+      writeMode: settings.write_mode === true,
+    };
+  }
+
+  /**
+   * Classify a generated query, tolerating input the tokenizer rejects
+   * @param {string} sql - Query text
+   * @param {Object} [dialect] - Dialect adapter, for its parsing rules
+   * @returns {{classification: Object|null, isRead: boolean, isSingleStatement: boolean}}
+   */
+  inspect(sql, dialect) {
+    try {
+      const classification = dialect ? classifyQuery(dialect, sql) : classifySql(sql);
+      return {
+        classification,
+        isRead: classification.class === STATEMENT_CLASSES.READ,
+        isSingleStatement: classification.statements.length === 1,
+      };
+    } catch (error) {
+      // Unparseable SQL is never treated as a read; the database will reject it anyway
+      return { classification: null, isRead: false, isSingleStatement: false };
+    }
+  }
+
+  /**
+   * Run a query inside a read-only transaction that is always rolled back
+   * @param {import('knex').Knex} db - Tenant database connection
+   * @param {string} sql - Query text
+   * @param {Array|Object} params - Query bindings
+   * @param {Object} limits - See getLimits()
+   * @returns {Promise<{rows: Array, rowCount: number, command: string, truncated: boolean}>}
+   */
+  async runReadOnly(db, sql, params, limits) {
+    const dialect = getDialectForConnection(db);
+    const { classification, isRead, isSingleStatement } = this.inspect(sql, dialect);
+
+    // Without native read-only transactions the classifier is the only guard
+    if (!dialect.enforcesReadOnly && !isRead) {
+      throw new Error(`Only read statements can run in the read-only sandbox on ${dialect.type} databases`);
+    }
+
+    // Adapters that run their own queries (MongoDB) cap and time out the query themselves
+    if (dialect.execute) {
+      const result = await dialect.execute(db, sql, params, {
+        maxRows: limits.maxRows + 1,
+        statementTimeoutMs: limits.statementTimeoutMs,
+      });
+      return this.capRows(result, limits.maxRows);
+    }
+
+    // Push the row cap into the database when the query is a single plain read
+    let statement = sql;
+    if (dialect.limitQuery && isRead && isSingleStatement
+      && ['SELECT', 'VALUES', 'TABLE'].includes(classification.statements[0].type)) {
+      statement = dialect.limitQuery(classification.statements[0].text, limits.maxRows + 1);
+    }
+
+    return this.inSandbox(db, dialect, { ...limits, readOnly: true }, async (trx) => {
+      const raw = await this.withTimeout(trx.raw(statement, params), dialect, limits);
+      return this.capRows(dialect.normalizeResult(raw, { command: this.commandOf(classification) }), limits.maxRows);
+    });
+  }
+
+  /**
+   * Get the planner's cost estimate for a query without running it
+   * @param {import('knex').Knex} db - Tenant database connection
+   * @param {string} sql - Query text (single statement)
+   * @param {Array|Object} params - Query bindings
+   * @param {Object} limits - See getLimits()
+   * @returns {Promise<Object>} Estimate with total/startup cost, estimated rows and root node type
+   */
+  async explain(db, sql, params, limits) {
+    const dialect = getDialectForConnection(db);
+    if (!dialect.explain) {
+      throw new Error(`Cost estimates are not supported for ${dialect.type} databases`);
+    }
+    if (dialect.execute) {
+      return dialect.explain(db, sql, params, limits);
+    }
+
+    return this.inSandbox(db, dialect, { ...limits, readOnly: true }, trx => dialect.explain(trx, sql, params));
+  }
+
+  /**
+   * Run a confirmed write inside a committed transaction with a statement timeout
+   * @param {import('knex').Knex} db - Tenant database connection
+   * @param {string} sql - Query text
+   * @param {Array|Object} params - Query bindings
+   * @param {Object} limits - See getLimits()
+   * @returns {Promise<{rows: Array, rowCount: number, command: string, truncated: boolean}>}
+   */
+  async runWrite(db, sql, params, limits) {
+    const dialect = getDialectForConnection(db);
+    if (dialect.execute) {
+      const result = await dialect.execute(db, sql, params, { statementTimeoutMs: limits.statementTimeoutMs });
+      return this.capRows(result, limits.maxRows);
+    }
+
+    const { classification } = this.inspect(sql, dialect);
+    const sandbox = { statementTimeoutMs: limits.statementTimeoutMs, readOnly: false };
+
+    const trx = await db.transaction();
+    try {
+      await dialect.beginSandbox?.(trx, sandbox);
+
+      const raw = await this.withTimeout(trx.raw(sql, params), dialect, limits);
+      await dialect.endSandbox?.(trx, sandbox);
+      await trx.commit();
+      return this.capRows(dialect.normalizeResult(raw, { command: this.commandOf(classification) }), limits.maxRows);
+    } catch (error) {
+      await trx.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Run `work` in a transaction with the dialect's sandbox applied, then roll back
+   * @private
+   */
+  async inSandbox(db, dialect, sandbox, work) {
+    const trx = await db.transaction(dialect.readOnlyTransactions ? { readOnly: true } : undefined);
+    try {
+      await dialect.beginSandbox?.(trx, sandbox);
+      try {
+        return await work(trx);
+      } finally {
+        await dialect.endSandbox?.(trx, sandbox);
+      }
+    } finally {
+      await trx.rollback();
+    }
+  }
+
+  /**
+   * Enforce the statement timeout client side when the dialect cannot do it in the database
+   * @private
+   */
+  withTimeout(query, dialect, { statementTimeoutMs }) {
+    if (dialect.serverSideTimeout) {
+      return query;
+    }
+    // Cancel the statement where the driver supports it; otherwise knex discards the connection
+    return query.timeout(parseInt(statementTimeoutMs, 10), { cancel: Boolean(query.client.canCancelQuery) });
+  }
+
+  /**
+   * Statement type of the last statement, for drivers that do not report a command
+   * @private
+   */
+  commandOf(classification) {
+    const statements = classification?.statements || [];
+    return statements.length ? statements[statements.length - 1].type : undefined;
+  }
+
+  /**
+   * Trim a normalized result to the row cap
+   * @param {{rows: Array, rowCount: number, command: string}} result - Output of the adapter's normalizeResult()
+   * @param {number} maxRows - Row cap
+   */
+  capRows({ rows, rowCount, command }, maxRows) {
+    // Row sets (rather than affected-row counts) report the rows actually returned
+    const isSelect = !command || command === 'SELECT' || rowCount === rows.length;
+
+    return {
+      rows: rows.slice(0, maxRows),
+      rowCount: isSelect ? Math.min(rows.length, maxRows) : rowCount,
+      command,
+      truncated: rows.length > maxRows,
+    };
+  }
+}
+
+// Export a singleton instance
+export default new QueryRunner();
@@ -0,0 +1,455 @@
+import os from 'os';
+import crypto from 'crypto';
+import { Project, ProjectActivity, Schedule, ScheduleRun, Query, ProjectDatabase, ProjectMember } from '../models/index.js';
+import QueryExecutor from './QueryExecutor.js';
+import { isValidTimezone } from '../utils/cron.js';
+import { leastPrivilegedRole } from '../utils/sqlClassifier.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULTS = {
+  pollIntervalMs: parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS || '15000', 10),
+  leaseMs: parseInt(process.env.SCHEDULER_LEASE_MS || '120000', 10),
+  maxConcurrentRuns: parseInt(process.env.SCHEDULER_MAX_CONCURRENT_RUNS || '5', 10),
+  maxRetryDelayMs: parseInt(process.env.SCHEDULER_MAX_RETRY_DELAY_MS || '3600000', 10),
+  resultMaxRows: parseInt(process.env.SCHEDULER_RESULT_MAX_ROWS || '100', 10),
+  resultMaxBytes: parseInt(process.env.SCHEDULER_RESULT_MAX_BYTES || '65536', 10),
+  runRetention: parseInt(process.env.SCHEDULER_RUN_RETENTION || '100', 10),
+};
+
+/**
+ * A run failure that no retry can fix: the schedule is disabled with the
+ * message as its `disabled_reason`
+ */
+export class ScheduleDisabledError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleDisabledError';
+  }
+}
+
+/**
+ * Runs due schedules in-process.
+ *
+ * Every poll the scheduler claims due schedules by taking a lease on their
+ * row (`locked_by`/`locked_until`) with a single conditional UPDATE, so a
+ * schedule runs on one server instance at a time and never overlaps itself,
+ * even when a run outlasts its interval. The lease is renewed while the run
+ * lasts and expires on its own if the instance dies. After a run the next
+ * occurrence is computed from the current time, so occurrences missed while a
+ * run was in flight or the server was down are skipped rather than replayed.
+ * Failed runs are retried with exponential backoff up to `max_retries`, and
+ * only the most recent runs of each schedule are kept. A schedule whose
+ * creator left the project is disabled instead.
+ */
+export class Scheduler {
+  /**
+   * @param {Object} [options] - Overrides for the SCHEDULER_* environment defaults
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    // Schedule ID => Promise of the run in flight on this instance
+    this.running = new Map();
+    this.polling = null;
+    this.timer = null;
+  }
+
+  /**
+   * Start polling for due schedules
+   */
+  start() {
+    if (this.timer) return;
+
+    const poll = () => this.poll().catch(error => logger.error('Error polling schedules:', error));
+    this.timer = setInterval(poll, this.options.pollIntervalMs);
+    this.timer.unref();
+    poll();
+  }
+
+  /**
+   * Stop polling and wait for the runs in flight to finish
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.polling;
+    await Promise.allSettled([...this.running.values()]);
+  }
+
+  /**
+   * Claim and start the schedules that are due, up to the concurrency limit
+   * @returns {Promise<number>} Number of runs started
+   */
+  async poll() {
+    // A slow poll must not overlap the next one
+    if (this.polling) return this.polling;
+
+    this.polling = (async () => {
+      const slots = this.options.maxConcurrentRuns - this.running.size;
+      if (slots <= 0) return 0;
+
+      const due = await Schedule.query()
+        .select('id')
+        .where('is_active', true)
+        .whereNull('deleted_at')
+        .where('next_run_at', '<=', Schedule.raw('now()'))
+        .where(builder => builder.whereNull('locked_until').orWhere('locked_until', '<', Schedule.raw('now()')))
+        .orderBy('next_run_at')
+        .limit(slots);
+
+      let started = 0;
+      for (const { id } of due) {
+        const schedule = await this.claim(id, { due: true });
+        // Another instance got there first
+        if (!schedule) continue;
+
+        this.track(schedule.id, this.run(schedule, {
+          trigger: schedule.retry_attempt > 0 ? 'retry' : 'schedule',
+        }));
+        started++;
+      }
+      return started;
+    })().finally(() => {
+      this.polling = null;
+    });
+
+    return this.polling;
+  }
+
+  /**
+   * Run a schedule now, outside of its cron expression. Does not move its next run.
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<ScheduleRun|null>} The finished run, or null if the schedule is already running
+   */
+  async runNow(scheduleId) {
+    const schedule = await this.claim(scheduleId);
+    if (!schedule) return null;
+
+    const run = this.run(schedule, { trigger: 'manual' });
+    this.track(schedule.id, run);
+    return run;
+  }
+
+  /**
+   * Take the lease on a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} [options]
+   * @param {boolean} [options.due=false] - Only claim the schedule if it is active and due
+   * @returns {Promise<Schedule|null>} The claimed schedule, or null if it is leased, gone or not due
+   * @private
+   */
+  async claim(scheduleId, { due = false } = {}) {
+    const [schedule] = await Schedule.query()
+      .patch({
+        locked_by: this.instanceId,
+        locked_until: Schedule.raw('now() + ?::interval', [`${this.options.leaseMs} milliseconds`]),
+      })
+      .where('id', scheduleId)
+      .whereNull('deleted_at')
+      .where(builder => builder.whereNull('locked_until').orWhere('locked_until', '<', Schedule.raw('now()')))
+      .modify(builder => {
+        if (due) builder.where('is_active', true).where('next_run_at', '<=', Schedule.raw('now()'));
+      })
+      .returning('*');
+
+    return schedule || null;
+  }
+
+  /**
+   * Execute a claimed schedule, record the run and release the lease
+   * @param {Schedule} schedule - Schedule holding this instance's lease
+   * @param {Object} options
+   * @param {string} options.trigger - What started the run ('schedule', 'retry' or 'manual')
+   * @returns {Promise<ScheduleRun>} The finished run
+   * @private
+   */
+  async run(schedule, { trigger }) {
+    const heartbeat = setInterval(() => {
+      this.renewLease(schedule.id).catch(error => logger.error(`Error renewing lease of schedule ${schedule.id}:`, error));
+    }, Math.max(Math.floor(this.options.leaseMs / 3), 1000));
+    heartbeat.unref();
+
+    // Without bookkeeping the schedule stays due and is retried on the next poll
+    let update = {};
+    try {
+      // A run left 'running' belongs to an instance that died holding the lease we now have
+      await ScheduleRun.query()
+        .patch({ status: 'failed', finished_at: new Date().toISOString(), error: 'Interrupted before completion' })
+        .where('schedule_id', schedule.id)
+        .where('status', 'running');
+
+      const startedAt = new Date();
+      let run = await ScheduleRun.query().insert({
+        schedule_id: schedule.id,
+        project_id: schedule.project_id,
+        status: 'running',
+        trigger,
+        attempt: trigger === 'manual' ? 1 : schedule.retry_attempt + 1,
+        scheduled_for: trigger === 'manual' || !schedule.next_run_at ? null : new Date(schedule.next_run_at).toISOString(),
+        started_at: startedAt.toISOString(),
+      });
+
+      let outcome;
+      let disabledReason = null;
+      try {
+        const result = await this.execute(schedule, run);
+        const snapshot = this.snapshot(result.data);
+        outcome = {
+          status: 'succeeded',
+          row_count: result.meta.row_count ?? null,
+          result: snapshot.result,
+          result_truncated: snapshot.truncated,
+        };
+      } catch (error) {
+        outcome = { status: 'failed', error: error.message };
+        if (error instanceof ScheduleDisabledError) disabledReason = error.message;
+      }
+
+      const finishedAt = new Date();
+      run = await run.$query().patchAndFetch({
+        ...outcome,
+        finished_at: finishedAt.toISOString(),
+        duration_ms: finishedAt - startedAt,
+      });
+
+      const timezone = await this.getProjectTimezone(schedule.project_id);
+      update = this.getNextState(schedule, { status: run.status, trigger, timezone, now: finishedAt });
+      if (disabledReason) {
+        update = { ...update, is_active: false, retry_attempt: 0, disabled_reason: disabledReason };
+      }
+
+      await ProjectActivity.record({
+        projectId: schedule.project_id,
+        userId: schedule.created_by,
+        action: 'execute',
+        entityType: 'schedule',
+        entityId: schedule.id,
+        entityName: schedule.name,
+        metadata: {
+          run_id: run.id,
+          status: run.status,
+          trigger,
+          attempt: run.attempt,
+          duration_ms: run.duration_ms,
+          row_count: run.row_count,
+          error: run.error,
+          disabled_reason: disabledReason,
+        },
+      });
+
+      await this.pruneRuns(schedule.id)
+        .catch(error => logger.error(`Error pruning runs of schedule ${schedule.id}:`, error));
+      return run;
+    } finally {
+      clearInterval(heartbeat);
+      await Schedule.query()
+        .patch({ ...update, locked_by: null, locked_until: null })
+        .where('id', schedule.id)
+        .where('locked_by', this.instanceId)
+        .catch(error => logger.error(`Error releasing schedule ${schedule.id}:`, error));
+    }
+  }
+
+  /**
+   * Run the schedule's query as the member who created it
+   * @private
+   */
+  async execute(schedule, run) {
+    const metadata = { schedule_id: schedule.id, schedule_run_id: run.id };
+    let databaseId = schedule.database_id;
+    let query = schedule.query;
+    let params = Object.keys(schedule.parameters || {}).length ? schedule.parameters : [];
+    let savedQuery = null;
+
+    if (schedule.query_id) {
+      savedQuery = await Query.query()
+        .findById(schedule.query_id)
+        .whereNull('deleted_at');
+      if (!savedQuery) {
+        throw new Error('Saved query no longer exists');
+      }
+
+      const bound = savedQuery.bindParameters(schedule.parameters || {});
+      if (bound.errors.length) {
+        throw new Error(`Invalid parameters: ${bound.errors.map(({ parameter, message }) => `${parameter} ${message}`).join(', ')}`);
+      }
+
+      databaseId = savedQuery.database_id;
+      query = savedQuery.query;
+      params = savedQuery.parameters.length ? bound.values : [];
+      metadata.saved_query_id = savedQuery.id;
+    }
+
+    const database = databaseId && await ProjectDatabase.query()
+      .findById(databaseId)
+      .where('project_id', schedule.project_id)
+      .where('is_active', true)
+      .whereNull('deleted_at');
+    if (!database) {
+      throw new Error('Target database is not available');
+    }
+
+    const member = await this.getRunAs(schedule);
+    const role = savedQuery
+      ? leastPrivilegedRole(member.role, await this.getAuthorRole(schedule.project_id, savedQuery))
+      : member.role;
+
+    return QueryExecutor.execute({
+      database,
+      query,
+      params,
+      role,
+      userId: schedule.created_by,
+      metadata,
+    });
+  }
+
+  /**
+   * Member a schedule runs as: its creator, whose permissions are checked
+   * again on every run so role changes apply to their schedules
+   * @param {Schedule} schedule - Schedule
+   * @returns {Promise<ProjectMember>} The creator's membership
+   * @throws {ScheduleDisabledError} If the creator is no longer an active member
+   * @throws {Error} If the creator may not execute queries
+   */
+  async getRunAs(schedule) {
+    const member = schedule.created_by
+      && await ProjectMember.getByProjectAndUser(schedule.project_id, schedule.created_by);
+    if (!member || !member.is_active) {
+      throw new ScheduleDisabledError('The creator of this schedule is no longer a project member');
+    }
+    if (!member.hasPermission('query:execute')) {
+      throw new Error('The creator of this schedule is not allowed to execute queries');
+    }
+    return member;
+  }
+
+  /**
+   * Role of whoever last wrote a saved query's SQL. A scheduled saved query
+   * never runs statements its author could not, whoever created the schedule:
+   * the query can be edited after the schedule was checked.
+   * @param {string} projectId - Project ID
+   * @param {Query} savedQuery - Saved query
+   * @returns {Promise<string>} Project role, viewer if the author is no longer a member
+   */
+  async getAuthorRole(projectId, savedQuery) {
+    const authorId = savedQuery.updated_by || savedQuery.created_by;
+    const author = authorId && await ProjectMember.getByProjectAndUser(projectId, authorId);
+    return author?.is_active ? author.role : ProjectMember.ROLES.VIEWER.key;
+  }
+
+  /**
+   * Fields to update on a schedule after a run
+   * @param {Schedule} schedule - Schedule as claimed
+   * @param {Object} options
+   * @param {string} options.status - Run status
+   * @param {string} options.trigger - What started the run
+   * @param {string} options.timezone - Project timezone
+   * @param {Date} [options.now] - When the run finished
+   * @returns {Object} Patch for the schedule
+   */
+  getNextState(schedule, { status, trigger, timezone, now = new Date() }) {
+    const lastRunAt = now.toISOString();
+
+    // Manual runs leave the schedule and its retries alone
+    if (trigger === 'manual') {
+      return { last_run_at: lastRunAt };
+    }
+
+    const nextRunAt = schedule.getNextRunAt(timezone, now);
+
+    if (status === 'failed' && schedule.retry_attempt < schedule.max_retries) {
+      const attempt = schedule.retry_attempt + 1;
+      const retryAt = new Date(now.getTime() + this.getRetryDelay(schedule, attempt));
+
+      // A retry is pointless once the next regular run comes first
+      if (retryAt < new Date(nextRunAt)) {
+        return { last_run_at: lastRunAt, retry_attempt: attempt, next_run_at: retryAt.toISOString() };
+      }
+    }
+
+    return { last_run_at: lastRunAt, retry_attempt: 0, next_run_at: nextRunAt };
+  }
+
+  /**
+   * Delay before a retry: the schedule's base delay doubled for each failed attempt
+   * @param {Schedule} schedule - Schedule
+   * @param {number} attempt - Retry number, starting at 1
+   * @returns {number} Milliseconds
+   */
+  getRetryDelay(schedule, attempt) {
+    const delay = schedule.retry_delay_seconds * 1000 * 2 ** (attempt - 1);
+    return Math.min(delay, this.options.maxRetryDelayMs);
+  }
+
+  /**
+   * Truncated copy of a run's result to keep in its history
+   * @param {Array|Object} data - Rows for reads, command and row count otherwise
+   * @returns {{result: Array|Object, truncated: boolean}}
+   */
+  snapshot(data) {
+    if (!Array.isArray(data)) {
+      return { result: data, truncated: false };
+    }
+
+    const rows = [];
+    // Account for the array's brackets
+    let bytes = 2;
+    for (const row of data.slice(0, this.options.resultMaxRows)) {
+      const size = Buffer.byteLength(JSON.stringify(row)) + 1;
+      if (bytes + size > this.options.resultMaxBytes) break;
+      rows.push(row);
+      bytes += size;
+    }
+
+    return { result: rows, truncated: rows.length < data.length };
+  }
+
+  /**
+   * Timezone schedules of a project are read in (`settings.timezone`)
+   * @param {string} projectId - Project ID
+   * @returns {Promise<string>} IANA timezone name
+   */
+  async getProjectTimezone(projectId) {
+    const project = await Project.query().findById(projectId).select('settings');
+    const timezone = project?.settings?.timezone
+      || Project.jsonSchema.properties.settings.properties.timezone.default;
+    return isValidTimezone(timezone) ? timezone : 'UTC';
+  }
+
+  /**
+   * Delete the runs of a schedule beyond the retention limit, oldest first
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<number>} Number of runs deleted
+   */
+  async pruneRuns(scheduleId) {
+    const expired = ScheduleRun.query()
+      .select('id')
+      .where('schedule_id', scheduleId)
+      .orderBy('started_at', 'desc')
+      .offset(this.options.runRetention);
+
+    return ScheduleRun.query().delete().whereIn('id', expired);
+  }
+
+  /** @private */
+  async renewLease(scheduleId) {
+    await Schedule.query()
+      .patch({ locked_until: Schedule.raw('now() + ?::interval', [`${this.options.leaseMs} milliseconds`]) })
+      .where('id', scheduleId)
+      .where('locked_by', this.instanceId);
+  }
+
+  /** @private */
+  track(scheduleId, promise) {
+    this.running.set(scheduleId, promise);
+    promise
+      .catch(error => logger.error(`Error running schedule ${scheduleId}:`, error))
+      .finally(() => this.running.delete(scheduleId));
+  }
+}
+
+// Export a singleton instance
+export default new Scheduler();
@@ -0,0 +1,230 @@
+import crypto from 'crypto';
+import { RefreshToken, UserSession } from '../models/index.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULTS = {
+  refreshTokenTtlMs: parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS || '2592000', 10) * 1000,
+  sessionMaxAgeMs: parseInt(process.env.SESSION_MAX_AGE_SECONDS || '7776000', 10) * 1000,
+};
+
+/**
+ * Error raised when a refresh token cannot be exchanged
+ */
+export class SessionError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - invalid, expired, revoked or reused
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+  }
+}
+
+/**
+ * Hash a refresh token the way it is stored
+ * @param {string} token - Refresh token
+ * @returns {string} Hex SHA-256 digest
+ */
+export const hashRefreshToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Decide whether a refresh token can be exchanged
+ * @param {RefreshToken} token - Stored token
+ * @param {UserSession} session - Session of the token
+ * @param {Date} [now] - Reference time
+ * @returns {string|null} Why the token is refused (revoked, reused, expired), null when usable
+ */
+export function checkRefreshToken(token, session, now = new Date()) {
+  if (session.revoked_at) return 'revoked';
+  if (token.used_at) return 'reused';
+  if (new Date(token.expires_at) <= now || !session.isActive(now)) return 'expired';
+  return null;
+}
+
+/**
+ * Keeps sign-in sessions and rotates their refresh tokens.
+ *
+ * A session is one signed-in device. Every refresh marks the presented token
+ * used and issues its successor, so a session holds a single live token at a
+ * time. A used token presented again means the chain was copied: the whole
+ * session is revoked, for the thief and the legitimate device alike.
+ */
+export class SessionService {
+  /**
+   * @param {Object} [options] - Overrides for the REFRESH_TOKEN_TTL_SECONDS and SESSION_MAX_AGE_SECONDS defaults
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+  }
+
+  /**
+   * Open a session after the user proved who they are
+   * @param {string} userId - User ID
+   * @param {Object} [device]
+   * @param {string} [device.deviceName] - Name chosen by the client
+   * @param {string} [device.userAgent] - User-Agent header
+   * @param {string} [device.ipAddress] - Client IP
+   * @returns {Promise<{session: UserSession, refreshToken: string}>}
+   */
+  async start(userId, { deviceName, userAgent, ipAddress } = {}) {
+    const now = new Date();
+
+    return UserSession.transaction(async trx => {
+      const session = await UserSession.query(trx).insert({
+        user_id: userId,
+        device_name: deviceName ? deviceName.slice(0, 100) : null,
+        user_agent: userAgent ? userAgent.slice(0, 500) : null,
+        ip_address: ipAddress || null,
+        last_used_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + this.options.sessionMaxAgeMs).toISOString(),
+      });
+
+      const refreshToken = await this.issue(session, null, trx);
+      return { session, refreshToken };
+    });
+  }
+
+  /**
+   * Exchange a refresh token for its successor
+   * @param {string} token - Refresh token presented by the client
+   * @param {Object} [device]
+   * @param {string} [device.userAgent] - User-Agent header
+   * @param {string} [device.ipAddress] - Client IP
+   * @returns {Promise<{session: UserSession, refreshToken: string}>}
+   * @throws {SessionError} When the token is unknown, expired, revoked or reused
+   */
+  async rotate(token, { userAgent, ipAddress } = {}) {
+    const result = await RefreshToken.transaction(async trx => {
+      // Lock the token so two concurrent refreshes cannot both rotate it
+      const current = await RefreshToken.query(trx)
+        .findOne({ token_hash: hashRefreshToken(token) })
+        .forUpdate();
+
+      if (!current) {
+        return { refused: 'invalid' };
+      }
+
+      const session = await UserSession.query(trx).findById(current.session_id).forUpdate();
+      const now = new Date();
+      const refused = checkRefreshToken(current, session, now);
+
+      if (refused === 'reused') {
+        await session.$query(trx).patch({
+          revoked_at: now.toISOString(),
+          revoked_reason: 'token_reuse',
+        });
+      }
+      if (refused) {
+        return { refused, session };
+      }
+
+      await current.$query(trx).patch({ used_at: now.toISOString() });
+      await session.$query(trx).patch({
+        last_used_at: now.toISOString(),
+        ...(ipAddress && { ip_address: ipAddress }),
+        ...(userAgent && { user_agent: userAgent.slice(0, 500) }),
+      });
+
+      const refreshToken = await this.issue(session, current, trx);
+      return { session, refreshToken };
+    });
+
+    switch (result.refused) {
+      case 'invalid':
+        throw new SessionError('Invalid refresh token', 'invalid');
+      case 'revoked':
+        throw new SessionError('This session has been signed out', 'revoked');
+      case 'expired':
+        throw new SessionError('Refresh token has expired', 'expired');
+      case 'reused':
+        logger.warn(`Refresh token reuse detected, session ${result.session.id} of user ${result.session.user_id} revoked`);
+        throw new SessionError('Refresh token was already used; the session has been signed out', 'reused');
+      default:
+        return result;
+    }
+  }
+
+  /**
+   * Issue the next refresh token of a session
+   * @param {UserSession} session - Session the token belongs to
+   * @param {RefreshToken|null} parent - Token it replaces
+   * @param {Object} [trx] - Transaction
+   * @returns {Promise<string>} Plain refresh token, only known to the client afterwards
+   */
+  async issue(session, parent, trx) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    // Tokens never outlive their session
+    const expiresAt = Math.min(
+      Date.now() + this.options.refreshTokenTtlMs,
+      new Date(session.expires_at).getTime()
+    );
+
+    await RefreshToken.query(trx).insert({
+      session_id: session.id,
+      user_id: session.user_id,
+      token_hash: hashRefreshToken(token),
+      parent_id: parent ? parent.id : null,
+      expires_at: new Date(expiresAt).toISOString(),
+    });
+
+    return token;
+  }
+
+  /**
+   * Sign out the session a refresh token belongs to
+   * @param {string} token - Refresh token
+   * @returns {Promise<string|null>} ID of the revoked session, null when the token is unknown or already signed out
+   */
+  async revokeByToken(token) {
+    const current = await RefreshToken.query().findOne({ token_hash: hashRefreshToken(token) });
+    if (!current) return null;
+
+    const revoked = await this.revoke(current.user_id, current.session_id, 'logout');
+    return revoked ? current.session_id : null;
+  }
+
+  /**
+   * Sign out one session of a user
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @param {string} [reason='logout'] - Why the session ends
+   * @returns {Promise<boolean>} Whether an open session was revoked
+   */
+  async revoke(userId, sessionId, reason = 'logout') {
+    const revoked = await UserSession.query()
+      .findById(sessionId)
+      .where('user_id', userId)
+      .whereNull('revoked_at')
+      .patch({
+        revoked_at: new Date().toISOString(),
+        revoked_reason: reason,
+      });
+
+    return revoked > 0;
+  }
+
+  /**
+   * Sign out every session of a user
+   * @param {string} userId - User ID
+   * @param {Object} [options] - See UserSession.revokeAll
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  async revokeAll(userId, options) {
+    return UserSession.revokeAll(userId, options);
+  }
+
+  /**
+   * Sessions of a user that can still be refreshed
+   * @param {string} userId - User ID
+   * @returns {Promise<UserSession[]>}
+   */
+  async list(userId) {
+    return UserSession.getActiveSessions(userId);
+  }
+}
+
+// Export a singleton instance
+export default new SessionService();
@@ -0,0 +1,303 @@
+import { Agent, fetch } from 'undici';
+import { Webhook, WebhookDelivery } from '../models/index.js';
+import EventBus from './EventBus.js';
+import { signPayload } from '../utils/webhookSignature.js';
+import { assertPublicWebhookUrl, createPublicLookup, WebhookUrlError } from '../utils/webhookUrl.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULTS = {
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10),
+  retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '30000', 10),
+  maxRetryDelayMs: parseInt(process.env.WEBHOOK_MAX_RETRY_DELAY_MS || '3600000', 10),
+  pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '15000', 10),
+  leaseMs: parseInt(process.env.WEBHOOK_LEASE_MS || '60000', 10),
+  batchSize: parseInt(process.env.WEBHOOK_BATCH_SIZE || '20', 10),
+  responseMaxBytes: parseInt(process.env.WEBHOOK_RESPONSE_MAX_BYTES || '2048', 10),
+};
+
+/**
+ * Delivers project events to webhooks.
+ *
+ * Events published on the EventBus are stored as one delivery per matching
+ * webhook and sent right away. Deliveries answered with anything but a 2xx
+ * status are retried with exponential backoff by a poll that survives
+ * restarts: a delivery is leased (`locked_until`) while it is being sent, so
+ * only one server sends it at a time. Every attempt is appended to the
+ * delivery's `attempt_log`. The webhook's host is checked before every
+ * attempt, and connections only go to the addresses that passed the check
+ * (see webhookUrl.js); deliveries to private addresses fail without retries.
+ */
+export class WebhookDispatcher {
+  /**
+   * @param {Object} [options] - Overrides for the WEBHOOK_* environment defaults
+   * @param {Object} [options.allowedHosts] - Private hosts webhooks may reach (see parseAllowedHosts)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.agent = new Agent({ connect: { lookup: createPublicLookup({ allowedHosts: this.options.allowedHosts }) } });
+    this.onEvent = (event) => {
+      this.dispatch(event).catch(error => logger.error(`Error dispatching event ${event.name}:`, error));
+    };
+    // Delivery ID => Promise of the attempt in flight on this instance
+    this.inFlight = new Map();
+    this.polling = null;
+    this.timer = null;
+  }
+
+  /**
+   * Subscribe to project events and start retrying due deliveries
+   */
+  start() {
+    if (this.timer) return;
+
+    EventBus.on('event', this.onEvent);
+    const poll = () => this.poll().catch(error => logger.error('Error polling webhook deliveries:', error));
+    this.timer = setInterval(poll, this.options.pollIntervalMs);
+    this.timer.unref();
+    poll();
+  }
+
+  /**
+   * Stop dispatching and wait for the attempts in flight
+   */
+  async stop() {
+    EventBus.off('event', this.onEvent);
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.polling;
+    await Promise.allSettled([...this.inFlight.values()]);
+  }
+
+  /**
+   * Queue and send an event to the project's webhooks that subscribe to it
+   * @param {Object} event - Event from the EventBus
+   * @returns {Promise<Array<WebhookDelivery>>} Deliveries created
+   */
+  async dispatch(event) {
+    const webhooks = (await Webhook.getActiveWebhooks(event.project_id))
+      .filter(webhook => webhook.matches(event.name));
+
+    const deliveries = [];
+    for (const webhook of webhooks) {
+      const delivery = await this.enqueue(webhook, event.name, {
+        id: event.id,
+        event: event.name,
+        project_id: event.project_id,
+        occurred_at: event.occurred_at,
+        data: event.data,
+      });
+      this.track(delivery.id, this.attempt(delivery, webhook));
+      deliveries.push(delivery);
+    }
+    return deliveries;
+  }
+
+  /**
+   * Send a delivery again as a new delivery, and wait for the first attempt
+   * @param {WebhookDelivery} delivery - Delivery to repeat
+   * @returns {Promise<WebhookDelivery|null>} The new delivery after its first attempt, null if the webhook is deleted or inactive
+   */
+  async redeliver(delivery) {
+    const webhook = await Webhook.query().findById(delivery.webhook_id).whereNull('deleted_at');
+    if (!webhook?.is_active) return null;
+
+    const redelivery = await this.enqueue(webhook, delivery.event, delivery.payload, { redeliveryOf: delivery.id });
+
+    const attempt = this.attempt(redelivery, webhook);
+    this.track(redelivery.id, attempt);
+    return attempt;
+  }
+
+  /**
+   * Store a delivery, leased to this instance for its first attempt
+   * @private
+   */
+  async enqueue(webhook, event, payload, { redeliveryOf = null } = {}) {
+    return WebhookDelivery.query().insert({
+      webhook_id: webhook.id,
+      project_id: webhook.project_id,
+      event,
+      payload,
+      status: 'pending',
+      next_attempt_at: new Date().toISOString(),
+      locked_until: new Date(Date.now() + this.options.leaseMs).toISOString(),
+      redelivery_of: redeliveryOf,
+    });
+  }
+
+  /**
+   * Claim and send the deliveries that are due for a retry
+   * @returns {Promise<number>} Number of attempts started
+   */
+  async poll() {
+    // A slow poll must not overlap the next one
+    if (this.polling) return this.polling;
+
+    this.polling = (async () => {
+      const deliveries = await WebhookDelivery.query()
+        .patch({ locked_until: WebhookDelivery.raw('now() + ?::interval', [`${this.options.leaseMs} milliseconds`]) })
+        .whereIn('id', WebhookDelivery.query()
+          .select('id')
+          .where('status', 'pending')
+          .where('next_attempt_at', '<=', WebhookDelivery.raw('now()'))
+          .where(builder => builder.whereNull('locked_until').orWhere('locked_until', '<', WebhookDelivery.raw('now()')))
+          .orderBy('next_attempt_at')
+          .limit(this.options.batchSize)
+          .forUpdate()
+          .skipLocked())
+        .returning('*');
+
+      for (const delivery of deliveries) {
+        const webhook = await Webhook.query().findById(delivery.webhook_id);
+        this.track(delivery.id, this.attempt(delivery, webhook));
+      }
+      return deliveries.length;
+    })().finally(() => {
+      this.polling = null;
+    });
+
+    return this.polling;
+  }
+
+  /**
+   * Send a leased delivery once and record the outcome
+   * @param {WebhookDelivery} delivery - Delivery
+   * @param {Webhook} [webhook] - Its webhook
+   * @returns {Promise<WebhookDelivery>} Updated delivery
+   * @private
+   */
+  async attempt(delivery, webhook) {
+    const attempt = delivery.attempts + 1;
+    const startedAt = new Date();
+
+    const result = webhook && webhook.is_active && !webhook.deleted_at
+      ? await this.send(webhook, delivery)
+      : { response_status: null, response_body: null, error: 'Webhook is inactive or deleted', duration_ms: 0, retry: false };
+
+    const succeeded = !result.error;
+    const retry = !succeeded && result.retry !== false && attempt < this.options.maxAttempts;
+
+    return delivery.$query().patchAndFetch({
+      status: succeeded ? 'succeeded' : (retry ? 'pending' : 'failed'),
+      attempts: attempt,
+      last_attempt_at: startedAt.toISOString(),
+      delivered_at: succeeded ? new Date().toISOString() : null,
+      next_attempt_at: retry ? new Date(Date.now() + this.getRetryDelay(attempt)).toISOString() : null,
+      locked_until: null,
+      response_status: result.response_status,
+      response_body: result.response_body,
+      error: result.error,
+      duration_ms: result.duration_ms,
+      attempt_log: [
+        ...(delivery.attempt_log || []),
+        {
+          attempt,
+          at: startedAt.toISOString(),
+          response_status: result.response_status,
+          error: result.error,
+          duration_ms: result.duration_ms,
+        },
+      ],
+    });
+  }
+
+  /**
+   * POST a delivery's payload to its webhook, signed with the webhook secret
+   * @param {Webhook} webhook - Webhook (with its decrypted secret)
+   * @param {Object} delivery - Delivery ({ id, event, payload })
+   * @returns {Promise<{response_status: number|null, response_body: string|null, error: string|null, duration_ms: number, retry?: boolean}>}
+   */
+  async send(webhook, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startTime = Date.now();
+
+    try {
+      await assertPublicWebhookUrl(webhook.url, { allowedHosts: this.options.allowedHosts });
+
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Api-BD-Webhooks/1.0',
+          'X-Webhook-Id': webhook.id,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+        },
+        body,
+        redirect: 'manual',
+        dispatcher: this.agent,
+        signal: AbortSignal.timeout(this.options.timeoutMs),
+      });
+
+      const responseBody = await this.readBody(response);
+      const ok = response.status >= 200 && response.status < 300;
+      return {
+        response_status: response.status,
+        response_body: responseBody,
+        error: ok ? null : `Webhook answered with HTTP ${response.status}`,
+        duration_ms: Date.now() - startTime,
+      };
+    } catch (error) {
+      // Fetch wraps errors from the lookup
+      const rejected = [error, error.cause].find(cause => cause instanceof WebhookUrlError);
+      if (rejected) {
+        return { response_status: null, response_body: null, error: rejected.message, duration_ms: Date.now() - startTime, retry: false };
+      }
+
+      return {
+        response_status: null,
+        response_body: null,
+        error: error.name === 'TimeoutError'
+          ? `No response within ${this.options.timeoutMs} ms`
+          : `Request failed: ${error.cause?.message || error.message}`,
+        duration_ms: Date.now() - startTime,
+      };
+    }
+  }
+
+  /**
+   * Read the start of a response body, up to `responseMaxBytes`, and drop the rest unread
+   * @param {Response} response - Fetch response
+   * @returns {Promise<string>} Body as text
+   * @private
+   */
+  async readBody(response) {
+    const chunks = [];
+    let bytes = 0;
+    if (response.body) {
+      // Leaving the loop early cancels the stream
+      for await (const chunk of response.body) {
+        chunks.push(chunk);
+        bytes += chunk.length;
+        if (bytes >= this.options.responseMaxBytes) break;
+      }
+    }
+    return Buffer.concat(chunks).subarray(0, this.options.responseMaxBytes).toString('utf8');
+  }
+
+  /**
+   * Delay before the next attempt, doubled after each failed attempt
+   * @param {number} attempt - Attempts made so far, starting at 1
+   * @returns {number} Milliseconds
+   */
+  getRetryDelay(attempt) {
+    return Math.min(this.options.retryBaseMs * 2 ** (attempt - 1), this.options.maxRetryDelayMs);
+  }
+
+  /** @private */
+  track(deliveryId, promise) {
+    this.inFlight.set(deliveryId, promise);
+    promise
+      .catch(error => logger.error(`Error delivering webhook delivery ${deliveryId}:`, error))
+      .finally(() => this.inFlight.delete(deliveryId));
+  }
+}
+
+// Export a singleton instance
+export default new WebhookDispatcher();
@@ -0,0 +1,155 @@
+import knex from 'knex';
+import { classifySql } from '../../utils/sqlClassifier.js';
+import postgresql from './postgresql.js';
+import mysql from './mysql.js';
+import sqlite from './sqlite.js';
+import mssql from './mssql.js';
+import mongodb, { MongoConnection } from './mongodb.js';
+
+/**
+ * Database dialect adapters, keyed by `ProjectDatabase.type`.
+ *
+ * Every adapter exposes the same surface so routes and services never branch
+ * on the database type themselves:
+ * - `buildConnectionConfig(connection_config, { fileMustExist })` - client and connection settings;
+ *   `fileMustExist` keeps file-based databases (SQLite) from being created
+ * - `quoteIdentifier(name)` - quote a table or column name
+ * - `classifierOptions` - tokenizer options for classifySql()
+ * - `classify(query)` - optional, replaces classifySql() (SQLite refuses statements reaching other files)
+ * - `multipleStatements` - whether one request may carry several statements
+ * - `readOnlyTransactions` / `enforcesReadOnly` - whether knex can open a read-only
+ *   transaction, and whether the database rejects writes in the sandbox at all
+ * - `serverSideTimeout` - whether the sandbox sets a statement timeout in the database
+ * - `listTables(db)`, `listColumns(db)`, `listRelations(db)`, `serverVersion(db)` - introspection
+ * - `normalizeResult(raw, { command })` - raw driver result => { rows, rowCount, command }
+ * - `beginSandbox(trx, limits)` / `endSandbox(trx, limits)`, `limitQuery(sql, limit)`
+ *   and `explain(trx, sql, params)` - optional hooks used by QueryRunner
+ *
+ * Adapters whose queries are not SQL text (MongoDB) also provide `connect()`,
+ * `ping()`, `poolStats()`, `classify()` and `execute()` and are never handed to knex.
+ */
+const dialects = {
+  postgresql,
+  mysql,
+  sqlite,
+  mssql,
+  mongodb,
+};
+
+/**
+ * Get the adapter for a database type
+ * @param {string} type - Database type (`ProjectDatabase.type`)
+ * @returns {Object} Dialect adapter
+ * @throws {Error} When the type has no adapter
+ */
+export const getDialect = (type) => {
+  const dialect = dialects[type];
+  if (!dialect) {
+    throw new Error(`Unsupported database type: ${type}`);
+  }
+  return dialect;
+};
+
+/**
+ * Get the adapter for an existing connection (knex instance, transaction or MongoConnection)
+ * @param {import('knex').Knex|MongoConnection} db - Open connection
+ * @returns {Object} Dialect adapter
+ */
+export const getDialectForConnection = (db) => {
+  if (db instanceof MongoConnection) {
+    return mongodb;
+  }
+
+  const { client } = db.client.config;
+  const dialect = Object.values(dialects).find(d => d.client === client)
+    // knex also accepts its own aliases for these clients
+    || { postgres: postgresql, postgresql, mysql, sqlite3: sqlite, tedious: mssql }[client];
+
+  if (!dialect) {
+    throw new Error(`Unsupported database client: ${client}`);
+  }
+  return dialect;
+};
+
+/**
+ * Open a connection to a project database
+ * @param {string} type - Database type
+ * @param {Object} connectionConfig - `ProjectDatabase.connection_config`
+ * @param {Object} [options] - Extra knex options (pool, debug); other adapters only read `pool`
+ * @param {boolean} [options.fileMustExist=false] - Fail instead of creating a missing database file
+ * @returns {Promise<import('knex').Knex|MongoConnection>} Open connection
+ */
+export const createConnection = async (type, connectionConfig, { fileMustExist = false, ...options } = {}) => {
+  const dialect = getDialect(type);
+  if (dialect.connect) {
+    return dialect.connect(connectionConfig, options);
+  }
+
+  // Dialects with their own pool requirements (SQLite) override the options
+  return knex({ ...options, ...dialect.buildConnectionConfig(connectionConfig, { fileMustExist }) });
+};
+
+/**
+ * Check that a connection is alive
+ * @param {import('knex').Knex|MongoConnection} db - Open connection
+ */
+export const pingConnection = async (db) => {
+  const dialect = getDialectForConnection(db);
+  if (dialect.ping) {
+    return dialect.ping(db);
+  }
+  return db.raw('SELECT 1');
+};
+
+/**
+ * Current pool usage of a connection
+ * @param {import('knex').Knex|MongoConnection} db - Open connection
+ * @returns {{open: number, in_use: number, idle: number, waiting: number}}
+ */
+export const getPoolStats = (db) => {
+  const dialect = getDialectForConnection(db);
+  if (dialect.poolStats) {
+    return dialect.poolStats(db);
+  }
+
+  const { pool } = db.client;
+  if (!pool) {
+    return { open: 0, in_use: 0, idle: 0, waiting: 0 };
+  }
+  return {
+    open: pool.numUsed() + pool.numFree(),
+    in_use: pool.numUsed(),
+    idle: pool.numFree(),
+    waiting: pool.numPendingAcquires(),
+  };
+};
+
+/**
+ * Split and classify a query with the rules of its dialect
+ * @param {Object} dialect - Dialect adapter
+ * @param {string} query - Query text
+ * @returns {{statements: Array, class: string}} See classifySql()
+ * @throws {import('../../utils/sqlClassifier.js').SqlParseError} When the query cannot be parsed
+ * @throws {import('../../utils/sqlClassifier.js').UnsupportedStatementError} When the dialect refuses a statement
+ */
+export const classifyQuery = (dialect, query) =>
+  (dialect.classify ? dialect.classify(query) : classifySql(query, dialect.classifierOptions));
+
+/**
+ * Run a query as-is and normalize the driver result
+ * @param {import('knex').Knex|MongoConnection} db - Open connection
+ * @param {string} query - Query text
+ * @param {Array|Object} params - Query bindings
+ * @param {Object} [options]
+ * @param {string} [options.command] - Statement type, for drivers that do not report one
+ * @returns {Promise<{rows: Array, rowCount: number, command: string}>}
+ */
+export const executeQuery = async (db, query, params, { command } = {}) => {
+  const dialect = getDialectForConnection(db);
+  if (dialect.execute) {
+    return dialect.execute(db, query, params);
+  }
+  return dialect.normalizeResult(await db.raw(query, params), { command });
+};
+
+export default dialects;
@@ -0,0 +1,438 @@
+import { MongoClient } from 'mongodb';
+import { SqlParseError, STATEMENT_CLASSES } from '../../utils/sqlClassifier.js';
+
+const OPERATIONS = ['find', 'aggregate', 'count', 'distinct'];
+
+// Pipeline stages that write to a collection
+const WRITE_STAGES = new Set(['$out', '$merge']);
+
+// Operators that run server-side JavaScript
+const FORBIDDEN_OPERATORS = new Set(['$where', '$function', '$accumulator']);
+
+const DEFAULT_MAX_DOCUMENTS = parseInt(process.env.MONGODB_MAX_DOCUMENTS || '1000', 10);
+const DEFAULT_SAMPLE_SIZE = parseInt(process.env.MONGODB_SCHEMA_SAMPLE_SIZE || '100', 10);
+
+/**
+ * Error raised when a MongoDB query document is malformed or not allowed.
+ * Extends SqlParseError so routes report it the same way as unparseable SQL.
+ */
+export class MongoQueryError extends SqlParseError {
+  constructor(message) {
+    super(message);
+    this.name = 'MongoQueryError';
+  }
+}
+
+/**
+ * Open MongoDB connection, shaped like a knex instance where routes need it
+ */
+export class MongoConnection {
+  /**
+   * @param {import('mongodb').MongoClient|null} client - Connected client (null for stand-ins)
+   * @param {import('mongodb').Db} db - Database handle
+   */
+  constructor(client, db) {
+    this.client = client;
+    this.db = db;
+    // Pool counters, kept up to date from the driver's connection pool events
+    this.pool = { open: 0, inUse: 0, waiting: 0 };
+
+    if (client) {
+      client.on('connectionCreated', () => { this.pool.open++; });
+      client.on('connectionClosed', () => { this.pool.open = Math.max(0, this.pool.open - 1); });
+      client.on('connectionCheckOutStarted', () => { this.pool.waiting++; });
+      client.on('connectionCheckOutFailed', () => { this.pool.waiting = Math.max(0, this.pool.waiting - 1); });
+      client.on('connectionCheckedOut', () => {
+        this.pool.waiting = Math.max(0, this.pool.waiting - 1);
+        this.pool.inUse++;
+      });
+      client.on('connectionCheckedIn', () => { this.pool.inUse = Math.max(0, this.pool.inUse - 1); });
+    }
+  }
+
+  async destroy() {
+    if (this.client) {
+      await this.client.close();
+    }
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Collect every operator key used anywhere inside a filter or pipeline
+ */
+const collectOperators = (value, found = new Set()) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectOperators(item, found));
+  } else if (isPlainObject(value)) {
+    Object.entries(value).forEach(([key, nested]) => {
+      if (key.startsWith('$')) found.add(key);
+      collectOperators(nested, found);
+    });
+  }
+  return found;
+};
+
+/**
+ * Whether an aggregation writes its output to a collection
+ */
+const hasWriteStage = (doc) =>
+  doc.operation === 'aggregate' && doc.pipeline.some(stage => Object.keys(stage).some(key => WRITE_STAGES.has(key)));
+
+/**
+ * Parse and validate a query document
+ * @param {string|Object} query - JSON text or object:
+ *   `{ operation, collection, filter, projection, sort, pipeline, field, limit }`
+ * @returns {Object} Validated query document
+ * @throws {MongoQueryError} When the document is malformed or uses forbidden operators
+ */
+export const parseQuery = (query) => {
+  let doc = query;
+  if (typeof query === 'string') {
+    try {
+      doc = JSON.parse(query);
+    } catch (error) {
+      throw new MongoQueryError(`Query must be a JSON document: ${error.message}`);
+    }
+  }
+
+  if (!isPlainObject(doc)) {
+    throw new MongoQueryError('Query must be a JSON object');
+  }
+
+  const { operation, collection, filter = {}, projection, sort, pipeline, field, limit } = doc;
+
+  if (!OPERATIONS.includes(operation)) {
+    throw new MongoQueryError(`operation must be one of: ${OPERATIONS.join(', ')}`);
+  }
+  if (typeof collection !== 'string' || !collection || collection.startsWith('system.')) {
+    throw new MongoQueryError('collection must name a user collection');
+  }
+  if (!isPlainObject(filter)) {
+    throw new MongoQueryError('filter must be an object');
+  }
+  if (projection !== undefined && !isPlainObject(projection)) {
+    throw new MongoQueryError('projection must be an object');
+  }
+  if (sort !== undefined && !isPlainObject(sort)) {
+    throw new MongoQueryError('sort must be an object');
+  }
+  if (operation === 'aggregate' && (!Array.isArray(pipeline) || !pipeline.every(isPlainObject))) {
+    throw new MongoQueryError('aggregate requires a pipeline array of stages');
+  }
+  if (operation === 'distinct' && (typeof field !== 'string' || !field)) {
+    throw new MongoQueryError('distinct requires a field');
+  }
+  if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+    throw new MongoQueryError('limit must be a positive integer');
+  }
+
+  const forbidden = [...collectOperators([filter, pipeline])].find(op => FORBIDDEN_OPERATORS.has(op));
+  if (forbidden) {
+    throw new MongoQueryError(`${forbidden} is not allowed`);
+  }
+
+  return { operation, collection, filter, projection, sort, pipeline, field, limit };
+};
+
+/**
+ * Replace `{ "$param": "name" }` placeholders in a parsed query document
+ * @param {Object} doc - Output of parseQuery()
+ * @param {Object} params - Parameter name => value
+ * @returns {Object} Query document with values bound
+ * @throws {MongoQueryError} When a placeholder has no value or a value is not a scalar
+ */
+export const bindParams = (doc, params) => {
+  if (!isPlainObject(params)) {
+    return doc;
+  }
+
+  const bind = (node) => {
+    if (Array.isArray(node)) return node.map(bind);
+    if (!isPlainObject(node)) return node;
+
+    const keys = Object.keys(node);
+    if (keys.length === 1 && keys[0] === '$param') {
+      const name = node.$param;
+      if (!Object.prototype.hasOwnProperty.call(params, name)) {
+        throw new MongoQueryError(`No value for parameter '${name}'`);
+      }
+      // Objects could smuggle in operators the document was checked for
+      const value = params[name];
+      if (value !== null && typeof value === 'object') {
+        throw new MongoQueryError(`Parameter '${name}' must be a string, number, boolean or null`);
+      }
+      return value;
+    }
+
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, bind(value)]));
+  };
+
+  return {
+    ...doc,
+    filter: bind(doc.filter),
+    projection: bind(doc.projection),
+    sort: bind(doc.sort),
+    pipeline: bind(doc.pipeline),
+  };
+};
+
+/**
+ * Name the BSON type of a value the way the schema sampler reports it
+ */
+const typeOf = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'date';
+
+  switch (value._bsontype) {
+    case 'ObjectId':
+    case 'ObjectID':
+      return 'objectId';
+    case 'Decimal128':
+      return 'decimal';
+    case 'Long':
+    case 'Int32':
+    case 'Double':
+      return 'number';
+    case 'Binary':
+      return 'binary';
+    default:
+      break;
+  }
+
+  return typeof value === 'object' ? 'object' : typeof value;
+};
+
+/**
+ * Record the type of every field path in a document, descending into sub-documents
+ */
+const collectFields = (doc, fields, prefix = '', depth = 0) => {
+  Object.entries(doc).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const type = typeOf(value);
+
+    if (!fields.has(path)) {
+      fields.set(path, { types: new Set(), seen: 0 });
+    }
+    const field = fields.get(path);
+    field.types.add(type);
+    field.seen++;
+
+    if (type === 'object' && depth < 2) {
+      collectFields(value, fields, path, depth + 1);
+    }
+  });
+};
+
+/**
+ * MongoDB adapter
+ *
+ * Queries are JSON documents instead of SQL, so this adapter runs them itself
+ * (`execute`) rather than handing raw text to knex. Every supported operation
+ * is a read; aggregation stages that write ($out, $merge) classify as DML and
+ * server-side JavaScript is rejected outright.
+ */
+export default {
+  type: 'mongodb',
+  client: 'mongodb',
+  multipleStatements: false,
+  readOnlyTransactions: false,
+  enforcesReadOnly: false,
+  serverSideTimeout: true,
+
+  buildConnectionConfig(config) {
+    return {
+      client: 'mongodb',
+      connection: {
+        url: `mongodb://${encodeURIComponent(config.username)}:${encodeURIComponent(config.password)}@${config.host}:${config.port || 27017}/${config.database}?authSource=admin`,
+        options: {
+          ssl: config.ssl || false,
+        },
+      },
+    };
+  },
+
+  async connect(config, { pool } = {}) {
+    const { connection } = this.buildConnectionConfig(config);
+    const client = new MongoClient(connection.url, {
+      ...connection.options,
+      ...(pool && { minPoolSize: pool.min, maxPoolSize: pool.max }),
+    });
+    await client.connect();
+    return new MongoConnection(client, client.db(config.database));
+  },
+
+  async ping(conn) {
+    await conn.db.command({ ping: 1 });
+  },
+
+  poolStats(conn) {
+    const { open, inUse, waiting } = conn.pool;
+    return { open, in_use: inUse, idle: Math.max(0, open - inUse), waiting };
+  },
+
+  /**
+   * Classify a query document in the same shape classifySql() returns
+   * @param {string|Object} query - Query document
+   * @returns {{statements: Array, class: string}}
+   */
+  classify(query) {
+    const doc = parseQuery(query);
+    const cls = hasWriteStage(doc) ? STATEMENT_CLASSES.DML : STATEMENT_CLASSES.READ;
+
+    return {
+      statements: [{
+        index: 0,
+        text: typeof query === 'string' ? query.trim() : JSON.stringify(query),
+        type: doc.operation.toUpperCase(),
+        class: cls,
+      }],
+      class: cls,
+    };
+  },
+
+  /**
+   * Run a query document
+   * @param {MongoConnection} conn - Open connection
+   * @param {string|Object} query - Query document
+   * @param {Array|Object} [params] - Values for `{ "$param": name }` placeholders (object form only)
+   * @param {Object} [limits]
+   * @param {number} [limits.maxRows] - Upper bound on returned documents
+   * @param {number} [limits.statementTimeoutMs] - Server-side time limit
+   * @returns {Promise<{rows: Array, rowCount: number, command: string}>}
+   */
+  async execute(conn, query, params, { maxRows = DEFAULT_MAX_DOCUMENTS, statementTimeoutMs } = {}) {
+    const doc = bindParams(parseQuery(query), params);
+    const collection = conn.db.collection(doc.collection);
+    const maxTimeMS = statementTimeoutMs ? parseInt(statementTimeoutMs, 10) : undefined;
+    const limit = Math.min(doc.limit || maxRows, maxRows);
+    const command = doc.operation.toUpperCase();
+
+    let rows;
+    switch (doc.operation) {
+      case 'find':
+        rows = await collection.find(doc.filter, {
+          projection: doc.projection,
+          sort: doc.sort,
+          limit,
+          maxTimeMS,
+        }).toArray();
+        break;
+
+      case 'aggregate': {
+        // $out/$merge must stay the last stage, so only cap pipelines that return documents
+        const pipeline = hasWriteStage(doc) ? doc.pipeline : [...doc.pipeline, { $limit: limit }];
+        rows = await collection.aggregate(pipeline, { maxTimeMS }).toArray();
+        break;
+      }
+
+      case 'count': {
+        const count = await collection.countDocuments(doc.filter, { limit: doc.limit, maxTimeMS });
+        rows = [{ count }];
+        break;
+      }
+
+      case 'distinct': {
+        const values = await collection.distinct(doc.field, doc.filter, { maxTimeMS });
+        rows = values.slice(0, limit).map(value => ({ [doc.field]: value }));
+        break;
+      }
+
+      default:
+        throw new MongoQueryError(`Unsupported operation: ${doc.operation}`);
+    }
+
+    return { rows, rowCount: rows.length, command };
+  },
+
+  async explain(conn, query, params, { statementTimeoutMs } = {}) {
+    const doc = parseQuery(query);
+    const collection = conn.db.collection(doc.collection);
+    const maxTimeMS = statementTimeoutMs ? parseInt(statementTimeoutMs, 10) : undefined;
+
+    const plan = doc.operation === 'aggregate'
+      ? await collection.aggregate(doc.pipeline, { maxTimeMS }).explain('queryPlanner')
+      : await collection.find(doc.filter, { projection: doc.projection, sort: doc.sort, maxTimeMS }).explain('queryPlanner');
+
+    // Pipelines nest the planner output under their first ($cursor) stage
+    const planner = plan.queryPlanner || plan.stages?.[0]?.$cursor?.queryPlanner;
+
+    return {
+      total_cost: null,
+      startup_cost: null,
+      estimated_rows: null,
+      node_type: planner?.winningPlan?.stage || null,
+    };
+  },
+
+  normalizeResult(raw, { command } = {}) {
+    return { rows: raw, rowCount: raw.length, command };
+  },
+
+  /**
+   * Infer collection schemas by sampling documents
+   * @param {MongoConnection} conn - Open connection
+   * @param {Object} [options]
+   * @param {number} [options.sampleSize] - Documents to sample per collection
+   * @returns {Promise<Object>} Collection name => [{ name, types, nullable }]
+   */
+  async inferSchema(conn, { sampleSize = DEFAULT_SAMPLE_SIZE } = {}) {
+    const collections = await this.listTables(conn);
+    const schema = {};
+
+    for (const name of collections) {
+      const docs = await conn.db.collection(name)
+        .aggregate([{ $sample: { size: sampleSize } }])
+        .toArray();
+
+      const fields = new Map();
+      docs.forEach(doc => collectFields(doc, fields));
+
+      schema[name] = [...fields.entries()].map(([path, { types, seen }]) => ({
+        name: path,
+        types: [...types].sort(),
+        // Missing from some sampled documents counts as nullable
+        nullable: types.has('null') || seen < docs.length,
+      }));
+    }
+
+    return schema;
+  },
+
+  async listTables(conn) {
+    const collections = await conn.db.listCollections({}, { nameOnly: true }).toArray();
+    return collections
+      .map(c => c.name)
+      .filter(name => !name.startsWith('system.'))
+      .sort();
+  },
+
+  async listColumns(conn) {
+    const schema = await this.inferSchema(conn);
+
+    return Object.entries(schema).flatMap(([collection, fields]) =>
+      fields.map(field => ({
+        table_name: collection,
+        column_name: field.name,
+        data_type: field.types.filter(t => t !== 'null').join('|') || 'null',
+        is_nullable: field.nullable,
+        column_default: null,
+        character_maximum_length: null,
+        numeric_precision: null,
+        numeric_scale: null,
+      }))
+    );
+  },
+
+  async listRelations() {
+    // Collections have no declared foreign keys
+    return [];
+  },
+
+  async serverVersion(conn) {
+    const info = await conn.db.command({ buildInfo: 1 });
+    return info.version;
+  },
+};
@@ -0,0 +1,108 @@
+/**
+ * SQL Server dialect adapter (tedious)
+ *
+ * SQL Server has no read-only transactions, so the sandbox only accepts
+ * statements the classifier reports as reads and always rolls back. A batch
+ * runs every statement in it even without `;` between them, so the classifier
+ * splits on statement keywords too. The row cap uses SET ROWCOUNT because
+ * derived tables cannot keep an ORDER BY.
+ */
+export default {
+  type: 'mssql',
+  client: 'mssql',
+  classifierOptions: { bracketIdentifiers: true, batchStatements: true },
+  multipleStatements: true,
+  readOnlyTransactions: false,
+  enforcesReadOnly: false,
+  serverSideTimeout: false,
+
+  buildConnectionConfig(config) {
+    return {
+      client: 'mssql',
+      connection: {
+        server: config.host,
+        port: config.port || 1433,
+        database: config.database,
+        user: config.username,
+        password: config.password,
+        options: {
+          encrypt: Boolean(config.ssl),
+          trustServerCertificate: Boolean(config.ssl),
+        },
+      },
+    };
+  },
+
+  quoteIdentifier(name) {
+    return `[${String(name).replace(/]/g, ']]')}]`;
+  },
+
+  async beginSandbox(trx, { maxRows }) {
+    if (maxRows) {
+      await trx.raw(`SET ROWCOUNT ${parseInt(maxRows, 10) + 1}`);
+    }
+  },
+
+  async endSandbox(trx, { maxRows }) {
+    if (maxRows) {
+      await trx.raw('SET ROWCOUNT 0');
+    }
+  },
+
+  normalizeResult(raw, { command } = {}) {
+    // knex drops the affected row count of raw statements on this driver
+    const rows = Array.isArray(raw) ? raw : [];
+    return { rows, rowCount: rows.length, command };
+  },
+
+  async listTables(db) {
+    const rows = await db.raw(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_schema = SCHEMA_NAME() AND table_type = 'BASE TABLE'
+      ORDER BY table_name
+    `);
+    return rows.map(r => r.table_name);
+  },
+
+  async listColumns(db) {
+    const rows = await db.raw(`
+      SELECT
+        table_name,
+        column_name,
+        data_type,
+        is_nullable,
+        column_default,
+        character_maximum_length,
+        numeric_precision,
+        numeric_scale
+      FROM information_schema.columns
+      WHERE table_schema = SCHEMA_NAME()
+      ORDER BY table_name, ordinal_position
+    `);
+    return rows.map(r => ({ ...r, is_nullable: r.is_nullable === 'YES' }));
+  },
+
+  async listRelations(db) {
+    return db.raw(`
+      SELECT
+        fk.table_name AS table_name,
+        fk.column_name AS column_name,
+        pk.table_name AS foreign_table_name,
+        pk.column_name AS foreign_column_name
+      FROM information_schema.referential_constraints AS rc
+      JOIN information_schema.key_column_usage AS fk
+        ON fk.constraint_name = rc.constraint_name
+      JOIN information_schema.key_column_usage AS pk
+        ON pk.constraint_name = rc.unique_constraint_name
+        AND pk.ordinal_position = fk.ordinal_position
+      WHERE fk.table_schema = SCHEMA_NAME()
+      ORDER BY fk.table_name, fk.column_name
+    `);
+  },
+
+  async serverVersion(db) {
+    const [row] = await db.raw("SELECT CAST(SERVERPROPERTY('ProductVersion') AS nvarchar(128)) AS version");
+    return row.version;
+  },
+};
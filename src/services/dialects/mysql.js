@@ -0,0 +1,110 @@
+/**
+ * MySQL / MariaDB dialect adapter
+ *
+ * mysql2 resolves raw queries to `[rows, fields]`, where `rows` is a result
+ * set header instead of an array for statements that do not return rows.
+ * Statement timeouts are enforced client side (KILL QUERY) because
+ * max_execution_time only applies to SELECT.
+ */
+export default {
+  type: 'mysql',
+  client: 'mysql2',
+  classifierOptions: { backslashEscapes: true, hashComments: true },
+  // mysql2 rejects multi-statement payloads unless `multipleStatements` is enabled
+  multipleStatements: false,
+  readOnlyTransactions: true,
+  enforcesReadOnly: true,
+  serverSideTimeout: false,
+
+  buildConnectionConfig(config) {
+    return {
+      client: 'mysql2',
+      connection: {
+        host: config.host,
+        port: config.port || 3306,
+        database: config.database,
+        user: config.username,
+        password: config.password,
+        ssl: config.ssl ? { rejectUnauthorized: false } : undefined,
+      },
+    };
+  },
+
+  quoteIdentifier(name) {
+    return `\`${String(name).replace(/`/g, '``')}\``;
+  },
+
+  limitQuery(sql, limit) {
+    return `SELECT * FROM (${sql}) AS limited_result LIMIT ${limit}`;
+  },
+
+  async explain(trx, sql, params) {
+    const [rows] = await trx.raw(`EXPLAIN FORMAT=JSON ${sql}`, params);
+    const { query_block: block } = JSON.parse(rows[0].EXPLAIN);
+    const table = block.table || block.nested_loop?.[0]?.table || {};
+
+    return {
+      total_cost: parseFloat(block.cost_info?.query_cost) || null,
+      startup_cost: null,
+      estimated_rows: table.rows_produced_per_join ?? null,
+      node_type: table.access_type || null,
+    };
+  },
+
+  normalizeResult(raw, { command } = {}) {
+    const [result] = raw;
+
+    if (Array.isArray(result)) {
+      return { rows: result, rowCount: result.length, command };
+    }
+
+    return { rows: [], rowCount: result?.affectedRows ?? 0, command };
+  },
+
+  async listTables(db) {
+    const [rows] = await db.raw(`
+      SELECT table_name AS table_name
+      FROM information_schema.tables
+      WHERE table_schema = DATABASE()
+      ORDER BY table_name
+    `);
+    return rows.map(r => r.table_name);
+  },
+
+  async listColumns(db) {
+    const [rows] = await db.raw(`
+      SELECT
+        table_name AS table_name,
+        column_name AS column_name,
+        data_type AS data_type,
+        is_nullable AS is_nullable,
+        column_default AS column_default,
+        character_maximum_length AS character_maximum_length,
+        numeric_precision AS numeric_precision,
+        numeric_scale AS numeric_scale
+      FROM information_schema.columns
+      WHERE table_schema = DATABASE()
+      ORDER BY table_name, ordinal_position
+    `);
+    return rows.map(r => ({ ...r, is_nullable: r.is_nullable === 'YES' }));
+  },
+
+  async listRelations(db) {
+    const [rows] = await db.raw(`
+      SELECT
+        table_name AS table_name,
+        column_name AS column_name,
+        referenced_table_name AS foreign_table_name,
+        referenced_column_name AS foreign_column_name
+      FROM information_schema.key_column_usage
+      WHERE table_schema = DATABASE() AND referenced_table_name IS NOT NULL
+      ORDER BY table_name, column_name
+    `);
+    return rows;
+  },
+
+  async serverVersion(db) {
+    const [rows] = await db.raw('SELECT VERSION() AS version');
+    return rows[0].version;
+  },
+};
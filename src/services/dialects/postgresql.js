@@ -0,0 +1,112 @@
+/**
+ * PostgreSQL dialect adapter
+ */
+export default {
+  type: 'postgresql',
+  client: 'pg',
+  classifierOptions: {},
+  multipleStatements: true,
+  readOnlyTransactions: true,
+  enforcesReadOnly: true,
+  serverSideTimeout: true,
+
+  buildConnectionConfig(config) {
+    return {
+      client: 'pg',
+      connection: {
+        host: config.host,
+        port: config.port || 5432,
+        database: config.database,
+        user: config.username,
+        password: config.password,
+        ssl: config.ssl ? { rejectUnauthorized: false } : false,
+      },
+    };
+  },
+
+  quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+  },
+
+  limitQuery(sql, limit) {
+    return `SELECT * FROM (${sql}) AS limited_result LIMIT ${limit}`;
+  },
+
+  async beginSandbox(trx, { statementTimeoutMs }) {
+    await trx.raw(`SET LOCAL statement_timeout = ${parseInt(statementTimeoutMs, 10)}`);
+  },
+
+  async explain(trx, sql, params) {
+    const result = await trx.raw(`EXPLAIN (FORMAT JSON) ${sql}`, params);
+    const [{ Plan: plan }] = result.rows[0]['QUERY PLAN'];
+
+    return {
+      total_cost: plan['Total Cost'],
+      startup_cost: plan['Startup Cost'],
+      estimated_rows: plan['Plan Rows'],
+      node_type: plan['Node Type'],
+    };
+  },
+
+  normalizeResult(raw) {
+    // Multi-statement payloads return one result per statement
+    const last = Array.isArray(raw) ? raw[raw.length - 1] : raw;
+
+    return {
+      rows: last.rows || [],
+      rowCount: last.rowCount ?? last.rows?.length ?? 0,
+      command: last.command,
+    };
+  },
+
+  async listTables(db) {
+    const { rows } = await db.raw(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_schema = current_schema()
+      ORDER BY table_name
+    `);
+    return rows.map(r => r.table_name);
+  },
+
+  async listColumns(db) {
+    const { rows } = await db.raw(`
+      SELECT
+        table_name,
+        column_name,
+        data_type,
+        is_nullable,
+        column_default,
+        character_maximum_length,
+        numeric_precision,
+        numeric_scale
+      FROM information_schema.columns
+      WHERE table_schema = current_schema()
+      ORDER BY table_name, ordinal_position
+    `);
+    return rows.map(r => ({ ...r, is_nullable: r.is_nullable === 'YES' }));
+  },
+
+  async listRelations(db) {
+    const { rows } = await db.raw(`
+      SELECT
+        tc.table_name AS table_name,
+        kcu.column_name AS column_name,
+        ccu.table_name AS foreign_table_name,
+        ccu.column_name AS foreign_column_name
+      FROM information_schema.table_constraints AS tc
+      JOIN information_schema.key_column_usage AS kcu
+        ON tc.constraint_name = kcu.constraint_name
+      JOIN information_schema.constraint_column_usage AS ccu
+        ON ccu.constraint_name = tc.constraint_name
+      WHERE tc.constraint_type = 'FOREIGN KEY' AND tc.table_schema = current_schema()
+      ORDER BY tc.table_name, kcu.column_name
+    `);
+    return rows;
+  },
+
+  async serverVersion(db) {
+    const { rows } = await db.raw('SHOW server_version');
+    return rows[0].server_version;
+  },
+};
@@ -0,0 +1,202 @@
+import fs from 'fs';
+import path from 'path';
+import { classifySql, splitStatements, UnsupportedStatementError } from '../../utils/sqlClassifier.js';
+
+/**
+ * Resolve the database file inside SQLITE_DATA_DIR, so a project cannot point
+ * the server at arbitrary files on disk. Without SQLITE_DATA_DIR only
+ * in-memory databases can be opened.
+ * @param {string} filename - File name from the connection config
+ * @param {boolean} [mustExist=false] - Fail when the file does not exist yet
+ * @returns {string} Path handed to the driver
+ */
+const resolveFilename = (filename, mustExist = false) => {
+  if (filename === ':memory:') {
+    return filename;
+  }
+  if (!filename) {
+    throw new Error('SQLite database file name is required');
+  }
+
+  const dataDir = process.env.SQLITE_DATA_DIR;
+  if (!dataDir) {
+    throw new Error('SQLite databases are disabled: SQLITE_DATA_DIR is not set');
+  }
+
+  const root = path.resolve(dataDir);
+  const resolved = path.resolve(root, filename);
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    throw new Error('SQLite database file must be inside SQLITE_DATA_DIR');
+  }
+  if (mustExist && !fs.existsSync(resolved)) {
+    throw new Error('SQLite database file does not exist');
+  }
+  return resolved;
+};
+
+/**
+ * Why a statement would read or write files outside the database, if it does:
+ * ATTACH/DETACH, VACUUM INTO and load_extension() take any path, whatever
+ * SQLITE_DATA_DIR says
+ * @param {{type: string}} statement - Classified statement
+ * @param {Array<Object>} tokens - Its tokens
+ * @returns {string|null} Reason, or null if the statement stays in the database
+ */
+const fileAccess = ({ type }, tokens) => {
+  if (type === 'ATTACH' || type === 'DETACH') {
+    return `${type} statements are not allowed on SQLite databases`;
+  }
+  if (type === 'VACUUM' && tokens.some(token => token.type === 'word' && token.upper === 'INTO')) {
+    return 'VACUUM INTO is not allowed on SQLite databases';
+  }
+  if (tokens.some(token => token.type === 'word' && token.upper === 'LOAD_EXTENSION')) {
+    return 'load_extension() is not allowed on SQLite databases';
+  }
+  return null;
+};
+
+/**
+ * SQLite dialect adapter (better-sqlite3)
+ *
+ * The driver prepares one statement at a time and runs synchronously, so
+ * multi-statement payloads are rejected and statement timeouts cannot
+ * interrupt a running query. Statements that reach files other than the
+ * database are refused whatever the caller's role.
+ */
+export default {
+  type: 'sqlite',
+  client: 'better-sqlite3',
+  classifierOptions: {},
+  multipleStatements: false,
+  readOnlyTransactions: false,
+  enforcesReadOnly: true,
+  serverSideTimeout: false,
+
+  buildConnectionConfig(config, { fileMustExist = false } = {}) {
+    const filename = resolveFilename(config.filename || config.database, fileMustExist);
+
+    return {
+      client: 'better-sqlite3',
+      connection: {
+        filename,
+        // Read-only connections cannot create the file either
+        ...(fileMustExist && filename !== ':memory:' && { options: { readonly: true } }),
+      },
+      useNullAsDefault: true,
+      // A single connection keeps PRAGMAs scoped to the transaction that set them
+      pool: {
+        min: 1,
+        max: 1,
+      },
+    };
+  },
+
+  /**
+   * Classify a query, refusing statements that reach other files
+   * @throws {UnsupportedStatementError} For ATTACH, DETACH, VACUUM INTO and load_extension()
+   */
+  classify(query) {
+    const classification = classifySql(query, this.classifierOptions);
+    const groups = splitStatements(query, this.classifierOptions);
+
+    classification.statements.forEach((statement, index) => {
+      const reason = fileAccess(statement, groups[index].tokens);
+      if (reason) {
+        throw new UnsupportedStatementError(reason);
+      }
+    });
+    return classification;
+  },
+
+  quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+  },
+
+  limitQuery(sql, limit) {
+    return `SELECT * FROM (${sql}) AS limited_result LIMIT ${limit}`;
+  },
+
+  async beginSandbox(trx, { readOnly }) {
+    if (readOnly) {
+      await trx.raw('PRAGMA query_only = ON');
+    }
+  },
+
+  async endSandbox(trx, { readOnly }) {
+    if (readOnly) {
+      await trx.raw('PRAGMA query_only = OFF');
+    }
+  },
+
+  async explain(trx, sql, params) {
+    // SQLite exposes the plan but no cost model
+    const plan = await trx.raw(`EXPLAIN QUERY PLAN ${sql}`, params);
+
+    return {
+      total_cost: null,
+      startup_cost: null,
+      estimated_rows: null,
+      node_type: plan[0]?.detail || null,
+    };
+  },
+
+  normalizeResult(raw, { command } = {}) {
+    if (Array.isArray(raw)) {
+      return { rows: raw, rowCount: raw.length, command };
+    }
+
+    return { rows: [], rowCount: raw?.changes ?? 0, command };
+  },
+
+  async listTables(db) {
+    const rows = await db.raw(`
+      SELECT name AS table_name
+      FROM sqlite_master
+      WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+      ORDER BY name
+    `);
+    return rows.map(r => r.table_name);
+  },
+
+  async listColumns(db) {
+    const rows = await db.raw(`
+      SELECT
+        m.name AS table_name,
+        p.name AS column_name,
+        p.type AS data_type,
+        p."notnull" AS not_null,
+        p.dflt_value AS column_default
+      FROM sqlite_master AS m
+      JOIN pragma_table_info(m.name) AS p
+      WHERE m.type = 'table' AND m.name NOT LIKE 'sqlite_%'
+      ORDER BY m.name, p.cid
+    `);
+
+    return rows.map(({ not_null: notNull, ...r }) => ({
+      ...r,
+      is_nullable: !notNull,
+      character_maximum_length: null,
+      numeric_precision: null,
+      numeric_scale: null,
+    }));
+  },
+
+  async listRelations(db) {
+    return db.raw(`
+      SELECT
+        m.name AS table_name,
+        f."from" AS column_name,
+        f."table" AS foreign_table_name,
+        f."to" AS foreign_column_name
+      FROM sqlite_master AS m
+      JOIN pragma_foreign_key_list(m.name) AS f
+      WHERE m.type = 'table'
+      ORDER BY m.name, f."from"
+    `);
+  },
+
+  async serverVersion(db) {
+    const [row] = await db.raw('SELECT sqlite_version() AS version');
+    return row.version;
+  },
+};
@@ -0,0 +1,42 @@
+import crypto from 'crypto';
+
+/**
+ * Canonical JSON: object keys sorted, no whitespace, `undefined` properties
+ * left out. Equal values always serialize to the same string, so it can be
+ * hashed or compared.
+ * @param {*} value - JSON-compatible value
+ * @returns {string}
+ */
+export const canonicalJson = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+  if (typeof value.toJSON === 'function') {
+    return canonicalJson(value.toJSON());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalJson(item))).join(',')}]`;
+  }
+
+  const entries = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+  return `{${entries.join(',')}}`;
+};
+
+/**
+ * Content address of a value: SHA-256 of its canonical JSON
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Hex digest
+ */
+export const contentHash = (value) =>
+  crypto.createHash('sha256').update(canonicalJson(value)).digest('hex');
+
+/**
+ * Whether two values are equal as JSON
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+export const jsonEqual = (a, b) => canonicalJson(a) === canonicalJson(b);
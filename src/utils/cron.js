@@ -0,0 +1,44 @@
+import cronParser from 'cron-parser';
+
+/**
+ * Whether a name is a timezone the runtime knows (IANA, e.g. `America/Santiago`)
+ * @param {string} timezone - Timezone name
+ * @returns {boolean}
+ */
+export const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check a five-field cron expression (minute hour day-of-month month day-of-week)
+ * @param {string} expression - Cron expression
+ * @returns {string|null} Error message, or null when the expression is valid
+ */
+export const validateCronExpression = (expression) => {
+  if (typeof expression !== 'string' || expression.trim().split(/\s+/).length !== 5) {
+    return 'Cron expression must have five fields: minute hour day-of-month month day-of-week';
+  }
+
+  try {
+    cronParser.parseExpression(expression, { tz: 'UTC' });
+    return null;
+  } catch (error) {
+    return `Invalid cron expression: ${error.message}`;
+  }
+};
+
+/**
+ * Next time a cron expression fires after a given date
+ * @param {string} expression - Cron expression
+ * @param {Object} [options]
+ * @param {string} [options.timezone='UTC'] - Timezone the expression is read in
+ * @param {Date} [options.currentDate] - Start searching after this date (defaults to now)
+ * @returns {Date} Next occurrence
+ */
+export const getNextRun = (expression, { timezone = 'UTC', currentDate = new Date() } = {}) =>
+  cronParser.parseExpression(expression, { currentDate, tz: timezone }).next().toDate();
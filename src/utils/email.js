@@ -192,11 +192,12 @@ export const sendPasswordResetEmail = async (to, name, token) => {
  * @param {string} to - Recipient email address
  * @param {string} inviterName - Name of the person sending the invitation
  * @param {string} projectName - Name of the project
- * @param {string} role - Role being offered (user, editor, admin)
+ * @param {string} role - Role being offered (viewer, editor, admin, custom)
  * @param {string} [acceptUrl] - URL to accept the invitation
+ * @param {string} [expiresAt] - When the invitation expires
  * @returns {Promise<Object>} Result of the email sending operation
  */
-export const sendProjectInvitation = async (to, inviterName, projectName, role, acceptUrl = null) => {
+export const sendProjectInvitation = async (to, inviterName, projectName, role, acceptUrl = null, expiresAt = null) => {
   return sendEmail({
     to,
     subject: `You've been invited to join a project: ${projectName}`,
@@ -206,6 +207,32 @@ export const sendProjectInvitation = async (to, inviterName, projectName, role,
       projectName,
       role,
       acceptUrl: acceptUrl || `${process.env.APP_URL || 'http://localhost:3000'}/projects/invitations`,
+      expiresAt,
+    },
+  });
+};
+
+/**
+ * Tell a user that sign-in to their account was locked after failed attempts
+ * @param {string} to - Recipient email address
+ * @param {string} name - User's name
+ * @param {Object} details
+ * @param {number} details.failures - Failed attempts that caused the lockout
+ * @param {string} details.lockedUntil - When sign-in works again
+ * @param {string} [details.ipAddress] - IP address of the last attempt
+ * @returns {Promise<Object>} Result of the email sending operation
+ */
+export const sendAccountLockedEmail = async (to, name, { failures, lockedUntil, ipAddress = null }) => {
+  return sendEmail({
+    to,
+    subject: 'Your account was temporarily locked',
+    template: 'account-locked',
+    context: {
+      name,
+      failures,
+      lockedUntil,
+      ipAddress,
+      resetUrl: `${process.env.APP_URL || 'http://localhost:3000'}/forgot-password`,
     },
   });
 };
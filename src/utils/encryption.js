@@ -0,0 +1,200 @@
+import crypto from 'crypto';
+
+/**
+ * Envelope encryption for secrets stored in the database.
+ *
+ * Every value gets its own random data key (AES-256-GCM). The data key is
+ * wrapped with a master key from ENCRYPTION_KEYS and the master key's ID is
+ * stored next to the ciphertext, so master keys can rotate: new values use
+ * ENCRYPTION_ACTIVE_KEY_ID while older ones still decrypt with the key they
+ * name until they are re-encrypted.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_VERSION = 'v1';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Value shown instead of a secret in API responses and exports
+export const REDACTED = '********';
+
+let cachedKeys = { source: null, keys: null };
+
+/**
+ * Parse ENCRYPTION_KEYS (`<id>:<base64 32-byte key>`, comma separated)
+ * @returns {Map<string, Buffer>} Key ID => key
+ */
+const getMasterKeys = () => {
+  const source = process.env.ENCRYPTION_KEYS || '';
+  if (cachedKeys.source === source) {
+    return cachedKeys.keys;
+  }
+
+  const keys = new Map();
+  source.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator <= 0 || key.length !== 32) {
+      throw new Error(`Invalid ENCRYPTION_KEYS entry '${id || entry}': expected <id>:<base64 32-byte key>`);
+    }
+    keys.set(id, key);
+  });
+
+  cachedKeys = { source, keys };
+  return keys;
+};
+
+/**
+ * ID of the master key new values are encrypted with
+ * @returns {string} Key ID
+ * @throws {Error} When no master key is configured
+ */
+export const getActiveKeyId = () => {
+  const keys = getMasterKeys();
+  const activeId = process.env.ENCRYPTION_ACTIVE_KEY_ID || keys.keys().next().value;
+
+  if (!activeId || !keys.has(activeId)) {
+    throw new Error('No active encryption key configured (ENCRYPTION_KEYS / ENCRYPTION_ACTIVE_KEY_ID)');
+  }
+  return activeId;
+};
+
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad));
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+};
+
+const open = (key, sealed, aad) => {
+  const iv = sealed.subarray(0, IV_LENGTH);
+  const tag = sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  if (aad) decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(sealed.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+};
+
+/**
+ * Whether a stored value is an encryption envelope
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+export const isEncrypted = (value) =>
+  Boolean(value) && typeof value === 'object' && value.enc === ENVELOPE_VERSION && typeof value.kid === 'string';
+
+/**
+ * Encrypt a JSON-serializable value
+ * @param {*} value - Value to encrypt
+ * @param {Object} [options]
+ * @param {string} [options.context] - Authenticated context (e.g. the field name) the value is bound to
+ * @returns {{enc: string, kid: string, dek: string, data: string}} Envelope
+ */
+export const encryptSecret = (value, { context } = {}) => {
+  const kid = getActiveKeyId();
+  const dataKey = crypto.randomBytes(32);
+
+  try {
+    return {
+      enc: ENVELOPE_VERSION,
+      kid,
+      dek: seal(getMasterKeys().get(kid), dataKey, kid).toString('base64'),
+      data: seal(dataKey, Buffer.from(JSON.stringify(value)), context).toString('base64'),
+    };
+  } finally {
+    dataKey.fill(0);
+  }
+};
+
+/**
+ * Decrypt an envelope produced by encryptSecret()
+ * @param {Object} envelope - Envelope
+ * @param {Object} [options]
+ * @param {string} [options.context] - Context the value was encrypted with
+ * @returns {*} Original value
+ * @throws {Error} When the master key is unknown or the envelope was tampered with
+ */
+export const decryptSecret = (envelope, { context } = {}) => {
+  const key = getMasterKeys().get(envelope.kid);
+  if (!key) {
+    throw new Error(`Unknown encryption key '${envelope.kid}'`);
+  }
+
+  const dataKey = open(key, Buffer.from(envelope.dek, 'base64'), envelope.kid);
+  try {
+    return JSON.parse(open(dataKey, Buffer.from(envelope.data, 'base64'), context).toString());
+  } finally {
+    dataKey.fill(0);
+  }
+};
+
+/**
+ * Whether a stored value should be (re-)encrypted with the active key
+ * @param {*} value - Stored value (envelope or legacy plaintext)
+ * @returns {boolean}
+ */
+export const needsReencryption = (value) => {
+  if (value === undefined || value === null) return false;
+  return !isEncrypted(value) || value.kid !== getActiveKeyId();
+};
+
+/**
+ * Encrypt the given fields of an object, leaving envelopes untouched
+ * @param {Object} obj - Object holding secrets
+ * @param {Array<string>} fields - Secret field names
+ * @param {string} [context] - Context prefix, combined with the field name
+ * @returns {Object} Copy with encrypted fields
+ */
+export const encryptFields = (obj, fields, context = '') => {
+  if (!obj || typeof obj !== 'object') return obj;
+
+  const result = { ...obj };
+  fields.forEach(field => {
+    if (result[field] !== undefined && result[field] !== null && !isEncrypted(result[field])) {
+      result[field] = encryptSecret(result[field], { context: `${context}${field}` });
+    }
+  });
+  return result;
+};
+
+/**
+ * Decrypt the given fields of an object, leaving plaintext (legacy) values untouched
+ * @param {Object} obj - Object holding envelopes
+ * @param {Array<string>} fields - Secret field names
+ * @param {string} [context] - Context prefix used when encrypting
+ * @returns {Object} Copy with decrypted fields
+ */
+export const decryptFields = (obj, fields, context = '') => {
+  if (!obj || typeof obj !== 'object') return obj;
+
+  const result = { ...obj };
+  fields.forEach(field => {
+    if (isEncrypted(result[field])) {
+      result[field] = decryptSecret(result[field], { context: `${context}${field}` });
+    }
+  });
+  return result;
+};
+
+/**
+ * Replace the given fields of an object with REDACTED when they hold a value
+ * @param {Object} obj - Object holding secrets
+ * @param {Array<string>} fields - Secret field names
+ * @returns {Object} Copy safe to send to clients
+ */
+export const redactFields = (obj, fields) => {
+  if (!obj || typeof obj !== 'object') return obj;
+
+  const result = { ...obj };
+  fields.forEach(field => {
+    if (result[field] !== undefined && result[field] !== null && result[field] !== '') {
+      result[field] = REDACTED;
+    }
+  });
+  return result;
+};
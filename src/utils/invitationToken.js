@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { signScopedToken, verifyScopedToken } from './scopedToken.js';
+
+const TOKEN_AUDIENCE = 'project-invitation';
+const TOKEN_EXPIRE = process.env.INVITATION_EXPIRE || '7d';
+
+const getSecret = () => process.env.INVITATION_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Sign the token of a project invitation
+ * @param {Object} data - Token data
+ * @param {string} data.invitationId - Invitation ID
+ * @param {string} data.projectId - Project ID
+ * @param {string} data.email - Invited email address
+ * @returns {{token: string, tokenHash: string, expiresAt: string}} Token, the hash to store and its expiry
+ */
+export const signInvitationToken = ({ invitationId, projectId, email }) => {
+  const token = signScopedToken(
+    {
+      project_id: projectId,
+      email,
+    },
+    { audience: TOKEN_AUDIENCE, subject: invitationId, expiresIn: TOKEN_EXPIRE, secret: getSecret() }
+  );
+
+  return {
+    token,
+    tokenHash: hashInvitationToken(token),
+    expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString(),
+  };
+};
+
+/**
+ * Verify an invitation token
+ * @param {string} token - Token to verify
+ * @returns {Object} Decoded token payload (`sub` is the invitation ID)
+ * @throws {Error} When the token is invalid or expired
+ */
+export const verifyInvitationToken = (token) => {
+  return verifyScopedToken(token, { audience: TOKEN_AUDIENCE, secret: getSecret() });
+};
+
+/**
+ * Hash of a token as stored with its invitation
+ * @param {string} token - Invitation token
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashInvitationToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
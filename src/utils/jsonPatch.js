@@ -0,0 +1,157 @@
+import { jsonEqual } from './canonicalJson.js';
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Escape a key for a JSON Pointer (RFC 6901)
+ * @param {string|number} key - Object key or array index
+ * @returns {string}
+ */
+export const escapePointer = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * Split a JSON Pointer into its keys
+ * @param {string} pointer - e.g. '/settings/theme'
+ * @returns {Array<string>}
+ */
+export const parsePointer = (pointer) => {
+  if (pointer === '') return [];
+  if (!pointer.startsWith('/')) {
+    throw new Error(`Invalid JSON pointer: ${pointer}`);
+  }
+  return pointer.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+/**
+ * JSON Patch (RFC 6902) operations turning one value into another. Objects
+ * are compared key by key; arrays and scalars are replaced as a whole.
+ * @param {*} before - Original value
+ * @param {*} after - New value
+ * @param {string} [path=''] - Pointer of the values in the document
+ * @returns {Array<Object>} Operations
+ */
+export const diffValues = (before, after, path = '') => {
+  if (jsonEqual(before, after)) {
+    return [];
+  }
+  if (!isObject(before) || !isObject(after)) {
+    return [{ op: 'replace', path, value: after }];
+  }
+
+  const operations = [];
+  for (const key of Object.keys(before).sort()) {
+    if (!(key in after) || after[key] === undefined) {
+      operations.push({ op: 'remove', path: `${path}/${escapePointer(key)}` });
+    }
+  }
+  for (const key of Object.keys(after).sort()) {
+    if (after[key] === undefined) continue;
+    const keyPath = `${path}/${escapePointer(key)}`;
+    if (!(key in before) || before[key] === undefined) {
+      operations.push({ op: 'add', path: keyPath, value: after[key] });
+    } else {
+      operations.push(...diffValues(before[key], after[key], keyPath));
+    }
+  }
+  return operations;
+};
+
+/**
+ * Apply JSON Patch (RFC 6902) operations to a copy of a document
+ * @param {*} document - JSON document, left untouched
+ * @param {Array<Object>} operations - add, remove, replace, move, copy and test operations
+ * @returns {*} Patched copy
+ * @throws {Error} When a path does not exist or a test fails
+ */
+export const applyPatch = (document, operations) => {
+  let result = structuredClone(document);
+
+  const resolve = (pointer) => {
+    const keys = parsePointer(pointer);
+    const last = keys.pop();
+    let parent = result;
+    for (const key of keys) {
+      parent = parent?.[Array.isArray(parent) ? Number(key) : key];
+      if (parent === null || typeof parent !== 'object') {
+        throw new Error(`Path not found: ${pointer}`);
+      }
+    }
+    return { parent, key: last };
+  };
+
+  const get = (pointer) => {
+    if (pointer === '') return result;
+    const { parent, key } = resolve(pointer);
+    const index = Array.isArray(parent) ? Number(key) : key;
+    if (!(index in parent)) {
+      throw new Error(`Path not found: ${pointer}`);
+    }
+    return parent[index];
+  };
+
+  const remove = (pointer) => {
+    const value = get(pointer);
+    const { parent, key } = resolve(pointer);
+    if (Array.isArray(parent)) {
+      parent.splice(Number(key), 1);
+    } else {
+      delete parent[key];
+    }
+    return value;
+  };
+
+  const add = (pointer, value) => {
+    if (pointer === '') {
+      result = value;
+      return;
+    }
+    const { parent, key } = resolve(pointer);
+    if (!Array.isArray(parent)) {
+      parent[key] = value;
+    } else if (key === '-') {
+      parent.push(value);
+    } else {
+      const index = Number(key);
+      if (!Number.isInteger(index) || index < 0 || index > parent.length) {
+        throw new Error(`Path not found: ${pointer}`);
+      }
+      parent.splice(index, 0, value);
+    }
+  };
+
+  for (const operation of operations) {
+    const value = structuredClone(operation.value);
+    switch (operation.op) {
+      case 'add':
+        add(operation.path, value);
+        break;
+      case 'remove':
+        remove(operation.path);
+        break;
+      case 'replace':
+        get(operation.path);
+        if (operation.path === '') {
+          result = value;
+        } else {
+          remove(operation.path);
+          add(operation.path, value);
+        }
+        break;
+      case 'move':
+        add(operation.path, remove(operation.from));
+        break;
+      case 'copy':
+        add(operation.path, structuredClone(get(operation.from)));
+        break;
+      case 'test':
+        if (!jsonEqual(get(operation.path), value)) {
+          throw new Error(`Test failed: ${operation.path}`);
+        }
+        break;
+      default:
+        throw new Error(`Unknown operation: ${operation.op}`);
+    }
+  }
+
+  return result;
+};
@@ -0,0 +1,62 @@
+import NodeCache from 'node-cache';
+import { signScopedToken, verifyScopedToken } from './scopedToken.js';
+
+const TOKEN_AUDIENCE = 'query-confirmation';
+const TOKEN_EXPIRE = process.env.QUERY_CONFIRMATION_EXPIRE || '5m';
+
+// Token IDs that have already been redeemed. Entries only need to outlive the token itself.
+const consumedTokens = new NodeCache({ stdTTL: 3600, checkperiod: 300 });
+
+const getSecret = () => process.env.QUERY_CONFIRMATION_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Sign a short-lived token that authorizes running one exact query
+ * @param {Object} data - Token data
+ * @param {string} data.query - Query text the token is bound to
+ * @param {Array|Object} [data.parameters] - Query parameters
+ * @param {string} data.projectId - Project ID
+ * @param {string} data.databaseId - Target database ID
+ * @param {string} data.userId - User allowed to redeem the token
+ * @param {string} [data.mode='read'] - 'read' or 'write'
+ * @returns {string} Signed token
+ */
+export const signQueryConfirmation = ({ query, parameters = [], projectId, databaseId, userId, mode = 'read' }) => {
+  return signScopedToken(
+    {
+      query,
+      parameters,
+      project_id: projectId,
+      database_id: databaseId,
+      mode,
+    },
+    { audience: TOKEN_AUDIENCE, subject: userId, expiresIn: TOKEN_EXPIRE, secret: getSecret() }
+  );
+};
+
+/**
+ * Verify a confirmation token and mark it as used
+ * @param {string} token - Token to verify
+ * @param {Object} expected - Values the token must be bound to
+ * @param {string} expected.userId - Caller user ID
+ * @param {string} expected.projectId - Project ID of the request
+ * @param {string} [expected.databaseId] - Database ID of the request (when the caller sends one)
+ * @returns {Object} Decoded token payload
+ * @throws {Error} When the token is invalid, expired, already used or bound to something else
+ */
+export const redeemQueryConfirmation = (token, { userId, projectId, databaseId }) => {
+  const decoded = verifyScopedToken(token, { audience: TOKEN_AUDIENCE, subject: userId, secret: getSecret() });
+
+  if (decoded.project_id !== projectId || (databaseId && decoded.database_id !== databaseId)) {
+    throw new Error('Confirmation token does not match this project or database');
+  }
+
+  if (consumedTokens.has(decoded.jti)) {
+    throw new Error('Confirmation token has already been used');
+  }
+
+  // Keep the ID around until the token would have expired anyway
+  const ttl = Math.max(decoded.exp - Math.floor(Date.now() / 1000), 1);
+  consumedTokens.set(decoded.jti, true, ttl);
+
+  return decoded;
+};
@@ -0,0 +1,43 @@
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Single-purpose JWTs (login challenges, query confirmations, invitations).
+ *
+ * Each purpose signs with its own audience claim, and verification requires
+ * it: a token issued for one purpose is refused for every other one, access
+ * tokens included, even when they share a secret.
+ */
+
+/**
+ * Sign a token for one purpose
+ * @param {Object} payload - Claims
+ * @param {Object} options
+ * @param {string} options.audience - Purpose of the token
+ * @param {string} options.subject - What the token is about (user or invitation ID)
+ * @param {string} options.expiresIn - Lifetime, e.g. `5m`
+ * @param {string} options.secret - Signing secret
+ * @returns {string} Signed token, with a unique `jti`
+ */
+export const signScopedToken = (payload, { audience, subject, expiresIn, secret }) => {
+  return jwt.sign(payload, secret, {
+    audience,
+    subject,
+    jwtid: uuidv4(),
+    expiresIn,
+  });
+};
+
+/**
+ * Verify a token signed for one purpose
+ * @param {string} token - Token to verify
+ * @param {Object} options
+ * @param {string} options.audience - Purpose the token must have been signed for
+ * @param {string} [options.subject] - Subject the token must be about
+ * @param {string} options.secret - Signing secret
+ * @returns {Object} Decoded token payload
+ * @throws {Error} When the token is invalid, expired or signed for something else
+ */
+export const verifyScopedToken = (token, { audience, subject, secret }) => {
+  return jwt.verify(token, secret, subject ? { audience, subject } : { audience });
+};
@@ -0,0 +1,493 @@
+/**
+ * SQL statement classifier
+ *
+ * Splits a raw SQL payload into its individual statements (honouring comments,
+ * string literals, quoted identifiers and PostgreSQL dollar quoting) and
+ * classifies every statement as a read, DML or DDL statement. Routes use the
+ * result to decide whether the caller's project role may run the payload.
+ */
+
+export const STATEMENT_CLASSES = Object.freeze({
+  READ: 'read',
+  DML: 'dml',
+  DDL: 'ddl',
+});
+
+// Ordered from least to most privileged
+const CLASS_RANK = {
+  [STATEMENT_CLASSES.READ]: 1,
+  [STATEMENT_CLASSES.DML]: 2,
+  [STATEMENT_CLASSES.DDL]: 3,
+};
+
+const READ_KEYWORDS = new Set(['SELECT', 'VALUES', 'TABLE', 'SHOW', 'DESCRIBE', 'DESC']);
+const DML_KEYWORDS = new Set(['INSERT', 'UPDATE', 'DELETE', 'MERGE', 'UPSERT', 'REPLACE']);
+
+// Keywords that can start the statement wrapped by EXPLAIN
+const EXPLAINABLE_KEYWORDS = new Set([
+  ...READ_KEYWORDS, ...DML_KEYWORDS, 'WITH', 'CREATE', 'DECLARE', 'EXECUTE',
+]);
+
+// Functions that have side effects even when called from a SELECT
+const SIDE_EFFECT_FUNCTIONS = new Set([
+  'PG_TERMINATE_BACKEND', 'PG_CANCEL_BACKEND', 'PG_RELOAD_CONF', 'PG_ROTATE_LOGFILE',
+  'PG_READ_FILE', 'PG_READ_BINARY_FILE', 'PG_LS_DIR', 'LO_IMPORT', 'LO_EXPORT',
+  'DBLINK_EXEC', 'SET_CONFIG', 'NEXTVAL', 'SETVAL', 'LOAD_FILE',
+]);
+
+/**
+ * Role => statement classes that role is allowed to run.
+ * Unknown roles fall back to read-only access.
+ */
+export const ROLE_STATEMENT_CLASSES = Object.freeze({
+  viewer: [STATEMENT_CLASSES.READ],
+  user: [STATEMENT_CLASSES.READ],
+  custom: [STATEMENT_CLASSES.READ],
+  editor: [STATEMENT_CLASSES.READ, STATEMENT_CLASSES.DML],
+  admin: [STATEMENT_CLASSES.READ, STATEMENT_CLASSES.DML, STATEMENT_CLASSES.DDL],
+});
+
+/**
+ * Error raised when a payload cannot be tokenized safely
+ */
+export class SqlParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SqlParseError';
+  }
+}
+
+/**
+ * Error raised when a statement parses but its dialect never runs it
+ */
+export class UnsupportedStatementError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsupportedStatementError';
+  }
+}
+
+const isWordStart = (ch) => /[A-Za-z_]/.test(ch);
+const isWordChar = (ch) => /[A-Za-z0-9_$]/.test(ch);
+
+/**
+ * Read a quoted section starting at `start` (which holds the opening quote)
+ * @returns {number} Index right after the closing quote
+ */
+const skipQuoted = (sql, start, quote, backslashEscapes) => {
+  let i = start + 1;
+  while (i < sql.length) {
+    const ch = sql[i];
+    if (backslashEscapes && ch === '\\') {
+      i += 2;
+      continue;
+    }
+    if (ch === quote) {
+      // Doubled quote is an escaped quote
+      if (sql[i + 1] === quote) {
+        i += 2;
+        continue;
+      }
+      return i + 1;
+    }
+    i++;
+  }
+  throw new SqlParseError(`Unterminated ${quote === "'" ? 'string literal' : 'quoted identifier'}`);
+};
+
+// Keywords that always start a new statement in a T-SQL batch
+const BATCH_STATEMENT_KEYWORDS = new Set([
+  'ALTER', 'BACKUP', 'BEGIN', 'BULK', 'CHECKPOINT', 'CLOSE', 'COMMIT', 'CREATE', 'DBCC', 'DEALLOCATE',
+  'DECLARE', 'DENY', 'DROP', 'EXEC', 'EXECUTE', 'FETCH', 'GOTO', 'GRANT', 'IF', 'KILL', 'MERGE', 'OPEN',
+  'PRINT', 'RAISERROR', 'READTEXT', 'RECONFIGURE', 'RESTORE', 'RETURN', 'REVERT', 'REVOKE', 'ROLLBACK',
+  'SAVE', 'SETUSER', 'SHUTDOWN', 'THROW', 'TRUNCATE', 'UPDATETEXT', 'USE', 'WAITFOR', 'WHILE', 'WRITETEXT',
+]);
+const SET_OPERATORS = new Set(['UNION', 'ALL', 'EXCEPT', 'INTERSECT']);
+const MAIN_KEYWORDS = new Set(['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE']);
+
+/**
+ * Split the tokens of a T-SQL batch where a keyword starts another
+ * statement: SQL Server needs no `;` between them, so `SELECT 1 DROP TABLE t`
+ * is two statements. Keywords that can also continue the current statement
+ * (UNION SELECT, UPDATE ... SET, INSERT ... VALUES, MERGE ... THEN DELETE,
+ * table hints) only split where they cannot.
+ * @param {Array} tokens - Tokens of a `;`-separated statement
+ * @returns {Array<Array>} Tokens of each statement
+ */
+const splitBatch = (tokens) => {
+  const groups = [];
+  let group = [];
+  let seen = new Set();
+  let awaitingMain = false;
+  let pendingSet = false;
+  let depth = 0;
+
+  tokens.forEach((token, i) => {
+    const startsStatement = () => {
+      if (!group.length || depth > 0 || token.type !== 'word') return false;
+
+      const prev = tokens[i - 1];
+      const next = tokens[i + 1];
+      const keyword = token.upper;
+
+      // The statement a WITH clause leads to
+      if (awaitingMain && MAIN_KEYWORDS.has(keyword)) return false;
+
+      switch (keyword) {
+        case 'SELECT':
+          return !SET_OPERATORS.has(prev.upper) && !(seen.has('INSERT') && !seen.has('SELECT'));
+        case 'INSERT':
+        case 'UPDATE':
+        case 'DELETE':
+          return !['THEN', 'ON'].includes(prev.upper);
+        case 'SET':
+          return !pendingSet;
+        case 'VALUES':
+          return !seen.has('INSERT') && prev.upper !== 'DEFAULT';
+        case 'WITH':
+          return next?.value !== '(' && !['TIES', 'CHECK', 'ROLLUP', 'CUBE', 'EXECUTE'].includes(next?.upper);
+        case 'MERGE':
+          return next?.upper !== 'JOIN';
+        default:
+          return BATCH_STATEMENT_KEYWORDS.has(keyword);
+      }
+    };
+
+    if (startsStatement()) {
+      groups.push(group);
+      group = [];
+      seen = new Set();
+      pendingSet = false;
+    }
+
+    if (token.value === '(') depth++;
+    if (token.value === ')') depth--;
+    if (depth === 0 && token.type === 'word') {
+      if (!group.length) awaitingMain = token.upper === 'WITH';
+      else if (MAIN_KEYWORDS.has(token.upper)) awaitingMain = false;
+      if (token.upper === 'UPDATE') pendingSet = true;
+      if (token.upper === 'SET') pendingSet = false;
+      seen.add(token.upper);
+    }
+    group.push(token);
+  });
+
+  groups.push(group);
+  return groups;
+};
+
+/**
+ * Split SQL into statements made of tokens. Comments and whitespace are dropped
+ * from the tokens but kept in the statement text.
+ * @param {string} sql - Raw SQL payload
+ * @param {Object} [options]
+ * @param {boolean} [options.backslashEscapes=false] - Treat backslash as an escape inside strings (MySQL)
+ * @param {boolean} [options.hashComments=false] - Treat `#` as a line comment (MySQL)
+ * @param {boolean} [options.bracketIdentifiers=false] - Treat `[...]` as a quoted identifier (SQL Server)
+ * @param {boolean} [options.batchStatements=false] - Statements need no `;` between them (SQL Server)
+ * @returns {Array<{text: string, tokens: Array}>} Statements
+ */
+export const splitStatements = (sql, {
+  backslashEscapes = false, hashComments = false, bracketIdentifiers = false, batchStatements = false,
+} = {}) => {
+  const statements = [];
+  let tokens = [];
+  let start = 0;
+  let i = 0;
+
+  const endStatement = (end) => {
+    if (tokens.length) {
+      const groups = batchStatements ? splitBatch(tokens) : [tokens];
+      groups.forEach((group, n) => {
+        const from = n === 0 ? start : group[0].start;
+        const to = n === groups.length - 1 ? end : groups[n + 1][0].start;
+        statements.push({ text: sql.slice(from, to).trim(), tokens: group });
+      });
+    }
+    tokens = [];
+    start = end + 1;
+  };
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if ((ch === '-' && next === '-') || (hashComments && ch === '#')) {
+      const eol = sql.indexOf('\n', i);
+      i = eol === -1 ? sql.length : eol + 1;
+    } else if (ch === '/' && next === '*') {
+      // Block comments nest in PostgreSQL
+      let depth = 1;
+      i += 2;
+      while (i < sql.length && depth > 0) {
+        if (sql[i] === '/' && sql[i + 1] === '*') {
+          depth++;
+          i += 2;
+        } else if (sql[i] === '*' && sql[i + 1] === '/') {
+          depth--;
+          i += 2;
+        } else {
+          i++;
+        }
+      }
+      if (depth > 0) {
+        throw new SqlParseError('Unterminated block comment');
+      }
+    } else if (ch === "'") {
+      const end = skipQuoted(sql, i, "'", backslashEscapes);
+      tokens.push({ start: i, type: 'string', value: sql.slice(i, end) });
+      i = end;
+    } else if (ch === '"' || ch === '`') {
+      const end = skipQuoted(sql, i, ch, false);
+      const value = sql.slice(i + 1, end - 1);
+      tokens.push({ start: i, type: 'ident', value, upper: value.toUpperCase() });
+      i = end;
+    } else if (bracketIdentifiers && ch === '[') {
+      // Closing bracket is escaped by doubling it, same as quotes
+      const end = skipQuoted(sql, i, ']', false);
+      const value = sql.slice(i + 1, end - 1);
+      tokens.push({ start: i, type: 'ident', value, upper: value.toUpperCase() });
+      i = end;
+    } else if (ch === '$' && /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/.test(sql.slice(i))) {
+      const tag = sql.slice(i).match(/^\$([A-Za-z_][A-Za-z0-9_]*)?\$/)[0];
+      const close = sql.indexOf(tag, i + tag.length);
+      if (close === -1) {
+        throw new SqlParseError('Unterminated dollar-quoted string');
+      }
+      tokens.push({ start: i, type: 'string', value: sql.slice(i, close + tag.length) });
+      i = close + tag.length;
+    } else if (ch === ';') {
+      endStatement(i);
+      i++;
+    } else if (isWordStart(ch)) {
+      let end = i + 1;
+      while (end < sql.length && isWordChar(sql[end])) end++;
+      const value = sql.slice(i, end);
+
+      // E'...' strings always honour backslash escapes
+      if (/^[Ee]$/.test(value) && sql[end] === "'") {
+        const strEnd = skipQuoted(sql, end, "'", true);
+        tokens.push({ start: i, type: 'string', value: sql.slice(i, strEnd) });
+        i = strEnd;
+      } else {
+        tokens.push({ start: i, type: 'word', value, upper: value.toUpperCase() });
+        i = end;
+      }
+    } else if (/[0-9]/.test(ch)) {
+      let end = i + 1;
+      while (end < sql.length && /[0-9.eE]/.test(sql[end])) end++;
+      tokens.push({ start: i, type: 'number', value: sql.slice(i, end) });
+      i = end;
+    } else {
+      tokens.push({ start: i, type: 'punct', value: ch });
+      i++;
+    }
+  }
+
+  endStatement(sql.length);
+  return statements;
+};
+
+const maxClass = (...classes) =>
+  classes.reduce((highest, current) => (CLASS_RANK[current] > CLASS_RANK[highest] ? current : highest));
+
+/**
+ * Find the index of the parenthesis closing the one opened at `openIndex`
+ */
+const findClosingParen = (tokens, openIndex) => {
+  let depth = 0;
+  for (let i = openIndex; i < tokens.length; i++) {
+    if (tokens[i].value === '(') depth++;
+    if (tokens[i].value === ')') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  throw new SqlParseError('Unbalanced parentheses');
+};
+
+/**
+ * Classify a SELECT-like statement, looking for clauses that make it write
+ */
+const classifySelect = (tokens) => {
+  let depth = 0;
+  let cls = STATEMENT_CLASSES.READ;
+
+  tokens.forEach((token, i) => {
+    if (token.value === '(') depth++;
+    if (token.value === ')') depth--;
+    if (token.type !== 'word') return;
+
+    // SELECT ... INTO creates a table (PostgreSQL) or writes a file (MySQL)
+    if (depth === 0 && token.upper === 'INTO') {
+      cls = maxClass(cls, STATEMENT_CLASSES.DDL);
+    }
+
+    // Row locks are writes as far as permissions go
+    if (token.upper === 'FOR' && ['UPDATE', 'SHARE', 'NO', 'KEY'].includes(tokens[i + 1]?.upper)) {
+      cls = maxClass(cls, STATEMENT_CLASSES.DML);
+    }
+
+    if (SIDE_EFFECT_FUNCTIONS.has(token.upper) && tokens[i + 1]?.value === '(') {
+      cls = maxClass(cls, STATEMENT_CLASSES.DDL);
+    }
+  });
+
+  return cls;
+};
+
+/**
+ * Classify a list of tokens belonging to a single statement
+ * @returns {{type: string, class: string}} Statement type (leading keyword) and class
+ */
+const classifyTokens = (tokens) => {
+  let idx = 0;
+  while (tokens[idx]?.value === '(') idx++;
+
+  const first = tokens[idx];
+  if (!first || first.type !== 'word') {
+    return { type: 'UNKNOWN', class: STATEMENT_CLASSES.DDL };
+  }
+
+  const keyword = first.upper;
+
+  if (keyword === 'WITH') {
+    return classifyWith(tokens, idx + 1);
+  }
+
+  if (keyword === 'EXPLAIN') {
+    return classifyExplain(tokens, idx + 1);
+  }
+
+  if (READ_KEYWORDS.has(keyword)) {
+    return { type: keyword, class: classifySelect(tokens.slice(idx)) };
+  }
+
+  if (DML_KEYWORDS.has(keyword)) {
+    return { type: keyword, class: STATEMENT_CLASSES.DML };
+  }
+
+  // CREATE, DROP, ALTER, GRANT, SET, CALL, COPY, ... are admin-only.
+  // Anything we don't recognise fails closed into the same bucket.
+  return { type: keyword, class: STATEMENT_CLASSES.DDL };
+};
+
+/**
+ * Classify `WITH [RECURSIVE] name AS (...) [, ...] <statement>`.
+ * Data-modifying CTE bodies raise the class of the whole statement.
+ */
+const classifyWith = (tokens, startIndex) => {
+  let i = startIndex;
+  let cls = STATEMENT_CLASSES.READ;
+
+  if (tokens[i]?.upper === 'RECURSIVE') i++;
+
+  while (i < tokens.length) {
+    // CTE name and optional column list
+    i++;
+    if (tokens[i]?.value === '(') {
+      i = findClosingParen(tokens, i) + 1;
+    }
+
+    if (tokens[i]?.upper !== 'AS') {
+      throw new SqlParseError('Malformed WITH clause');
+    }
+    i++;
+
+    if (tokens[i]?.upper === 'NOT') i++;
+    if (tokens[i]?.upper === 'MATERIALIZED') i++;
+
+    if (tokens[i]?.value !== '(') {
+      throw new SqlParseError('Malformed WITH clause');
+    }
+    const close = findClosingParen(tokens, i);
+    cls = maxClass(cls, classifyTokens(tokens.slice(i + 1, close)).class);
+    i = close + 1;
+
+    if (tokens[i]?.value === ',') {
+      i++;
+      continue;
+    }
+    break;
+  }
+
+  const main = classifyTokens(tokens.slice(i));
+  return { type: main.type, class: maxClass(cls, main.class) };
+};
+
+/**
+ * EXPLAIN is a read unless it ANALYZEs (and therefore executes) the statement
+ */
+const classifyExplain = (tokens, startIndex) => {
+  let analyze = false;
+  let i = startIndex;
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+    if (token.value === '(') {
+      const close = findClosingParen(tokens, i);
+      analyze = analyze || tokens.slice(i, close).some(t => ['ANALYZE', 'ANALYSE'].includes(t.upper));
+      i = close + 1;
+      continue;
+    }
+    if (token.type === 'word' && EXPLAINABLE_KEYWORDS.has(token.upper)) break;
+    if (['ANALYZE', 'ANALYSE'].includes(token.upper)) analyze = true;
+    i++;
+  }
+
+  if (!analyze || i >= tokens.length) {
+    return { type: 'EXPLAIN', class: STATEMENT_CLASSES.READ };
+  }
+
+  return { type: 'EXPLAIN', class: classifyTokens(tokens.slice(i)).class };
+};
+
+/**
+ * Classify every statement of a SQL payload
+ * @param {string} sql - Raw SQL payload (may contain several statements)
+ * @param {Object} [options] - Tokenizer options, see splitStatements()
+ * @returns {{statements: Array<{index: number, text: string, type: string, class: string}>, class: string|null}}
+ *   Per-statement classification plus the most privileged class found
+ */
+export const classifySql = (sql, options = {}) => {
+  const statements = splitStatements(sql, options).map(({ text, tokens }, index) => ({
+    index,
+    text,
+    ...classifyTokens(tokens),
+  }));
+
+  return {
+    statements,
+    class: statements.length ? maxClass(...statements.map(s => s.class)) : null,
+  };
+};
+
+/**
+ * The role, among those given, allowed the fewest statement classes
+ * @param {...string} roles - Project roles
+ * @returns {string} Least privileged of them
+ */
+export const leastPrivilegedRole = (...roles) => {
+  const allowed = role => (ROLE_STATEMENT_CLASSES[role] || ROLE_STATEMENT_CLASSES.viewer).length;
+  return roles.reduce((least, role) => (allowed(role) < allowed(least) ? role : least));
+};
+
+/**
+ * Check a classified payload against the statement classes allowed for a role
+ * @param {Object} classification - Result of classifySql()
+ * @param {string} role - Project role of the caller
+ * @returns {{allowed: boolean, role: string, allowed_classes: string[], violation: Object|null}}
+ */
+export const checkStatementPolicy = (classification, role) => {
+  const allowedClasses = ROLE_STATEMENT_CLASSES[role] || ROLE_STATEMENT_CLASSES.viewer;
+  const violation = classification.statements.find(s => !allowedClasses.includes(s.class)) || null;
+
+  return {
+    allowed: !violation,
+    role,
+    allowed_classes: allowedClasses,
+    violation,
+  };
+};
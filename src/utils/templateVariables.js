@@ -0,0 +1,149 @@
+// `{{name}}`, spaces inside the braces allowed
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}$/;
+
+export const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+export const VARIABLE_TYPES = ['string', 'number', 'boolean', 'select'];
+
+/**
+ * Template variables that are missing, unknown or of the wrong type
+ */
+export class TemplateVariableError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Array<{variable: string, message: string}>} errors - Problem of each variable
+   */
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'TemplateVariableError';
+    this.code = 'invalid_template_variables';
+    this.errors = errors;
+  }
+}
+
+// Problem of a value for a variable definition, or null
+const checkValue = (definition, value) => {
+  switch (definition.type) {
+    case 'string':
+      return typeof value === 'string' ? null : 'must be a string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be a boolean';
+    case 'select':
+      return (definition.options || []).some(option => option.value === value)
+        ? null
+        : `must be one of: ${(definition.options || []).map(option => option.value).join(', ')}`;
+    default:
+      return `has an unknown type '${definition.type}'`;
+  }
+};
+
+/**
+ * Check variable definitions (`metadata.variables` of a template)
+ * @param {Object<string, Object>} definitions - Definitions by variable name
+ * @returns {Array<{variable: string, message: string}>} Problems found
+ */
+export const checkVariableDefinitions = (definitions = {}) => {
+  const errors = [];
+  for (const [name, definition] of Object.entries(definitions)) {
+    if (!VARIABLE_NAME.test(name)) {
+      errors.push({ variable: name, message: 'must start with a letter or underscore and hold only letters, digits and underscores' });
+    } else if (!VARIABLE_TYPES.includes(definition?.type)) {
+      errors.push({ variable: name, message: `type must be one of: ${VARIABLE_TYPES.join(', ')}` });
+    } else if (definition.type === 'select' && !definition.options?.length) {
+      errors.push({ variable: name, message: 'select variables need options' });
+    } else if (definition.default !== undefined && definition.default !== null) {
+      const problem = checkValue(definition, definition.default);
+      if (problem) errors.push({ variable: name, message: `default ${problem}` });
+    }
+  }
+  return errors;
+};
+
+/**
+ * Resolve the values of template variables: defaults fill in what was not
+ * supplied, and every value must match its definition
+ * @param {Object<string, Object>} definitions - Definitions by variable name
+ * @param {Object} supplied - Values by variable name
+ * @returns {Object} Values of every variable that has one
+ * @throws {TemplateVariableError} When values are missing, unknown or invalid
+ */
+export const resolveVariables = (definitions = {}, supplied = {}) => {
+  const errors = [];
+  const values = {};
+
+  for (const name of Object.keys(supplied)) {
+    if (!definitions[name]) {
+      errors.push({ variable: name, message: 'is not declared by the template' });
+    }
+  }
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    const value = supplied[name] ?? definition.default;
+    if (value === undefined || value === null) {
+      if (definition.required !== false) {
+        errors.push({ variable: name, message: 'is required' });
+      }
+      continue;
+    }
+
+    const problem = checkValue(definition, value);
+    if (problem) {
+      errors.push({ variable: name, message: problem });
+    } else {
+      values[name] = value;
+    }
+  }
+
+  if (errors.length) {
+    throw new TemplateVariableError('Invalid template variables', errors);
+  }
+  return values;
+};
+
+/**
+ * Names of the variables a value refers to, in any nested string
+ * @param {*} value - JSON value
+ * @returns {Array<string>} Sorted, without duplicates
+ */
+export const findPlaceholders = (value) => {
+  const names = new Set();
+  const visit = (item) => {
+    if (typeof item === 'string') {
+      for (const match of item.matchAll(PLACEHOLDER)) names.add(match[1]);
+    } else if (Array.isArray(item)) {
+      item.forEach(visit);
+    } else if (item && typeof item === 'object') {
+      Object.values(item).forEach(visit);
+    }
+  };
+  visit(value);
+  return [...names].sort();
+};
+
+/**
+ * Replace `{{variable}}` placeholders in every nested string. A string that
+ * is nothing but one placeholder takes the value itself, so numbers and
+ * booleans keep their type; placeholders without a value are left as they are.
+ * @param {*} value - JSON value
+ * @param {Object} variables - Values by variable name
+ * @returns {*} Copy with placeholders replaced
+ */
+export const renderTemplate = (value, variables) => {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_PLACEHOLDER);
+    if (whole && variables[whole[1]] !== undefined) {
+      return variables[whole[1]];
+    }
+    return value.replace(PLACEHOLDER, (placeholder, name) =>
+      (variables[name] === undefined ? placeholder : String(variables[name])));
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => renderTemplate(item, variables));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderTemplate(item, variables)]));
+  }
+  return value;
+};
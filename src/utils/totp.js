@@ -0,0 +1,186 @@
+import crypto from 'crypto';
+
+/**
+ * Time-based one-time passwords (RFC 6238) and recovery codes.
+ *
+ * Secrets are exchanged in base32 (RFC 4648, no padding) as authenticator
+ * apps expect. Codes are HMAC-SHA1 truncations (RFC 4226) of the number of
+ * 30-second steps since the Unix epoch. Every function that depends on the
+ * clock takes the current time, so codes can be checked offline.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_DEFAULTS = {
+  stepSeconds: 30,
+  digits: 6,
+  // Steps accepted before and after the current one, for clock drift
+  window: 1,
+};
+
+/**
+ * Encode bytes in base32 without padding
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string}
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode a base32 string; spaces, padding and case are ignored
+ * @param {string} input - Base32 text
+ * @returns {Buffer}
+ * @throws {Error} When the text has characters outside the alphabet
+ */
+export const base32Decode = (input) => {
+  const clean = input.replace(/[\s=]/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character '${char}'`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random TOTP secret
+ * @returns {string} 160-bit secret in base32
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step a moment falls in
+ * @param {number} [now=Date.now()] - Time in milliseconds
+ * @param {number} [stepSeconds=30] - Step length
+ * @returns {number}
+ */
+export const getTimeStep = (now = Date.now(), stepSeconds = TOTP_DEFAULTS.stepSeconds) =>
+  Math.floor(now / 1000 / stepSeconds);
+
+/**
+ * Code of one time step (HOTP with the step as counter)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @param {number} [digits=6] - Code length
+ * @returns {string} Zero-padded code
+ */
+export const generateCodeForStep = (secret, step, digits = TOTP_DEFAULTS.digits) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Current code of a secret
+ * @param {string} secret - Base32 secret
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Time in milliseconds
+ * @param {number} [options.stepSeconds=30] - Step length
+ * @param {number} [options.digits=6] - Code length
+ * @returns {string}
+ */
+export const generateTotp = (secret, { now = Date.now(), stepSeconds, digits } = {}) => {
+  const options = { ...TOTP_DEFAULTS, ...(stepSeconds && { stepSeconds }), ...(digits && { digits }) };
+  return generateCodeForStep(secret, getTimeStep(now, options.stepSeconds), options.digits);
+};
+
+/**
+ * Check a code against a secret
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Time in milliseconds
+ * @param {number} [options.window=1] - Steps accepted on each side of the current one
+ * @param {number|null} [options.lastStep] - Last step already used; it and earlier steps are refused
+ * @returns {number|null} Step the code belongs to (store it as the new last step), null when refused
+ */
+export const verifyTotp = (secret, code, { now = Date.now(), window = TOTP_DEFAULTS.window, lastStep = null } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DEFAULTS.digits) {
+    return null;
+  }
+
+  const current = getTimeStep(now);
+  for (let step = current - window; step <= current + window; step++) {
+    if (lastStep !== null && lastStep !== undefined && step <= Number(lastStep)) continue;
+
+    const expected = generateCodeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Provisioning URI for authenticator apps, usually shown as a QR code
+ * @param {Object} data
+ * @param {string} data.secret - Base32 secret
+ * @param {string} data.accountName - Account label (the user's email)
+ * @param {string} [data.issuer] - Service name shown in the app
+ * @returns {string} `otpauth://totp/...` URI
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer = process.env.TWO_FACTOR_ISSUER || 'Api-BD' }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DEFAULTS.digits),
+    period: String(TOTP_DEFAULTS.stepSeconds),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Hash a recovery code the way it is stored; dashes, spaces and case are ignored
+ * @param {string} code - Recovery code
+ * @returns {string} Hex SHA-256 digest
+ */
+export const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+/**
+ * Generate one-time recovery codes
+ * @param {number} [count=10] - Number of codes
+ * @returns {{codes: string[], hashes: string[]}} Codes to show once and the hashes to store
+ */
+export const generateRecoveryCodes = (count = 10) => {
+  const codes = Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
@@ -0,0 +1,29 @@
+import { signScopedToken, verifyScopedToken } from './scopedToken.js';
+
+const TOKEN_AUDIENCE = 'two-factor-login';
+const TOKEN_EXPIRE = process.env.TWO_FACTOR_LOGIN_EXPIRE || '5m';
+
+const getSecret = () => process.env.JWT_SECRET;
+
+/**
+ * Sign the intermediate token of a login whose password was correct but
+ * still needs the second factor
+ * @param {User} user - User signing in
+ * @returns {string} Signed token
+ */
+export const signTwoFactorChallenge = (user) => {
+  return signScopedToken(
+    { ver: user.token_version || 0 },
+    { audience: TOKEN_AUDIENCE, subject: user.id, expiresIn: TOKEN_EXPIRE, secret: getSecret() }
+  );
+};
+
+/**
+ * Verify a login challenge token
+ * @param {string} token - Token to verify
+ * @returns {Object} Decoded token payload (`sub` is the user ID)
+ * @throws {Error} When the token is invalid or expired
+ */
+export const verifyTwoFactorChallenge = (token) => {
+  return verifyScopedToken(token, { audience: TOKEN_AUDIENCE, secret: getSecret() });
+};
@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+
+/**
+ * Webhook request signatures.
+ *
+ * Each delivery carries `X-Webhook-Timestamp` (Unix seconds) and
+ * `X-Webhook-Signature: sha256=<hex>`, the HMAC-SHA256 of
+ * `<timestamp>.<raw body>` keyed with the webhook secret. Receivers recompute
+ * it over the raw body and reject old timestamps to stop replays.
+ */
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Webhook secret
+ * @param {number|string} timestamp - Unix timestamp in seconds
+ * @param {string} body - Raw request body
+ * @returns {string} Signature header value (`sha256=<hex>`)
+ */
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Check a webhook signature
+ * @param {string} secret - Webhook secret
+ * @param {string} signature - Signature header value
+ * @param {number|string} timestamp - Timestamp header value
+ * @param {string} body - Raw request body
+ * @param {Object} [options]
+ * @param {number} [options.toleranceSeconds=300] - Maximum age of the timestamp
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {boolean}
+ */
+export const verifySignature = (secret, signature, timestamp, body, { toleranceSeconds = 300, now = Date.now() } = {}) => {
+  if (!signature || !timestamp || Math.abs(now / 1000 - Number(timestamp)) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Generate a webhook secret
+ * @returns {string} Secret
+ */
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(32).toString('base64url')}`;
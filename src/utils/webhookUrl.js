@@ -0,0 +1,133 @@
+import dns from 'dns';
+import net from 'net';
+
+/**
+ * Webhook target checks.
+ *
+ * Webhooks are called from the server, so their URL must not reach the
+ * server's own network: hosts resolving to loopback, private (RFC 1918),
+ * link-local (cloud metadata at 169.254.169.254), carrier-grade NAT,
+ * multicast or reserved addresses are rejected, both when a webhook is saved
+ * and when a delivery connects, since DNS answers change. WEBHOOK_ALLOWED_HOSTS
+ * lists the exceptions, comma separated: host names, addresses or CIDR
+ * ranges, e.g. `hooks.internal,10.20.0.0/16`.
+ */
+
+// One list per family: a BlockList matches IPv4 addresses against IPv4-mapped IPv6 ranges
+const BLOCKED = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([network, prefix]) => BLOCKED.ipv4.addSubnet(network, prefix, 'ipv4'));
+[
+  // Unspecified and loopback, IPv4-mapped and translated, unique local, link-local, multicast
+  ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => BLOCKED.ipv6.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * A webhook URL that reaches a private or reserved address
+ */
+export class WebhookUrlError extends Error {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookUrlError';
+    this.code = 'webhook_url_not_allowed';
+  }
+}
+
+/**
+ * Parse an allowlist of host names, addresses and CIDR ranges
+ * @param {string} [value] - Comma-separated entries
+ * @returns {{hosts: Set<string>, addresses: net.BlockList}}
+ */
+export const parseAllowedHosts = (value = '') => {
+  const hosts = new Set();
+  const addresses = new net.BlockList();
+
+  value.split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean).forEach(entry => {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    if (!net.isIP(address)) {
+      hosts.add(entry);
+    } else if (prefix !== undefined) {
+      addresses.addSubnet(address, parseInt(prefix, 10), type);
+    } else {
+      addresses.addAddress(address, type);
+    }
+  });
+
+  return { hosts, addresses };
+};
+
+const DEFAULT_ALLOWED_HOSTS = parseAllowedHosts(process.env.WEBHOOK_ALLOWED_HOSTS);
+
+/**
+ * Throw unless every address a host resolves to is public or allowed
+ * @private
+ */
+const assertPublicAddresses = (host, addresses, allowedHosts) => {
+  if (allowedHosts.hosts.has(host)) return;
+
+  for (const address of addresses) {
+    const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    if (BLOCKED[type].check(address, type) && !allowedHosts.addresses.check(address, type)) {
+      throw new WebhookUrlError(`Webhook URL host '${host}' resolves to a private or reserved address (${address})`);
+    }
+  }
+};
+
+/**
+ * Resolve a webhook URL's host and check every address it resolves to
+ * @param {string} url - Webhook URL
+ * @param {Object} [options]
+ * @param {{hosts: Set<string>, addresses: net.BlockList}} [options.allowedHosts] - Exceptions, from WEBHOOK_ALLOWED_HOSTS by default
+ * @returns {Promise<Array<string>>} Addresses the host resolves to
+ * @throws {WebhookUrlError} If the URL is not HTTP(S) or reaches a private or reserved address
+ * @throws {Error} If the host does not resolve
+ */
+export const assertPublicWebhookUrl = async (url, { allowedHosts = DEFAULT_ALLOWED_HOSTS } = {}) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new WebhookUrlError('Webhook URL is not a valid URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new WebhookUrlError('Webhook URL must use HTTP or HTTPS');
+  }
+
+  // IPv6 literals keep their brackets in URL.hostname
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.promises.lookup(host, { all: true, verbatim: true })).map(({ address }) => address);
+
+  assertPublicAddresses(host, addresses, allowedHosts);
+  return addresses;
+};
+
+/**
+ * A `lookup` for sockets to webhook hosts, with the same checks as
+ * assertPublicWebhookUrl. Connecting through it, rather than resolving the
+ * host again after the check, keeps a DNS answer that changes in between
+ * (DNS rebinding) from reaching a private address.
+ * @param {Object} [options]
+ * @param {{hosts: Set<string>, addresses: net.BlockList}} [options.allowedHosts] - Exceptions, from WEBHOOK_ALLOWED_HOSTS by default
+ * @returns {Function} Lookup with the signature of dns.lookup
+ */
+export const createPublicLookup = ({ allowedHosts = DEFAULT_ALLOWED_HOSTS } = {}) => (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, entries) => {
+    if (error) return callback(error);
+    try {
+      assertPublicAddresses(hostname.toLowerCase(), entries.map(({ address }) => address), allowedHosts);
+    } catch (rejected) {
+      return callback(rejected);
+    }
+    return options.all ? callback(null, entries) : callback(null, entries[0].address, entries[0].family);
+  });
+};
@@ -0,0 +1,90 @@
+import { jest } from '@jest/globals';
+import { ApiKey } from '../src/models/index.js';
+import { requirePermission, requireUserSession } from '../src/middleware/auth.js';
+import { mockResponse, projectId, userId } from './helpers.js';
+
+const apiKey = (fields = {}) => {
+  const { key_prefix, key_hash } = ApiKey.generate();
+  return ApiKey.fromJson({
+    id: '3e2d1c0b-9a8f-4e7d-8c6b-5a4f3e2d1c0b',
+    name: 'Nightly ETL',
+    key_prefix,
+    key_hash,
+    user_id: userId,
+    project_id: projectId,
+    permissions: ['query:execute'],
+    is_active: true,
+    ...fields,
+  });
+};
+
+describe('API keys', () => {
+  it('generates prefixed keys and stores only their hash', () => {
+    const { key, key_prefix, key_hash } = ApiKey.generate();
+
+    expect(key).toMatch(new RegExp(`^apibd_${key_prefix}_[A-Za-z0-9_-]{32}$`));
+    expect(key_hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(key_hash).not.toContain(key.split('_').pop());
+  });
+
+  it('verifies presented keys against the stored hash', () => {
+    const { key, key_prefix, key_hash } = ApiKey.generate();
+    const stored = apiKey({ key_prefix, key_hash });
+
+    expect(stored.verify(key)).toBe(true);
+    expect(stored.verify(`${key.slice(0, -1)}${key.at(-1) === 'x' ? 'y' : 'x'}`)).toBe(false);
+    expect(stored.toJSON()).not.toHaveProperty('key_hash');
+  });
+
+  it('ignores malformed keys without a lookup', async () => {
+    await expect(ApiKey.findByKey('not-a-key')).resolves.toBeNull();
+    await expect(ApiKey.findByKey(undefined)).resolves.toBeNull();
+  });
+
+  it('reports expired and revoked keys', () => {
+    expect(apiKey().status).toBe('active');
+    expect(apiKey({ expires_at: '2020-01-01T00:00:00.000Z' }).status).toBe('expired');
+    expect(apiKey({ is_active: false, revoked_at: '2026-10-19T12:00:00.000Z' }).status).toBe('revoked');
+  });
+
+  it('only accepts permissions project roles know about', () => {
+    expect(() => apiKey({ permissions: ['query:drop_everything'] })).toThrow(/permissions/);
+    expect(() => apiKey({ permissions: [] })).toThrow(/permissions/);
+  });
+});
+
+describe('API key authorization', () => {
+  const run = async (middleware, req) => {
+    const res = mockResponse();
+    const next = jest.fn();
+    await middleware({ params: {}, body: {}, query: {}, user: { id: 'u' }, ...req }, res, next);
+    return { res, next };
+  };
+
+  it('refuses keys of another project', async () => {
+    const { res, next } = await run(requirePermission('query:execute'), {
+      apiKey: apiKey(),
+      body: { project_id: '7a4f0d2c-1b3e-4c5d-8e9f-0a1b2c3d4e5f' },
+    });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('refuses keys without the route permission', async () => {
+    const { res, next } = await run(requirePermission('query:read'), { apiKey: apiKey() });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      error: "This API key does not have the 'query:read' permission",
+    }));
+  });
+
+  it('keeps keys away from session-only routes', async () => {
+    const { res, next } = await run(requireUserSession, { apiKey: apiKey() });
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+
+    expect((await run(requireUserSession, {})).next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,86 @@
+import { ConnectionManager } from '../src/services/ConnectionManager.js';
+
+const database = (id, overrides = {}) => ({
+  id,
+  project_id: 'project-1',
+  type: 'sqlite',
+  connection_config: { filename: ':memory:' },
+  metadata: {},
+  ...overrides,
+});
+
+describe('ConnectionManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new ConnectionManager({ maxConnections: 2, idleTtlMs: 60000, healthCheckIntervalMs: 0 });
+  });
+
+  afterEach(async () => {
+    await manager.closeAll();
+  });
+
+  it('reuses the pool of a database until its settings change', async () => {
+    const first = await manager.acquire(database('db-1'));
+    expect(await manager.acquire(database('db-1'))).toBe(first);
+
+    const replaced = await manager.acquire(database('db-1', { metadata: { pool: { max: 3 } } }));
+    expect(replaced).not.toBe(first);
+    expect(manager.entries.size).toBe(1);
+    await expect(first.raw('SELECT 1')).rejects.toThrow();
+  });
+
+  it('opens one pool for concurrent requests', async () => {
+    const [a, b] = await Promise.all([manager.acquire(database('db-1')), manager.acquire(database('db-1'))]);
+    expect(a).toBe(b);
+  });
+
+  it('closes the least recently used pool when full', async () => {
+    await manager.acquire(database('db-1'));
+    await manager.acquire(database('db-2'));
+    await manager.acquire(database('db-1'));
+    await manager.acquire(database('db-3'));
+
+    expect([...manager.entries.keys()]).toEqual(['db-1', 'db-3']);
+  });
+
+  it('invalidates pools on demand', async () => {
+    await manager.acquire(database('db-1'));
+
+    expect(await manager.invalidate('db-1')).toBe(true);
+    expect(await manager.invalidate('db-1')).toBe(false);
+    expect(manager.getStats('project-1')).toEqual([]);
+  });
+
+  it('closes idle pools and pools that fail their health check', async () => {
+    await manager.acquire(database('db-1'));
+    const broken = await manager.acquire(database('db-2'));
+    manager.entries.get('db-1').lastUsedAt -= 60000;
+    await broken.destroy();
+
+    expect(await manager.sweep()).toEqual({ closed: ['db-1'], failed: ['db-2'] });
+    expect(manager.entries.size).toBe(0);
+    expect(manager.getFailure('db-2')).toMatchObject({ error: expect.any(String) });
+  });
+
+  it('reports pool stats per project', async () => {
+    await manager.acquire(database('db-1'));
+    await manager.acquire(database('db-2', { project_id: 'project-2' }));
+
+    const stats = manager.getStats('project-1');
+    expect(stats).toHaveLength(1);
+    expect(stats[0]).toMatchObject({
+      database_id: 'db-1', type: 'sqlite', status: 'open', open: 1, in_use: 0, idle: 1, waiting: 0,
+    });
+
+    // Never the pools of other projects, nor of the whole process
+    expect(manager.getStats('project-1', ['db-2'])).toEqual([]);
+    expect(() => manager.getStats()).toThrow(/per project/);
+  });
+
+  it('takes the pool size from metadata within the configured limit', () => {
+    expect(manager.getPoolSize(database('db-1'))).toEqual({ min: 0, max: 7 });
+    expect(manager.getPoolSize(database('db-1', { metadata: { pool: { min: 2, max: 4 } } }))).toEqual({ min: 2, max: 4 });
+    expect(manager.getPoolSize(database('db-1', { metadata: { pool: { min: 50, max: 500 } } }))).toEqual({ min: 20, max: 20 });
+  });
+});
@@ -0,0 +1,174 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import knex from 'knex';
+import { getDialect, getDialectForConnection } from '../src/services/dialects/index.js';
+import QueryRunner from '../src/services/QueryRunner.js';
+import QueryExecutor from '../src/services/QueryExecutor.js';
+import { ProjectDatabase } from '../src/models/index.js';
+import { classifySql } from '../src/utils/sqlClassifier.js';
+
+const limits = { statementTimeoutMs: 5000, maxRows: 2, writeMode: false };
+
+describe('SQLite dialect', () => {
+  const sqlite = getDialect('sqlite');
+  const previousDataDir = process.env.SQLITE_DATA_DIR;
+  let dir;
+  let db;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-bd-sqlite-'));
+    process.env.SQLITE_DATA_DIR = dir;
+    db = knex(sqlite.buildConnectionConfig({ filename: 'project.db' }));
+
+    await db.raw('CREATE TABLE customers (id INTEGER PRIMARY KEY, name TEXT NOT NULL, email TEXT)');
+    await db.raw('CREATE TABLE orders (id INTEGER PRIMARY KEY, customer_id INTEGER REFERENCES customers(id), total REAL DEFAULT 0)');
+    await db.raw("INSERT INTO customers (name) VALUES ('Ada'), ('Grace'), ('Linus')");
+  });
+
+  afterAll(async () => {
+    await db.destroy();
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (previousDataDir === undefined) delete process.env.SQLITE_DATA_DIR;
+    else process.env.SQLITE_DATA_DIR = previousDataDir;
+  });
+
+  it('is resolved from the knex connection', () => {
+    expect(getDialectForConnection(db)).toBe(sqlite);
+  });
+
+  it('introspects tables, columns and foreign keys', async () => {
+    expect(await sqlite.listTables(db)).toEqual(['customers', 'orders']);
+
+    const columns = await sqlite.listColumns(db);
+    expect(columns.filter(c => c.table_name === 'customers')).toEqual([
+      expect.objectContaining({ column_name: 'id', data_type: 'INTEGER' }),
+      expect.objectContaining({ column_name: 'name', data_type: 'TEXT', is_nullable: false }),
+      expect.objectContaining({ column_name: 'email', is_nullable: true }),
+    ]);
+
+    expect(await sqlite.listRelations(db)).toEqual([{
+      table_name: 'orders',
+      column_name: 'customer_id',
+      foreign_table_name: 'customers',
+      foreign_column_name: 'id',
+    }]);
+  });
+
+  it('normalizes reads and writes to rows, rowCount and command', async () => {
+    const read = sqlite.normalizeResult(await db.raw('SELECT name FROM customers ORDER BY id'), { command: 'SELECT' });
+    expect(read).toEqual({ rows: [{ name: 'Ada' }, { name: 'Grace' }, { name: 'Linus' }], rowCount: 3, command: 'SELECT' });
+
+    const write = sqlite.normalizeResult(await db.raw('UPDATE customers SET email = NULL'), { command: 'UPDATE' });
+    expect(write).toEqual({ rows: [], rowCount: 3, command: 'UPDATE' });
+  });
+
+  it('caps rows in the read-only sandbox', async () => {
+    const result = await QueryRunner.runReadOnly(db, 'SELECT name FROM customers ORDER BY id', [], limits);
+    expect(result).toEqual({
+      rows: [{ name: 'Ada' }, { name: 'Grace' }],
+      rowCount: 2,
+      command: 'SELECT',
+      truncated: true,
+    });
+  });
+
+  it('rejects writes in the read-only sandbox and leaves the connection writable', async () => {
+    // Matched by message: the driver's native error class belongs to whichever test file loaded it first
+    await expect(QueryRunner.runReadOnly(db, "DELETE FROM customers WHERE name = 'Ada'", [], limits))
+      .rejects.toMatchObject({ message: expect.stringMatching(/readonly/i) });
+
+    const result = await QueryRunner.runWrite(db, "INSERT INTO orders (customer_id, total) VALUES (1, 9.5)", [], limits);
+    expect(result).toMatchObject({ rowCount: 1, command: 'INSERT' });
+  });
+
+  it('explains queries without a cost model', async () => {
+    const estimate = await QueryRunner.explain(db, 'SELECT * FROM orders WHERE customer_id = ?', [1], limits);
+    expect(estimate).toMatchObject({ total_cost: null, estimated_rows: null });
+    expect(estimate.node_type).toEqual(expect.any(String));
+  });
+
+  it('keeps database files inside SQLITE_DATA_DIR', () => {
+    expect(sqlite.buildConnectionConfig({ filename: 'project.db' }).connection.filename).toBe(path.join(dir, 'project.db'));
+    expect(() => sqlite.buildConnectionConfig({ filename: '../../etc/passwd' })).toThrow(/SQLITE_DATA_DIR/);
+    expect(() => sqlite.buildConnectionConfig({ filename: '/etc/passwd' })).toThrow(/SQLITE_DATA_DIR/);
+
+    delete process.env.SQLITE_DATA_DIR;
+    try {
+      expect(() => sqlite.buildConnectionConfig({ filename: path.join(dir, 'project.db') })).toThrow(/SQLITE_DATA_DIR is not set/);
+      expect(sqlite.buildConnectionConfig({ filename: ':memory:' }).connection.filename).toBe(':memory:');
+    } finally {
+      process.env.SQLITE_DATA_DIR = dir;
+    }
+  });
+
+  it('never creates files when testing a connection', async () => {
+    const missing = await ProjectDatabase.fromJson({
+      project_id: '0b7c0e1a-8f0e-4d47-9a4c-1c6f2d3e4a5b',
+      name: 'Missing',
+      type: 'sqlite',
+      connection_config: { filename: 'missing.db' },
+    }).testConnection();
+
+    expect(missing).toEqual({ success: false, message: 'SQLite database file does not exist' });
+    expect(fs.existsSync(path.join(dir, 'missing.db'))).toBe(false);
+  });
+
+  describe('refuses statements that reach other files, even for admins', () => {
+    const outside = path.join(os.tmpdir(), `api-bd-outside-${process.pid}.db`);
+    const refused = (query, message) => {
+      expect(() => QueryExecutor.check(sqlite, query, 'admin')).toThrow(expect.objectContaining({
+        message, status: 403, code: 'STATEMENT_NOT_SUPPORTED',
+      }));
+      expect(QueryRunner.inspect(query, sqlite)).toMatchObject({ classification: null, isRead: false });
+    };
+
+    it('ATTACH', () => {
+      refused(`ATTACH DATABASE '${outside}' AS outside`, 'ATTACH statements are not allowed on SQLite databases');
+      refused(`attach '${outside}' as outside`, 'ATTACH statements are not allowed on SQLite databases');
+    });
+
+    it('DETACH', () => {
+      refused('DETACH DATABASE outside', 'DETACH statements are not allowed on SQLite databases');
+    });
+
+    it('VACUUM INTO', () => {
+      refused(`VACUUM INTO '${outside}'`, 'VACUUM INTO is not allowed on SQLite databases');
+      refused(`VACUUM main INTO '${outside}'`, 'VACUUM INTO is not allowed on SQLite databases');
+      expect(QueryExecutor.check(sqlite, 'VACUUM', 'admin').policy.allowed).toBe(true);
+    });
+
+    it('load_extension()', () => {
+      refused("SELECT load_extension('/tmp/evil.so')", 'load_extension() is not allowed on SQLite databases');
+      expect(QueryExecutor.check(sqlite, "SELECT 'load_extension' AS name", 'viewer').policy.allowed).toBe(true);
+    });
+  });
+});
+
+describe('Dialect adapters', () => {
+  it('map connection configs to knex clients', () => {
+    const config = { host: 'db', database: 'app', username: 'u', password: 'p' };
+
+    expect(getDialect('postgresql').buildConnectionConfig(config)).toMatchObject({ client: 'pg', connection: { port: 5432, user: 'u' } });
+    expect(getDialect('mysql').buildConnectionConfig(config)).toMatchObject({ client: 'mysql2', connection: { port: 3306 } });
+    expect(getDialect('mssql').buildConnectionConfig(config)).toMatchObject({ client: 'mssql', connection: { server: 'db', port: 1433 } });
+    expect(() => getDialect('oracle')).toThrow(/Unsupported database type/);
+  });
+
+  it('quote identifiers per dialect', () => {
+    expect(getDialect('postgresql').quoteIdentifier('a"b')).toBe('"a""b"');
+    expect(getDialect('mysql').quoteIdentifier('a`b')).toBe('`a``b`');
+    expect(getDialect('mssql').quoteIdentifier('a]b')).toBe('[a]]b]');
+  });
+
+  it('normalize MySQL result sets and headers', () => {
+    const mysql = getDialect('mysql');
+    expect(mysql.normalizeResult([[{ id: 1 }], []], { command: 'SELECT' })).toEqual({ rows: [{ id: 1 }], rowCount: 1, command: 'SELECT' });
+    expect(mysql.normalizeResult([{ affectedRows: 4 }, undefined], { command: 'DELETE' })).toEqual({ rows: [], rowCount: 4, command: 'DELETE' });
+  });
+
+  it('tokenize with dialect-specific comment and quoting rules', () => {
+    expect(classifySql('SELECT 1 # ; DROP TABLE t', getDialect('mysql').classifierOptions).class).toBe('read');
+    expect(classifySql('SELECT [a;b]] DROP] FROM t', getDialect('mssql').classifierOptions).class).toBe('read');
+  });
+});
@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import {
+  encryptSecret,
+  decryptSecret,
+  isEncrypted,
+  needsReencryption,
+  REDACTED,
+} from '../src/utils/encryption.js';
+import { ProjectDatabase } from '../src/models/index.js';
+
+const newKey = () => crypto.randomBytes(32).toString('base64');
+const oldKey = newKey();
+const currentKey = newKey();
+
+describe('Secret envelope encryption', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.ENCRYPTION_KEYS = `old:${oldKey},current:${currentKey}`;
+    process.env.ENCRYPTION_ACTIVE_KEY_ID = 'current';
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  it('round-trips values and records the key ID', () => {
+    const envelope = encryptSecret('s3cret', { context: 'password' });
+
+    expect(isEncrypted(envelope)).toBe(true);
+    expect(envelope.kid).toBe('current');
+    expect(JSON.stringify(envelope)).not.toContain('s3cret');
+    expect(decryptSecret(envelope, { context: 'password' })).toBe('s3cret');
+  });
+
+  it('uses a fresh data key for every value', () => {
+    expect(encryptSecret('same').dek).not.toBe(encryptSecret('same').dek);
+  });
+
+  it('rejects tampered envelopes and mismatched contexts', () => {
+    const envelope = encryptSecret('s3cret', { context: 'password' });
+    const data = Buffer.from(envelope.data, 'base64');
+    data[data.length - 1] ^= 1;
+
+    expect(() => decryptSecret({ ...envelope, data: data.toString('base64') }, { context: 'password' })).toThrow();
+    expect(() => decryptSecret(envelope, { context: 'username' })).toThrow();
+  });
+
+  it('keeps decrypting with retired keys until values are re-encrypted', () => {
+    process.env.ENCRYPTION_ACTIVE_KEY_ID = 'old';
+    const envelope = encryptSecret('legacy');
+
+    process.env.ENCRYPTION_ACTIVE_KEY_ID = 'current';
+    expect(needsReencryption(envelope)).toBe(true);
+    expect(needsReencryption('plaintext')).toBe(true);
+    expect(needsReencryption(encryptSecret('fresh'))).toBe(false);
+    expect(decryptSecret(envelope)).toBe('legacy');
+
+    process.env.ENCRYPTION_KEYS = `current:${currentKey}`;
+    expect(() => decryptSecret(envelope)).toThrow(/Unknown encryption key 'old'/);
+  });
+
+  it('refuses to encrypt without a configured key', () => {
+    process.env.ENCRYPTION_KEYS = '';
+    delete process.env.ENCRYPTION_ACTIVE_KEY_ID;
+    expect(() => encryptSecret('x')).toThrow(/No active encryption key/);
+  });
+});
+
+describe('ProjectDatabase secrets', () => {
+  const env = { ...process.env };
+  const row = {
+    id: '6f1c1f3e-3b0c-4c55-9f7f-3f1f2b1c0a01',
+    project_id: '0b7c0e1a-8f0e-4d47-9a4c-1c6f2d3e4a5b',
+    name: 'Production',
+    type: 'postgresql',
+    connection_config: { host: 'db', database: 'app', username: 'app', password: 's3cret' },
+  };
+
+  beforeEach(() => {
+    process.env.ENCRYPTION_KEYS = `current:${currentKey}`;
+    process.env.ENCRYPTION_ACTIVE_KEY_ID = 'current';
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  it('encrypts secrets on write and decrypts them on read', () => {
+    const stored = ProjectDatabase.fromJson(row).$toDatabaseJson();
+    const storedConfig = typeof stored.connection_config === 'string'
+      ? JSON.parse(stored.connection_config)
+      : stored.connection_config;
+
+    expect(storedConfig.host).toBe('db');
+    expect(isEncrypted(storedConfig.password)).toBe(true);
+
+    const loaded = ProjectDatabase.fromDatabaseJson({ ...stored, connection_config: storedConfig });
+    expect(loaded.connection_config.password).toBe('s3cret');
+  });
+
+  it('redacts secrets when serialized', () => {
+    const json = ProjectDatabase.fromJson(row).toJSON();
+    expect(json.connection_config).toEqual({ ...row.connection_config, password: REDACTED, ssl: false });
+  });
+
+  it('keeps the stored secret when an update sends it back redacted', () => {
+    const current = row.connection_config;
+
+    expect(ProjectDatabase.mergeConnectionConfig(current, { host: 'db2', password: REDACTED }))
+      .toEqual({ ...current, host: 'db2' });
+    expect(ProjectDatabase.mergeConnectionConfig(current, { password: 'rotated' }).password).toBe('rotated');
+  });
+});
@@ -0,0 +1,33 @@
+import { jest } from '@jest/globals';
+import { ProjectMember } from '../src/models/index.js';
+
+/**
+ * Fixtures shared by the unit tests.
+ */
+
+export const projectId = '0b7c0e1a-8f0e-4d47-9a4c-1c6f2d3e4a5b';
+export const userId = '6f1c1f3e-3b0c-4c55-9f7f-3f1f2b1c0a01';
+
+/**
+ * Express response whose `status` and `json` are chainable mocks
+ * @returns {{status: Function, json: Function}}
+ */
+export const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+/**
+ * Active viewer membership of `userId` in `projectId`
+ * @param {Object} [fields] - Fields to override
+ * @returns {ProjectMember}
+ */
+export const member = (fields = {}) => ProjectMember.fromJson({
+  project_id: projectId,
+  user_id: userId,
+  role: 'viewer',
+  is_active: true,
+  ...fields,
+});
@@ -0,0 +1,126 @@
+import net from 'net';
+import { ProjectInvitation } from '../src/models/index.js';
+import { hashInvitationToken, signInvitationToken, verifyInvitationToken } from '../src/utils/invitationToken.js';
+import { signQueryConfirmation } from '../src/utils/queryToken.js';
+import { projectId } from './helpers.js';
+
+const invitationId = '3e2d1c0b-9a8f-4e7d-8c6b-5a4f3e2d1c0b';
+
+const invitation = (fields = {}) => ProjectInvitation.fromJson({
+  project_id: projectId,
+  email: 'ana@example.com',
+  role: 'editor',
+  token_hash: hashInvitationToken('token'),
+  expires_at: new Date(Date.now() + 60000).toISOString(),
+  ...fields,
+});
+
+// Accepts every message and keeps its raw DATA
+const startSmtpStub = () => new Promise(resolve => {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let data = null;
+    socket.write('220 localhost ESMTP stub\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (data) {
+          if (line === '.') {
+            messages.push(data.join('\n'));
+            data = null;
+            socket.write('250 OK\r\n');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'DATA') {
+          data = [];
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write(`250 ${command === 'EHLO' ? 'localhost' : 'OK'}\r\n`);
+        }
+      }
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve({ server, messages }));
+});
+
+const decodeQuotedPrintable = text => text
+  .replace(/=\n/g, '')
+  .replace(/=([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+describe('Invitation tokens', () => {
+  it('are bound to their invitation and expire with it', () => {
+    const { token, tokenHash, expiresAt } = signInvitationToken({ invitationId, projectId, email: 'ana@example.com' });
+    const decoded = verifyInvitationToken(token);
+
+    expect(decoded).toMatchObject({ sub: invitationId, project_id: projectId, email: 'ana@example.com' });
+    expect(expiresAt).toBe(new Date(decoded.exp * 1000).toISOString());
+    expect(tokenHash).toBe(hashInvitationToken(token));
+  });
+
+  it('are not interchangeable with other signed tokens', () => {
+    const confirmation = signQueryConfirmation({ query: 'SELECT 1', projectId, databaseId: projectId, userId: invitationId });
+    expect(() => verifyInvitationToken(confirmation)).toThrow(/audience/);
+  });
+});
+
+describe('ProjectInvitation', () => {
+  it('normalizes addresses and hides the token hash', () => {
+    const record = invitation({ email: ' Ana@Example.com ' });
+
+    expect(record.email).toBe('ana@example.com');
+    expect(record.toJSON()).not.toHaveProperty('token_hash');
+    expect(record.toJSON()).toHaveProperty('is_expired', false);
+  });
+
+  it('can only be answered while pending and unexpired', () => {
+    expect(invitation().isOpen()).toBe(true);
+    expect(invitation({ status: 'revoked' }).isOpen()).toBe(false);
+    expect(invitation({ expires_at: '2020-01-01T00:00:00.000Z' }).isOpen()).toBe(false);
+  });
+
+  it('requires the permissions of custom roles', () => {
+    expect(() => invitation({ role: 'custom' })).toThrow(/at least one permission/);
+    expect(() => invitation({ role: 'custom', permissions: ['query:read'] })).not.toThrow();
+  });
+});
+
+describe('Invitation emails', () => {
+  let smtp;
+  let sendProjectInvitation;
+
+  beforeAll(async () => {
+    smtp = await startSmtpStub();
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(smtp.server.address().port);
+    ({ sendProjectInvitation } = await import('../src/utils/email.js'));
+  });
+
+  afterAll(() => new Promise(resolve => smtp.server.close(resolve)));
+
+  it('carry the accept link and the expiry', async () => {
+    const { token, expiresAt } = signInvitationToken({ invitationId, projectId, email: 'ana@example.com' });
+    const acceptUrl = `http://localhost:3000/invitations/accept?token=${token}`;
+
+    const result = await sendProjectInvitation('ana@example.com', 'Luis Rojas', 'Sales', 'viewer', acceptUrl, expiresAt);
+    expect(result.success).toBe(true);
+
+    const message = decodeQuotedPrintable(smtp.messages.pop());
+    expect(message).toContain('To: ana@example.com');
+    // Handlebars escapes '=' in the link as an HTML entity
+    expect(message).toContain(acceptUrl.replace(/=/g, '&#x3D;'));
+    expect(message).toContain('As a viewer');
+    expect(message).toContain('This invitation expires on');
+  });
+});
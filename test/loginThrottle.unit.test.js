@@ -0,0 +1,81 @@
+import { LoginThrottle } from '../src/services/LoginThrottle.js';
+
+const ip = '203.0.113.7';
+
+describe('LoginThrottle', () => {
+  const throttle = (options = {}) => new LoginThrottle({
+    maxFailures: 5,
+    delayAfterFailures: 2,
+    maxDelaySeconds: 4,
+    ipMaxFailures: 8,
+    resetMaxRequests: 2,
+    resetIpMaxRequests: 4,
+    ...options,
+  });
+
+  it('keys accounts by user so every identifier shares the counter', () => {
+    const service = throttle();
+
+    expect(service.accountKey('ana@example.com', { id: 'u1' })).toBe('user:u1');
+    expect(service.accountKey(' Nobody@Example.com ', null)).toBe('identifier:nobody@example.com');
+  });
+
+  it('doubles the delay after a few failures, up to the maximum', () => {
+    const service = throttle();
+
+    expect([1, 2, 3, 4, 5].map(n => service.getDelaySeconds(n))).toEqual([0, 1, 2, 4, 4]);
+  });
+
+  it('delays, then locks the account and reports the lockout once', async () => {
+    const service = throttle({ delayAfterFailures: 10 });
+    const results = [];
+    for (let i = 0; i < 6; i++) {
+      results.push(await service.registerFailure('user:u1', ip));
+    }
+
+    expect(results.map(r => r.accountLocked)).toEqual([false, false, false, false, false, true]);
+    expect(results[5].lockedUntil).toEqual(expect.any(String));
+    expect(await service.check('user:u1', ip)).toMatchObject({ allowed: false, reason: 'account_locked' });
+    expect(await service.check('user:u2', ip)).toEqual({ allowed: true });
+  });
+
+  it('makes the account wait after repeated failures and clears on success', async () => {
+    const service = throttle();
+    await service.registerFailure('user:u1', ip);
+    expect(await service.check('user:u1', ip)).toEqual({ allowed: true });
+
+    await service.registerFailure('user:u1', ip);
+    const delayed = await service.check('user:u1', ip);
+    expect(delayed).toMatchObject({ allowed: false, reason: 'login_delayed' });
+    expect(delayed.retryAfterMs).toBeLessThanOrEqual(1000);
+
+    await service.registerSuccess('user:u1');
+    expect(await service.check('user:u1', ip)).toEqual({ allowed: true });
+    expect(await service.accountFailures.get('user:u1')).toBeNull();
+  });
+
+  it('blocks an address failing across accounts', async () => {
+    const service = throttle({ delayAfterFailures: 10 });
+    let result;
+    for (let i = 0; i < 9; i++) {
+      result = await service.registerFailure(`identifier:user${i}@example.com`, ip);
+    }
+
+    expect(result.ipBlocked).toBe(true);
+    expect(await service.check('user:u1', ip)).toMatchObject({ allowed: false, reason: 'ip_blocked' });
+    expect(await service.check('user:u1', '198.51.100.1')).toEqual({ allowed: true });
+  });
+
+  it('throttles password reset emails per account and requests per address', async () => {
+    const service = throttle();
+
+    expect(await service.consumePasswordReset('user:u1', ip)).toEqual({ allowed: true });
+    expect(await service.consumePasswordReset('user:u1', ip)).toEqual({ allowed: true });
+    expect(await service.consumePasswordReset('user:u1', ip))
+      .toMatchObject({ allowed: false, reason: 'account_throttled', throttledNow: true });
+    expect(await service.consumePasswordReset('user:u1', ip))
+      .toMatchObject({ allowed: false, reason: 'account_throttled', throttledNow: false });
+    expect(await service.consumePasswordReset('user:u2', ip))
+      .toMatchObject({ allowed: false, reason: 'ip_blocked' });
+  });
+});
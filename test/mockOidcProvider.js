@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import http from 'http';
+import jwt from 'jsonwebtoken';
+
+/**
+ * Minimal OpenID Connect provider for tests, listening on a free local port.
+ * Its authorization endpoint signs in `claims` right away and redirects with
+ * a code; the token endpoint checks the client, the redirect URI and the
+ * PKCE verifier before returning an id token.
+ * @param {Object} options
+ * @param {string} options.clientId - Registered client
+ * @param {string} [options.clientSecret] - Client secret (client_secret_basic)
+ * @param {Object} [options.claims] - Claims of the signed-in account; change them between tests
+ * @returns {Promise<Object>} `issuer`, `claims`, `signIdToken(claims, options)` and `close()`
+ */
+export async function startMockOidcProvider({ clientId, clientSecret = null, claims = {} }) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+  const provider = { claims, issuer: null };
+
+  const signIdToken = (payload, options = {}) => jwt.sign(payload, privateKey, {
+    algorithm: 'RS256',
+    keyid: kid,
+    issuer: provider.issuer,
+    audience: clientId,
+    expiresIn: '5m',
+    ...options,
+  });
+
+  const readBody = (req) => new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, provider.issuer);
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return send(200, {
+        issuer: provider.issuer,
+        authorization_endpoint: `${provider.issuer}/authorize`,
+        token_endpoint: `${provider.issuer}/token`,
+        jwks_uri: `${provider.issuer}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+      });
+    }
+
+    if (url.pathname === '/jwks') {
+      return send(200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+    }
+
+    if (url.pathname === '/authorize') {
+      const params = Object.fromEntries(url.searchParams);
+      if (params.client_id !== clientId || params.response_type !== 'code' || params.code_challenge_method !== 'S256') {
+        return send(400, { error: 'invalid_request' });
+      }
+
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, params);
+
+      const redirect = new URL(params.redirect_uri);
+      redirect.searchParams.set('code', code);
+      redirect.searchParams.set('state', params.state);
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    }
+
+    if (url.pathname === '/token' && req.method === 'POST') {
+      const form = new URLSearchParams(await readBody(req));
+
+      if (clientSecret) {
+        const expected = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+        if (req.headers.authorization !== expected) {
+          return send(401, { error: 'invalid_client' });
+        }
+      }
+
+      // Codes work once
+      const params = codes.get(form.get('code'));
+      codes.delete(form.get('code'));
+
+      const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+      if (!params || form.get('redirect_uri') !== params.redirect_uri || challenge !== params.code_challenge) {
+        return send(400, { error: 'invalid_grant' });
+      }
+
+      return send(200, {
+        access_token: crypto.randomBytes(16).toString('hex'),
+        token_type: 'Bearer',
+        expires_in: 300,
+        id_token: signIdToken({ nonce: params.nonce, ...provider.claims }),
+      });
+    }
+
+    send(404, { error: 'not_found' });
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(() => {
+      res.writeHead(500);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  provider.issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    get issuer() {
+      return provider.issuer;
+    },
+    get claims() {
+      return provider.claims;
+    },
+    set claims(value) {
+      provider.claims = value;
+    },
+    signIdToken,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
@@ -0,0 +1,224 @@
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import { OidcLoginRequest, Project, User, UserIdentity } from '../src/models/index.js';
+import { OidcService, hashState, loadProviders, pkceChallenge } from '../src/services/OidcService.js';
+import { startMockOidcProvider } from './mockOidcProvider.js';
+import { userId } from './helpers.js';
+
+const clientId = 'api-bd';
+const clientSecret = 'mock-secret';
+const redirectUri = 'http://localhost:3000/auth/oidc/mock/callback';
+
+describe('OIDC single sign-on', () => {
+  let provider;
+  let service;
+  // Login requests the service stored, by state hash
+  let requests;
+
+  beforeAll(async () => {
+    provider = await startMockOidcProvider({ clientId, clientSecret });
+  });
+
+  afterAll(() => provider.close());
+
+  beforeEach(() => {
+    provider.claims = { sub: 'idp-user-1', email: 'Ana@Example.com', email_verified: true };
+    service = new OidcService({
+      providers: loadProviders({
+        OIDC_PROVIDERS: 'mock',
+        OIDC_MOCK_ISSUER: provider.issuer,
+        OIDC_MOCK_CLIENT_ID: clientId,
+        OIDC_MOCK_CLIENT_SECRET: clientSecret,
+        OIDC_MOCK_REDIRECT_URI: redirectUri,
+      }),
+    });
+
+    requests = new Map();
+    jest.spyOn(OidcLoginRequest, 'deleteExpired').mockResolvedValue(0);
+    jest.spyOn(OidcLoginRequest, 'query').mockImplementation(() => {
+      let found;
+      const builder = {
+        insert: async (row) => {
+          const request = OidcLoginRequest.fromJson({ id: crypto.randomUUID(), ...row });
+          requests.set(row.state_hash, request);
+          return request;
+        },
+        findOne: async ({ state_hash: stateHash }) => requests.get(stateHash),
+        findById: (id) => {
+          found = [...requests.values()].find(request => request.id === id);
+          return builder;
+        },
+        whereNull: () => builder,
+        patch: async (values) => {
+          if (!found || found.used_at) return 0;
+          Object.assign(found, values);
+          return 1;
+        },
+      };
+      return builder;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  // What the provider redirects the browser back with
+  const authorize = async () => {
+    const { authorizationUrl } = await service.createAuthorization('mock');
+    const response = await fetch(authorizationUrl, { redirect: 'manual' });
+    const location = new URL(response.headers.get('location'));
+    return { authorizationUrl: new URL(authorizationUrl), location };
+  };
+
+  it('reads providers from the environment', () => {
+    const providers = loadProviders({
+      APP_URL: 'https://app.example.com',
+      OIDC_PROVIDERS: 'corp, Google',
+      OIDC_CORP_ISSUER: 'https://login.example.com/',
+      OIDC_CORP_CLIENT_ID: 'corp-client',
+      OIDC_CORP_NAME: 'Example Corp',
+      OIDC_GOOGLE_ISSUER: 'https://accounts.google.com',
+      OIDC_GOOGLE_CLIENT_ID: 'google-client',
+    });
+
+    expect(providers.corp).toMatchObject({
+      name: 'Example Corp',
+      issuer: 'https://login.example.com',
+      clientSecret: null,
+      scopes: 'openid email profile',
+      redirectUri: 'https://app.example.com/auth/oidc/corp/callback',
+    });
+    expect(providers.google.name).toBe('google');
+    expect(() => loadProviders({ OIDC_PROVIDERS: 'corp' })).toThrow(/OIDC_CORP_ISSUER/);
+    expect(new OidcService({ providers }).listProviders()).toEqual([
+      { key: 'corp', name: 'Example Corp' },
+      { key: 'google', name: 'google' },
+    ]);
+  });
+
+  it('signs in with the authorization code flow and PKCE', async () => {
+    const { authorizationUrl, location } = await authorize();
+    const params = authorizationUrl.searchParams;
+    const state = location.searchParams.get('state');
+    const request = requests.get(hashState(state));
+
+    expect(location.origin + location.pathname).toBe(redirectUri);
+    expect(params.get('code_challenge')).toBe(pkceChallenge(request.code_verifier));
+    expect(params.get('nonce')).toBe(request.nonce);
+    expect(params.get('scope')).toBe('openid email profile');
+
+    const claims = await service.completeAuthorization('mock', { code: location.searchParams.get('code'), state });
+    expect(claims).toMatchObject({ sub: 'idp-user-1', email: 'Ana@Example.com', aud: clientId });
+    expect(request.used_at).toEqual(expect.any(String));
+
+    // The state works once
+    await expect(service.completeAuthorization('mock', { code: 'again', state }))
+      .rejects.toMatchObject({ code: 'invalid_state' });
+  });
+
+  it('refuses codes issued for another login request', async () => {
+    const first = await authorize();
+    const second = await authorize();
+
+    // The code of the second request does not match the verifier of the first
+    await expect(service.completeAuthorization('mock', {
+      code: second.location.searchParams.get('code'),
+      state: first.location.searchParams.get('state'),
+    })).rejects.toMatchObject({ code: 'invalid_grant', status: 401 });
+
+    await expect(service.completeAuthorization('other', { code: 'x', state: 'y' }))
+      .rejects.toMatchObject({ code: 'unknown_provider', status: 404 });
+    await expect(service.completeAuthorization('mock', { code: 'x', state: 'unknown' }))
+      .rejects.toMatchObject({ code: 'invalid_state' });
+  });
+
+  it('checks the nonce, audience and signature of id tokens', async () => {
+    const config = service.getProvider('mock');
+    const metadata = await service.discover(config);
+    const claims = { sub: 'idp-user-1', nonce: 'n-1' };
+
+    await expect(service.verifyIdToken(config, metadata, provider.signIdToken(claims), 'n-1'))
+      .resolves.toMatchObject({ sub: 'idp-user-1' });
+    await expect(service.verifyIdToken(config, metadata, provider.signIdToken(claims), 'n-2'))
+      .rejects.toMatchObject({ code: 'invalid_token' });
+    await expect(service.verifyIdToken(config, metadata, provider.signIdToken(claims, { audience: 'other' }), 'n-1'))
+      .rejects.toMatchObject({ code: 'invalid_token' });
+
+    const [header, payload] = provider.signIdToken(claims).split('.');
+    await expect(service.verifyIdToken(config, metadata, `${header}.${payload}.c2lnbmF0dXJl`, 'n-1'))
+      .rejects.toMatchObject({ code: 'invalid_token' });
+  });
+
+  describe('resolveUser', () => {
+    let identities;
+
+    // Stands in for the transaction, the identities and the users table
+    const fakeTables = ({ user = null, identity = null } = {}) => {
+      identities = [];
+      jest.spyOn(UserIdentity, 'transaction').mockImplementation(callback => callback({}));
+      jest.spyOn(UserIdentity, 'query').mockReturnValue({
+        findOne: async (where) => (where.subject ? identity : null),
+        insert: async (row) => identities.push(row),
+      });
+      jest.spyOn(User, 'query').mockReturnValue({
+        findById: async () => user,
+        whereRaw: () => ({ first: async () => user }),
+      });
+      return jest.spyOn(User, 'createForSingleSignOn')
+        .mockImplementation(async ({ email }) => User.fromDatabaseJson({ id: userId, email }));
+    };
+
+    it('links the provider account to the user with the same verified email', async () => {
+      fakeTables({ user: User.fromDatabaseJson({ id: userId, email: 'ana@example.com', email_verified: true }) });
+
+      const result = await service.resolveUser('mock', provider.claims);
+
+      expect(result).toMatchObject({ created: false, linked: true });
+      expect(identities).toEqual([expect.objectContaining({
+        user_id: userId, provider: 'mock', subject: 'idp-user-1', email: 'ana@example.com',
+      })]);
+    });
+
+    it('creates a user for a new verified email', async () => {
+      const create = fakeTables();
+
+      const result = await service.resolveUser('mock', { ...provider.claims, given_name: 'Ana' });
+
+      expect(result).toMatchObject({ created: true, linked: false });
+      expect(create).toHaveBeenCalledWith({ email: 'ana@example.com', firstName: 'Ana', lastName: undefined }, {});
+    });
+
+    it('refuses unverified emails on either side', async () => {
+      fakeTables();
+      await expect(service.resolveUser('mock', { ...provider.claims, email_verified: false }))
+        .rejects.toMatchObject({ code: 'email_not_verified', status: 403 });
+
+      fakeTables({ user: User.fromDatabaseJson({ id: userId, email: 'ana@example.com', email_verified: false }) });
+      await expect(service.resolveUser('mock', provider.claims))
+        .rejects.toMatchObject({ code: 'account_not_linkable', status: 409 });
+      expect(identities).toEqual([]);
+    });
+
+    it('signs in the linked user even when the email changed at the provider', async () => {
+      const identity = UserIdentity.fromDatabaseJson({ id: 'identity-1', user_id: userId, provider: 'mock', subject: 'idp-user-1' });
+      const patch = jest.fn(async () => 1);
+      jest.spyOn(identity, '$query').mockReturnValue({ patch });
+      fakeTables({ identity, user: User.fromDatabaseJson({ id: userId, email: 'ana@example.com' }) });
+
+      const result = await service.resolveUser('mock', { sub: 'idp-user-1', email: 'ana@new.example.com' });
+
+      expect(result).toMatchObject({ created: false, linked: false, user: { id: userId } });
+      expect(patch).toHaveBeenCalledWith(expect.objectContaining({ email: 'ana@new.example.com' }));
+    });
+  });
+});
+
+describe('Project email domains', () => {
+  it('accepts every address until domains are set, then only those domains', () => {
+    expect(Project.fromDatabaseJson({ allowed_email_domains: [] }).allowsEmail('ana@gmail.com')).toBe(true);
+
+    const project = Project.fromDatabaseJson({ allowed_email_domains: ['example.com'] });
+    expect(project.allowsEmail('Ana@Example.COM')).toBe(true);
+    expect(project.allowsEmail('ana@mail.example.com')).toBe(false);
+    expect(project.allowsEmail('ana@example.com.evil.io')).toBe(false);
+  });
+});
@@ -0,0 +1,34 @@
+import { ProjectDatabase } from '../src/models/index.js';
+
+const record = (type, connection_config) => ProjectDatabase.fromJson({
+  project_id: '0b7c0e1a-8f0e-4d47-9a4c-1c6f2d3e4a5b',
+  name: 'Connection test',
+  type,
+  connection_config,
+});
+
+describe('ProjectDatabase connection checks', () => {
+  it('reports latency and server version', async () => {
+    const result = await record('sqlite', { filename: ':memory:' }).testConnection();
+
+    expect(result).toEqual({
+      success: true,
+      message: 'Connection successful',
+      latency_ms: expect.any(Number),
+      server_version: expect.stringMatching(/^3\./),
+    });
+  });
+
+  it('reports connection failures without throwing', async () => {
+    const result = await record('postgresql', {
+      host: '127.0.0.1', port: 1, database: 'app', username: 'app', password: 'secret',
+    }).testConnection();
+
+    expect(result).toEqual({ success: false, message: expect.any(String) });
+  });
+
+  it('validates ad-hoc configs per database type', () => {
+    expect(() => record('postgresql', { host: 'db' })).toThrow(/password/);
+    expect(() => record('sqlite', { filename: 'app.db' })).not.toThrow();
+  });
+});
@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+import { ApiKey, Project, ProjectMember } from '../src/models/index.js';
+import { requirePermission } from '../src/middleware/auth.js';
+import { member, mockResponse, projectId, userId } from './helpers.js';
+
+describe('ProjectMember permissions', () => {
+  it('gives admins every permission and other roles their current definition', () => {
+    expect(member({ role: 'admin' }).getEffectivePermissions()).toEqual(ProjectMember.getAllPermissions());
+
+    // Permissions stored on built-in roles are ignored
+    const editor = member({ role: 'editor', permissions: ['member:add'] });
+    expect(editor.hasPermission('query:update')).toBe(true);
+    expect(editor.hasPermission('member:add')).toBe(false);
+    expect(editor.hasPermission('version:create')).toBe(true);
+    expect(editor.hasPermission('version:restore')).toBe(false);
+  });
+
+  it('limits custom roles to the permissions listed on the membership', () => {
+    const custom = member({ role: 'custom', permissions: ['schedule:read', 'query:execute'] });
+
+    expect(custom.getEffectivePermissions()).toEqual(['query:execute', 'schedule:read']);
+    expect(custom.hasPermission('query:read')).toBe(false);
+    expect(custom.hasAnyPermission(['query:read', 'schedule:read'])).toBe(true);
+  });
+
+  it('rejects custom roles without permissions and unknown permissions', () => {
+    expect(() => member({ role: 'custom' })).toThrow(/at least one permission/);
+    expect(() => member({ role: 'custom', permissions: ['query:drop_everything'] })).toThrow(/permissions/);
+  });
+});
+
+describe('requirePermission', () => {
+  const run = async (middleware, req) => {
+    const res = mockResponse();
+    const next = jest.fn();
+    await middleware({ params: { id: projectId }, body: {}, query: {}, user: { id: userId }, ...req }, res, next);
+    return { res, next };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Project, 'requiresTwoFactor').mockResolvedValue(false);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets custom roles through on the permissions they hold', async () => {
+    const custom = member({ role: 'custom', permissions: ['query:execute'] });
+    jest.spyOn(ProjectMember, 'getByProjectAndUser').mockResolvedValue(custom);
+
+    const allowed = await run(requirePermission('query:execute'), {});
+    expect(allowed.next).toHaveBeenCalled();
+
+    const denied = await run(requirePermission('query:read'), {});
+    expect(denied.next).not.toHaveBeenCalled();
+    expect(denied.res.json).toHaveBeenCalledWith(expect.objectContaining({
+      error: 'Insufficient permissions. Required permission: query:read',
+    }));
+  });
+
+  it('attaches the membership to the request', async () => {
+    const editor = member({ role: 'editor' });
+    jest.spyOn(ProjectMember, 'getByProjectAndUser').mockResolvedValue(editor);
+    const req = { params: { id: projectId }, body: {}, query: {}, user: { id: userId } };
+
+    await requirePermission('database:test')(req, mockResponse(), jest.fn());
+
+    expect(req).toMatchObject({ projectId, projectRole: 'editor', projectMember: editor });
+  });
+
+  it('refuses inactive members and API keys their owner could not use', async () => {
+    jest.spyOn(ProjectMember, 'getByProjectAndUser').mockResolvedValue(member({ is_active: false }));
+    const inactive = await run(requirePermission(), {});
+    expect(inactive.res.status).toHaveBeenCalledWith(403);
+
+    const { key_prefix, key_hash } = ApiKey.generate();
+    const apiKey = ApiKey.fromJson({
+      name: 'Nightly ETL',
+      key_prefix,
+      key_hash,
+      user_id: userId,
+      project_id: projectId,
+      permissions: ['query:update'],
+    });
+    jest.spyOn(ProjectMember, 'getByProjectAndUser').mockResolvedValue(member());
+
+    const { res, next } = await run(requirePermission('query:update'), { apiKey });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      error: "The owner of this API key no longer has the 'query:update' permission",
+    }));
+  });
+
+  it('refuses members without two-factor authentication where the project requires it', async () => {
+    jest.spyOn(ProjectMember, 'getByProjectAndUser').mockResolvedValue(member({ role: 'admin' }));
+    Project.requiresTwoFactor.mockResolvedValue(true);
+
+    const refused = await run(requirePermission('query:read'), {});
+    expect(refused.next).not.toHaveBeenCalled();
+    expect(refused.res.status).toHaveBeenCalledWith(403);
+    expect(refused.res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'two_factor_required' }));
+
+    const allowed = await run(requirePermission('query:read'), { user: { id: userId, two_factor_enabled: true } });
+    expect(allowed.next).toHaveBeenCalled();
+  });
+});
@@ -74,9 +74,9 @@ describe('Project Models', () => {
       expect(member).to.have.property('role', 'admin');
     });
 
-    it('should check user role in project', async () => {
-      const hasAdminRole = await testProject.userHasRole(testUser.id, 'admin');
-      expect(hasAdminRole).to.be.true;
+    it('should check user permissions in project', async () => {
+      const canAddMembers = await testProject.userHasPermission(testUser.id, 'member:add');
+      expect(canAddMembers).to.be.true;
     });
 
     it('should not allow removing the last admin', async () => {
@@ -0,0 +1,191 @@
+import { jest } from '@jest/globals';
+import { Project, ProjectDatabase, ProjectVersion, Query, Webhook } from '../src/models/index.js';
+import { buildSnapshot, diffSnapshots, planRestore, snapshotPatch, summarizeDiff } from '../src/models/ProjectSnapshot.js';
+import { canonicalJson, contentHash } from '../src/utils/canonicalJson.js';
+import { applyPatch, diffValues } from '../src/utils/jsonPatch.js';
+
+const projectId = '0b7e8f2a-7c1d-4d3e-9a51-2f6c1b0e4a10';
+const databaseId = '1c2d3e4f-5a6b-4c7d-8e9f-0a1b2c3d4e5f';
+
+const state = () => ({
+  project: Project.fromDatabaseJson({
+    id: projectId,
+    name: 'Sales',
+    description: null,
+    is_public: false,
+    require_two_factor: true,
+    settings: { timezone: 'UTC', theme: 'dark' },
+  }),
+  databases: [ProjectDatabase.fromDatabaseJson({
+    id: databaseId,
+    project_id: projectId,
+    name: 'warehouse',
+    type: 'postgresql',
+    is_primary: true,
+    is_active: true,
+    connection_config: { host: 'db.internal', database: 'sales', username: 'app', password: 'hunter2' },
+    metadata: {},
+  })],
+  queries: [
+    Query.fromDatabaseJson({ id: 'b-query', project_id: projectId, database_id: databaseId, name: 'Totals', query: 'SELECT 1', parameters: [], tags: [] }),
+    Query.fromDatabaseJson({ id: 'a-query', project_id: projectId, database_id: databaseId, name: 'Orders', query: 'SELECT 2', parameters: [], tags: ['daily'] }),
+  ],
+  schedules: [],
+  members: [{ user_id: 'user-2', role: 'viewer', permissions: [] }, { user_id: 'user-1', role: 'admin', permissions: [] }],
+  webhooks: [Webhook.fromDatabaseJson({
+    id: 'webhook-1', project_id: projectId, url: 'https://hooks.example.com', events: ['query.*'], secret: 'a-very-long-webhook-secret', is_active: true,
+  })],
+});
+
+describe('canonical JSON', () => {
+  it('serializes equal values the same way whatever the key order', () => {
+    expect(canonicalJson({ b: 1, a: { d: [1, { f: 2, e: null }], c: undefined } }))
+      .toBe('{"a":{"d":[1,{"e":null,"f":2}]},"b":1}');
+    expect(contentHash({ a: 1, b: 2 })).toBe(contentHash({ b: 2, a: 1 }));
+    expect(contentHash({ a: 1 })).toMatch(/^[0-9a-f]{64}$/);
+  });
+});
+
+describe('Project snapshots', () => {
+  it('captures configuration in a stable order without secrets', () => {
+    const data = buildSnapshot(state());
+
+    expect(data.project).toEqual({
+      id: projectId,
+      name: 'Sales',
+      description: null,
+      logo_url: null,
+      is_public: false,
+      settings: { timezone: 'UTC', theme: 'dark' },
+    });
+    expect(data.databases[0].connection_config.password).toBe('********');
+    expect(data.queries.map(query => query.id)).toEqual(['a-query', 'b-query']);
+    expect(data.webhooks[0]).not.toHaveProperty('secret');
+    expect(JSON.stringify(data)).not.toMatch(/hunter2|a-very-long-webhook-secret/);
+
+    // Same state, same content address
+    expect(contentHash(buildSnapshot(state()))).toBe(contentHash(data));
+  });
+
+  it('plans the changes that bring a project back to a snapshot', () => {
+    const target = buildSnapshot(state());
+    const now = state();
+    now.project.settings = { timezone: 'UTC', theme: 'light' };
+    now.queries[0].query = 'SELECT 10';
+    now.queries.push(Query.fromDatabaseJson({ id: 'c-query', project_id: projectId, database_id: databaseId, name: 'New', query: 'SELECT 3' }));
+    now.webhooks = [];
+
+    const plan = planRestore(buildSnapshot(now), target);
+
+    expect(plan.project).toEqual({ settings: { timezone: 'UTC', theme: 'dark' } });
+    expect(plan.operations.map(({ entityType, action, id, fields }) => ({ entityType, action, id, fields }))).toEqual([
+      { entityType: 'query', action: 'update', id: 'b-query', fields: ['query'] },
+      { entityType: 'query', action: 'delete', id: 'c-query', fields: [] },
+      { entityType: 'webhook', action: 'create', id: 'webhook-1', fields: ['url', 'description', 'events', 'is_active'] },
+    ]);
+    expect(planRestore(target, target)).toEqual({ project: null, operations: [] });
+  });
+});
+
+describe('JSON Patch', () => {
+  it('diffs objects key by key and replaces arrays whole', () => {
+    const before = { a: 1, 'b/c': { d: true, e: [1, 2] }, gone: 'x' };
+    const after = { a: 1, 'b/c': { d: false, e: [1, 2, 3] }, added: null };
+    const operations = diffValues(before, after);
+
+    expect(operations).toEqual([
+      { op: 'remove', path: '/gone' },
+      { op: 'add', path: '/added', value: null },
+      { op: 'replace', path: '/b~1c/d', value: false },
+      { op: 'replace', path: '/b~1c/e', value: [1, 2, 3] },
+    ]);
+    expect(applyPatch(before, operations)).toEqual(after);
+    expect(before.gone).toBe('x');
+  });
+
+  it('applies array operations and fails on missing paths and tests', () => {
+    expect(applyPatch({ list: [1, 3] }, [
+      { op: 'add', path: '/list/1', value: 2 },
+      { op: 'add', path: '/list/-', value: 4 },
+      { op: 'remove', path: '/list/0' },
+      { op: 'test', path: '/list', value: [2, 3, 4] },
+    ])).toEqual({ list: [2, 3, 4] });
+
+    expect(() => applyPatch({}, [{ op: 'remove', path: '/missing' }])).toThrow(/Path not found/);
+    expect(() => applyPatch({ a: 1 }, [{ op: 'test', path: '/a', value: 2 }])).toThrow(/Test failed/);
+  });
+});
+
+describe('Version diffs', () => {
+  // A later state of the project: settings, a query, a member and a webhook changed
+  const later = () => {
+    const next = state();
+    next.project.settings = { timezone: 'UTC', language: 'en' };
+    next.queries[1].tags = ['weekly'];
+    next.queries.push(Query.fromDatabaseJson({ id: 'c-query', project_id: projectId, database_id: databaseId, name: 'New', query: 'SELECT 3' }));
+    next.members[0].role = 'editor';
+    next.webhooks = [];
+    return buildSnapshot(next);
+  };
+
+  it('reports added, removed and modified entities with before and after values', () => {
+    const { changes, stats } = diffSnapshots(buildSnapshot(state()), later());
+
+    expect(changes.map(({ section, action, id }) => `${section} ${action} ${id}`)).toEqual([
+      'settings added language',
+      'settings removed theme',
+      'queries modified a-query',
+      'queries added c-query',
+      'webhooks removed webhook-1',
+      'members modified user-2',
+    ]);
+    expect(changes[2].fields).toEqual([{ field: 'tags', before: ['daily'], after: ['weekly'] }]);
+    expect(changes[5].fields).toEqual([{ field: 'role', before: 'viewer', after: 'editor' }]);
+    expect(stats).toEqual({ added: 2, removed: 2, modified: 2 });
+    expect(diffSnapshots(later(), later())).toEqual({ changes: [], stats: { added: 0, removed: 0, modified: 0 } });
+  });
+
+  it('renders a JSON Patch that turns one snapshot into the other', () => {
+    const before = buildSnapshot(state());
+    const after = later();
+
+    expect(applyPatch(before, snapshotPatch(before, after))).toEqual(after);
+    expect(applyPatch(after, snapshotPatch(after, before))).toEqual(before);
+  });
+
+  it('summarizes changes in one line each', () => {
+    const { changes } = diffSnapshots(buildSnapshot(state()), later());
+    changes[5].name = 'ana@example.com';
+
+    expect(summarizeDiff(changes)).toEqual([
+      'Setting "language" added: "en"',
+      'Setting "theme" removed',
+      'Saved query "Orders" modified: tags',
+      'Saved query "New" added',
+      'Webhook "https://hooks.example.com" removed',
+      'Member "ana@example.com" modified: role',
+    ]);
+  });
+});
+
+describe('ProjectVersion', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('bumps the requested part of the version number', () => {
+    expect(ProjectVersion.incrementVersion(undefined, 'minor')).toBe('1.0.0');
+    expect(ProjectVersion.incrementVersion('1.4.2')).toBe('1.4.3');
+    expect(ProjectVersion.incrementVersion('1.4.2', 'minor')).toBe('1.5.0');
+    expect(ProjectVersion.incrementVersion('1.4', 'major')).toBe('2.0.0');
+  });
+
+  it('replaces tags in the metadata, keeping the rest', async () => {
+    const version = ProjectVersion.fromDatabaseJson({ id: projectId, metadata: { query_count: 2, tags: ['old'] } });
+    const patchAndFetch = jest.fn(async (values) => ProjectVersion.fromDatabaseJson({ ...version, ...values }));
+    jest.spyOn(version, '$query').mockReturnValue({ patchAndFetch });
+
+    const updated = await version.setTags(['release', 'approved', 'release']);
+
+    expect(patchAndFetch).toHaveBeenCalledWith({ metadata: { query_count: 2, tags: ['release', 'approved'] } });
+    expect(updated.metadata.tags).toEqual(['release', 'approved']);
+  });
+});
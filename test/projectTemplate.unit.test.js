@@ -0,0 +1,295 @@
+import { jest } from '@jest/globals';
+import { Project, ProjectDatabase, ProjectMember, ProjectTemplate, Query } from '../src/models/index.js';
+import { planUpgrade, upgradeState } from '../src/models/ProjectTemplate.js';
+import { authenticate, requireUserSession } from '../src/middleware/auth.js';
+import templateRoutes from '../src/routes/template.routes.js';
+import {
+  TemplateVariableError, checkVariableDefinitions, findPlaceholders, renderTemplate, resolveVariables,
+} from '../src/utils/templateVariables.js';
+import { userId } from './helpers.js';
+
+const projectId = '0b7e8f2a-7c1d-4d3e-9a51-2f6c1b0e4a10';
+
+const variables = {
+  schema: { type: 'string', label: 'Schema', default: 'public' },
+  port: { type: 'number', default: 5432 },
+  audit: { type: 'boolean', required: false },
+  region: { type: 'select', options: [{ label: 'Europe', value: 'eu' }, { label: 'Americas', value: 'us' }] },
+  warehouse_password: { type: 'string', secret: true },
+};
+
+const template = () => ProjectTemplate.fromDatabaseJson({
+  id: '2d3e4f5a-6b7c-4d8e-9f0a-1b2c3d4e5f6a',
+  name: 'Sales analytics',
+  description: 'Reporting on a sales warehouse',
+  version: '1.2.0',
+  created_by: userId,
+  settings: { timezone: 'UTC', region_label: 'Region {{region}}' },
+  metadata: { tags: ['sales'], variables },
+  content: {
+    databases: [{
+      key: 'warehouse',
+      name: 'Warehouse ({{region}})',
+      type: 'postgresql',
+      connection_config: {
+        host: 'db-{{region}}.example.com', port: '{{port}}', database: 'sales', username: 'app', password: '{{warehouse_password}}',
+      },
+    }],
+    queries: [{ database: 'warehouse', name: 'Totals', query: 'SELECT sum(total) FROM {{ schema }}.orders', tags: [] }],
+  },
+});
+
+describe('Template variables', () => {
+  it('fills in defaults and checks values against their definitions', () => {
+    expect(resolveVariables(variables, { region: 'eu', warehouse_password: 's3cret' }))
+      .toEqual({ schema: 'public', port: 5432, region: 'eu', warehouse_password: 's3cret' });
+
+    let error;
+    try {
+      resolveVariables(variables, { port: '5432', region: 'asia', extra: 1 });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(TemplateVariableError);
+    expect(error.errors).toEqual([
+      { variable: 'extra', message: 'is not declared by the template' },
+      { variable: 'port', message: 'must be a number' },
+      { variable: 'region', message: 'must be one of: eu, us' },
+      { variable: 'warehouse_password', message: 'is required' },
+    ]);
+  });
+
+  it('checks definitions', () => {
+    expect(checkVariableDefinitions(variables)).toEqual([]);
+    expect(checkVariableDefinitions({
+      '1st': { type: 'string' },
+      kind: { type: 'date' },
+      size: { type: 'select', options: [] },
+      limit: { type: 'number', default: 'ten' },
+    }).map(error => error.variable)).toEqual(['1st', 'kind', 'size', 'limit']);
+  });
+
+  it('substitutes placeholders everywhere, keeping the type of whole values', () => {
+    const value = { port: '{{port}}', host: 'db-{{region}}:{{port}}', list: ['{{ region }}', '{{unknown}}'], n: 3 };
+
+    expect(findPlaceholders(value)).toEqual(['port', 'region', 'unknown']);
+    expect(renderTemplate(value, { port: 5432, region: 'eu' }))
+      .toEqual({ port: 5432, host: 'db-eu:5432', list: ['eu', '{{unknown}}'], n: 3 });
+  });
+});
+
+describe('ProjectTemplate', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('renders settings, databases and saved queries with the variables', () => {
+    const data = template().getProjectData({ region: 'us', warehouse_password: 's3cret' });
+
+    expect(data.project.settings).toEqual({ timezone: 'UTC', region_label: 'Region us' });
+    expect(data.databases[0]).toMatchObject({
+      name: 'Warehouse (us)',
+      connection_config: { host: 'db-us.example.com', port: 5432, password: 's3cret' },
+    });
+    expect(data.queries[0].query).toBe('SELECT sum(total) FROM public.orders');
+    expect(() => template().getProjectData({})).toThrow(TemplateVariableError);
+  });
+
+  it('creates the project, its databases and queries in one transaction without keeping secrets', async () => {
+    const inserted = { projects: [], members: [], databases: [], queries: [] };
+    const fakeInsert = (model, list) => jest.spyOn(model, 'query').mockReturnValue({
+      insert: async (row) => {
+        list.push(row);
+        return model.fromDatabaseJson({ id: `${model.name}-${list.length}`, ...row });
+      },
+    });
+    jest.spyOn(ProjectTemplate, 'transaction').mockImplementation(callback => callback({}));
+    fakeInsert(Project, inserted.projects);
+    fakeInsert(ProjectMember, inserted.members);
+    fakeInsert(ProjectDatabase, inserted.databases);
+    fakeInsert(Query, inserted.queries);
+
+    await template().createProject(userId, { name: 'EU sales', variables: { region: 'eu', warehouse_password: 's3cret' } });
+
+    expect(inserted.projects[0]).toMatchObject({
+      name: 'EU sales',
+      settings: { region_label: 'Region eu' },
+      metadata: { template_version: '1.2.0', template_variables: { schema: 'public', port: 5432, region: 'eu' } },
+    });
+    expect(JSON.stringify(inserted.projects)).not.toMatch(/s3cret/);
+    expect(inserted.members[0]).toMatchObject({ user_id: userId, role: 'admin' });
+    expect(inserted.databases[0]).toMatchObject({ name: 'Warehouse (eu)', created_by: userId });
+    expect(inserted.queries[0]).toMatchObject({ name: 'Totals', database_id: inserted.databases[0].id });
+    expect(inserted.projects[0].metadata.template_entities).toEqual({
+      databases: { warehouse: inserted.databases[0].id },
+      queries: { Totals: inserted.queries[0].id },
+    });
+  });
+
+  it('turns database passwords and locations into variables when created from a project', async () => {
+    const fake = (rows) => ({ where: () => ({ whereNull: () => ({ orderBy: async () => rows }) }) });
+    const insert = jest.fn(async (row) => ProjectTemplate.fromDatabaseJson(row));
+    jest.spyOn(Project, 'query').mockReturnValue({
+      findById: async () => Project.fromDatabaseJson({ id: projectId, name: 'Sales', settings: { schema: '{{schema}}' } }),
+    });
+    jest.spyOn(ProjectDatabase, 'query').mockReturnValue(fake([ProjectDatabase.fromDatabaseJson({
+      id: 'db-1', name: 'Main DB', type: 'postgresql',
+      connection_config: { host: 'localhost', database: 'sales', username: 'app', password: 'hunter2' },
+    })]));
+    jest.spyOn(Query, 'query').mockReturnValue(fake([
+      Query.fromDatabaseJson({ id: 'q-1', database_id: 'db-1', name: 'Totals', query: 'SELECT 1', tags: [] }),
+    ]));
+    jest.spyOn(ProjectTemplate, 'query').mockReturnValue({ insert });
+
+    await expect(ProjectTemplate.createFromProject(projectId, userId, { name: 'Sales' }))
+      .rejects.toMatchObject({ errors: [{ variable: 'schema', message: 'is used but not declared' }] });
+
+    await ProjectTemplate.createFromProject(projectId, userId, { name: 'Sales', variables: { schema: { type: 'string' } } });
+    const row = insert.mock.calls[0][0];
+
+    expect(row.content.databases[0]).toMatchObject({
+      key: 'main_db',
+      connection_config: {
+        host: '{{main_db_host}}', database: '{{main_db_database}}', username: '{{main_db_username}}', password: '{{main_db_password}}',
+      },
+    });
+    expect(row.content.queries[0]).toMatchObject({ database: 'main_db', name: 'Totals' });
+    expect(row.metadata.variables.main_db_password).toMatchObject({ type: 'string', required: true, secret: true });
+    expect(row.metadata.variables.main_db_host).toEqual({ type: 'string', label: 'Host of database Main DB', required: true });
+    expect(JSON.stringify(row)).not.toMatch(/hunter2|\*{8}|localhost|sales|"app"/);
+  });
+});
+
+describe('Template upgrades', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const state = ({ settings = {}, databases = [], queries = [] }) => upgradeState({ settings, databases, queries });
+  const warehouse = { key: 'warehouse', name: 'Warehouse', type: 'postgresql', connection_config: { host: 'db', password: 'x' } };
+  const totals = { database: 'warehouse', name: 'Totals', query: 'SELECT 1', tags: [] };
+
+  it('takes template changes the project did not make and reports the ones it changed too', () => {
+    const base = state({
+      settings: { timezone: 'UTC', theme: 'light' },
+      databases: [warehouse],
+      queries: [totals, { ...totals, name: 'Old' }, { ...totals, name: 'Edited' }],
+    });
+    const template = state({
+      settings: { timezone: 'Europe/Madrid', theme: 'dark', language: 'en' },
+      databases: [{ ...warehouse, connection_config: { host: 'db2', password: '{{warehouse_password}}' } }],
+      queries: [{ ...totals, query: 'SELECT 2' }, { ...totals, name: 'New' }],
+    });
+    const project = state({
+      settings: { timezone: 'UTC', theme: 'blue' },
+      databases: [{ ...warehouse, connection_config: { host: 'db', password: '********' }, is_primary: false }],
+      queries: [{ ...totals, tags: ['mine'] }, { ...totals, name: 'Old' }, { ...totals, name: 'Edited', query: 'SELECT 3' }],
+    });
+
+    const { changes, conflicts } = planUpgrade(base, template, project);
+
+    expect(changes).toEqual([
+      { entity_type: 'setting', key: 'timezone', action: 'update', fields: ['timezone'], values: { timezone: 'Europe/Madrid' } },
+      { entity_type: 'setting', key: 'language', action: 'create', fields: ['language'], values: { language: 'en' } },
+      { entity_type: 'database', key: 'warehouse', action: 'update', fields: ['connection_config'], values: { connection_config: { host: 'db2' } } },
+      { entity_type: 'query', key: 'Totals', action: 'update', fields: ['query'], values: { query: 'SELECT 2' } },
+      { entity_type: 'query', key: 'Old', action: 'delete', fields: [], values: {} },
+      expect.objectContaining({ entity_type: 'query', key: 'New', action: 'create' }),
+    ]);
+    expect(conflicts).toEqual([
+      { entity_type: 'setting', key: 'theme', field: 'theme', reason: 'Changed in both the project and the template', base: 'light', project: 'blue', template: 'dark' },
+      expect.objectContaining({ entity_type: 'query', key: 'Edited', field: null, reason: 'Changed in the project but removed from the template' }),
+    ]);
+  });
+
+  it('creates new versions in the lineage and archives the replaced one', async () => {
+    const current = template();
+    const insert = jest.fn(async (row) => ProjectTemplate.fromDatabaseJson(row));
+    const patch = jest.fn(async () => 1);
+    jest.spyOn(ProjectTemplate, 'transaction').mockImplementation(callback => callback({}));
+    jest.spyOn(ProjectTemplate, 'query').mockReturnValue({ insert });
+    jest.spyOn(current, 'getLatestVersion').mockResolvedValue(current);
+    jest.spyOn(current, '$query').mockReturnValue({ patch });
+
+    const created = await current.createNewVersion(userId, { level: 'minor', description: 'Faster totals' });
+
+    expect(insert.mock.calls[0][0]).toMatchObject({
+      name: 'Sales analytics',
+      description: 'Faster totals',
+      version: '1.3.0',
+      previous_version_id: current.id,
+      lineage_id: current.id,
+      content: current.content,
+    });
+    expect(created.previous_version_id).toBe(current.id);
+    expect(patch).toHaveBeenCalledWith(expect.objectContaining({ is_public: false, is_featured: false }));
+
+    jest.spyOn(current, 'getLatestVersion').mockResolvedValue(created);
+    await expect(current.createNewVersion(userId)).rejects.toThrow(/latest version/);
+  });
+
+  it('plans an upgrade without changing anything on a dry run', async () => {
+    const current = template();
+    const latest = ProjectTemplate.fromDatabaseJson({
+      ...current.$toDatabaseJson(),
+      id: '9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d',
+      version: '1.3.0',
+      previous_version_id: current.id,
+      lineage_id: current.id,
+      settings: { timezone: 'Europe/Madrid', region_label: 'Region {{region}}' },
+      content: {
+        databases: [
+          current.content.databases[0],
+          { key: 'archive', name: 'Archive', type: 'postgresql', connection_config: { host: 'archive', password: '{{archive_password}}' } },
+        ],
+        queries: [
+          { ...current.content.queries[0], query: 'SELECT sum(total) FROM {{schema}}.orders WHERE paid' },
+          { database: 'archive', name: 'Old orders', query: 'SELECT 1' },
+        ],
+      },
+      metadata: { variables: { ...variables, archive_password: { type: 'string', secret: true } } },
+    });
+    const project = Project.fromDatabaseJson({
+      id: projectId,
+      name: 'EU sales',
+      template_id: current.id,
+      settings: { timezone: 'UTC', region_label: 'Region eu' },
+      metadata: {
+        template_version: '1.2.0',
+        template_variables: { schema: 'public', port: 5432, region: 'eu' },
+        template_entities: { databases: { warehouse: 'db-1' }, queries: { Totals: 'q-1' } },
+      },
+    });
+    const rows = (list) => ({ where: () => ({ whereNull: async () => list }) });
+
+    jest.spyOn(ProjectTemplate, 'query').mockReturnValue({ findById: async () => current });
+    jest.spyOn(ProjectTemplate.prototype, 'getLatestVersion').mockResolvedValue(latest);
+    jest.spyOn(ProjectDatabase, 'query').mockReturnValue(rows([ProjectDatabase.fromDatabaseJson({
+      id: 'db-1', name: 'Warehouse (eu)', type: 'postgresql',
+      connection_config: { host: 'db-eu.example.com', port: 5432, database: 'sales', username: 'app', password: 's3cret' },
+    })]));
+    jest.spyOn(Query, 'query').mockReturnValue(rows([
+      Query.fromDatabaseJson({ id: 'q-1', database_id: 'db-1', name: 'Totals', query: 'SELECT sum(total) FROM public.orders', tags: [] }),
+    ]));
+    const transaction = jest.spyOn(ProjectTemplate, 'transaction');
+
+    const result = await ProjectTemplate.upgradeProject(project, userId, { dryRun: true });
+
+    expect(result).toMatchObject({ from: { version: '1.2.0' }, to: { version: '1.3.0' }, dry_run: true });
+    expect(result.changes.map(({ entity_type, key, action }) => `${action} ${entity_type} ${key}`)).toEqual([
+      'update setting timezone',
+      'update query Totals',
+    ]);
+    expect(result.conflicts.map(({ key, reason }) => `${key}: ${reason}`)).toEqual([
+      'archive: Needs a value for archive_password',
+      'Old orders: Its database archive is not in the project',
+    ]);
+    expect(transaction).not.toHaveBeenCalled();
+
+    const withPassword = await ProjectTemplate.upgradeProject(project, userId, { dryRun: true, variables: { archive_password: 'pw' } });
+    expect(withPassword.changes.map(({ action, key }) => `${action} ${key}`)).toContain('create archive');
+    expect(JSON.stringify(withPassword)).not.toMatch(/pw|s3cret/);
+  });
+});
+
+describe('Template routes', () => {
+  it('refuse API keys before any route', () => {
+    expect(templateRoutes.stack.slice(0, 2).map(layer => layer.handle)).toEqual([authenticate, requireUserSession]);
+  });
+});
@@ -0,0 +1,69 @@
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import { redeemQueryConfirmation, signQueryConfirmation } from '../src/utils/queryToken.js';
+import { projectId, userId } from './helpers.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const databaseId = '9d8c7b6a-5f4e-4d3c-8b2a-1f0e9d8c7b6a';
+const otherId = '3e2d1c0b-9a8f-4e7d-8c6b-5a4f3e2d1c0b';
+
+const sign = (fields = {}) => signQueryConfirmation({
+  query: 'DELETE FROM orders WHERE id = $1',
+  parameters: [42],
+  projectId,
+  databaseId,
+  userId,
+  mode: 'write',
+  ...fields,
+});
+
+const expected = { userId, projectId, databaseId };
+
+describe('Query confirmation tokens', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('redeem once for the query they were issued for', () => {
+    const token = sign();
+
+    expect(redeemQueryConfirmation(token, expected)).toMatchObject({
+      query: 'DELETE FROM orders WHERE id = $1',
+      parameters: [42],
+      project_id: projectId,
+      database_id: databaseId,
+      mode: 'write',
+      sub: userId,
+    });
+    expect(() => redeemQueryConfirmation(token, expected)).toThrow(/already been used/);
+  });
+
+  it('only work for the user, project and database they were issued for', () => {
+    const token = sign();
+
+    expect(() => redeemQueryConfirmation(token, { ...expected, userId: otherId })).toThrow(/subject/);
+    expect(() => redeemQueryConfirmation(token, { ...expected, projectId: otherId })).toThrow(/does not match/);
+    expect(() => redeemQueryConfirmation(token, { ...expected, databaseId: otherId })).toThrow(/does not match/);
+
+    // Failed attempts do not use the token up
+    expect(redeemQueryConfirmation(token, expected).sub).toBe(userId);
+  });
+
+  it('reject a token whose query was changed', () => {
+    const [header, payload, signature] = sign().split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const changed = Buffer.from(JSON.stringify({ ...claims, query: 'DROP TABLE orders' })).toString('base64url');
+
+    expect(() => redeemQueryConfirmation(`${header}.${changed}.${signature}`, expected)).toThrow(/invalid signature/);
+
+    const resigned = jwt.sign({ ...claims, query: 'DROP TABLE orders' }, 'another-secret');
+    expect(() => redeemQueryConfirmation(resigned, expected)).toThrow(/invalid signature/);
+  });
+
+  it('expire', () => {
+    const token = sign();
+    const { exp } = jwt.decode(token);
+    jest.spyOn(Date, 'now').mockReturnValue((exp + 1) * 1000);
+
+    expect(() => redeemQueryConfirmation(token, expected)).toThrow(/jwt expired/);
+  });
+});
@@ -0,0 +1,86 @@
+import { Query } from '../src/models/index.js';
+import { bindParams, parseQuery } from '../src/services/dialects/mongodb.js';
+import { getDialect } from '../src/services/dialects/index.js';
+import QueryExecutor, { QueryRejectedError } from '../src/services/QueryExecutor.js';
+
+const savedQuery = (parameters) => Query.fromJson({
+  project_id: '0b7c0e1a-8f0e-4d47-9a4c-1c6f2d3e4a5b',
+  database_id: '6f1c1f3e-3b0c-4c55-9f7f-3f1f2b1c0a01',
+  name: 'Orders by customer',
+  query: 'SELECT * FROM orders WHERE customer_id = :customer_id AND created_at >= :since',
+  parameters,
+});
+
+describe('Saved query parameters', () => {
+  const query = savedQuery([
+    { name: 'customer_id', type: 'integer' },
+    { name: 'since', type: 'date', default: '2024-01-01' },
+    { name: 'paid', type: 'boolean', required: false },
+  ]);
+
+  it('coerces values to their declared types and fills in defaults', () => {
+    expect(query.bindParameters({ customer_id: '42', paid: 'true' })).toEqual({
+      values: { customer_id: 42, since: '2024-01-01', paid: true },
+      errors: [],
+    });
+  });
+
+  it('reports missing, mistyped and undeclared parameters', () => {
+    const { errors } = query.bindParameters({ customer_id: 4.5, since: 'yesterday', limit: 10 });
+
+    expect(errors).toEqual([
+      { parameter: 'limit', message: 'is not declared by this query' },
+      { parameter: 'customer_id', message: 'must be an integer' },
+      { parameter: 'since', message: 'must be an ISO 8601 date' },
+    ]);
+    expect(query.bindParameters({}).errors).toEqual([{ parameter: 'customer_id', message: 'is required' }]);
+  });
+
+  it('rejects invalid parameter declarations', () => {
+    expect(() => savedQuery([{ name: 'id', type: 'uuid' }])).toThrow(/type/);
+    expect(() => savedQuery([{ name: 'x; DROP', type: 'string' }])).toThrow(/pattern/);
+    expect(() => savedQuery([{ name: 'id', type: 'integer' }, { name: 'id', type: 'string' }]))
+      .toThrow(/Duplicate parameter 'id'/);
+    expect(() => savedQuery([{ name: 'id', type: 'integer', default: 'abc' }])).toThrow(/Invalid default/);
+  });
+});
+
+describe('MongoDB parameter placeholders', () => {
+  const doc = parseQuery({
+    operation: 'aggregate',
+    collection: 'orders',
+    pipeline: [{ $match: { customer_id: { $param: 'customer_id' }, status: { $in: [{ $param: 'status' }] } } }],
+  });
+
+  it('binds scalar values', () => {
+    expect(bindParams(doc, { customer_id: 42, status: 'paid' }).pipeline).toEqual([
+      { $match: { customer_id: 42, status: { $in: ['paid'] } } },
+    ]);
+  });
+
+  it('refuses missing values and operator objects', () => {
+    expect(() => bindParams(doc, { customer_id: 42 })).toThrow(/No value for parameter 'status'/);
+    expect(() => bindParams(doc, { customer_id: { $where: 'sleep(1000)' }, status: 'paid' }))
+      .toThrow(/must be a string, number, boolean or null/);
+  });
+});
+
+describe('QueryExecutor.check', () => {
+  const postgresql = getDialect('postgresql');
+
+  it('classifies queries and records the policy decision', () => {
+    const { policy, policyDecision } = QueryExecutor.check(postgresql, 'SELECT 1; DELETE FROM orders', 'viewer');
+
+    expect(policy.allowed).toBe(false);
+    expect(policyDecision).toMatchObject({
+      decision: 'denied',
+      statements: [{ index: 0, type: 'SELECT', class: 'read' }, { index: 1, type: 'DELETE', class: 'dml' }],
+    });
+  });
+
+  it('rejects queries the dialect cannot run', () => {
+    expect(() => QueryExecutor.check(postgresql, '  ', 'admin')).toThrow(QueryRejectedError);
+    expect(() => QueryExecutor.check(getDialect('sqlite'), 'SELECT 1; SELECT 2', 'admin'))
+      .toThrow(/one statement per request/);
+  });
+});
@@ -0,0 +1,166 @@
+import { jest } from '@jest/globals';
+import { ProjectDatabase, ProjectMember, Query, Schedule } from '../src/models/index.js';
+import { Scheduler, ScheduleDisabledError } from '../src/services/Scheduler.js';
+import QueryExecutor from '../src/services/QueryExecutor.js';
+import { getNextRun, validateCronExpression, isValidTimezone } from '../src/utils/cron.js';
+import { member, projectId, userId } from './helpers.js';
+
+const schedule = (fields = {}) => Schedule.fromJson({
+  project_id: projectId,
+  name: 'Daily orders',
+  cron_expression: '0 8 * * *',
+  database_id: '6f1c1f3e-3b0c-4c55-9f7f-3f1f2b1c0a01',
+  query: 'SELECT count(*) FROM orders',
+  ...fields,
+});
+
+describe('Cron expressions', () => {
+  const after = new Date('2026-10-19T12:00:00Z');
+
+  it('reads expressions in the given timezone', () => {
+    expect(getNextRun('0 8 * * *', { timezone: 'UTC', currentDate: after }).toISOString())
+      .toBe('2026-10-20T08:00:00.000Z');
+    // Santiago is on UTC-3 in October
+    expect(getNextRun('0 8 * * *', { timezone: 'America/Santiago', currentDate: after }).toISOString())
+      .toBe('2026-10-20T11:00:00.000Z');
+  });
+
+  it('accepts five-field expressions only', () => {
+    expect(validateCronExpression('*/15 * * * 1-5')).toBeNull();
+    expect(validateCronExpression('* * * * * *')).toMatch(/five fields/);
+    expect(validateCronExpression('61 * * * *')).toMatch(/Invalid cron expression/);
+    expect(isValidTimezone('America/Santiago')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus')).toBe(false);
+  });
+});
+
+describe('Schedule validation', () => {
+  it('requires exactly one thing to run', () => {
+    expect(() => schedule()).not.toThrow();
+    expect(() => schedule({ query: null })).toThrow(/saved query, or a database and query text/);
+    expect(() => schedule({ query_id: '7a4f0d2c-1b3e-4c5d-8e9f-0a1b2c3d4e5f' })).toThrow(/not both/);
+    expect(() => schedule({ cron_expression: 'every day' })).toThrow(/five fields/);
+  });
+});
+
+describe('Scheduler', () => {
+  const scheduler = new Scheduler({ maxRetryDelayMs: 600000, resultMaxRows: 3, resultMaxBytes: 1024 });
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  it('backs off exponentially up to the maximum delay', () => {
+    const target = schedule({ retry_delay_seconds: 60 });
+
+    expect([1, 2, 3, 4, 5].map(attempt => scheduler.getRetryDelay(target, attempt)))
+      .toEqual([60000, 120000, 240000, 480000, 600000]);
+  });
+
+  it('retries failures until the retries run out or the next run comes first', () => {
+    const target = schedule({ max_retries: 2, retry_delay_seconds: 60 });
+    const next = (fields, status) => scheduler.getNextState(
+      Object.assign(target, fields), { status, trigger: 'schedule', timezone: 'UTC', now }
+    );
+
+    expect(next({ retry_attempt: 0 }, 'failed')).toEqual({
+      last_run_at: now.toISOString(), retry_attempt: 1, next_run_at: '2026-10-19T12:01:00.000Z',
+    });
+    expect(next({ retry_attempt: 2 }, 'failed')).toEqual({
+      last_run_at: now.toISOString(), retry_attempt: 0, next_run_at: '2026-10-20T08:00:00.000Z',
+    });
+    expect(next({ retry_attempt: 1 }, 'succeeded')).toMatchObject({ retry_attempt: 0 });
+    expect(next({ retry_attempt: 0, cron_expression: '* * * * *' }, 'failed'))
+      .toMatchObject({ retry_attempt: 0, next_run_at: '2026-10-19T12:01:00.000Z' });
+    expect(scheduler.getNextState(target, { status: 'failed', trigger: 'manual', timezone: 'UTC', now }))
+      .toEqual({ last_run_at: now.toISOString() });
+  });
+
+  it('truncates result snapshots by rows and size', () => {
+    const rows = [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }];
+
+    expect(scheduler.snapshot(rows)).toEqual({ result: rows.slice(0, 3), truncated: true });
+    expect(scheduler.snapshot(rows.slice(0, 2))).toEqual({ result: rows.slice(0, 2), truncated: false });
+    expect(scheduler.snapshot([{ text: 'x'.repeat(600) }, { text: 'y'.repeat(600) }]).result).toHaveLength(1);
+    expect(scheduler.snapshot({ command: 'UPDATE', rowCount: 5 }))
+      .toEqual({ result: { command: 'UPDATE', rowCount: 5 }, truncated: false });
+  });
+
+  describe('runs as the creator', () => {
+    const membership = (fields) => jest.spyOn(ProjectMember, 'getByProjectAndUser')
+      .mockResolvedValue(fields && member(fields));
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('while they may still execute queries', async () => {
+      membership({ role: 'editor' });
+      await expect(scheduler.getRunAs(schedule({ created_by: userId }))).resolves.toMatchObject({ role: 'editor' });
+
+      membership({ role: 'custom', permissions: ['query:read', 'query:execute'] });
+      await expect(scheduler.getRunAs(schedule({ created_by: userId }))).resolves.toMatchObject({ role: 'custom' });
+
+      membership({ role: 'custom', permissions: ['query:read'] });
+      const error = await scheduler.getRunAs(schedule({ created_by: userId })).catch(e => e);
+      expect(error.message).toMatch(/not allowed to execute queries/);
+      expect(error).not.toBeInstanceOf(ScheduleDisabledError);
+    });
+
+    it('and disables the schedule once they are gone', async () => {
+      membership({ role: 'admin', is_active: false });
+      await expect(scheduler.getRunAs(schedule({ created_by: userId }))).rejects.toThrow(ScheduleDisabledError);
+
+      membership(null);
+      await expect(scheduler.getRunAs(schedule({ created_by: userId }))).rejects.toThrow(/no longer a project member/);
+
+      const lookup = membership({ role: 'admin' });
+      lookup.mockClear();
+      const orphan = schedule();
+      orphan.created_by = null;
+      await expect(scheduler.getRunAs(orphan)).rejects.toThrow(ScheduleDisabledError);
+      expect(lookup).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runs saved queries', () => {
+    const editorId = '3e2d1c0b-9a8f-4e7d-8c6b-5a4f3e2d1c0b';
+    const databaseId = '9d8c7b6a-5f4e-4d3c-8b2a-1f0e9d8c7b6a';
+    const queryId = '7a4f0d2c-1b3e-4c5d-8e9f-0a1b2c3d4e5f';
+
+    // Runs a schedule of a saved query last edited by `updatedBy`, members holding `roles`
+    const runWith = async ({ updatedBy, roles }) => {
+      const savedQuery = Query.fromJson({
+        id: queryId,
+        project_id: projectId,
+        database_id: databaseId,
+        name: 'Purge',
+        query: 'DROP TABLE orders',
+        created_by: userId,
+        updated_by: updatedBy,
+      });
+      jest.spyOn(Query, 'query').mockReturnValue({ findById: () => ({ whereNull: async () => savedQuery }) });
+      const database = { id: databaseId, project_id: projectId, type: 'postgresql' };
+      const chain = { where: () => chain, whereNull: async () => database };
+      jest.spyOn(ProjectDatabase, 'query').mockReturnValue({ findById: () => chain });
+      jest.spyOn(ProjectMember, 'getByProjectAndUser')
+        .mockImplementation(async (project, user) => roles[user] && member({ user_id: user, role: roles[user] }));
+      const execute = jest.spyOn(QueryExecutor, 'execute').mockResolvedValue({ data: [], meta: {} });
+
+      const target = schedule({ query_id: queryId, database_id: null, query: null, created_by: userId });
+      await scheduler.execute(target, { id: '5c4b3a29-1807-4f6e-9d5c-4b3a29180706' });
+      return execute.mock.lastCall[0];
+    };
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('with the creator\'s role while they wrote the query', async () => {
+      expect(await runWith({ updatedBy: null, roles: { [userId]: 'admin' } }))
+        .toMatchObject({ query: 'DROP TABLE orders', role: 'admin', userId });
+    });
+
+    it('never with more than the role of its last editor', async () => {
+      expect(await runWith({ updatedBy: editorId, roles: { [userId]: 'admin', [editorId]: 'editor' } }))
+        .toMatchObject({ role: 'editor', userId });
+      expect(await runWith({ updatedBy: editorId, roles: { [userId]: 'admin' } }))
+        .toMatchObject({ role: 'viewer' });
+      expect(await runWith({ updatedBy: editorId, roles: { [userId]: 'editor', [editorId]: 'admin' } }))
+        .toMatchObject({ role: 'editor' });
+    });
+  });
+});
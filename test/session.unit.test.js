@@ -0,0 +1,173 @@
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import { RefreshToken, User, UserSession } from '../src/models/index.js';
+import { SessionService, SessionError, checkRefreshToken, hashRefreshToken } from '../src/services/SessionService.js';
+import { authenticate } from '../src/middleware/auth.js';
+import { mockResponse, userId } from './helpers.js';
+
+const sessionId = '9d8c7b6a-5f4e-4d3c-8b2a-1f0e9d8c7b6a';
+
+const inOneHour = () => new Date(Date.now() + 3600000).toISOString();
+
+const session = (fields = {}) => UserSession.fromJson({
+  id: sessionId,
+  user_id: userId,
+  expires_at: inOneHour(),
+  ...fields,
+});
+
+const refreshToken = (fields = {}) => RefreshToken.fromJson({
+  id: '1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d',
+  session_id: sessionId,
+  user_id: userId,
+  token_hash: hashRefreshToken('token'),
+  expires_at: inOneHour(),
+  ...fields,
+});
+
+// Stands in for the rows the service reads and records what it writes
+const fakeStore = ({ token, userSession }) => {
+  const writes = { inserts: [] };
+  const record = (model) => jest.spyOn(model, '$query').mockReturnValue({
+    patch: async (fields) => Object.assign(model, fields),
+  });
+
+  record(token);
+  record(userSession);
+  jest.spyOn(RefreshToken, 'transaction').mockImplementation(callback => callback({}));
+  jest.spyOn(RefreshToken, 'query').mockReturnValue({
+    findOne: ({ token_hash }) => ({
+      forUpdate: async () => (token_hash === token.token_hash ? token : undefined),
+    }),
+    insert: async (fields) => {
+      writes.inserts.push(fields);
+      return fields;
+    },
+  });
+  jest.spyOn(UserSession, 'query').mockReturnValue({
+    findById: () => ({ forUpdate: async () => userSession }),
+  });
+
+  return writes;
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('checkRefreshToken', () => {
+  it('accepts unused tokens of open sessions', () => {
+    expect(checkRefreshToken(refreshToken(), session())).toBeNull();
+  });
+
+  it('refuses used, expired and signed out tokens', () => {
+    const past = '2020-01-01T00:00:00.000Z';
+
+    expect(checkRefreshToken(refreshToken({ used_at: past }), session())).toBe('reused');
+    expect(checkRefreshToken(refreshToken({ expires_at: past }), session())).toBe('expired');
+    expect(checkRefreshToken(refreshToken(), session({ expires_at: past }))).toBe('expired');
+    expect(checkRefreshToken(refreshToken({ used_at: past }), session({ revoked_at: past }))).toBe('revoked');
+  });
+});
+
+describe('SessionService.rotate', () => {
+  const service = new SessionService({ refreshTokenTtlMs: 86400000, sessionMaxAgeMs: 86400000 });
+
+  it('replaces the token with a successor that expires with the session', async () => {
+    const token = refreshToken();
+    const userSession = session();
+    const writes = fakeStore({ token, userSession });
+
+    const result = await service.rotate('token', { ipAddress: '10.0.0.2' });
+
+    expect(result.session).toBe(userSession);
+    expect(token.used_at).toBeTruthy();
+    expect(userSession.ip_address).toBe('10.0.0.2');
+    expect(writes.inserts).toHaveLength(1);
+    expect(writes.inserts[0]).toMatchObject({
+      session_id: sessionId,
+      parent_id: token.id,
+      token_hash: hashRefreshToken(result.refreshToken),
+      expires_at: userSession.expires_at,
+    });
+  });
+
+  it('signs out the whole session when a used token comes back', async () => {
+    const token = refreshToken({ used_at: new Date().toISOString() });
+    const userSession = session();
+    const writes = fakeStore({ token, userSession });
+
+    await expect(service.rotate('token')).rejects.toMatchObject({ name: 'SessionError', code: 'reused' });
+    expect(userSession.revoked_reason).toBe('token_reuse');
+    expect(writes.inserts).toHaveLength(0);
+  });
+
+  it('refuses unknown tokens', async () => {
+    fakeStore({ token: refreshToken(), userSession: session() });
+
+    await expect(service.rotate('other')).rejects.toThrow(SessionError);
+  });
+});
+
+describe('Session tokens', () => {
+  it('carry the session in access tokens and hide refresh token hashes', () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+    const user = User.fromDatabaseJson({ id: userId, email: 'ana@example.com' });
+
+    expect(jwt.decode(user.generateAuthToken(sessionId))).toMatchObject({ id: userId, sid: sessionId });
+    expect(refreshToken().toJSON()).not.toHaveProperty('token_hash');
+  });
+});
+
+describe('Access token revocation', () => {
+  const authenticateWith = async (token, stored, storedSession = session()) => {
+    jest.spyOn(User, 'query').mockReturnValue({ findById: async () => stored });
+    jest.spyOn(UserSession, 'query').mockReturnValue({ findById: async () => storedSession });
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = mockResponse();
+    const next = jest.fn();
+    await authenticate(req, res, next);
+    return { req, res, next };
+  };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  it('accepts tokens of the current version', async () => {
+    const user = User.fromDatabaseJson({ id: userId, email: 'ana@example.com', is_active: true, token_version: 2 });
+    const { req, next } = await authenticateWith(user.generateAuthToken(sessionId), user);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.sessionId).toBe(sessionId);
+  });
+
+  it('refuses tokens issued before the version was bumped', async () => {
+    const user = User.fromDatabaseJson({ id: userId, email: 'ana@example.com', is_active: true, token_version: 2 });
+    const token = user.generateAuthToken(sessionId);
+    const { res, next } = await authenticateWith(token, User.fromDatabaseJson({ ...user, token_version: 3 }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Token has been revoked' }));
+  });
+
+  it('refuses tokens of a revoked session', async () => {
+    const user = User.fromDatabaseJson({ id: userId, email: 'ana@example.com', is_active: true });
+    const token = user.generateAuthToken(sessionId);
+
+    for (const stored of [session({ revoked_at: new Date().toISOString(), revoked_reason: 'token_reuse' }), null]) {
+      const { res, next } = await authenticateWith(token, user, stored);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Session has been revoked' }));
+    }
+  });
+
+  it('bumps the version when an account is deactivated', async () => {
+    const patch = User.fromJson({ is_active: false }, { patch: true });
+    await patch.$beforeUpdate();
+
+    // Incremented in the UPDATE itself, so concurrent bumps are not lost
+    expect(typeof patch.token_version.toKnexRaw).toBe('function');
+  });
+});
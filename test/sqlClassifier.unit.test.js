@@ -0,0 +1,120 @@
+import { classifySql, checkStatementPolicy, leastPrivilegedRole, SqlParseError } from '../src/utils/sqlClassifier.js';
+
+describe('SQL statement classifier', () => {
+  it('classifies plain reads', () => {
+    const result = classifySql('SELECT * FROM users WHERE id = 1');
+    expect(result.class).toBe('read');
+    expect(result.statements).toHaveLength(1);
+    expect(result.statements[0].type).toBe('SELECT');
+  });
+
+  it('splits multi-statement payloads and reports the highest class', () => {
+    const result = classifySql('SELECT 1; DELETE FROM users; DROP TABLE users;');
+    expect(result.statements.map(s => s.class)).toEqual(['read', 'dml', 'ddl']);
+    expect(result.class).toBe('ddl');
+  });
+
+  it('ignores semicolons inside comments, strings and dollar quotes', () => {
+    const sql = `
+      -- DROP TABLE users;
+      /* DELETE FROM x; /* nested; */ still comment; */
+      SELECT 'a;b', "weird;name", $tag$ ; DROP TABLE t; $tag$ FROM t
+    `;
+    const result = classifySql(sql);
+    expect(result.statements).toHaveLength(1);
+    expect(result.class).toBe('read');
+  });
+
+  it('detects data-modifying CTEs', () => {
+    expect(classifySql('WITH a AS (SELECT 1), b (x) AS (SELECT 2) SELECT * FROM a, b').class).toBe('read');
+    expect(classifySql('WITH gone AS (DELETE FROM users RETURNING *) SELECT * FROM gone').class).toBe('dml');
+  });
+
+  it('treats EXPLAIN ANALYZE as the statement it executes', () => {
+    expect(classifySql('EXPLAIN SELECT 1').class).toBe('read');
+    expect(classifySql('EXPLAIN DELETE FROM users').class).toBe('read');
+    expect(classifySql('EXPLAIN ANALYZE DELETE FROM users').class).toBe('dml');
+    expect(classifySql('EXPLAIN (ANALYZE, BUFFERS) UPDATE users SET a = 1').class).toBe('dml');
+  });
+
+  it('escalates SELECT INTO, row locks and side-effect functions', () => {
+    expect(classifySql('SELECT * INTO backup FROM users').class).toBe('ddl');
+    expect(classifySql('SELECT * FROM users FOR UPDATE').class).toBe('dml');
+    expect(classifySql('SELECT pg_terminate_backend(123)').class).toBe('ddl');
+  });
+
+  it('fails closed on unknown statements and unterminated input', () => {
+    expect(classifySql('VACUUM users').class).toBe('ddl');
+    expect(() => classifySql("SELECT 'oops")).toThrow(SqlParseError);
+  });
+
+  it('honours backslash escapes only when asked to', () => {
+    const sql = "SELECT '\\'; DROP TABLE users; -- '";
+    expect(classifySql(sql).class).toBe('ddl');
+    expect(classifySql(sql, { backslashEscapes: true }).class).toBe('read');
+  });
+});
+
+describe('SQL Server batches', () => {
+  const options = { bracketIdentifiers: true, batchStatements: true };
+  const classes = (sql) => classifySql(sql, options).statements.map(s => `${s.type}:${s.class}`);
+
+  it('splits statements that have no semicolon between them', () => {
+    expect(classifySql('SELECT 1 DROP TABLE t', { bracketIdentifiers: true }).class).toBe('read');
+    expect(classes('SELECT 1 DROP TABLE t')).toEqual(['SELECT:read', 'DROP:ddl']);
+    expect(classes("SELECT 1 EXEC xp_cmdshell 'dir'")).toEqual(['SELECT:read', 'EXEC:ddl']);
+    expect(classes('SELECT 1 SHUTDOWN')).toEqual(['SELECT:read', 'SHUTDOWN:ddl']);
+    expect(classes("SELECT [a] FROM t BACKUP DATABASE d TO DISK = 'x'")).toEqual(['SELECT:read', 'BACKUP:ddl']);
+    expect(classes('SELECT 1 DELETE FROM t')).toEqual(['SELECT:read', 'DELETE:dml']);
+    expect(classes('UPDATE t SET a = 1 SET ROWCOUNT 0')).toEqual(['UPDATE:dml', 'SET:ddl']);
+    expect(classifySql('SELECT 1 SELECT 2', options).statements.map(s => s.text)).toEqual(['SELECT 1', 'SELECT 2']);
+  });
+
+  it('keeps keywords that continue a statement in it', () => {
+    [
+      'SELECT a FROM t UNION ALL SELECT b FROM u',
+      'SELECT TOP 5 WITH TIES a FROM t WITH (NOLOCK) ORDER BY a',
+      'SELECT a FROM t INNER MERGE JOIN u ON t.id = u.id',
+      'WITH c AS (SELECT 1 AS a) SELECT a FROM c',
+    ].forEach(sql => expect(classes(sql)).toEqual(['SELECT:read']));
+
+    expect(classes('WITH c AS (SELECT 1 AS a) UPDATE t SET a = 1 FROM c')).toEqual(['UPDATE:dml']);
+    expect(classes('INSERT INTO t (a) SELECT a FROM u')).toEqual(['INSERT:dml']);
+    expect(classes('INSERT INTO t DEFAULT VALUES')).toEqual(['INSERT:dml']);
+    expect(classes(
+      'MERGE t USING u ON t.id = u.id WHEN MATCHED THEN UPDATE SET a = u.a WHEN NOT MATCHED THEN INSERT (a) VALUES (u.a)'
+    )).toEqual(['MERGE:dml']);
+  });
+});
+
+describe('Statement policy', () => {
+  const payload = classifySql('SELECT 1; UPDATE users SET name = 1');
+
+  it('denies DML to viewers and names the statement', () => {
+    const policy = checkStatementPolicy(payload, 'viewer');
+    expect(policy.allowed).toBe(false);
+    expect(policy.violation).toMatchObject({ index: 1, type: 'UPDATE', class: 'dml' });
+  });
+
+  it('allows DML to editors but not DDL', () => {
+    expect(checkStatementPolicy(payload, 'editor').allowed).toBe(true);
+    expect(checkStatementPolicy(classifySql('CREATE TABLE t (id int)'), 'editor').allowed).toBe(false);
+  });
+
+  it('allows everything to admins', () => {
+    expect(checkStatementPolicy(classifySql('DROP TABLE t'), 'admin').allowed).toBe(true);
+  });
+});
+
+describe('Least privileged role', () => {
+  it('picks the role allowed the fewest statement classes', () => {
+    expect(leastPrivilegedRole('admin', 'editor')).toBe('editor');
+    expect(leastPrivilegedRole('editor', 'admin')).toBe('editor');
+    expect(leastPrivilegedRole('admin', 'viewer', 'editor')).toBe('viewer');
+  });
+
+  it('counts unknown roles as viewers', () => {
+    expect(leastPrivilegedRole('admin', 'owner')).toBe('owner');
+    expect(checkStatementPolicy(classifySql('DELETE FROM t'), leastPrivilegedRole('admin', 'owner')).allowed).toBe(false);
+  });
+});
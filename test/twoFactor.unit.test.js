@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import { User } from '../src/models/index.js';
+import {
+  base32Decode,
+  base32Encode,
+  buildOtpauthUri,
+  generateCodeForStep,
+  generateRecoveryCodes,
+  generateTotp,
+  getTimeStep,
+  hashRecoveryCode,
+  verifyTotp,
+} from '../src/utils/totp.js';
+import { signTwoFactorChallenge, verifyTwoFactorChallenge } from '../src/utils/twoFactorToken.js';
+import { userId } from './helpers.js';
+
+// RFC 6238 appendix B shared secret (SHA-1)
+const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+// Fixed clock: codes below are computed for this moment
+const now = Date.UTC(2026, 9, 19, 12, 0, 0);
+
+describe('TOTP', () => {
+  it('matches the RFC 6238 test vectors', () => {
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130'],
+    ];
+
+    for (const [seconds, code] of vectors) {
+      expect(generateCodeForStep(rfcSecret, getTimeStep(seconds * 1000), 8)).toBe(code);
+    }
+  });
+
+  it('round-trips base32 secrets', () => {
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    expect(base32Decode('mzxw 6ytb oi==').toString()).toBe('foobar');
+    expect(() => base32Decode('MZXW1')).toThrow(/base32/);
+  });
+
+  it('accepts codes within one step of drift and refuses used steps', () => {
+    const step = getTimeStep(now);
+    const previous = generateTotp(rfcSecret, { now: now - 30000 });
+
+    expect(verifyTotp(rfcSecret, generateTotp(rfcSecret, { now }), { now })).toBe(step);
+    expect(verifyTotp(rfcSecret, previous, { now })).toBe(step - 1);
+    expect(verifyTotp(rfcSecret, generateTotp(rfcSecret, { now: now - 90000 }), { now })).toBeNull();
+    expect(verifyTotp(rfcSecret, previous, { now, lastStep: step - 1 })).toBeNull();
+    expect(verifyTotp(rfcSecret, 'abcdef', { now })).toBeNull();
+  });
+
+  it('builds provisioning URIs for authenticator apps', () => {
+    const uri = new URL(buildOtpauthUri({ secret: rfcSecret, accountName: 'ana@example.com', issuer: 'Api-BD' }));
+
+    expect(`${uri.protocol}//${uri.host}`).toBe('otpauth://totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/Api-BD:ana@example.com');
+    expect(uri.searchParams.get('secret')).toBe(rfcSecret);
+    expect(uri.searchParams.get('issuer')).toBe('Api-BD');
+  });
+
+  it('hashes recovery codes regardless of dashes and case', () => {
+    const { codes, hashes } = generateRecoveryCodes(3);
+
+    expect(codes).toHaveLength(3);
+    expect(codes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    expect(hashes[0]).toBe(hashRecoveryCode(codes[0].toUpperCase().replace('-', ' ')));
+  });
+});
+
+describe('Two-factor login', () => {
+  const env = { ...process.env };
+
+  // Stands in for the user row and records the patches the model sends
+  const fakeUser = (fields = {}) => {
+    const user = User.fromDatabaseJson({
+      id: userId,
+      email: 'ana@example.com',
+      is_active: true,
+      token_version: 0,
+      two_factor_recovery_codes: [],
+      ...fields,
+    });
+    const patches = [];
+    jest.spyOn(user, '$query').mockReturnValue({
+      patch: async (values) => {
+        patches.push(values);
+        Object.assign(user, values);
+      },
+    });
+    return { user, patches };
+  };
+
+  const fakeConditionalPatch = (affected) => {
+    const builder = {
+      findById: () => builder,
+      where: () => builder,
+      whereRaw: () => builder,
+      patch: jest.fn(async () => affected),
+    };
+    jest.spyOn(User, 'query').mockReturnValue(builder);
+    return builder;
+  };
+
+  beforeAll(() => {
+    process.env.ENCRYPTION_KEYS = `test:${crypto.randomBytes(32).toString('base64')}`;
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  it('enables two-factor authentication once the app proves it has the secret', async () => {
+    const { user, patches } = fakeUser();
+    const { secret, otpauth_url } = await user.startTwoFactorSetup();
+
+    expect(otpauth_url).toContain(`secret=${secret}`);
+    expect(user.getTwoFactorSecret()).toBe(secret);
+    expect(await user.enableTwoFactor('000000', { now: now + 600000 })).toBeNull();
+
+    const codes = await user.enableTwoFactor(generateTotp(secret, { now }), { now });
+    expect(codes).toHaveLength(10);
+    expect(patches.at(-1)).toMatchObject({
+      two_factor_enabled: true,
+      two_factor_last_step: getTimeStep(now),
+      two_factor_recovery_codes: codes.map(hashRecoveryCode),
+    });
+    expect(user.toJSON()).not.toHaveProperty('two_factor_secret');
+    expect(user.toJSON()).toHaveProperty('two_factor_recovery_codes_left', 10);
+  });
+
+  it('checks codes and recovery codes of enabled users', async () => {
+    const { user } = fakeUser();
+    const { secret } = await user.startTwoFactorSetup();
+    const [recoveryCode] = await user.enableTwoFactor(generateTotp(secret, { now }), { now });
+    const later = now + 60000;
+
+    // Codes of the step used to enable are refused
+    expect(await user.verifySecondFactor({ code: generateTotp(secret, { now }) }, { now })).toBe(false);
+
+    const totpPatch = fakeConditionalPatch(1);
+    expect(await user.verifySecondFactor({ code: generateTotp(secret, { now: later }) }, { now: later })).toBe(true);
+    expect(totpPatch.patch).toHaveBeenCalledWith({ two_factor_last_step: getTimeStep(later) });
+
+    // A concurrent login already used the recovery code
+    fakeConditionalPatch(0);
+    expect(await user.verifySecondFactor({ recoveryCode })).toBe(false);
+    expect(await user.verifySecondFactor({ recoveryCode: 'aaaaa-bbbbb' })).toBe(false);
+  });
+
+  it('reads the last used step as a number and validates it without warnings', () => {
+    const warn = jest.spyOn(console, 'warn');
+    // A subclass compiles its own validator
+    class FreshUser extends User {}
+
+    expect(FreshUser.fromDatabaseJson({ id: userId, two_factor_last_step: '58960000' }).two_factor_last_step).toBe(58960000);
+    expect(FreshUser.fromJson({ two_factor_last_step: 58960000 }, { patch: true }).two_factor_last_step).toBe(58960000);
+    expect(() => FreshUser.fromJson({ two_factor_last_step: 'abc' }, { patch: true })).toThrow();
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it('issues login challenges that are not access tokens', () => {
+    const { user } = fakeUser({ token_version: 4 });
+    const challenge = verifyTwoFactorChallenge(signTwoFactorChallenge(user));
+
+    expect(challenge).toMatchObject({ sub: userId, ver: 4, aud: 'two-factor-login' });
+    expect(challenge).not.toHaveProperty('id');
+  });
+});
@@ -0,0 +1,251 @@
+import dns from 'dns';
+import http from 'http';
+import { jest } from '@jest/globals';
+import { Webhook, WebhookDelivery } from '../src/models/index.js';
+import EventBus from '../src/services/EventBus.js';
+import { WebhookDispatcher } from '../src/services/WebhookDispatcher.js';
+import { signPayload, verifySignature, generateWebhookSecret } from '../src/utils/webhookSignature.js';
+import { assertPublicWebhookUrl, parseAllowedHosts, WebhookUrlError } from '../src/utils/webhookUrl.js';
+
+const webhook = (fields = {}) => Webhook.fromJson({
+  id: '2d0a6c1e-5b4f-4e3a-9c8d-7f6e5d4c3b2a',
+  project_id: '0b7c0e1a-8f0e-4d47-9a4c-1c6f2d3e4a5b',
+  url: 'http://127.0.0.1/hooks',
+  events: ['database.*', 'schedule.execute'],
+  secret: 'whsec_test_secret_0123456789',
+  is_active: true,
+  ...fields,
+});
+
+describe('Webhook signatures', () => {
+  const secret = generateWebhookSecret();
+  const body = JSON.stringify({ event: 'database.update' });
+  const now = Date.now();
+  const timestamp = Math.floor(now / 1000);
+
+  it('verifies signatures of the exact body and timestamp', () => {
+    const signature = signPayload(secret, timestamp, body);
+
+    expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(verifySignature(secret, signature, timestamp, body, { now })).toBe(true);
+    expect(verifySignature(secret, signature, timestamp, `${body} `, { now })).toBe(false);
+    expect(verifySignature(secret, signature, timestamp + 1, body, { now })).toBe(false);
+    expect(verifySignature('another secret', signature, timestamp, body, { now })).toBe(false);
+  });
+
+  it('rejects stale timestamps', () => {
+    const old = timestamp - 600;
+    expect(verifySignature(secret, signPayload(secret, old, body), old, body, { now })).toBe(false);
+  });
+});
+
+describe('Webhook subscriptions', () => {
+  it('matches exact events and wildcards', () => {
+    const target = webhook();
+
+    expect(target.matches('database.update')).toBe(true);
+    expect(target.matches('schedule.execute')).toBe(true);
+    expect(target.matches('schedule.create')).toBe(false);
+    expect(webhook({ events: ['*'] }).matches('query.delete')).toBe(true);
+  });
+
+  it('rejects unknown events and non-HTTP URLs', () => {
+    expect(() => webhook({ events: ['database.explode'] })).toThrow(/Unknown event 'database.explode'/);
+    expect(() => webhook({ events: ['spaceship.*'] })).toThrow(/Unknown event/);
+    expect(() => webhook({ url: 'ftp://example.com' })).toThrow(/url/);
+  });
+
+  it('never serializes the secret', () => {
+    expect(webhook().toJSON().secret).toBe('********');
+  });
+
+  it('names events after the activity entity type and action', () => {
+    const events = [];
+    const listener = event => events.push(event);
+    EventBus.on('event', listener);
+
+    EventBus.publish({
+      id: '9e8d7c6b-5a4f-4e3d-8c2b-1a0f9e8d7c6b',
+      project_id: '0b7c0e1a-8f0e-4d47-9a4c-1c6f2d3e4a5b',
+      action: 'update',
+      entity_type: 'database',
+      entity_id: null,
+      created_at: '2026-10-19T12:00:00.000Z',
+    });
+    EventBus.off('event', listener);
+
+    expect(events).toEqual([expect.objectContaining({ name: 'database.update', occurred_at: '2026-10-19T12:00:00.000Z' })]);
+  });
+});
+
+describe('Webhook URLs', () => {
+  const none = parseAllowedHosts('');
+
+  it('reject private, loopback and link-local addresses', async () => {
+    for (const url of [
+      'http://127.0.0.1/hooks',
+      'http://10.1.2.3/hooks',
+      'http://172.20.0.1/hooks',
+      'http://192.168.1.10/hooks',
+      'http://169.254.169.254/latest/meta-data',
+      'http://0.0.0.0/hooks',
+      'http://[::1]/hooks',
+      'http://[::ffff:127.0.0.1]/hooks',
+      'http://[fd00::1]/hooks',
+      'http://[fe80::1]/hooks',
+      'http://localhost/hooks',
+    ]) {
+      await expect(assertPublicWebhookUrl(url, { allowedHosts: none })).rejects.toThrow(WebhookUrlError);
+    }
+  });
+
+  it('accept public addresses and the allowed exceptions', async () => {
+    await expect(assertPublicWebhookUrl('https://93.184.216.34/hooks', { allowedHosts: none }))
+      .resolves.toEqual(['93.184.216.34']);
+
+    const allowed = parseAllowedHosts('localhost, 10.20.0.0/16,192.168.1.10');
+    await expect(assertPublicWebhookUrl('http://localhost:8080/hooks', { allowedHosts: allowed })).resolves.not.toHaveLength(0);
+    await expect(assertPublicWebhookUrl('http://10.20.3.4/hooks', { allowedHosts: allowed })).resolves.toEqual(['10.20.3.4']);
+    await expect(assertPublicWebhookUrl('http://192.168.1.10/hooks', { allowedHosts: allowed })).resolves.toEqual(['192.168.1.10']);
+    await expect(assertPublicWebhookUrl('http://10.21.0.1/hooks', { allowedHosts: allowed })).rejects.toThrow(/private or reserved/);
+  });
+});
+
+describe('WebhookDispatcher', () => {
+  const dispatcher = new WebhookDispatcher({
+    timeoutMs: 2000,
+    retryBaseMs: 1000,
+    maxRetryDelayMs: 5000,
+    responseMaxBytes: 16,
+    allowedHosts: parseAllowedHosts('127.0.0.1'),
+  });
+  const delivery = {
+    id: '5c4b3a29-1807-4f6e-9d5c-4b3a29180706',
+    event: 'database.update',
+    payload: { id: '9e8d7c6b-5a4f-4e3d-8c2b-1a0f9e8d7c6b', event: 'database.update', data: { entity_name: 'Warehouse' } },
+  };
+  let server;
+  let requests;
+  let statusCode;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body });
+        res.writeHead(statusCode, { 'Content-Type': 'text/plain' });
+        if (statusCode === 500) {
+          // A body that never ends unless the client hangs up
+          const timer = setInterval(() => res.write('x'.repeat(1024)), 10);
+          res.on('close', () => clearInterval(timer));
+          return;
+        }
+        res.end(statusCode === 200 ? 'ok' : 'try again later');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    requests = [];
+    statusCode = 200;
+  });
+
+  const localWebhook = () => webhook({ url: `http://127.0.0.1:${server.address().port}/hooks` });
+
+  it('posts signed payloads to the receiver', async () => {
+    const target = localWebhook();
+    const result = await dispatcher.send(target, delivery);
+
+    expect(result).toEqual({ response_status: 200, response_body: 'ok', error: null, duration_ms: expect.any(Number) });
+    expect(requests).toHaveLength(1);
+
+    const { headers, body } = requests[0];
+    expect(JSON.parse(body)).toEqual(delivery.payload);
+    expect(headers).toMatchObject({
+      'content-type': 'application/json',
+      'x-webhook-event': 'database.update',
+      'x-webhook-delivery': delivery.id,
+      'x-webhook-id': target.id,
+    });
+    expect(verifySignature(target.secret, headers['x-webhook-signature'], headers['x-webhook-timestamp'], body)).toBe(true);
+  });
+
+  it('reports non-2xx answers and unreachable receivers as failures', async () => {
+    statusCode = 503;
+    expect(await dispatcher.send(localWebhook(), delivery)).toMatchObject({
+      response_status: 503,
+      response_body: 'try again later',
+      error: 'Webhook answered with HTTP 503',
+    });
+
+    expect(await dispatcher.send(webhook({ url: 'http://127.0.0.1:1/hooks' }), delivery)).toMatchObject({
+      response_status: null,
+      error: expect.stringMatching(/^Request failed/),
+    });
+  });
+
+  it('stops reading long responses at the size limit', async () => {
+    statusCode = 500;
+    expect(await dispatcher.send(localWebhook(), delivery)).toMatchObject({
+      response_status: 500,
+      response_body: 'x'.repeat(16),
+    });
+  });
+
+  it('never sends to private addresses that are not allowed', async () => {
+    const strict = new WebhookDispatcher({ allowedHosts: parseAllowedHosts('') });
+
+    expect(await strict.send(localWebhook(), delivery)).toMatchObject({
+      response_status: null,
+      error: expect.stringMatching(/private or reserved address \(127\.0\.0\.1\)/),
+      retry: false,
+    });
+    expect(requests).toHaveLength(0);
+  });
+
+  describe('when DNS answers change after the check', () => {
+    // The check sees a public address, the connection's own lookup gets 127.0.0.1
+    beforeEach(() => {
+      jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]));
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    const rebindingWebhook = () => webhook({ url: `http://rebind.example:${server.address().port}/hooks` });
+
+    it('connects only to addresses that pass the check', async () => {
+      const strict = new WebhookDispatcher({ allowedHosts: parseAllowedHosts('') });
+
+      expect(await strict.send(rebindingWebhook(), delivery)).toMatchObject({
+        response_status: null,
+        error: expect.stringMatching(/'rebind\.example' resolves to a private or reserved address \(127\.0\.0\.1\)/),
+        retry: false,
+      });
+      expect(requests).toHaveLength(0);
+    });
+
+    it('connects to the address its lookup checked', async () => {
+      expect(await dispatcher.send(rebindingWebhook(), delivery)).toMatchObject({ response_status: 200, error: null });
+      expect(requests).toHaveLength(1);
+    });
+  });
+
+  it('does not redeliver to deleted or inactive webhooks', async () => {
+    const insert = jest.spyOn(WebhookDelivery, 'query');
+    for (const found of [undefined, webhook({ is_active: false })]) {
+      jest.spyOn(Webhook, 'query').mockReturnValue({ findById: () => ({ whereNull: async () => found }) });
+      expect(await dispatcher.redeliver({ ...delivery, webhook_id: webhook().id })).toBeNull();
+    }
+    expect(insert).not.toHaveBeenCalled();
+    jest.restoreAllMocks();
+  });
+
+  it('backs off exponentially up to the maximum delay', () => {
+    expect([1, 2, 3, 4].map(attempt => dispatcher.getRetryDelay(attempt))).toEqual([1000, 2000, 4000, 5000]);
+  });
+});